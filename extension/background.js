@@ -0,0 +1,556 @@
+/*
+ * MCP Memory System - Background Service Worker
+ * =============================================
+ * 
+ * Registers the "Save selection to MCP memory" context menu entry and the
+ * capture-selection keyboard shortcut, and forwards both to the content
+ * script of the tab they were used in.
+ * 
+ * Owns all communication with the MCP client (see below), including the
+ * stream of memory changes it forwards to every tab.
+ */
+
+const CAPTURE_SELECTION_MENU_ID = 'mcp-capture-selection';
+
+chrome.runtime.onInstalled.addListener(() => {
+    chrome.contextMenus.create({
+        id: CAPTURE_SELECTION_MENU_ID,
+        title: '🧠 Save selection to MCP memory',
+        contexts: ['selection']
+    });
+});
+
+// Ask the tab's content script to open its capture dialog for the current selection
+function requestSelectionCapture(tabId) {
+    chrome.tabs.sendMessage(tabId, { type: 'mcp-capture-selection' }, () => {
+        if (chrome.runtime.lastError) {
+            console.warn('⚠️ Selection capture not available in this tab:', chrome.runtime.lastError.message);
+        }
+    });
+}
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+    if (info.menuItemId === CAPTURE_SELECTION_MENU_ID && tab && tab.id !== undefined) {
+        requestSelectionCapture(tab.id);
+    }
+});
+
+chrome.commands.onCommand.addListener((command, tab) => {
+    if (command === 'capture-selection' && tab && tab.id !== undefined) {
+        requestSelectionCapture(tab.id);
+    }
+});
+
+// =============================================================================
+// MCP client communication
+// =============================================================================
+// Every request to the MCP client goes through this worker: content scripts and
+// the popup send messages instead of calling fetch(), so page CSP and mixed-content
+// rules no longer matter, hash checks from all tabs are batched, concurrent stores
+// of the same block are deduplicated and all tabs share one health status.
+
+importScripts('settings.js', 'outbox.js');
+
+const MCP_HEALTH_KEY = 'mcpHealth';
+const HASH_CHECK_BATCH_MS = 50;
+const HEALTH_MAX_AGE_MS = 5000;
+const OUTBOX_ALARM = 'mcp-outbox-retry';
+const MCP_TOKEN_KEY = 'mcpAuthToken'; // Bearer token from pairing, in chrome.storage.local
+const EVENTS_ALARM = 'mcp-events-reconnect';
+const EVENTS_RETRY_MS = 5000;
+const MCP_LAST_EVENT_KEY = 'mcpLastEventId'; // In chrome.storage.session
+
+let mcpSettings = { ...MCP_DEFAULT_SETTINGS };
+let authToken = null;
+let settingsLoaded = Promise.all([
+    loadMCPSettings().then(settings => { mcpSettings = settings; }),
+    loadAuthToken().then(token => { authToken = token; })
+]);
+
+// The token stays in this device's local storage - it is not synced
+function loadAuthToken() {
+    return new Promise(resolve => {
+        chrome.storage.local.get({ [MCP_TOKEN_KEY]: null }, items => resolve(items[MCP_TOKEN_KEY]));
+    });
+}
+
+function saveAuthToken(token) {
+    return new Promise(resolve => {
+        if (token) {
+            chrome.storage.local.set({ [MCP_TOKEN_KEY]: token }, resolve);
+        } else {
+            chrome.storage.local.remove(MCP_TOKEN_KEY, resolve);
+        }
+    });
+}
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync' && changes.clientUrl) {
+        mcpSettings.clientUrl = changes.clientUrl.newValue || MCP_DEFAULT_SETTINGS.clientUrl;
+        getClientHealth({ refresh: true });
+        restartEventStream();
+    }
+    if (areaName === 'local' && changes[MCP_TOKEN_KEY]) {
+        authToken = changes[MCP_TOKEN_KEY].newValue || null;
+        getClientHealth({ refresh: true });
+        restartEventStream();
+    }
+});
+
+async function clientRequest(path, { method = 'GET', body } = {}) {
+    await settingsLoaded;
+    
+    const headers = {};
+    if (body) headers['Content-Type'] = 'application/json';
+    if (authToken) headers.Authorization = `Bearer ${authToken}`;
+    
+    const response = await fetch(`${mcpSettings.clientUrl}${path}`, {
+        method,
+        headers,
+        body: body ? JSON.stringify(body) : undefined
+    });
+    
+    if (!response.ok) {
+        // The client explains auth and validation failures in { error }
+        const details = await response.json().catch(() => ({}));
+        const error = new Error(`HTTP ${response.status}: ${details.error || response.statusText}`);
+        error.status = response.status;
+        throw error;
+    }
+    
+    return response.json();
+}
+
+// Trade a one-time pairing code (printed by the MCP client) for an access token
+async function pairWithClient(code) {
+    let result;
+    try {
+        result = await clientRequest('/auth/pair', { method: 'POST', body: { code, name: 'Chrome extension' } });
+    } catch (error) {
+        handleRequestError(error);
+        return { success: false, error: error.message };
+    }
+    
+    authToken = result.token;
+    await saveAuthToken(result.token);
+    console.log(`🔐 Paired with the MCP client (token ${result.id})`);
+    return { success: true, id: result.id, health: await getClientHealth({ refresh: true }) };
+}
+
+async function unpairClient() {
+    authToken = null;
+    await saveAuthToken(null);
+    return { success: true };
+}
+
+// Worth queueing for a retry: the client is unreachable, failing or not paired
+// yet. Other 4xx answers (invalid or too large blocks) would fail every time.
+function isRetryableError(error) {
+    return !error.status || error.status >= 500 || error.status === 401;
+}
+
+// A network failure (not an HTTP error status) means the client is down
+function handleRequestError(error) {
+    if (error instanceof TypeError) {
+        setClientHealth({ status: 'offline', error: error.message });
+    }
+}
+
+// Send a message to every tab's content script (tabs without one are skipped)
+function notifyTabs(message) {
+    chrome.tabs.query({}, tabs => {
+        tabs.forEach(tab => {
+            chrome.tabs.sendMessage(tab.id, message, () => void chrome.runtime.lastError);
+        });
+    });
+}
+
+// Shared health status -------------------------------------------------------
+
+let clientHealth = { status: 'unknown' };
+let healthRequest = null;
+
+// Cached for HEALTH_MAX_AGE_MS so tabs asking at the same time cause one request
+function getClientHealth({ refresh = false } = {}) {
+    if (!refresh && clientHealth.checkedAt && Date.now() - clientHealth.checkedAt < HEALTH_MAX_AGE_MS) {
+        return Promise.resolve(clientHealth);
+    }
+    
+    if (!healthRequest) {
+        healthRequest = clientRequest('/health')
+            .catch(error => ({
+                // Reachable, but the token is missing, revoked or from another client
+                status: error.status === 401 || error.status === 403 ? 'unauthorized' : 'offline',
+                error: error.message
+            }))
+            .then(setClientHealth)
+            .finally(() => { healthRequest = null; });
+    }
+    return healthRequest;
+}
+
+// Publish the status in storage, where content scripts and the popup watch it
+async function setClientHealth(status) {
+    const wasHealthy = clientHealth.status === 'healthy';
+    const queued = (await readOutbox()).length;
+    
+    clientHealth = {
+        ...status,
+        queued,
+        clientUrl: mcpSettings.clientUrl,
+        checkedAt: Date.now()
+    };
+    chrome.storage.local.set({ [MCP_HEALTH_KEY]: clientHealth });
+    
+    // The client is reachable - deliver anything queued while it was down
+    if (clientHealth.status === 'healthy' && queued > 0) {
+        flushQueuedBlocks({ force: !wasHealthy });
+    }
+    return clientHealth;
+}
+
+async function refreshQueuedCount() {
+    const queued = (await readOutbox()).length;
+    if (clientHealth.queued !== queued) {
+        clientHealth = { ...clientHealth, queued };
+        chrome.storage.local.set({ [MCP_HEALTH_KEY]: clientHealth });
+    }
+}
+
+// Batched hash checks --------------------------------------------------------
+
+let pendingHashChecks = []; // [{ hashes, resolve }]
+let hashCheckTimer = null;
+
+function checkHashes(hashes) {
+    return new Promise(resolve => {
+        pendingHashChecks.push({ hashes, resolve });
+        if (!hashCheckTimer) {
+            hashCheckTimer = setTimeout(flushHashChecks, HASH_CHECK_BATCH_MS);
+        }
+    });
+}
+
+// One /mcp/check-hashes request for every tab that asked within the batch window
+async function flushHashChecks() {
+    const batch = pendingHashChecks;
+    pendingHashChecks = [];
+    hashCheckTimer = null;
+    
+    const allHashes = [...new Set(batch.flatMap(request => request.hashes))];
+    let result;
+    
+    try {
+        result = await clientRequest('/mcp/check-hashes', { method: 'POST', body: { hashes: allHashes } });
+    } catch (error) {
+        handleRequestError(error);
+        batch.forEach(request => request.resolve({ success: false, error: error.message }));
+        return;
+    }
+    
+    if (batch.length > 1) {
+        console.log(`🔍 Batched ${batch.length} hash checks into one request (${allHashes.length} hashes)`);
+    }
+    
+    batch.forEach(({ hashes, resolve }) => {
+        const hashStatus = {};
+        const memoryIds = {};
+        hashes.forEach(hash => {
+            hashStatus[hash] = !!result.hashStatus[hash];
+            if (result.memoryIds && result.memoryIds[hash]) {
+                memoryIds[hash] = result.memoryIds[hash];
+            }
+        });
+        const existing = hashes.filter(hash => hashStatus[hash]).length;
+        
+        resolve({
+            success: true,
+            hashStatus,
+            memoryIds,
+            summary: { total: hashes.length, existing, new: hashes.length - existing }
+        });
+    });
+}
+
+// Stores ----------------------------------------------------------------------
+
+const inFlightStores = new Map(); // hash -> Promise<{ result } | { error }>
+
+function getStoredMemoryId(result, hash) {
+    const entry = (result.entries || []).find(e => e.hash === hash);
+    if (entry) return entry.id;
+    const duplicate = (result.duplicateDetails || []).find(d => d.hash === hash);
+    return duplicate ? duplicate.existingId : undefined;
+}
+
+// POST /mcp/store, joining any store of the same block already on its way.
+// Blocks that cannot be delivered yet go to the offline outbox.
+async function storeBlocks(blocks, metadata) {
+    const fresh = [];
+    const joined = [];
+    blocks.forEach(block => {
+        const inFlight = inFlightStores.get(block.hash);
+        if (inFlight) {
+            joined.push({ block, inFlight });
+        } else if (!fresh.some(b => b.hash === block.hash)) {
+            fresh.push(block);
+        }
+    });
+    
+    let result = { success: true, stored: 0, duplicates: 0, entries: [], duplicateDetails: [] };
+    
+    if (fresh.length > 0) {
+        const settled = clientRequest('/mcp/store', { method: 'POST', body: { blocks: fresh, metadata } })
+            .then(response => ({ result: response }), error => ({ error }));
+        fresh.forEach(block => inFlightStores.set(block.hash, settled));
+        
+        const outcome = await settled;
+        fresh.forEach(block => inFlightStores.delete(block.hash));
+        
+        if (outcome.error) {
+            handleRequestError(outcome.error);
+            if (!isRetryableError(outcome.error)) {
+                return { success: false, error: outcome.error.message };
+            }
+            const queued = await enqueueOutbox(fresh, metadata, outcome.error.message);
+            await refreshQueuedCount();
+            scheduleOutboxAlarm();
+            return { success: false, error: outcome.error.message, queued };
+        }
+        result = outcome.result;
+    }
+    
+    // Blocks another tab was storing at the same time count as duplicates of that memory
+    for (const { block, inFlight } of joined) {
+        const outcome = await inFlight;
+        if (outcome.error) continue; // That request queued the block, or reported it failed
+        
+        result.duplicates++;
+        result.duplicateDetails.push({
+            hash: block.hash,
+            reason: 'in_flight',
+            existingId: getStoredMemoryId(outcome.result, block.hash)
+        });
+    }
+    
+    return result;
+}
+
+// Offline outbox ----------------------------------------------------------------
+
+async function flushQueuedBlocks({ force = false } = {}) {
+    const entries = [];
+    const blocked = [];
+    
+    const summary = await flushOutbox(async (blocks, metadata) => {
+        try {
+            const result = await clientRequest('/mcp/store', { method: 'POST', body: { blocks, metadata } });
+            // Blocks the client's redaction pass refused leave the outbox, but were not stored
+            const refused = result.blocked || [];
+            blocked.push(...refused);
+            blocks
+                .filter(block => !refused.some(entry => entry.hash === block.hash))
+                .forEach(block => entries.push({ hash: block.hash, id: getStoredMemoryId(result, block.hash) }));
+            return result;
+        } catch (error) {
+            handleRequestError(error);
+            return { success: false, error: error.message, permanent: !isRetryableError(error) };
+        }
+    }, { force });
+    
+    if (summary.sent.length > 0) {
+        console.log(`📮 Outbox: sent ${summary.sent.length} queued blocks, ${summary.remaining} still queued` +
+            (blocked.length > 0 ? ` (${blocked.length} refused for secrets)` : ''));
+        notifyTabs({ type: 'mcp-blocks-stored', entries, blocked });
+    }
+    
+    if (summary.dropped.length > 0) {
+        console.warn(`📮 Outbox: gave up on ${summary.dropped.length} queued blocks:`, summary.dropped);
+        notifyTabs({ type: 'mcp-blocks-failed', entries: summary.dropped });
+    }
+    
+    await refreshQueuedCount();
+    scheduleOutboxAlarm();
+    return summary;
+}
+
+// Wake up when the earliest queued block is due (alarms survive worker shutdown)
+async function scheduleOutboxAlarm() {
+    const nextAttempt = await getNextOutboxAttempt();
+    if (nextAttempt === null) {
+        chrome.alarms.clear(OUTBOX_ALARM);
+        return;
+    }
+    chrome.alarms.create(OUTBOX_ALARM, { when: Math.max(nextAttempt, Date.now() + 1000) });
+}
+
+chrome.alarms.onAlarm.addListener(async alarm => {
+    if (alarm.name !== OUTBOX_ALARM) return;
+    
+    const status = await getClientHealth({ refresh: true }); // Flushes the outbox when healthy
+    if (status.status !== 'healthy') {
+        // Count the attempt so the next check backs off as well
+        const summary = await flushOutbox(async () => ({ success: false, error: status.error || 'MCP client offline' }));
+        if (summary.dropped.length > 0) {
+            notifyTabs({ type: 'mcp-blocks-failed', entries: summary.dropped });
+        }
+        await refreshQueuedCount();
+        scheduleOutboxAlarm();
+    }
+});
+
+chrome.runtime.onStartup.addListener(scheduleOutboxAlarm);
+
+// Memory events -----------------------------------------------------------------
+// The client pushes every change on GET /mcp/events (server-sent events). The
+// worker reads that stream with fetch - service workers have no EventSource,
+// and it could not send the token anyway - and forwards each event to every
+// tab, so badges follow deletions made in the web interface or another tab.
+// Chrome stops idle workers, and the stream with them: an alarm starts the
+// worker again, and the last event id makes the client replay what was missed.
+
+let eventStream = null; // AbortController of the open stream
+let eventsRetryTimer = null;
+
+function loadLastEventId() {
+    return new Promise(resolve => {
+        chrome.storage.session.get({ [MCP_LAST_EVENT_KEY]: null }, items => resolve(items[MCP_LAST_EVENT_KEY]));
+    });
+}
+
+function saveLastEventId(id) {
+    chrome.storage.session.set({ [MCP_LAST_EVENT_KEY]: id });
+}
+
+async function connectEventStream() {
+    await settingsLoaded;
+    if (eventStream || !authToken) return;
+    
+    const controller = new AbortController();
+    eventStream = controller;
+    clearTimeout(eventsRetryTimer);
+    let retry = true;
+    
+    try {
+        const headers = { Accept: 'text/event-stream', Authorization: `Bearer ${authToken}` };
+        const lastEventId = await loadLastEventId();
+        if (lastEventId) headers['Last-Event-ID'] = lastEventId;
+        
+        const response = await fetch(`${mcpSettings.clientUrl}/mcp/events`, { headers, signal: controller.signal });
+        if (!response.ok) {
+            // Not paired (any more): the alarm tries again, pairing restarts the stream
+            retry = response.status !== 401 && response.status !== 403;
+            throw new Error(`HTTP ${response.status}`);
+        }
+        
+        if (clientHealth.status !== 'healthy') getClientHealth({ refresh: true });
+        if (mcpSettings.debug) console.log('📡 Following memory events');
+        await readEventStream(response.body, handleStreamEvent);
+    } catch (error) {
+        if (error.name !== 'AbortError' && mcpSettings.debug) {
+            console.warn('⚠️ Memory event stream closed:', error.message);
+        }
+    } finally {
+        if (eventStream === controller) {
+            eventStream = null;
+            if (retry) eventsRetryTimer = setTimeout(connectEventStream, EVENTS_RETRY_MS);
+        }
+    }
+}
+
+// After the client URL or the token changed
+function restartEventStream() {
+    if (eventStream) eventStream.abort();
+    eventStream = null;
+    chrome.storage.session.remove(MCP_LAST_EVENT_KEY);
+    connectEventStream();
+}
+
+// Split a text/event-stream body into { type, id, data } events. Comment lines
+// (heartbeats) are skipped; a frame with only an id just moves the position.
+async function readEventStream(body, onEvent) {
+    const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    
+    for (;;) {
+        const { value, done } = await reader.read();
+        if (done) return;
+        buffer += value.replace(/\r\n?/g, '\n');
+        
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+            const event = { type: 'message', id: null, data: [] };
+            buffer.slice(0, end).split('\n').forEach(line => {
+                if (!line || line.startsWith(':')) return;
+                const colon = line.indexOf(':');
+                const field = colon === -1 ? line : line.slice(0, colon);
+                const fieldValue = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+                if (field === 'event') event.type = fieldValue;
+                else if (field === 'id') event.id = fieldValue;
+                else if (field === 'data') event.data.push(fieldValue);
+            });
+            buffer = buffer.slice(end + 2);
+            onEvent(event);
+        }
+    }
+}
+
+function handleStreamEvent(event) {
+    if (event.id !== null) saveLastEventId(event.id);
+    if (event.data.length === 0) return;
+    
+    let data;
+    try {
+        data = JSON.parse(event.data.join('\n'));
+    } catch (error) {
+        console.warn(`⚠️ Unreadable ${event.type} event from the MCP client`);
+        return;
+    }
+    
+    // The memory count in the tabs' status badge follows along
+    if (data.total !== undefined && clientHealth.status === 'healthy' && clientHealth.memoryCount !== data.total) {
+        clientHealth = { ...clientHealth, memoryCount: data.total };
+        chrome.storage.local.set({ [MCP_HEALTH_KEY]: clientHealth });
+    }
+    notifyTabs({ type: 'mcp-memory-event', event: event.type, data });
+}
+
+chrome.alarms.get(EVENTS_ALARM, alarm => {
+    if (!alarm) chrome.alarms.create(EVENTS_ALARM, { periodInMinutes: 1 });
+});
+
+chrome.alarms.onAlarm.addListener(alarm => {
+    if (alarm.name === EVENTS_ALARM) connectEventStream();
+});
+
+connectEventStream();
+
+// Messages ----------------------------------------------------------------------
+
+const MCP_API_HANDLERS = {
+    'mcp-api-health': message => getClientHealth({ refresh: !!message.refresh }),
+    'mcp-api-check-hashes': message => checkHashes(message.hashes || []),
+    'mcp-api-store': message => storeBlocks(message.blocks || [], message.metadata || {}),
+    'mcp-api-get-memory': message => clientRequest(`/mcp/memories/${encodeURIComponent(message.id)}`),
+    'mcp-api-memories': message => clientRequest(`/mcp/memories?limit=${encodeURIComponent(message.limit || 20)}`),
+    'mcp-api-retry-outbox': async () => ({ success: true, ...(await flushQueuedBlocks({ force: true })) }),
+    'mcp-api-pair': message => pairWithClient(String(message.code || '')),
+    'mcp-api-unpair': () => unpairClient(),
+    'mcp-api-paired': async () => {
+        await settingsLoaded;
+        return { paired: !!authToken };
+    }
+};
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    const handler = message && MCP_API_HANDLERS[message.type];
+    if (!handler) return false;
+    
+    Promise.resolve()
+        .then(() => handler(message))
+        .then(sendResponse, error => {
+            handleRequestError(error);
+            sendResponse({ success: false, error: error.message });
+        });
+    return true; // Keep the channel open for the async response
+});
@@ -0,0 +1,17 @@
+// Types for block-header.js, which the TypeScript MCP client requires at runtime
+
+export interface BlockHeader {
+  type?: string;
+  tags?: string[];
+  ttl?: string;
+  title?: string;
+}
+
+export declare const MCP_HEADER_FIELDS: string[];
+export declare function parseBlockHeader(
+  attributes: string | undefined,
+  lines: string[]
+): { header: BlockHeader | null; bodyStart: number; errors: string[] };
+export declare function normalizeBlockHeader(fields: Record<string, unknown>): { header: BlockHeader; errors: string[] };
+export declare function parseTtl(ttl: unknown): number | null;
+export declare function getExpiryTime(from: string, ttl: string): string | null;
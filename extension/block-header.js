@@ -0,0 +1,239 @@
+/*
+ * MCP Memory System - Block Headers
+ * =================================
+ *
+ * Optional metadata at the top of an MCP block, shared like content-hash.js:
+ * the content script loads it as a plain script, the MCP clients require() it.
+ *
+ * On the start marker line:
+ *   [MCP-START type=decision tags=infra,aws ttl=30d title="Move to Fargate"]
+ *
+ * Or as YAML front-matter right after the marker:
+ *   [MCP-START]
+ *   ---
+ *   type: decision
+ *   tags: [infra, aws]
+ *   ttl: 30d
+ *   title: Move to Fargate
+ *   ---
+ *   Content...
+ *   [MCP-END]
+ *
+ * Fields:
+ *   type   lowercase word (letters, digits, _ and -), e.g. decision, note, snippet
+ *   tags   comma separated (or a YAML list), no spaces inside a tag
+ *   ttl    how long to keep the memory: 12h, 30d, 2w or 1y
+ *   title  up to 200 characters; quote it on the marker line when it has spaces
+ *
+ * The header is not part of the content, so it is not hashed: the same content
+ * with another header is still a duplicate.
+ */
+
+(function(root) {
+    const MCP_HEADER_FIELDS = ['type', 'tags', 'ttl', 'title'];
+    const MAX_FRONT_MATTER_LINES = 20;
+    const MAX_TITLE_LENGTH = 200;
+    const MAX_HEADER_TAGS = 20;
+
+    const TYPE_PATTERN = /^[a-z][a-z0-9_-]{0,31}$/;
+    const TAG_PATTERN = /^[^\s,]{1,64}$/;
+    const TTL_PATTERN = /^(\d+)(h|d|w|y)$/;
+    const TTL_UNITS = {
+        h: 60 * 60 * 1000,
+        d: 24 * 60 * 60 * 1000,
+        w: 7 * 24 * 60 * 60 * 1000,
+        y: 365 * 24 * 60 * 60 * 1000
+    };
+
+    function unquote(value) {
+        const trimmed = value.trim();
+        const quoted = trimmed.match(/^"(.*)"$|^'(.*)'$/);
+        if (!quoted) return trimmed;
+        return quoted[1] !== undefined ? quoted[1].replace(/\\"/g, '"') : quoted[2].replace(/''/g, "'");
+    }
+
+    // key=value pairs from a start marker line; values with spaces need quotes
+    function parseHeaderAttributes(text) {
+        const fields = {};
+        const errors = [];
+        const pattern = /\s*(?:([A-Za-z][\w-]*)=(?:"([^"]*)"|'([^']*)'|([^\s"']+))|(\S+))/g;
+        let match;
+
+        while ((match = pattern.exec(text)) !== null) {
+            if (match[5]) {
+                errors.push(`unexpected "${match[5]}" in the marker line (use key=value)`);
+                continue;
+            }
+            const key = match[1].toLowerCase();
+            if (key in fields) errors.push(`"${key}" is set twice`);
+            fields[key] = [match[2], match[3], match[4]].find(value => value !== undefined);
+        }
+        return { fields, errors };
+    }
+
+    // "key: value" lines of YAML front-matter. Lists can be [a, b] or "- item" lines.
+    function parseFrontMatter(lines) {
+        const fields = {};
+        const errors = [];
+        let listKey = null;
+
+        lines.forEach(line => {
+            if (!line.trim() || /^\s*#/.test(line)) return;
+
+            const item = line.match(/^\s*-\s+(.*)$/);
+            if (item && listKey) {
+                fields[listKey].push(unquote(item[1]));
+                return;
+            }
+
+            const pair = line.match(/^([A-Za-z][\w-]*):(?:\s+(.*))?$/);
+            if (!pair) {
+                errors.push(`cannot read front-matter line "${line.trim()}" (use key: value)`);
+                listKey = null;
+                return;
+            }
+
+            const key = pair[1].toLowerCase();
+            const value = (pair[2] || '').trim();
+            if (key in fields) errors.push(`"${key}" is set twice`);
+
+            if (!value) {
+                fields[key] = [];
+                listKey = key;
+            } else if (/^\[.*\]$/.test(value)) {
+                fields[key] = value.slice(1, -1).split(',').map(unquote).filter(Boolean);
+                listKey = null;
+            } else {
+                fields[key] = unquote(value);
+                listKey = null;
+            }
+        });
+        return { fields, errors };
+    }
+
+    // Milliseconds for a ttl like 30d, or null when it isn't one
+    function parseTtl(ttl) {
+        const match = typeof ttl === 'string' && ttl.trim().toLowerCase().match(TTL_PATTERN);
+        if (!match || Number(match[1]) === 0) return null;
+        return Number(match[1]) * TTL_UNITS[match[2]];
+    }
+
+    // When a memory with this ttl, captured at `from`, expires (ISO string)
+    function getExpiryTime(from, ttl) {
+        const duration = parseTtl(ttl);
+        if (duration === null) return null;
+        const start = Date.parse(from);
+        return new Date((isNaN(start) ? Date.now() : start) + duration).toISOString();
+    }
+
+    // Check header fields (from a marker line, front-matter or a stored block)
+    // and normalize them. Invalid fields are left out and reported in errors.
+    function normalizeBlockHeader(fields) {
+        const header = {};
+        const errors = [];
+
+        Object.keys(fields).forEach(key => {
+            const value = fields[key];
+            if (value === undefined || value === null) return;
+
+            switch (key) {
+                case 'type': {
+                    const type = typeof value === 'string' ? value.trim().toLowerCase() : '';
+                    if (TYPE_PATTERN.test(type)) {
+                        header.type = type;
+                    } else {
+                        errors.push(`type "${value}" must be one word of letters, digits, _ or -`);
+                    }
+                    break;
+                }
+                case 'tags': {
+                    const list = Array.isArray(value) ? value : String(value).split(',');
+                    const tags = [...new Set(list
+                        .map(tag => String(tag).trim().replace(/^#/, ''))
+                        .filter(Boolean))];
+                    const invalid = tags.filter(tag => !TAG_PATTERN.test(tag));
+                    if (invalid.length > 0) {
+                        errors.push(`tags cannot contain spaces: ${invalid.map(tag => `"${tag}"`).join(', ')}`);
+                    } else if (tags.length > MAX_HEADER_TAGS) {
+                        errors.push(`at most ${MAX_HEADER_TAGS} tags are allowed`);
+                    } else if (tags.length > 0) {
+                        header.tags = tags;
+                    }
+                    break;
+                }
+                case 'ttl':
+                    if (parseTtl(value) !== null) {
+                        header.ttl = value.trim().toLowerCase();
+                    } else {
+                        errors.push(`ttl "${value}" must be a duration like 12h, 30d, 2w or 1y`);
+                    }
+                    break;
+                case 'title': {
+                    const title = typeof value === 'string' ? value.trim() : '';
+                    if (title && title.length <= MAX_TITLE_LENGTH) {
+                        header.title = title;
+                    } else {
+                        errors.push(`title must be 1-${MAX_TITLE_LENGTH} characters`);
+                    }
+                    break;
+                }
+                default:
+                    errors.push(`unknown header field "${key}" (use ${MCP_HEADER_FIELDS.join(', ')})`);
+            }
+        });
+
+        return { header, errors };
+    }
+
+    // The header of a block: attributes from its start marker line plus optional
+    // front-matter at the top of its lines. Returns { header, bodyStart, errors }
+    // where bodyStart is the index of the first content line; header is null
+    // when the block has none. A "---" line that isn't front-matter is content.
+    function parseBlockHeader(attributes, lines) {
+        const fields = {};
+        const errors = [];
+        let bodyStart = 0;
+
+        if (attributes && attributes.trim()) {
+            const parsed = parseHeaderAttributes(attributes);
+            Object.assign(fields, parsed.fields);
+            errors.push(...parsed.errors);
+        }
+
+        const first = lines.findIndex(line => line.trim());
+        if (first !== -1 && lines[first].trim() === '---') {
+            const close = lines.findIndex((line, i) => i > first && line.trim() === '---');
+            const frontMatter = close !== -1 ? lines.slice(first + 1, close) : [];
+            if (close !== -1 && close - first <= MAX_FRONT_MATTER_LINES &&
+                frontMatter.some(line => /^[A-Za-z][\w-]*:(\s|$)/.test(line))) {
+                const parsed = parseFrontMatter(frontMatter);
+                Object.keys(parsed.fields).forEach(key => {
+                    if (key in fields) errors.push(`"${key}" is set on the marker line and in the front-matter`);
+                    fields[key] = parsed.fields[key];
+                });
+                errors.push(...parsed.errors);
+                bodyStart = close + 1;
+            }
+        }
+
+        if (Object.keys(fields).length === 0) {
+            return { header: null, bodyStart, errors };
+        }
+        const normalized = normalizeBlockHeader(fields);
+        return { header: normalized.header, bodyStart, errors: errors.concat(normalized.errors) };
+    }
+
+    const api = {
+        MCP_HEADER_FIELDS,
+        parseBlockHeader,
+        normalizeBlockHeader,
+        parseTtl,
+        getExpiryTime
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    } else {
+        Object.assign(root, api);
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,7 @@
+// Types for content-hash.js, which the TypeScript MCP client requires at runtime
+
+export declare const CONTENT_HASH_VERSION: string;
+export declare function normalizeContent(content: string): string;
+export declare function generateContentHash(content: string): string;
+export declare function generateLegacyContentHash(content: string): string;
+export declare function isLegacyContentHash(hash: unknown): boolean;
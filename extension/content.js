@@ -18,6 +18,19 @@
  * The backticks (```) are just markdown formatting - they're NOT part of the MCP content
  * Only the text between [MCP-START] and [MCP-END] is captured and hashed
  * 
+ * An optional header gives a block a type, tags, a ttl and a title, either on
+ * the marker line or as YAML front-matter (see block-header.js):
+ * [MCP-START type=decision tags=infra,aws ttl=30d title="Move to Fargate"]
+ * Blocks whose header has errors are skipped and reported by validateMCPFormat().
+ * 
+ * lintMCPFormat() finds the blocks the rules below reject (and nested or unclosed
+ * ones) and showMCPDiagnostics() lists them in a panel on the page, each with the
+ * broken rule, a fix and - when the block can be recovered - "capture anyway".
+ * 
+ * Blocks are read from the DOM, not from flattened innerText: code blocks keep
+ * their indentation and rendered markdown (lists, headings, links, inline code)
+ * is captured as Markdown. Each block remembers the element it was found in.
+ * 
  * ❌ INCORRECT FORMATS (WILL BE IGNORED):
  * [MCP-START]content[MCP-END]                    // Same line - NOT ALLOWED
  * text before [MCP-START]                        // Not on own line - NOT ALLOWED  
@@ -25,59 +38,132 @@
  * [mcp-start] or [MCP-start]                     // Wrong case - NOT ALLOWED
  */
 
-// Configuration - declared once at the top
-const MCP_CLIENT_URL = 'http://localhost:3001';
-const AUTO_SEND_ENABLED = true;
-const DEBUG_MODE = true; // Set to false for production
+// Configuration - defaults come from settings.js and are replaced by the
+// options page values as soon as they load (and whenever they change)
+let mcpSettings = { ...MCP_DEFAULT_SETTINGS };
+let mcpMarkers = buildMarkerPatterns(mcpSettings);
+let mcpRedaction = buildRedactionOptions(mcpSettings);
+let mcpSettingsLoaded = false;
+const WATCH_SETTLE_MS = 1500; // A changed block must be quiet this long before it is captured
+const WATCH_MAX_CONTAINER_DEPTH = 12; // Ancestors looked at for a changed block's start line
+
+// Regexes for the configured marker pair (default [MCP-START] / [MCP-END]).
+// The start marker may carry header attributes - [MCP-START type=note], or
+// "<marker> type=note" for markers not ending in "]" - captured as group 1.
+function buildMarkerPatterns(settings) {
+    const start = settings.startMarker.endsWith(']')
+        ? `${escapeRegExp(settings.startMarker.slice(0, -1))}(?:[ \\t]+((?:"[^"\\n]*"|'[^'\\n]*'|[^\\]\\n])*))?\\]`
+        : `${escapeRegExp(settings.startMarker)}(?:[ \\t]+([^\\n]*?))?`;
+    const end = escapeRegExp(settings.endMarker);
+    
+    return {
+        startLine: new RegExp(`^\\s*${start}\\s*$`),
+        endLine: new RegExp(`^\\s*${end}\\s*$`),
+        startLineMultiline: new RegExp(`^\\s*${start}\\s*$`, 'm'),
+        start: new RegExp(start, 'g'),
+        end: new RegExp(end, 'g'),
+        any: new RegExp(`${start}|${end}`, 'g'),
+        block: new RegExp(`^\\s*${start}\\s*$([\\s\\S]*?)^\\s*${end}\\s*$`, 'gm'),
+        sameLine: new RegExp(`${start}[^\\n]*${end}`, 'g'),
+        inlineStart: new RegExp(`[^\\n\\r]${start}|^[^\\[\\s]+.*${start}`, 'gm'),
+        inlineEnd: new RegExp(`${end}[^\\n\\r]|^.*${end}[^\\]\\s]+`, 'gm'),
+        // Case-insensitive variants, so the linter also finds markers the strict rules skip
+        looseStartLine: new RegExp(`^\\s*${start}\\s*$`, 'i'),
+        looseEndLine: new RegExp(`^\\s*${end}\\s*$`, 'i'),
+        looseAny: new RegExp(`${start}|${end}`, 'gi')
+    };
+}
+
+// Redaction settings ready for redactContent(); broken ones fall back to masking everything
+function buildRedactionOptions(settings) {
+    try {
+        return normalizeRedactionOptions({
+            mode: settings.redactionMode,
+            disabled: settings.redactionDisabled,
+            patterns: settings.redactionPatterns
+        });
+    } catch (error) {
+        console.warn(`⚠️ Invalid redaction settings, using the defaults: ${error.message}`);
+        return normalizeRedactionOptions();
+    }
+}
+
+function isSiteActive() {
+    return isSiteEnabled(mcpSettings, window.location.hostname);
+}
+
+function isAutoSendEnabled() {
+    return isAutoSendEnabledFor(mcpSettings, window.location.hostname);
+}
+
+// Apply new settings without a page reload
+function applySettings(settings) {
+    const previous = mcpSettings;
+    mcpSettings = { ...MCP_DEFAULT_SETTINGS, ...settings };
+    mcpMarkers = buildMarkerPatterns(mcpSettings);
+    mcpRedaction = buildRedactionOptions(mcpSettings);
+    
+    const active = isSiteActive();
+    scanButton.style.display = active ? '' : 'none';
+    statusIndicator.style.display = active ? '' : 'none';
+    
+    if (active && mcpSettings.watchMode) {
+        startWatchMode();
+    } else if (mcpWatchObserver) {
+        stopWatchMode();
+    }
+    
+    if (active && (!mcpSettingsLoaded || previous.clientUrl !== mcpSettings.clientUrl)) {
+        updateStatusIndicator();
+    }
+    mcpSettingsLoaded = true;
+    
+    if (!active && mcpSettings.debug) {
+        console.log(`🚫 MCP capture disabled on ${window.location.hostname} by the site lists`);
+    }
+}
 
 // Initialize storage
 window.mcpBuffers = window.mcpBuffers || [];
 window.mcpSentBlocks = window.mcpSentBlocks || new Set();
 
-// Generate consistent content hash (matches server implementation)
-function generateContentHash(content) {
-    let hash = 0;
-    const str = content.trim(); // Normalize whitespace
-    if (DEBUG_MODE) {
-        console.log(`🔢 Generating hash for content (${str.length} chars):`, str.substring(0, 50) + (str.length > 50 ? '...' : ''));
-    }
-    for (let i = 0; i < str.length; i++) {
-        const char = str.charCodeAt(i);
-        hash = ((hash << 5) - hash) + char;
-        hash = hash & hash; // Convert to 32-bit integer
-    }
-    const finalHash = Math.abs(hash).toString(36);
-    if (DEBUG_MODE) {
-        console.log(`🔢 Generated hash: ${finalHash}`);
+// generateContentHash() comes from content-hash.js, shared with the MCP clients
+
+// Message the background worker, which owns all communication with the MCP client
+function sendBackgroundMessage(message) {
+    return new Promise(resolve => {
+        chrome.runtime.sendMessage(message, response => {
+            if (chrome.runtime.lastError || !response) {
+                const error = chrome.runtime.lastError ? chrome.runtime.lastError.message : 'No response from background worker';
+                resolve({ success: false, error });
+            } else {
+                resolve(response);
+            }
+        });
+    });
+}
+
+// Same, but failures are thrown
+async function callBackground(type, payload = {}) {
+    const response = await sendBackgroundMessage({ type, ...payload });
+    if (response.success === false) {
+        throw new Error(response.error);
     }
-    return finalHash;
+    return response;
 }
 
-// Check hashes with server
+// Check hashes with server (batched with other tabs by the background worker)
 async function checkHashesWithServer(hashes) {
     if (hashes.length === 0) {
         return { success: true, hashStatus: {}, summary: { total: 0, existing: 0, new: 0 } };
     }
     
     try {
-        if (DEBUG_MODE) console.log(`🔍 Checking ${hashes.length} hashes with server...`);
+        if (mcpSettings.debug) console.log(`🔍 Checking ${hashes.length} hashes with server...`);
         
-        const response = await fetch(`${MCP_CLIENT_URL}/mcp/check-hashes`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'User-Agent': 'MCP-Browser-Extension-Strict/2.0'
-            },
-            body: JSON.stringify({ hashes })
-        });
+        const result = await callBackground('mcp-api-check-hashes', { hashes });
         
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-        }
-        
-        const result = await response.json();
-        
-        if (DEBUG_MODE) {
+        if (mcpSettings.debug) {
             console.log(`✅ Hash check results:`, result.summary);
             console.log(`   • Total hashes: ${result.summary.total}`);
             console.log(`   • Already exist: ${result.summary.existing}`);
@@ -106,6 +192,7 @@ function processBlocksLocally(blocks) {
             });
             newBlocks.push(block);
             window.mcpSentBlocks.add(block.hash);
+            setBlockState(block, 'new');
         } else {
             duplicatesSkipped++;
         }
@@ -113,76 +200,278 @@ function processBlocksLocally(blocks) {
     
     console.log(`🔍 Local processing: ${newBlocks.length} new, ${duplicatesSkipped} duplicates`);
     
-    if (AUTO_SEND_ENABLED && newBlocks.length > 0) {
-        sendToMCPClient(newBlocks);
+    if (isAutoSendEnabled() && newBlocks.length > 0) {
+        sendBlocksAndTrack(newBlocks);
     }
     
     return newBlocks.length;
 }
 
-// FIXED: Enhanced MCP scanning that only captures MCP content (not backticks)
-async function scanMCP() {
-    if (DEBUG_MODE) console.log('🔍 Starting FIXED ultra-strict MCP scan (MCP content only)...');
+// DOM extraction: render the page into Markdown lines that remember their source element.
+// Walking the DOM (instead of reading document.body.innerText) keeps <pre>/<code>
+// formatting, indentation and list structure intact inside captured blocks.
+const MCP_BLOCK_TAGS = new Set([
+    'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'DD', 'DETAILS', 'DIV', 'DL', 'DT',
+    'FIELDSET', 'FIGCAPTION', 'FIGURE', 'FOOTER', 'FORM', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6',
+    'HEADER', 'HR', 'LI', 'MAIN', 'NAV', 'OL', 'P', 'PRE', 'SECTION', 'SUMMARY', 'TABLE', 'UL'
+]);
+const MCP_SKIP_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'TEXTAREA', 'SVG', 'CANVAS', 'IFRAME']);
+
+function isSkippedElement(element) {
+    return MCP_SKIP_TAGS.has(element.tagName.toUpperCase()) ||
+        element.hidden ||
+        element.getAttribute('aria-hidden') === 'true' ||
+        isMCPOwnElement(element);
+}
+
+// Text of an element without the badge bar renderBlockHighlight() puts inside
+// highlighted blocks - its labels are not part of the block
+function getBlockText(element) {
+    if (!element.querySelector('.mcp-badge-bar')) return element.textContent;
+    const copy = element.cloneNode(true);
+    copy.querySelectorAll('.mcp-badge-bar').forEach(badgeBar => badgeBar.remove());
+    return copy.textContent;
+}
+
+// Render inline content (text, code spans, emphasis, links) to a Markdown string
+function renderInlineMarkdown(node) {
+    if (node.nodeType === Node.TEXT_NODE) {
+        return node.textContent.replace(/\s+/g, ' ');
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE || isSkippedElement(node)) {
+        return '';
+    }
     
-    const text = document.body.innerText;
+    const inner = () => [...node.childNodes].map(renderInlineMarkdown).join('');
     
-    // First, validate format and provide helpful feedback
-    validateMCPFormat(text);
+    switch (node.tagName) {
+        case 'BR':
+            return '\n';
+        case 'CODE':
+        case 'KBD':
+            return '`' + getBlockText(node) + '`';
+        case 'STRONG':
+        case 'B':
+            return `**${inner().trim()}**`;
+        case 'EM':
+        case 'I':
+            return `*${inner().trim()}*`;
+        case 'A': {
+            const text = inner().trim();
+            const href = node.getAttribute('href');
+            return href && !href.startsWith('#') && !href.startsWith('javascript:') && text !== href
+                ? `[${text}](${node.href})`
+                : text;
+        }
+        case 'IMG':
+            return node.alt ? `![${node.alt}](${node.src})` : '';
+        default:
+            return inner();
+    }
+}
+
+// Render a container's children into Markdown lines: [{ text, element }]
+function renderMarkdownLines(container) {
+    const lines = [];
+    let inline = '';
     
-    // FIXED: Ultra-strict regex that finds MCP blocks (tags must be on their own lines)
-    const blockMatches = text.match(/^\s*\[MCP-START\]\s*$([\s\S]*?)^\s*\[MCP-END\]\s*$/gm);
+    const flushInline = () => {
+        if (inline.trim()) {
+            inline.split('\n').forEach(line => {
+                lines.push({ text: line.trim(), element: container });
+            });
+        }
+        inline = '';
+    };
     
-    if (!blockMatches) {
-        console.log('🔍 MCP Scan: No properly formatted MCP blocks found');
-        if (DEBUG_MODE) {
-            // Check if there are any MCP markers that don't follow the rules
-            const anyMarkers = text.match(/\[MCP-START\]|\[MCP-END\]/g);
-            if (anyMarkers) {
-                console.warn('⚠️ Found MCP markers but they don\'t follow the strict formatting rules');
-                console.warn('📖 See content.js comments for proper format requirements');
-            }
+    container.childNodes.forEach(child => {
+        if (child.nodeType === Node.ELEMENT_NODE && isSkippedElement(child)) return;
+        
+        if (child.nodeType === Node.ELEMENT_NODE && MCP_BLOCK_TAGS.has(child.tagName)) {
+            flushInline();
+            lines.push(...renderBlockMarkdown(child));
+        } else {
+            inline += renderInlineMarkdown(child);
         }
-        return 0;
+    });
+    flushInline();
+    
+    return lines;
+}
+
+// Render one block-level element, adding a blank separator line after it
+function renderBlockMarkdown(element) {
+    const blank = { text: '', element };
+    const tag = element.tagName;
+    
+    if (tag === 'PRE') {
+        const code = element.querySelector('code');
+        const language = ((code && code.className) || element.className).match(/(?:language|lang)-([\w+#-]+)/);
+        const rawLines = getBlockText(element).replace(/\n$/, '').split('\n')
+            .map(text => ({ text, element }));
+        
+        // A code block that carries the MCP markers itself is the block: keep it verbatim
+        if (rawLines.some(line => mcpMarkers.startLine.test(line.text) || mcpMarkers.endLine.test(line.text))) {
+            return [...rawLines, blank];
+        }
+        return [
+            { text: '```' + (language ? language[1] : ''), element },
+            ...rawLines,
+            { text: '```', element },
+            blank
+        ];
+    }
+    
+    if (tag === 'HR') {
+        return [{ text: '---', element }, blank];
+    }
+    
+    if (/^H[1-6]$/.test(tag)) {
+        const text = renderInlineMarkdown(element).replace(/\s+/g, ' ').trim();
+        return [{ text: '#'.repeat(Number(tag[1])) + ' ' + text, element }, blank];
+    }
+    
+    if (tag === 'UL' || tag === 'OL') {
+        const lines = [];
+        let number = Number(element.getAttribute('start')) || 1;
+        
+        [...element.children].filter(child => child.tagName === 'LI').forEach(item => {
+            const marker = tag === 'OL' ? `${number++}. ` : '- ';
+            const itemLines = renderMarkdownLines(item).filter(line => line.text !== '');
+            
+            itemLines.forEach((line, i) => {
+                const text = i === 0 ? marker + line.text : ' '.repeat(marker.length) + line.text;
+                lines.push({ text, element: line.element });
+            });
+        });
+        return [...lines, blank];
+    }
+    
+    if (tag === 'BLOCKQUOTE') {
+        const lines = renderMarkdownLines(element).map(line => ({
+            text: line.text ? '> ' + line.text : '>',
+            element: line.element
+        }));
+        return [...lines, blank];
+    }
+    
+    if (tag === 'TABLE') {
+        const lines = [];
+        [...element.querySelectorAll('tr')].forEach((row, i) => {
+            const cells = [...row.children].map(cell =>
+                renderInlineMarkdown(cell).replace(/\s+/g, ' ').trim().replace(/\|/g, '\\|')
+            );
+            lines.push({ text: `| ${cells.join(' | ')} |`, element: row });
+            if (i === 0) {
+                lines.push({ text: `| ${cells.map(() => '---').join(' | ')} |`, element: row });
+            }
+        });
+        return [...lines, blank];
+    }
+    
+    return [...renderMarkdownLines(element), blank];
+}
+
+// The page (or a part of it) as Markdown text, used for format validation
+function getMCPPageText(root = document.body) {
+    return renderMarkdownLines(root).map(line => line.text).join('\n');
+}
+
+// Closest element that contains both the START and END marker of a block
+function getCommonAncestor(a, b) {
+    let current = a;
+    while (current && !current.contains(b)) {
+        current = current.parentElement;
     }
+    return current || document.body;
+}
 
-    if (DEBUG_MODE) {
-        console.log(`🔍 Found ${blockMatches.length} properly formatted MCP blocks`);
+// Stable CSS path to an element so a block can be located again later
+function getElementSelector(element) {
+    const parts = [];
+    let current = element;
+    
+    while (current && current.nodeType === Node.ELEMENT_NODE && current !== document.body) {
+        if (current.id) {
+            parts.unshift(`#${CSS.escape(current.id)}`);
+            return parts.join(' > ');
+        }
+        const parent = current.parentElement;
+        const index = parent ? [...parent.children].indexOf(current) + 1 : 1;
+        parts.unshift(`${current.tagName.toLowerCase()}:nth-child(${index})`);
+        current = parent;
     }
+    
+    parts.unshift('body');
+    return parts.join(' > ');
+}
+
+// Block content from its lines: trailing spaces and extra blank lines dropped
+function joinBlockLines(lines) {
+    return lines
+        .map(text => text.replace(/\s+$/, ''))
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .replace(/^\n+|\s+$/g, '');
+}
 
-    // FIXED: Process blocks and extract ONLY the content between MCP tags
+// FIXED: Extract MCP blocks from the DOM (only the content between the MCP tags)
+function extractMCPBlocks(root = document.body) {
+    const lines = renderMarkdownLines(root);
     const processedBlocks = [];
-    blockMatches.forEach((blockMatch, index) => {
-        if (DEBUG_MODE) {
-            console.log(`📦 Processing MCP block ${index + 1}:`);
-            console.log(`   Raw match:`, blockMatch.substring(0, 100) + (blockMatch.length > 100 ? '...' : ''));
-        }
+    let blockCount = 0;
+    
+    for (let i = 0; i < lines.length; i++) {
+        const startMatch = lines[i].text.match(mcpMarkers.startLine);
+        if (!startMatch) continue;
         
-        // FIXED: Extract content between the MCP tags using regex capture group
-        const contentMatch = blockMatch.match(/^\s*\[MCP-START\]\s*$([\s\S]*?)^\s*\[MCP-END\]\s*$/m);
+        // FIXED: Ultra-strict matching - both tags must be on their own lines
+        const end = lines.findIndex((line, j) => j > i && mcpMarkers.endLine.test(line.text));
+        if (end === -1) break;
         
-        if (!contentMatch || !contentMatch[1]) {
-            console.warn(`⚠️ Could not extract content from MCP block ${index + 1}`);
-            return;
+        blockCount++;
+        const startLine = lines[i];
+        const endLine = lines[end];
+        
+        // The optional header (marker attributes and/or front-matter) isn't content
+        const blockLines = lines.slice(i + 1, end).map(line => line.text);
+        const { header, bodyStart, errors } = parseBlockHeader(startMatch[1], blockLines);
+        i = end;
+        
+        if (errors.length > 0) {
+            console.warn(`⚠️ Skipping MCP block ${blockCount}, its header has errors:`);
+            errors.forEach(error => console.warn(`   • ${error}`));
+            continue;
         }
         
-        // FIXED: Get the actual content (capture group 1) and clean it
-        const content = contentMatch[1].trim();
+        // FIXED: Get the actual content between the tags, keeping its Markdown structure
+        const content = joinBlockLines(blockLines.slice(bodyStart));
         
-        if (DEBUG_MODE) {
-            console.log(`   Extracted content (${content.length} chars):`, content.substring(0, 100) + (content.length > 100 ? '...' : ''));
+        if (mcpSettings.debug) {
+            console.log(`   Extracted content for block ${blockCount} (${content.length} chars):`, content.substring(0, 100) + (content.length > 100 ? '...' : ''));
         }
         
         // Skip empty blocks
         if (!content) {
-            console.warn(`⚠️ Skipping empty MCP block ${index + 1}`);
-            return;
+            console.warn(`⚠️ Skipping empty MCP block ${blockCount}`);
+            continue;
+        }
+        
+        const sourceElement = getCommonAncestor(startLine.element, endLine.element);
+        
+        // Secrets are masked before hashing, so the hash matches what is stored.
+        // In block mode the block is kept and marked; processCapturedBlocks() holds it back.
+        const redaction = redactContent(content, mcpRedaction);
+        if (redaction.findings.length > 0) {
+            console.warn(`🔒 MCP block ${blockCount} contains ${describeRedactionFindings(redaction.findings)}` +
+                (redaction.blocked ? ' - it will not be captured' : ' - masked'));
         }
         
         // FIXED: Generate hash based ONLY on the MCP content (not including backticks or tags)
-        const contentHash = generateContentHash(content);
+        const contentHash = generateContentHash(redaction.content);
         
         const mcpBlock = {
-            content: content, // FIXED: Only the actual MCP content
+            content: redaction.content, // FIXED: Only the actual MCP content
             hash: contentHash, // FIXED: Hash of only the MCP content
             timestamp: new Date().toISOString(),
             capturedAt: new Date().toLocaleTimeString(),
@@ -191,28 +480,335 @@ async function scanMCP() {
                 title: document.title,
                 domain: window.location.hostname
             },
+            sourceElement: sourceElement, // Live element the block was found in
+            sourceSelector: getElementSelector(sourceElement), // Survives re-renders of the element
             wordCount: content.split(/\s+/).length,
-            blockNumber: index + 1,
-            formatVersion: 'strict-v2-fixed'
+            blockNumber: blockCount,
+            redactions: redaction.findings,
+            blocked: redaction.blocked,
+            ...header, // type, tags, ttl and title from the block header
+            formatVersion: header ? 'strict-v4-header' : 'strict-v3-dom'
         };
         
         processedBlocks.push(mcpBlock);
         
-        if (DEBUG_MODE) {
-            console.log(`📦 Processed MCP block ${index + 1}:`, {
+        if (mcpSettings.debug) {
+            console.log(`📦 Processed MCP block ${blockCount}:`, {
                 words: mcpBlock.wordCount,
                 hash: mcpBlock.hash,
+                element: mcpBlock.sourceSelector,
+                header: header,
                 preview: content.substring(0, 50) + (content.length > 50 ? '...' : ''),
                 contentLength: content.length
             });
         }
+    }
+    
+    if (mcpSettings.debug && blockCount > 0) {
+        console.log(`🔍 Found ${blockCount} properly formatted MCP blocks`);
+    }
+    
+    return processedBlocks;
+}
+
+// In-page highlighting: outline every detected block and badge it with its sync state
+const MCP_BLOCK_STATES = {
+    new: { label: '🆕 New', title: 'Detected, not stored yet' },
+    pending: { label: '⏳ Pending', title: 'Sending to MCP client' },
+    stored: { label: '✅ Stored', title: 'Stored in the MCP memory store' },
+    failed: { label: '⚠️ Failed', title: 'Could not be sent to the MCP client' },
+    blocked: { label: '🛑 Blocked', title: 'Not captured: contains secrets or personal data' },
+    deleted: { label: '🗑️ Deleted', title: 'Stored, then deleted from the MCP memory store' }
+};
+
+window.mcpBlockStates = window.mcpBlockStates || new Map(); // hash -> { state, memoryId, error, element, selector }
+
+function setBlockState(block, state, details = {}) {
+    const record = window.mcpBlockStates.get(block.hash) || { hash: block.hash };
+    
+    Object.assign(record, details, {
+        state,
+        element: block.sourceElement || record.element,
+        selector: block.sourceSelector || record.selector,
+        updatedAt: new Date().toISOString()
+    });
+    window.mcpBlockStates.set(block.hash, record);
+    
+    renderBlockHighlight(record);
+    return record;
+}
+
+// The block's element, re-resolved from its selector if the page re-rendered it
+function resolveBlockElement(record) {
+    if (record.element && record.element.isConnected) {
+        return record.element;
+    }
+    const element = record.selector ? document.querySelector(record.selector) : null;
+    if (element) record.element = element;
+    return element;
+}
+
+function renderBlockHighlight(record) {
+    const element = resolveBlockElement(record);
+    if (!element) return;
+    
+    element.classList.add('mcp-block-highlight');
+    Object.keys(MCP_BLOCK_STATES).forEach(state => {
+        element.classList.toggle(`mcp-block-${state}`, state === record.state);
+    });
+    
+    // One badge bar per element - several blocks can share the same element
+    let badgeBar = [...element.children].find(child => child.classList.contains('mcp-badge-bar'));
+    if (!badgeBar) {
+        badgeBar = document.createElement('div');
+        badgeBar.className = 'mcp-badge-bar';
+        element.appendChild(badgeBar);
+    }
+    
+    let badge = [...badgeBar.children].find(child => child.dataset.hash === record.hash);
+    if (!badge) {
+        badge = document.createElement('button');
+        badge.type = 'button';
+        badge.dataset.hash = record.hash;
+        badge.addEventListener('click', event => {
+            event.preventDefault();
+            event.stopPropagation();
+            showBlockDetails(record.hash, badge);
+        });
+        badgeBar.appendChild(badge);
+    }
+    
+    const stateInfo = MCP_BLOCK_STATES[record.state];
+    badge.className = `mcp-badge mcp-badge-${record.state}`;
+    badge.textContent = stateInfo.label;
+    badge.title = `${stateInfo.title} - click for details`;
+}
+
+// Re-apply highlights whose elements were replaced by the page
+function refreshHighlights() {
+    window.mcpBlockStates.forEach(renderBlockHighlight);
+}
+
+// Fetch a stored memory from the MCP client
+async function getMemoryById(memoryId) {
+    try {
+        return await callBackground('mcp-api-get-memory', { id: memoryId });
+        
+    } catch (error) {
+        console.error(`❌ Failed to load memory ${memoryId}:`, error);
+        return null;
+    }
+}
+
+// Popover with the stored memory's ID, tags and source
+async function showBlockDetails(hash, anchor) {
+    document.querySelectorAll('.mcp-badge-popover').forEach(p => p.remove());
+    
+    const record = window.mcpBlockStates.get(hash);
+    if (!record) return;
+    
+    const popover = document.createElement('div');
+    popover.className = 'mcp-badge-popover';
+    const rect = anchor.getBoundingClientRect();
+    popover.style.top = `${Math.min(rect.bottom + 6, window.innerHeight - 220)}px`;
+    popover.style.left = `${Math.max(10, Math.min(rect.left, window.innerWidth - 330))}px`;
+    
+    const addRow = (label, value, href) => {
+        const row = document.createElement('div');
+        row.className = 'mcp-popover-row';
+        const name = document.createElement('strong');
+        name.textContent = `${label}: `;
+        row.appendChild(name);
+        
+        const text = document.createElement(href ? 'a' : 'span');
+        text.textContent = value;
+        if (href) {
+            text.href = href;
+            text.target = '_blank';
+            text.rel = 'noopener noreferrer';
+        }
+        row.appendChild(text);
+        popover.appendChild(row);
+        return row;
+    };
+    
+    const closeButton = document.createElement('button');
+    closeButton.type = 'button';
+    closeButton.className = 'mcp-popover-close';
+    closeButton.textContent = '×';
+    closeButton.onclick = () => popover.remove();
+    popover.appendChild(closeButton);
+    
+    addRow('State', MCP_BLOCK_STATES[record.state].title);
+    addRow('Hash', hash);
+    if (record.error) addRow('Error', record.error);
+    
+    document.body.appendChild(popover);
+    
+    if (!record.memoryId) return;
+    
+    addRow('Memory ID', record.memoryId);
+    const loading = addRow('Details', 'Loading from MCP client...');
+    const memory = await getMemoryById(record.memoryId);
+    loading.remove();
+    
+    if (!memory) {
+        addRow('Details', 'Could not load memory from MCP client');
+        return;
+    }
+    
+    addRow('Tags', memory.tags && memory.tags.length > 0 ? memory.tags.join(', ') : 'none');
+    if (memory.source) {
+        addRow('Source', memory.source.title || 'unknown');
+        if (memory.source.url && /^https?:/.test(memory.source.url)) {
+            addRow('URL', memory.source.url, memory.source.url);
+        }
+    }
+    addRow('Stored', new Date(memory.timestamp).toLocaleString());
+}
+
+// Send blocks and keep their buffer entries and badges in sync with the result
+async function sendBlocksAndTrack(blocks) {
+    blocks.forEach(block => setBlockState(block, 'pending', { error: null }));
+    
+    const result = await sendToMCPClient(blocks);
+    
+    if (!result.success) {
+        // The background worker queues undeliverable blocks in the offline outbox
+        if (result.queued !== undefined) {
+            blocks.forEach(block => setBlockState(block, 'pending', {
+                error: `${result.error} - queued in the offline outbox, retried when the client is back`
+            }));
+            if (result.queued > 0) {
+                showNotification(`📮 Client unreachable - ${result.queued} block${result.queued === 1 ? '' : 's'} queued for retry`, 'info');
+            }
+        } else {
+            blocks.forEach(block => setBlockState(block, 'failed', { error: result.error }));
+        }
+        return result;
+    }
+    
+    markBlocksStored(blocks, result);
+    return result;
+}
+
+// Mark sent blocks (ours or queued ones now delivered) as stored in the buffers and badges
+function markBlocksStored(blocks, result) {
+    // Both freshly stored and duplicate blocks now have a memory on the server
+    const memoryIds = {};
+    (result.entries || []).forEach(entry => { memoryIds[entry.hash] = entry.id; });
+    (result.duplicateDetails || []).forEach(dup => { memoryIds[dup.hash] = dup.existingId; });
+    
+    // The client's own redaction pass may refuse blocks; they are dropped from the buffer
+    const blocked = new Map((result.blocked || []).map(entry => [entry.hash, entry.findings]));
+    
+    blocks.forEach(block => {
+        if (blocked.has(block.hash)) {
+            window.mcpBuffers = window.mcpBuffers.filter(b => b.hash !== block.hash);
+            markBlockBlocked(block, blocked.get(block.hash), 'The MCP client');
+            return;
+        }
+        const bufferBlock = window.mcpBuffers.find(b => b.hash === block.hash);
+        if (bufferBlock) {
+            bufferBlock.sent = true;
+            bufferBlock.sentAt = new Date().toISOString();
+        }
+        // Queued blocks from other tabs have nothing to highlight here
+        if (bufferBlock || window.mcpBlockStates.has(block.hash)) {
+            setBlockState(block, 'stored', { memoryId: memoryIds[block.hash], error: null });
+        }
     });
+}
 
-    if (processedBlocks.length === 0) {
-        console.log('🔍 No valid MCP content found after processing');
-        return 0;
+function markBlockBlocked(block, findings, by) {
+    const error = `${by} found ${describeRedactionFindings(findings)} - change the redaction settings to capture it`;
+    console.warn(`🛑 Block ${block.hash} not captured: ${error}`);
+    // Selections spanning the whole page have nothing to highlight
+    if (block.sourceElement || block.sourceSelector || window.mcpBlockStates.has(block.hash)) {
+        setBlockState(block, 'blocked', { error });
+    }
+}
+
+// Memory events ----------------------------------------------------------------
+// Changes made anywhere (another tab, the web interface, Claude through the
+// memory server) are pushed by the client and forwarded by the background worker
+
+function markRecordStored(record, memoryId) {
+    const bufferBlock = window.mcpBuffers.find(b => b.hash === record.hash);
+    if (bufferBlock && !bufferBlock.sent) {
+        bufferBlock.sent = true;
+        bufferBlock.sentAt = new Date().toISOString();
+    }
+    setBlockState(record, 'stored', { memoryId, error: null });
+}
+
+// A buffered block is pending again: sendPendingBuffers() stores it again
+function markRecordDeleted(record) {
+    const bufferBlock = window.mcpBuffers.find(b => b.hash === record.hash);
+    if (bufferBlock) bufferBlock.sent = false;
+    window.mcpSentBlocks.delete(record.hash);
+    setBlockState(record, 'deleted', { memoryId: null, error: null });
+}
+
+// Ask the client again about every highlighted block, after changes too big to send one by one
+async function recheckBlockStates() {
+    const records = [...window.mcpBlockStates.values()].filter(record => record.state !== 'blocked');
+    const hashCheck = await checkHashesWithServer(records.map(record => record.hash));
+    if (!hashCheck.success) return;
+    
+    const memoryIds = hashCheck.memoryIds || {};
+    records.forEach(record => {
+        if (hashCheck.hashStatus[record.hash]) {
+            markRecordStored(record, memoryIds[record.hash]);
+        } else if (record.state === 'stored') {
+            markRecordDeleted(record);
+        }
+    });
+}
+
+function handleMemoryEvent(type, data) {
+    const records = [...window.mcpBlockStates.values()];
+    if (records.length === 0) return;
+    
+    switch (type) {
+        case 'memory.created':
+        case 'memory.updated': {
+            // E.g. the same block stored from another tab: this memory now answers for it
+            const hashes = new Set(data.memory.hashes || []);
+            records
+                .filter(record => hashes.has(record.hash) && record.state !== 'blocked')
+                .forEach(record => markRecordStored(record, data.memory.id));
+            break;
+        }
+        case 'memory.deleted': {
+            const hashes = new Set(data.hashes || []);
+            records
+                .filter(record => record.state === 'stored' && (record.memoryId === data.id || hashes.has(record.hash)))
+                // A memory merged away lives on in the one it was merged into
+                .forEach(record => data.mergedInto ? markRecordStored(record, data.mergedInto) : markRecordDeleted(record));
+            break;
+        }
+        case 'store.cleared':
+            records.filter(record => record.state === 'stored').forEach(markRecordDeleted);
+            break;
+        case 'store.reloaded':
+            recheckBlockStates();
+            break;
     }
+}
 
+// Check extracted blocks with the server, buffer the new ones and auto-send them
+async function processCapturedBlocks(processedBlocks) {
+    // Blocks with secrets (in block mode) never leave the page
+    const blockedBlocks = processedBlocks.filter(block => block.blocked);
+    if (blockedBlocks.length > 0) {
+        blockedBlocks.forEach(block => markBlockBlocked(block, block.redactions, 'The extension'));
+        const count = blockedBlocks.length;
+        showNotification(`🛑 ${count} MCP block${count === 1 ? '' : 's'} not captured: secrets or personal data found`, 'error');
+        processedBlocks = processedBlocks.filter(block => !block.blocked);
+        if (processedBlocks.length === 0) return 0;
+    }
+    
     // Check with server which hashes are new
     const hashes = processedBlocks.map(block => block.hash);
     const hashCheck = await checkHashesWithServer(hashes);
@@ -222,21 +818,28 @@ async function scanMCP() {
         return processBlocksLocally(processedBlocks);
     }
 
-    // Filter out blocks that already exist on server
-    const newBlocks = processedBlocks.filter(block => 
-        !hashCheck.hashStatus[block.hash]
-    );
+    // Filter out blocks that already exist on server - and blocks whose memory was
+    // deleted elsewhere while this page was open, which are not stored again by themselves
+    const newBlocks = processedBlocks.filter(block => {
+        const record = window.mcpBlockStates.get(block.hash);
+        return !hashCheck.hashStatus[block.hash] && !(record && record.state === 'deleted');
+    });
     
     const duplicateCount = processedBlocks.length - newBlocks.length;
     
     // Report results
     console.log(`🔍 FIXED MCP Scan Results (Content-Only Hashing):`);
-    console.log(`  • Found: ${blockMatches.length} properly formatted MCP blocks`);
     console.log(`  • Valid content: ${processedBlocks.length} blocks`);
     console.log(`  • New: ${newBlocks.length} blocks`);
     console.log(`  • Server duplicates: ${duplicateCount}`);
     console.log(`  • Processing: ${newBlocks.length} blocks for storage`);
     
+    // Highlight blocks the server already has
+    const memoryIds = hashCheck.memoryIds || {};
+    processedBlocks
+        .filter(block => hashCheck.hashStatus[block.hash])
+        .forEach(block => setBlockState(block, 'stored', { memoryId: memoryIds[block.hash] }));
+    
     // Store new blocks locally and send to server
     newBlocks.forEach(block => {
         window.mcpBuffers.push({
@@ -244,58 +847,403 @@ async function scanMCP() {
             sent: false,
             serverChecked: true
         });
+        setBlockState(block, 'new');
     });
     
     // Auto-send new blocks to server
-    if (AUTO_SEND_ENABLED && newBlocks.length > 0) {
-        const sendResult = await sendToMCPClient(newBlocks);
-        if (sendResult.success) {
-            // Mark blocks as sent
-            newBlocks.forEach(block => {
-                const bufferBlock = window.mcpBuffers.find(b => b.hash === block.hash);
-                if (bufferBlock) {
-                    bufferBlock.sent = true;
-                    bufferBlock.sentAt = new Date().toISOString();
-                }
-            });
-        }
+    if (isAutoSendEnabled() && newBlocks.length > 0) {
+        await sendBlocksAndTrack(newBlocks);
     }
     
     return newBlocks.length;
 }
 
+// FIXED: Enhanced MCP scanning that only captures MCP content (not backticks)
+async function scanMCP() {
+    if (!isSiteActive()) {
+        console.log(`🚫 MCP capture is disabled on ${window.location.hostname} - see the extension options`);
+        return 0;
+    }
+    
+    if (mcpSettings.debug) console.log('🔍 Starting FIXED ultra-strict MCP scan (MCP content only)...');
+    
+    const text = getMCPPageText();
+    
+    // First, validate format and provide helpful feedback
+    validateMCPFormat(text);
+    
+    // Format problems are shown on the page, not only in the console
+    const lint = lintMCPFormat();
+    if (lint.diagnostics.length > 0) {
+        console.warn(`🩺 ${lint.diagnostics.length} MCP format issues - see the diagnostics panel`);
+        showMCPDiagnostics(lint);
+    } else {
+        closeMCPDiagnostics();
+    }
+    
+    const processedBlocks = extractMCPBlocks(document.body);
+    
+    if (processedBlocks.length === 0) {
+        console.log('🔍 MCP Scan: No properly formatted MCP blocks found');
+        if (mcpSettings.debug) {
+            // Check if there are any MCP markers that don't follow the rules
+            const anyMarkers = text.match(mcpMarkers.any);
+            if (anyMarkers) {
+                console.warn('⚠️ Found MCP markers but they don\'t follow the strict formatting rules');
+                console.warn('📖 See content.js comments for proper format requirements');
+            }
+        }
+        return 0;
+    }
+
+    return processCapturedBlocks(processedBlocks);
+}
+
+// Watch mode: capture blocks as they appear instead of waiting for a SCAN click.
+// Mutated elements are only re-read once they have been quiet for WATCH_SETTLE_MS,
+// so blocks that Claude is still streaming are not captured half-written.
+let mcpWatchObserver = null;
+let mcpWatchTimer = null;
+const mcpWatchPending = new Map(); // element -> time of its last mutation
+const mcpWatchSeen = new Set(); // hashes already handled by watch mode
+
+function isMCPOwnElement(element) {
+    return !!(element && element.closest && element.closest('#mcp-scan-button, #mcp-status, #mcp-lint-panel, .mcp-notification, .mcp-badge-bar, .mcp-badge-popover, .mcp-capture-dialog'));
+}
+
+function handleWatchMutations(mutations) {
+    const now = Date.now();
+    
+    mutations.forEach(mutation => {
+        const target = mutation.target.nodeType === Node.ELEMENT_NODE
+            ? mutation.target
+            : mutation.target.parentElement;
+        
+        if (!target || isMCPOwnElement(target)) return;
+        
+        // Our own badges being added or removed is not a page change
+        if (mutation.type === 'childList' &&
+            [...mutation.addedNodes, ...mutation.removedNodes].every(node => isMCPOwnElement(node))) return;
+        mcpWatchPending.set(target, now);
+    });
+    
+    scheduleWatchFlush();
+}
+
+function scheduleWatchFlush() {
+    if (mcpWatchTimer || mcpWatchPending.size === 0) return;
+    mcpWatchTimer = setTimeout(flushWatchMutations, WATCH_SETTLE_MS);
+}
+
+// Find the closest ancestor holding a whole block (its [MCP-START] line), or
+// null when there is none close by - rescanning the whole page is what watch
+// mode avoids. textContent is checked first: innerText forces a layout.
+function findMCPContainer(element) {
+    const startPrefix = mcpSettings.startMarker.replace(/\]$/, '');
+    let current = element;
+    for (let depth = 0; current && current !== document.body && depth < WATCH_MAX_CONTAINER_DEPTH; depth++) {
+        if ((current.textContent || '').includes(startPrefix) &&
+            mcpMarkers.startLineMultiline.test(current.innerText || '')) {
+            return current;
+        }
+        current = current.parentElement;
+    }
+    return null;
+}
+
+async function flushWatchMutations() {
+    mcpWatchTimer = null;
+    const now = Date.now();
+    const containers = new Set();
+    
+    mcpWatchPending.forEach((lastMutation, element) => {
+        if (now - lastMutation < WATCH_SETTLE_MS) return; // Still streaming
+        mcpWatchPending.delete(element);
+        
+        // Only a new [MCP-END] can complete a block, so skip everything else cheaply
+        if (!element.isConnected || !(element.textContent || '').includes(mcpSettings.endMarker)) return;
+        
+        const container = findMCPContainer(element);
+        if (container) containers.add(container);
+    });
+    
+    // Drop containers nested inside another changed container
+    const roots = [...containers].filter(container =>
+        ![...containers].some(other => other !== container && other.contains(container))
+    );
+    
+    // Containers may have been re-rendered, taking existing highlights with them
+    if (roots.length > 0) {
+        refreshHighlights();
+    }
+    
+    const newBlocks = [];
+    roots.forEach(container => {
+        extractMCPBlocks(container).forEach(block => {
+            if (mcpWatchSeen.has(block.hash)) return;
+            mcpWatchSeen.add(block.hash);
+            newBlocks.push(block);
+        });
+    });
+    
+    if (newBlocks.length > 0) {
+        if (mcpSettings.debug) console.log(`👀 Watch mode: ${newBlocks.length} finished MCP blocks detected`);
+        const captured = await processCapturedBlocks(newBlocks);
+        if (captured > 0) {
+            showNotification(`👀 Captured ${captured} new MCP block${captured === 1 ? '' : 's'}`, 'success');
+        }
+    }
+    
+    scheduleWatchFlush();
+}
+
+function startWatchMode() {
+    if (mcpWatchObserver) {
+        console.log('👀 Watch mode already running');
+        return true;
+    }
+    
+    // Blocks already on the page count as seen; a manual scan still picks them up
+    extractMCPBlocks(document.body).forEach(block => mcpWatchSeen.add(block.hash));
+    
+    mcpWatchObserver = new MutationObserver(handleWatchMutations);
+    mcpWatchObserver.observe(document.body, {
+        childList: true,
+        subtree: true,
+        characterData: true
+    });
+    
+    console.log(`👀 Watch mode ON - capturing MCP blocks once they stop changing for ${WATCH_SETTLE_MS}ms`);
+    return true;
+}
+
+function stopWatchMode() {
+    if (!mcpWatchObserver) return false;
+    
+    mcpWatchObserver.disconnect();
+    mcpWatchObserver = null;
+    clearTimeout(mcpWatchTimer);
+    mcpWatchTimer = null;
+    mcpWatchPending.clear();
+    
+    console.log('👀 Watch mode OFF');
+    return false;
+}
+
+// Selection capture: save any selected text as a memory, no MCP markers needed.
+// Triggered from the context menu, the keyboard shortcut or captureSelection().
+function getSelectionContent(selection) {
+    const parts = [];
+    
+    for (let i = 0; i < selection.rangeCount; i++) {
+        const range = selection.getRangeAt(i);
+        const ancestor = range.commonAncestorContainer.nodeType === Node.ELEMENT_NODE
+            ? range.commonAncestorContainer
+            : range.commonAncestorContainer.parentElement;
+        
+        // Inside a code block the raw text is the content; elsewhere keep the Markdown structure
+        if (ancestor && ancestor.closest('pre')) {
+            parts.push(range.toString());
+        } else {
+            parts.push(renderMarkdownLines(range.cloneContents()).map(line => line.text).join('\n'));
+        }
+    }
+    
+    return parts.join('\n\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+// Package a selection like a scanned MCP block. The note is stored with it,
+// so it is redacted the same way.
+function createSelectionBlock(content, element, { note = '', tags = [] } = {}) {
+    const redaction = redactContent(content, mcpRedaction);
+    const noteRedaction = redactContent(note, mcpRedaction);
+    return {
+        content: redaction.content,
+        hash: generateContentHash(redaction.content),
+        timestamp: new Date().toISOString(),
+        capturedAt: new Date().toLocaleTimeString(),
+        source: {
+            url: window.location.href,
+            title: document.title,
+            domain: window.location.hostname
+        },
+        sourceElement: element,
+        sourceSelector: element ? getElementSelector(element) : null,
+        wordCount: content.split(/\s+/).length,
+        note: noteRedaction.content,
+        tags: tags,
+        redactions: mergeRedactionFindings(redaction.findings, noteRedaction.findings),
+        blocked: redaction.blocked || noteRedaction.blocked,
+        formatVersion: 'selection-v1'
+    };
+}
+
+function parseTagInput(value) {
+    return [...new Set(value.split(/[,\s]+/)
+        .map(tag => tag.replace(/^#/, '').trim())
+        .filter(Boolean))];
+}
+
+async function captureSelection() {
+    const selection = window.getSelection();
+    const content = selection ? getSelectionContent(selection) : '';
+    
+    if (!content) {
+        showNotification('Select some text to save as a memory', 'info');
+        return null;
+    }
+    
+    const range = selection.getRangeAt(0);
+    const element = range.commonAncestorContainer.nodeType === Node.ELEMENT_NODE
+        ? range.commonAncestorContainer
+        : range.commonAncestorContainer.parentElement;
+    
+    const details = await showCaptureDialog(content);
+    if (!details) {
+        if (mcpSettings.debug) console.log('✋ Selection capture cancelled');
+        return null;
+    }
+    
+    // Outlining the whole page is no use, so very broad selections go un-highlighted
+    const block = createSelectionBlock(content, element === document.body ? null : element, details);
+    if (block.blocked) {
+        markBlockBlocked(block, block.redactions, 'The extension');
+        showNotification(`🛑 Not saved: the selection contains ${describeRedactionFindings(block.redactions)}`, 'error');
+        return { success: false, blocked: true };
+    }
+    
+    if (mcpSettings.debug) {
+        console.log('✂️ Capturing selection:', {
+            words: block.wordCount,
+            hash: block.hash,
+            tags: block.tags,
+            preview: content.substring(0, 50) + (content.length > 50 ? '...' : '')
+        });
+    }
+    
+    window.mcpBuffers.push({
+        ...block,
+        sent: false,
+        serverChecked: false
+    });
+    
+    return sendBlocksAndTrack([block]);
+}
+
+// Small in-page form for the optional note and tags; resolves null on cancel
+function showCaptureDialog(content) {
+    document.querySelectorAll('.mcp-capture-dialog').forEach(d => d.remove());
+    
+    return new Promise(resolve => {
+        const dialog = document.createElement('form');
+        dialog.className = 'mcp-capture-dialog';
+        
+        const title = document.createElement('div');
+        title.className = 'mcp-capture-title';
+        title.textContent = '🧠 Save selection to MCP memory';
+        
+        const preview = document.createElement('pre');
+        preview.className = 'mcp-capture-preview';
+        preview.textContent = content.substring(0, 500) + (content.length > 500 ? '...' : '');
+        
+        const noteInput = document.createElement('textarea');
+        noteInput.placeholder = 'Note (optional)';
+        noteInput.rows = 2;
+        
+        const tagsInput = document.createElement('input');
+        tagsInput.type = 'text';
+        tagsInput.placeholder = 'Tags, comma separated (optional)';
+        
+        const actions = document.createElement('div');
+        actions.className = 'mcp-capture-actions';
+        const cancelButton = document.createElement('button');
+        cancelButton.type = 'button';
+        cancelButton.textContent = 'Cancel';
+        const saveButton = document.createElement('button');
+        saveButton.type = 'submit';
+        saveButton.textContent = 'Save memory';
+        actions.append(cancelButton, saveButton);
+        
+        dialog.append(title, preview, noteInput, tagsInput, actions);
+        
+        const close = result => {
+            dialog.remove();
+            resolve(result);
+        };
+        
+        dialog.addEventListener('submit', event => {
+            event.preventDefault();
+            close({
+                note: noteInput.value.trim(),
+                tags: parseTagInput(tagsInput.value)
+            });
+        });
+        cancelButton.onclick = () => close(null);
+        dialog.addEventListener('keydown', event => {
+            event.stopPropagation(); // Keep page shortcuts from firing while typing
+            if (event.key === 'Escape') close(null);
+        });
+        
+        document.body.appendChild(dialog);
+        noteInput.focus();
+    });
+}
+
+function getHeaderExample() {
+    return mcpSettings.startMarker.endsWith(']')
+        ? mcpSettings.startMarker.replace(/\]$/, ' type=decision tags=infra,aws ttl=30d title="Short title"]')
+        : `${mcpSettings.startMarker} type=decision tags=infra,aws ttl=30d title="Short title"`;
+}
+
 // FIXED: Validate MCP format and provide helpful feedback
 function validateMCPFormat(text) {
-    const allStartMarkers = (text.match(/\[MCP-START\]/g) || []).length;
-    const allEndMarkers = (text.match(/\[MCP-END\]/g) || []).length;
-    const validBlocks = (text.match(/^\s*\[MCP-START\]\s*$([\s\S]*?)^\s*\[MCP-END\]\s*$/gm) || []).length;
+    const allStartMarkers = (text.match(mcpMarkers.start) || []).length;
+    const allEndMarkers = (text.match(mcpMarkers.end) || []).length;
+    const strictBlocks = [...text.matchAll(mcpMarkers.block)];
+    
+    // Headers are checked too: a block with header errors is not captured
+    const headerIssues = [];
+    let invalidHeaders = 0;
+    strictBlocks.forEach((match, index) => {
+        const { errors } = parseBlockHeader(match[1], match[2].split('\n'));
+        if (errors.length > 0) invalidHeaders++;
+        errors.forEach(error => headerIssues.push(`block ${index + 1}: ${error}`));
+    });
+    const validBlocks = strictBlocks.length - invalidHeaders;
     
-    if (DEBUG_MODE) {
+    if (mcpSettings.debug) {
         console.log(`📊 FIXED Format Validation (MCP Content Focus):`);
-        console.log(`  • Total [MCP-START] markers: ${allStartMarkers}`);
-        console.log(`  • Total [MCP-END] markers: ${allEndMarkers}`);
+        console.log(`  • Total ${mcpSettings.startMarker} markers: ${allStartMarkers}`);
+        console.log(`  • Total ${mcpSettings.endMarker} markers: ${allEndMarkers}`);
         console.log(`  • Valid strict-format MCP blocks: ${validBlocks}`);
+        console.log(`  • Blocks with header errors: ${invalidHeaders}`);
         console.log(`  • Note: Only content between MCP tags is captured (backticks ignored)`);
     }
     
+    if (headerIssues.length > 0) {
+        console.warn('⚠️ MCP Block Header Issues Detected:');
+        headerIssues.forEach(issue => console.warn(`   • ${issue}`));
+        console.warn(`📖 Header example: ${getHeaderExample()}`);
+    }
+    
     // Check for common format issues
-    if (allStartMarkers > validBlocks || allEndMarkers > validBlocks) {
+    if (allStartMarkers > strictBlocks.length || allEndMarkers > strictBlocks.length) {
         const issues = [];
         
         // Check for same-line blocks
-        const sameLineBlocks = text.match(/\[MCP-START\][^\n]*\[MCP-END\]/g);
+        const sameLineBlocks = text.match(mcpMarkers.sameLine);
         if (sameLineBlocks) {
             issues.push(`${sameLineBlocks.length} same-line blocks (not allowed)`);
         }
         
         // Check for inline markers
-        const inlineStarts = text.match(/[^\n\r]\[MCP-START\]|^[^\[\s]+.*\[MCP-START\]/gm);
-        const inlineEnds = text.match(/\[MCP-END\][^\n\r]|^.*\[MCP-END\][^\]\s]+/gm);
+        const inlineStarts = text.match(mcpMarkers.inlineStart);
+        const inlineEnds = text.match(mcpMarkers.inlineEnd);
         if (inlineStarts) {
-            issues.push(`${inlineStarts.length} inline [MCP-START] markers`);
+            issues.push(`${inlineStarts.length} inline ${mcpSettings.startMarker} markers`);
         }
         if (inlineEnds) {
-            issues.push(`${inlineEnds.length} inline [MCP-END] markers`);
+            issues.push(`${inlineEnds.length} inline ${mcpSettings.endMarker} markers`);
         }
         
         console.warn('⚠️ MCP Format Issues Detected:');
@@ -303,9 +1251,9 @@ function validateMCPFormat(text) {
         console.warn('📖 Reminder: MCP tags must be on their own lines');
         console.warn('📋 Correct format example:');
         console.warn('   ```');
-        console.warn('   [MCP-START]');
+        console.warn(`   ${mcpSettings.startMarker}`);
         console.warn('   Your memory content here');
-        console.warn('   [MCP-END]');
+        console.warn(`   ${mcpSettings.endMarker}`);
         console.warn('   ```');
         console.warn('   (The ``` are just markdown - only the content between MCP tags is captured)');
     }
@@ -313,10 +1261,374 @@ function validateMCPFormat(text) {
     return {
         totalMarkers: allStartMarkers + allEndMarkers,
         validBlocks: validBlocks,
+        invalidHeaders: invalidHeaders,
+        headerIssues: headerIssues,
         hasIssues: (allStartMarkers > validBlocks || allEndMarkers > validBlocks)
     };
 }
 
+// Format linter: walks the page line by line like extractMCPBlocks(), but reads
+// markers leniently so it can explain the ones the strict rules skip. Every
+// diagnostic keeps the element of its line so the panel can point at it.
+const MCP_LINT_RULES = {
+    'same-line': 'Block on a single line',
+    'inline-marker': 'Marker not on its own line',
+    'wrong-case': 'Marker in the wrong case',
+    'nested': 'Block inside another block',
+    'unclosed': 'Block never closed',
+    'stray-end': 'End marker without a block',
+    'header': 'Invalid block header'
+};
+
+// Markers on a line that isn't just a marker. Markers in inline code
+// (`[MCP-START]`) are mentions of the format, not markers.
+function findInlineMarkers(text) {
+    const markers = [];
+    for (const match of text.matchAll(mcpMarkers.looseAny)) {
+        if (text[match.index - 1] === '`' && text[match.index + match[0].length] === '`') continue;
+        markers.push({
+            kind: mcpMarkers.looseStartLine.test(match[0]) ? 'start' : 'end',
+            text: match[0],
+            index: match.index,
+            attributes: match[1],
+            ownLine: false
+        });
+    }
+    return markers;
+}
+
+function findLineMarkers(text) {
+    const startMatch = text.match(mcpMarkers.looseStartLine);
+    if (startMatch) {
+        return [{ kind: 'start', text: text.trim(), index: text.indexOf(text.trim()), attributes: startMatch[1], ownLine: true }];
+    }
+    if (mcpMarkers.looseEndLine.test(text)) {
+        return [{ kind: 'end', text: text.trim(), index: text.indexOf(text.trim()), ownLine: true }];
+    }
+    return findInlineMarkers(text);
+}
+
+// Lint the page (or part of it). Returns { diagnostics, blocks }: diagnostics are
+// { rule, title, line, text, marker, element, message, fix, block } in page order;
+// blocks are the leniently read blocks that have diagnostics, with the content
+// "capture anyway" stores (normalized: markers on their own, header removed).
+function lintMCPFormat(root = document.body) {
+    const lines = renderMarkdownLines(root);
+    const startMarker = mcpSettings.startMarker;
+    const endMarker = mcpSettings.endMarker;
+    const diagnostics = [];
+    const blocks = [];
+    let open = null;
+    
+    const report = (rule, index, marker, message, fix, block) => {
+        const diagnostic = {
+            rule,
+            title: MCP_LINT_RULES[rule],
+            line: index + 1,
+            text: lines[index].text,
+            marker: marker ? marker.text : null,
+            element: lines[index].element,
+            message,
+            fix,
+            block: block || null
+        };
+        diagnostics.push(diagnostic);
+        if (block) block.diagnostics.push(diagnostic);
+    };
+    
+    const closeBlock = (block, endIndex) => {
+        // An unclosed block only keeps what is inside the element holding its start marker
+        const startElement = lines[block.start].element;
+        const blockLines = endIndex === -1
+            ? block.lines.filter(line => startElement.contains(line.element))
+            : block.lines;
+        
+        const { header, bodyStart, errors } = parseBlockHeader(block.attributes, blockLines.map(line => line.text));
+        errors.forEach(error => report('header', block.start, null, error,
+            `Fix the header or leave it out - e.g. ${getHeaderExample()}`, block));
+        
+        block.header = header;
+        block.content = joinBlockLines(blockLines.slice(bodyStart).map(line => line.text));
+        block.element = endIndex === -1 ? startElement : getCommonAncestor(startElement, lines[endIndex].element);
+        if (block.diagnostics.length > 0) blocks.push(block);
+    };
+    
+    lines.forEach((line, i) => {
+        const markers = findLineMarkers(line.text);
+        if (markers.length === 0) {
+            if (open) open.lines.push(line);
+            return;
+        }
+        
+        const sameLine = markers.some(m => m.kind === 'start') && markers.some(m => m.kind === 'end');
+        let position = 0;
+        
+        markers.forEach(marker => {
+            // Text around inline markers is content of the block it falls in
+            const before = line.text.slice(position, marker.index).trim();
+            if (open && before) open.lines.push({ text: before, element: line.element });
+            position = marker.index + marker.text.length;
+            
+            const expected = marker.kind === 'start' ? startMarker : endMarker;
+            let block = open;
+            
+            if (marker.kind === 'start') {
+                if (open) {
+                    report('nested', i, marker,
+                        `${marker.text} on line ${i + 1} opens a block while the block from line ${open.start + 1} is still open`,
+                        `Close the first block with ${endMarker} before starting another, or remove this ${startMarker}`, open);
+                } else {
+                    open = block = { start: i, attributes: marker.attributes, lines: [], diagnostics: [] };
+                }
+            } else if (!open) {
+                report('stray-end', i, marker,
+                    `${marker.text} on line ${i + 1} has no ${startMarker} before it`,
+                    `Add the missing ${startMarker} on its own line above the content, or remove this ${endMarker}`);
+            }
+            
+            const exact = marker.kind === 'start' ? mcpMarkers.startLine : mcpMarkers.endLine;
+            if (!exact.test(marker.text)) {
+                report('wrong-case', i, marker,
+                    `"${marker.text}" is not recognized - markers are case sensitive`,
+                    `Write it as ${expected}`, block);
+            }
+            
+            if (!marker.ownLine) {
+                if (sameLine) {
+                    if (marker.kind === 'start') {
+                        report('same-line', i, marker,
+                            'The block starts and ends on the same line, so it is never captured',
+                            `Put ${startMarker} and ${endMarker} on their own lines with the content between them`, block);
+                    }
+                } else {
+                    report('inline-marker', i, marker,
+                        `${marker.text} shares line ${i + 1} with other text, so it is not read as a marker`,
+                        `Move ${expected} to a line of its own`, block);
+                }
+            }
+            
+            if (marker.kind === 'end' && open) {
+                closeBlock(open, i);
+                open = null;
+            }
+        });
+        
+        const after = line.text.slice(position).trim();
+        if (open && after) open.lines.push({ text: after, element: line.element });
+    });
+    
+    if (open) {
+        report('unclosed', open.start, null,
+            `The block starting on line ${open.start + 1} has no ${endMarker}, so none of it is captured`,
+            `Add ${endMarker} on its own line after the content`, open);
+        closeBlock(open, -1);
+    }
+    
+    diagnostics.sort((a, b) => a.line - b.line);
+    blocks.forEach((block, index) => { block.number = index + 1; });
+    
+    return { diagnostics, blocks };
+}
+
+// Diagnostics without DOM references, for the popup
+function summarizeDiagnostics(lint) {
+    return lint.diagnostics.map(({ rule, title, line, message, fix }) => ({ rule, title, line, message, fix }));
+}
+
+// validateMCPFormat() counts plus the linter's diagnostics
+function getFormatReport(lint = lintMCPFormat()) {
+    const validation = validateMCPFormat(getMCPPageText());
+    return {
+        ...validation,
+        hasIssues: validation.hasIssues || lint.diagnostics.length > 0,
+        diagnostics: summarizeDiagnostics(lint)
+    };
+}
+
+// Store a linted block's normalized content, like a selection capture
+async function captureLintBlock(block) {
+    const element = block.element === document.body ? null : block.element;
+    const mcpBlock = {
+        ...createSelectionBlock(block.content, element, { tags: (block.header && block.header.tags) || [] }),
+        ...block.header,
+        formatVersion: 'lint-normalized-v1'
+    };
+    if (mcpBlock.blocked) {
+        markBlockBlocked(mcpBlock, mcpBlock.redactions, 'The extension');
+        return { success: false, blocked: true };
+    }
+    
+    if (!window.mcpBuffers.some(buffer => buffer.hash === mcpBlock.hash)) {
+        window.mcpBuffers.push({
+            ...mcpBlock,
+            sent: false,
+            serverChecked: false
+        });
+    }
+    
+    console.log(`🩺 Capturing normalized block ${block.number} (${block.content.length} chars) despite format issues`);
+    return sendBlocksAndTrack([mcpBlock]);
+}
+
+// Scroll to the element holding a diagnostic's line and flash it
+function revealLintTarget(element) {
+    if (!element || !element.isConnected) {
+        showNotification('That part of the page is gone - run the check again', 'info');
+        return;
+    }
+    element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    element.classList.remove('mcp-lint-flash');
+    void element.offsetWidth; // Restart the animation
+    element.classList.add('mcp-lint-flash');
+    setTimeout(() => element.classList.remove('mcp-lint-flash'), 2000);
+}
+
+function closeMCPDiagnostics() {
+    document.querySelectorAll('#mcp-lint-panel').forEach(panel => panel.remove());
+    document.querySelectorAll('.mcp-lint-target, .mcp-lint-flash').forEach(element => {
+        element.classList.remove('mcp-lint-target', 'mcp-lint-flash');
+    });
+}
+
+// The offending line with its marker highlighted
+function renderLintSnippet(diagnostic) {
+    const snippet = document.createElement('div');
+    snippet.className = 'mcp-lint-snippet';
+    
+    const text = diagnostic.text.length > 160 ? diagnostic.text.substring(0, 160) + '...' : diagnostic.text;
+    const index = diagnostic.marker ? text.indexOf(diagnostic.marker) : -1;
+    if (index === -1) {
+        snippet.textContent = text;
+        return snippet;
+    }
+    
+    const mark = document.createElement('mark');
+    mark.textContent = diagnostic.marker;
+    snippet.append(text.slice(0, index), mark, text.slice(index + diagnostic.marker.length));
+    return snippet;
+}
+
+function createLintCaptureButton(block) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'mcp-lint-capture';
+    button.textContent = '📥 Capture anyway';
+    button.title = `Store the ${block.content.length} chars between the markers as a memory`;
+    
+    button.onclick = async () => {
+        button.disabled = true;
+        button.textContent = '⏳ Capturing...';
+        const result = await captureLintBlock(block);
+        
+        if (result.success) {
+            button.textContent = result.duplicates > 0 ? '✅ Already stored' : '✅ Captured';
+        } else if (result.blocked) {
+            button.textContent = '🛑 Contains secrets';
+        } else if (result.queued !== undefined) {
+            button.textContent = '📮 Queued';
+        } else {
+            button.textContent = '⚠️ Failed - retry';
+            button.disabled = false;
+        }
+    };
+    return button;
+}
+
+// Diagnostics panel: every issue with the rule it breaks, how to fix it, a link
+// to its place on the page and, once per recoverable block, "capture anyway"
+function showMCPDiagnostics(lint = lintMCPFormat()) {
+    closeMCPDiagnostics();
+    if (lint.diagnostics.length === 0) return lint;
+    
+    const panel = document.createElement('div');
+    panel.id = 'mcp-lint-panel';
+    
+    const heading = document.createElement('div');
+    heading.className = 'mcp-lint-heading';
+    const count = lint.diagnostics.length;
+    heading.textContent = `🩺 ${count} MCP format issue${count === 1 ? '' : 's'} on this page`;
+    const closeButton = document.createElement('button');
+    closeButton.type = 'button';
+    closeButton.className = 'mcp-lint-close';
+    closeButton.textContent = '×';
+    closeButton.title = 'Close';
+    closeButton.onclick = closeMCPDiagnostics;
+    heading.appendChild(closeButton);
+    panel.appendChild(heading);
+    
+    lint.diagnostics.forEach(diagnostic => {
+        const item = document.createElement('div');
+        item.className = `mcp-lint-item mcp-lint-${diagnostic.rule}`;
+        
+        const title = document.createElement('div');
+        title.className = 'mcp-lint-title';
+        title.textContent = `${diagnostic.title} · line ${diagnostic.line}` +
+            (diagnostic.block ? ` · block ${diagnostic.block.number}` : '');
+        
+        const message = document.createElement('div');
+        message.textContent = diagnostic.message;
+        
+        const fix = document.createElement('div');
+        fix.className = 'mcp-lint-fix';
+        fix.textContent = `💡 ${diagnostic.fix}`;
+        
+        const actions = document.createElement('div');
+        actions.className = 'mcp-lint-actions';
+        const showButton = document.createElement('button');
+        showButton.type = 'button';
+        showButton.textContent = '🔎 Show';
+        showButton.onclick = () => revealLintTarget(diagnostic.element);
+        actions.appendChild(showButton);
+        
+        const block = diagnostic.block;
+        if (block && block.content && block.diagnostics[0] === diagnostic) {
+            actions.appendChild(createLintCaptureButton(block));
+        }
+        
+        item.append(title, renderLintSnippet(diagnostic), message, fix, actions);
+        panel.appendChild(item);
+        
+        if (diagnostic.element && diagnostic.element !== document.body) {
+            diagnostic.element.classList.add('mcp-lint-target');
+        }
+    });
+    
+    panel.addEventListener('keydown', event => {
+        if (event.key === 'Escape') closeMCPDiagnostics();
+    });
+    
+    document.body.appendChild(panel);
+    return lint;
+}
+
+// Plain block fields sent to /mcp/store (no DOM references, safe to queue)
+function toStoreBlock(block) {
+    return {
+        content: block.content, // FIXED: Only MCP content, no backticks
+        hash: block.hash, // FIXED: Hash of only MCP content
+        timestamp: block.timestamp,
+        wordCount: block.wordCount,
+        note: block.note,
+        tags: block.tags,
+        type: block.type,
+        title: block.title,
+        ttl: block.ttl,
+        redactions: block.redactions, // What was masked here; the client adds its own findings
+        formatVersion: block.formatVersion || 'strict-v2-fixed'
+    };
+}
+
+function getPageMetadata() {
+    return {
+        url: window.location.href,
+        title: document.title,
+        domain: window.location.hostname,
+        userAgent: navigator.userAgent,
+        capturedAt: new Date().toISOString(),
+        extensionVersion: 'strict-v2-fixed'
+    };
+}
+
 // Enhanced send function for server-side hash checking
 async function sendToMCPClient(blocks = null) {
     const blocksToSend = blocks || window.mcpBuffers.filter(block => !block.sent);
@@ -327,46 +1639,39 @@ async function sendToMCPClient(blocks = null) {
     }
     
     try {
-        if (DEBUG_MODE) console.log(`📡 Sending ${blocksToSend.length} MCP content blocks to client...`);
+        if (mcpSettings.debug) console.log(`📡 Sending ${blocksToSend.length} MCP content blocks to client...`);
         
-        const response = await fetch(`${MCP_CLIENT_URL}/mcp/store`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'User-Agent': 'MCP-Browser-Extension-Strict/2.0-Fixed'
-            },
-            body: JSON.stringify({
-                blocks: blocksToSend.map(block => ({
-                    content: block.content, // FIXED: Only MCP content, no backticks
-                    hash: block.hash, // FIXED: Hash of only MCP content
-                    timestamp: block.timestamp,
-                    wordCount: block.wordCount,
-                    formatVersion: block.formatVersion || 'strict-v2-fixed'
-                })),
-                metadata: {
-                    url: window.location.href,
-                    title: document.title,
-                    domain: window.location.hostname,
-                    userAgent: navigator.userAgent,
-                    capturedAt: new Date().toISOString(),
-                    extensionVersion: 'strict-v2-fixed'
-                }
-            })
+        const result = await sendBackgroundMessage({
+            type: 'mcp-api-store',
+            blocks: blocksToSend.map(toStoreBlock),
+            metadata: getPageMetadata()
         });
         
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        if (result.success === false) {
+            console.error('❌ Failed to send to MCP client:', result.error);
+            if (result.queued === undefined) {
+                showNotification(`❌ MCP client connection failed: ${result.error}`, 'error');
+            }
+            return result;
         }
         
-        const result = await response.json();
-        
         console.log('✅ MCP Client Response:', result);
         console.log(`📊 Server stored ${result.stored} blocks, found ${result.duplicates} duplicates`);
         console.log(`📊 Server now has ${result.totalMemories} total memories`);
         
         // Show enhanced notification with duplicate info
         const duplicateInfo = result.duplicates > 0 ? ` (${result.duplicates} duplicates skipped)` : '';
-        showNotification(`📡 Sent ${result.stored} MCP blocks to client${duplicateInfo}`, 'success');
+        const nearDuplicates = result.nearDuplicates || [];
+        const similarInfo = nearDuplicates.length > 0 ? `, ${nearDuplicates.length} similar to existing memories` : '';
+        if (nearDuplicates.length > 0) {
+            console.log('🪞 Near-duplicates (merge with POST /mcp/memories/merge):', nearDuplicates);
+        }
+        const redacted = result.redacted || [];
+        const redactedInfo = redacted.length > 0 ? `, secrets masked in ${redacted.length}` : '';
+        if (redacted.length > 0) {
+            console.log('🔒 Redacted before storing:', redacted.map(entry => `${entry.id}: ${describeRedactionFindings(entry.findings)}`));
+        }
+        showNotification(`📡 Sent ${result.stored} MCP blocks to client${duplicateInfo}${similarInfo}${redactedInfo}`, 'success');
         
         return result;
         
@@ -377,13 +1682,35 @@ async function sendToMCPClient(blocks = null) {
     }
 }
 
-// Get MCP client status
-async function getMCPClientStatus() {
+// Blocks queued in the offline outbox are delivered by the background worker,
+// which tells every tab so their badges can turn green - or show that the
+// client's redaction pass refused them
+function handleQueuedBlocksStored(entries, blocked) {
+    const blocks = [...entries, ...blocked].map(entry => ({ hash: entry.hash }));
+    markBlocksStored(blocks, { entries, blocked });
+    
+    const ours = entries.filter(entry => window.mcpBlockStates.has(entry.hash)).length;
+    if (ours > 0) {
+        showNotification(`📮 Sent ${ours} queued MCP block${ours === 1 ? '' : 's'} to client`, 'success');
+    }
+}
+
+// Queued blocks the background worker gave up on: the client refused them
+// (e.g. too large) or they failed to send for too long
+function handleQueuedBlocksFailed(entries) {
+    const ours = entries.filter(entry => window.mcpBlockStates.has(entry.hash));
+    ours.forEach(entry => setBlockState({ hash: entry.hash }, 'failed', { error: `${entry.error} - no longer retried` }));
+    if (ours.length > 0) {
+        showNotification(`❌ ${ours.length} queued MCP block${ours.length === 1 ? '' : 's'} could not be sent: ${ours[0].error}`, 'error');
+    }
+}
+
+// Get MCP client status (shared by all tabs, cached by the background worker)
+async function getMCPClientStatus({ refresh = false } = {}) {
     try {
-        const response = await fetch(`${MCP_CLIENT_URL}/health`);
-        const status = await response.json();
+        const status = await callBackground('mcp-api-health', { refresh });
         
-        if (DEBUG_MODE) console.log('🔌 MCP Client Status:', status);
+        if (mcpSettings.debug) console.log('🔌 MCP Client Status:', status);
         return status;
         
     } catch (error) {
@@ -442,6 +1769,30 @@ function viewBuffers() {
     return window.mcpBuffers;
 }
 
+// Buffer counts and previews for the popup (DOM references stripped - they can't be messaged)
+function getBufferStats(includeValidation = false) {
+    const buffers = window.mcpBuffers;
+    const totalSize = buffers.reduce((sum, buf) => sum + buf.content.length, 0);
+    
+    return {
+        count: buffers.length,
+        sent: buffers.filter(b => b.sent).length,
+        pending: buffers.filter(b => !b.sent).length,
+        serverChecked: buffers.filter(b => b.serverChecked).length,
+        size: Math.round(totalSize / 1024 * 10) / 10,
+        watchMode: !!mcpWatchObserver,
+        validation: includeValidation ? getFormatReport() : null,
+        buffers: buffers.slice(-5).reverse().map(buf => ({
+            preview: buf.content.substring(0, 60) + (buf.content.length > 60 ? '...' : ''),
+            timestamp: buf.timestamp,
+            size: buf.content.length,
+            sent: !!buf.sent,
+            formatVersion: buf.formatVersion || 'legacy',
+            wordCount: buf.wordCount || 0
+        }))
+    };
+}
+
 // Clear buffers with confirmation
 function clearBuffers() {
     const count = window.mcpBuffers.length;
@@ -460,33 +1811,33 @@ async function sendPendingBuffers() {
         return;
     }
     
-    const result = await sendToMCPClient(pending);
+    const result = await sendBlocksAndTrack(pending);
     return result;
 }
 
 // FIXED: Test MCP format compliance (content-only focus)
 function testMCPFormat() {
     console.log('🧪 Testing FIXED MCP format compliance (content-only extraction)...');
-    const validation = validateMCPFormat(document.body.innerText);
+    const lint = lintMCPFormat();
+    const validation = getFormatReport(lint);
     
     if (validation.hasIssues) {
-        console.warn('⚠️ Page has MCP format issues - run scanMCP() for details');
+        console.warn('⚠️ Page has MCP format issues - see the diagnostics panel');
+        lint.diagnostics.forEach(d => console.warn(`   • line ${d.line}: ${d.message}`));
+        showMCPDiagnostics(lint);
     } else {
+        closeMCPDiagnostics();
         console.log('✅ All MCP blocks follow strict format rules');
     }
     
     // FIXED: Test actual content extraction
-    const text = document.body.innerText;
-    const blockMatches = text.match(/^\s*\[MCP-START\]\s*$([\s\S]*?)^\s*\[MCP-END\]\s*$/gm);
+    const blocks = extractMCPBlocks(document.body);
     
-    if (blockMatches) {
+    if (blocks.length > 0) {
         console.log('🔍 Testing content extraction:');
-        blockMatches.forEach((blockMatch, index) => {
-            const contentMatch = blockMatch.match(/^\s*\[MCP-START\]\s*$([\s\S]*?)^\s*\[MCP-END\]\s*$/m);
-            if (contentMatch && contentMatch[1]) {
-                const content = contentMatch[1].trim();
-                console.log(`  Block ${index + 1}: "${content.substring(0, 50)}${content.length > 50 ? '...' : ''}" (${content.length} chars)`);
-            }
+        blocks.forEach(block => {
+            const content = block.content;
+            console.log(`  Block ${block.blockNumber}: "${content.substring(0, 50)}${content.length > 50 ? '...' : ''}" (${content.length} chars) in ${block.sourceSelector}`);
         });
     }
     
@@ -516,8 +1867,8 @@ scanButton.onmouseout = () => {
     scanButton.style.transform = 'translateY(0)';
 };
 
-scanButton.onclick = () => {
-    const found = scanMCP();
+scanButton.onclick = async () => {
+    const found = await scanMCP();
     scanButton.innerHTML = found > 0 ? `🧠 FOUND ${found}!` : '🧠 SCAN (FIXED)';
     setTimeout(() => {
         scanButton.innerHTML = '🧠 SCAN (FIXED)';
@@ -538,20 +1889,35 @@ statusIndicator.style.cssText = `
 statusIndicator.textContent = '🔌 Checking...';
 document.body.appendChild(statusIndicator);
 
-// Check MCP client status on load
-(async function checkInitialStatus() {
-    const status = await getMCPClientStatus();
-    
+function renderStatusIndicator(status) {
     if (status.status === 'healthy') {
         statusIndicator.style.background = '#4CAF50';
         statusIndicator.textContent = `🟢 MCP (${status.memoryCount})`;
-        console.log('✅ MCP Client connected and healthy');
+    } else if (status.status === 'unauthorized') {
+        statusIndicator.style.background = '#ff9800';
+        statusIndicator.textContent = status.queued > 0 ? `🔐 MCP Not Paired (${status.queued} queued)` : '🔐 MCP Not Paired';
     } else {
         statusIndicator.style.background = '#f44336';
-        statusIndicator.textContent = '🔴 MCP Offline';
+        statusIndicator.textContent = status.queued > 0 ? `🔴 MCP Offline (${status.queued} queued)` : '🔴 MCP Offline';
+    }
+}
+
+// Check MCP client status (on load and whenever the client URL changes)
+async function updateStatusIndicator() {
+    statusIndicator.style.background = '#666';
+    statusIndicator.textContent = '🔌 Checking...';
+    
+    const status = await getMCPClientStatus();
+    renderStatusIndicator(status);
+    
+    if (status.status === 'healthy') {
+        console.log('✅ MCP Client connected and healthy');
+    } else if (status.status === 'unauthorized') {
+        console.log('🔐 MCP Client is running but the extension is not paired - enter a pairing code on the options page');
+    } else {
         console.log('❌ MCP Client offline - memories will be stored locally only');
     }
-})();
+}
 
 // Console API
 window.scanMCP = scanMCP;
@@ -560,8 +1926,86 @@ window.clearBuffers = clearBuffers;
 window.sendToMCPClient = sendToMCPClient;
 window.sendPendingBuffers = sendPendingBuffers;
 window.getMCPClientStatus = getMCPClientStatus;
+window.retryOutbox = () => callBackground('mcp-api-retry-outbox');
 window.testMCPFormat = testMCPFormat;
 window.validateMCPFormat = validateMCPFormat;
+window.startWatchMode = startWatchMode;
+window.stopWatchMode = stopWatchMode;
+window.refreshHighlights = refreshHighlights;
+window.captureSelection = captureSelection;
+window.lintMCPFormat = lintMCPFormat;
+window.showMCPDiagnostics = showMCPDiagnostics;
+
+// Extension messaging: the popup and the background worker drive this tab through these
+const MCP_MESSAGE_HANDLERS = {
+    'mcp-capture-selection': () => {
+        captureSelection(); // Resolves only once the user closes the capture dialog
+        return { success: true };
+    },
+    'mcp-get-stats': message => getBufferStats(message.includeValidation),
+    'mcp-scan': async () => ({ success: true, found: await scanMCP() }),
+    'mcp-test-format': () => ({ success: true, validation: testMCPFormat() }),
+    'mcp-view-buffers': () => {
+        viewBuffers();
+        return { success: true };
+    },
+    'mcp-send-pending': async () => (await sendPendingBuffers()) || { success: true, sent: 0 },
+    'mcp-blocks-stored': message => {
+        handleQueuedBlocksStored(message.entries || [], message.blocked || []);
+        return { success: true };
+    },
+    'mcp-blocks-failed': message => {
+        handleQueuedBlocksFailed(message.entries || []);
+        return { success: true };
+    },
+    'mcp-memory-event': message => {
+        handleMemoryEvent(message.event, message.data || {});
+        return { success: true };
+    },
+    'mcp-clear-buffers': () => {
+        clearBuffers();
+        return { success: true };
+    },
+    'mcp-toggle-watch': () => ({
+        success: true,
+        watchMode: mcpWatchObserver ? stopWatchMode() : startWatchMode()
+    })
+};
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    const handler = message && MCP_MESSAGE_HANDLERS[message.type];
+    if (!handler) return false;
+    
+    Promise.resolve()
+        .then(() => handler(message))
+        .then(sendResponse, error => sendResponse({ success: false, error: error.message }));
+    return true; // Keep the channel open for the async response
+});
+
+// Load the options page settings, then keep following them live
+loadMCPSettings().then(settings => {
+    applySettings(settings);
+    console.log(`🔧 Config: Auto-send ${isAutoSendEnabled() ? 'ON' : 'OFF'}, Watch: ${mcpSettings.watchMode ? 'ON' : 'OFF'}, Client: ${mcpSettings.clientUrl}, Debug: ${mcpSettings.debug ? 'ON' : 'OFF'}`);
+});
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    // The background worker publishes every health check, so all tabs stay in sync
+    if (areaName === 'local' && changes.mcpHealth && changes.mcpHealth.newValue && isSiteActive()) {
+        renderStatusIndicator(changes.mcpHealth.newValue);
+        return;
+    }
+    if (areaName !== 'sync') return;
+    
+    const updated = { ...mcpSettings };
+    Object.keys(changes).forEach(key => {
+        if (key in MCP_DEFAULT_SETTINGS) {
+            updated[key] = changes[key].newValue !== undefined ? changes[key].newValue : MCP_DEFAULT_SETTINGS[key];
+        }
+    });
+    
+    console.log('🔧 MCP settings changed:', Object.keys(changes).join(', '));
+    applySettings(updated);
+});
 
 // Add CSS animation for notifications
 const style = document.createElement('style');
@@ -580,8 +2024,12 @@ console.log('  • viewBuffers() - View all captured MCP content with hash info'
 console.log('  • sendPendingBuffers() - Send unsent buffers to client');
 console.log('  • getMCPClientStatus() - Check client connection');
 console.log('  • clearBuffers() - Clear all local buffers');
+console.log('  • retryOutbox() - Send blocks queued while the client was offline');
 console.log('  • testMCPFormat() - Test content extraction on current page');
 console.log('  • validateMCPFormat() - Get detailed format validation');
+console.log('  • showMCPDiagnostics() - List format issues in a panel, with fixes and "capture anyway"');
+console.log('  • captureSelection() - Save the selected text as a memory (also: right-click menu, Ctrl+Shift+M)');
+console.log('  • startWatchMode() / stopWatchMode() - Capture finished blocks automatically as the page changes');
 console.log('');
 console.log('🔧 FIXED Features:');
 console.log('  • Only captures content between [MCP-START] and [MCP-END]');
@@ -595,4 +2043,4 @@ console.log('❌ Wrong: [MCP-START]content[MCP-END] on same line');
 console.log('💡 Note: The ``` backticks are just markdown formatting');
 console.log('💡 Only the text between MCP tags is captured and stored');
 console.log('');
-console.log(`🔧 Config: Auto-send ${AUTO_SEND_ENABLED ? 'ON' : 'OFF'}, Client: ${MCP_CLIENT_URL}, Debug: ${DEBUG_MODE ? 'ON' : 'OFF'}`);
+console.log('⚙️ Client URL, auto-send, debug logging, watch mode, site lists and markers are set on the extension options page');
@@ -0,0 +1,208 @@
+/*
+ * MCP Memory System - Options Page
+ * ================================
+ *
+ * Edits the settings in chrome.storage.sync. Content scripts listen for
+ * storage changes, so saved values take effect in open tabs right away.
+ * Also pairs the extension with the MCP client (the token itself is kept
+ * by the background worker in chrome.storage.local).
+ */
+
+const LIST_FIELDS = ['allowedDomains', 'deniedDomains', 'manualSendDomains'];
+const CHECKBOX_FIELDS = ['autoSend', 'watchMode', 'debug'];
+const TEXT_FIELDS = ['clientUrl', 'startMarker', 'endMarker', 'redactionMode'];
+
+// One checkbox per built-in detector (see redaction.js); checked means enabled
+function renderDetectorOptions() {
+    const container = document.getElementById('redactionDetectors');
+    REDACTION_DETECTORS.forEach(detector => {
+        const label = document.createElement('label');
+        label.className = 'checkbox';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.dataset.detector = detector.type;
+        label.append(checkbox, ` ${detector.label}`);
+        container.appendChild(label);
+    });
+}
+
+function showStatus(message, type = 'success') {
+    const statusEl = document.getElementById('statusMsg');
+    statusEl.textContent = message;
+    statusEl.className = type;
+    clearTimeout(showStatus.timer);
+    showStatus.timer = setTimeout(() => {
+        statusEl.textContent = '';
+    }, 4000);
+}
+
+function fillForm(settings) {
+    TEXT_FIELDS.forEach(field => {
+        document.getElementById(field).value = settings[field];
+    });
+    CHECKBOX_FIELDS.forEach(field => {
+        document.getElementById(field).checked = settings[field];
+    });
+    LIST_FIELDS.forEach(field => {
+        document.getElementById(field).value = settings[field].join('\n');
+    });
+    document.querySelectorAll('[data-detector]').forEach(checkbox => {
+        checkbox.checked = !settings.redactionDisabled.includes(checkbox.dataset.detector);
+    });
+    document.getElementById('redactionPatterns').value = settings.redactionPatterns.join('\n');
+}
+
+function readForm() {
+    const settings = {};
+    TEXT_FIELDS.forEach(field => {
+        settings[field] = document.getElementById(field).value.trim();
+    });
+    CHECKBOX_FIELDS.forEach(field => {
+        settings[field] = document.getElementById(field).checked;
+    });
+    LIST_FIELDS.forEach(field => {
+        settings[field] = [...new Set(document.getElementById(field).value
+            .split(/[\n,]+/)
+            .map(domain => domain.trim().toLowerCase())
+            .filter(Boolean))];
+    });
+    settings.clientUrl = settings.clientUrl.replace(/\/+$/, '');
+    settings.redactionDisabled = [...document.querySelectorAll('[data-detector]')]
+        .filter(checkbox => !checkbox.checked)
+        .map(checkbox => checkbox.dataset.detector);
+    settings.redactionPatterns = document.getElementById('redactionPatterns').value
+        .split('\n')
+        .map(line => line.trim())
+        .filter(Boolean);
+    return settings;
+}
+
+function validateSettings(settings) {
+    let url;
+    try {
+        url = new URL(settings.clientUrl);
+    } catch (error) {
+        return 'Client URL is not a valid URL';
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+        return 'Client URL must start with http:// or https://';
+    }
+    if (!settings.startMarker || !settings.endMarker) {
+        return 'Both markers are required';
+    }
+    if (settings.startMarker === settings.endMarker) {
+        return 'Start and end markers must be different';
+    }
+    if (/\s/.test(settings.startMarker) || /\s/.test(settings.endMarker)) {
+        return 'Markers cannot contain spaces';
+    }
+    try {
+        parseRedactionPatterns(settings.redactionPatterns);
+    } catch (error) {
+        return error.message;
+    }
+    return null;
+}
+
+// localhost is covered by the manifest; any other client host needs an explicit grant
+function ensureHostPermission(clientUrl) {
+    const url = new URL(clientUrl);
+    if (['localhost', '127.0.0.1'].includes(url.hostname)) {
+        return Promise.resolve(true);
+    }
+    return new Promise(resolve => {
+        chrome.permissions.request({ origins: [`${url.protocol}//${url.hostname}/*`] }, granted => {
+            resolve(!!granted);
+        });
+    });
+}
+
+document.getElementById('optionsForm').addEventListener('submit', async function(event) {
+    event.preventDefault();
+
+    const settings = readForm();
+    const error = validateSettings(settings);
+    if (error) {
+        showStatus(`❌ ${error}`, 'error');
+        return;
+    }
+
+    if (!await ensureHostPermission(settings.clientUrl)) {
+        showStatus('❌ Permission to reach the client URL was not granted', 'error');
+        return;
+    }
+
+    try {
+        await saveMCPSettings(settings);
+        fillForm(settings);
+        showStatus('✅ Settings saved');
+    } catch (saveError) {
+        showStatus(`❌ ${saveError.message}`, 'error');
+    }
+});
+
+// Pairing goes through the background worker, which owns the token
+function callBackground(type, payload = {}) {
+    return new Promise((resolve, reject) => {
+        chrome.runtime.sendMessage({ type, ...payload }, function(response) {
+            if (chrome.runtime.lastError) {
+                reject(new Error(chrome.runtime.lastError.message));
+                return;
+            }
+            resolve(response || {});
+        });
+    });
+}
+
+async function updatePairingStatus() {
+    const statusEl = document.getElementById('pairingStatus');
+    try {
+        const { paired } = await callBackground('mcp-api-paired');
+        const health = paired ? await callBackground('mcp-api-health', { refresh: true }) : null;
+        if (!paired) {
+            statusEl.textContent = '🔐 Not paired - enter the code the MCP client printed';
+        } else if (health.status === 'unauthorized') {
+            statusEl.textContent = '⚠️ Paired, but the client rejects the token - pair again';
+        } else if (health.status === 'healthy') {
+            statusEl.textContent = '✅ Paired with the MCP client';
+        } else {
+            statusEl.textContent = '✅ Paired (the MCP client is offline right now)';
+        }
+    } catch (error) {
+        statusEl.textContent = `❌ ${error.message}`;
+    }
+}
+
+document.getElementById('pairBtn').addEventListener('click', async function() {
+    const code = document.getElementById('pairingCode').value.trim();
+    if (!code) {
+        showStatus('❌ Enter the pairing code first', 'error');
+        return;
+    }
+
+    const result = await callBackground('mcp-api-pair', { code })
+        .catch(error => ({ success: false, error: error.message }));
+    if (result.success) {
+        document.getElementById('pairingCode').value = '';
+        showStatus('✅ Paired with the MCP client');
+    } else {
+        showStatus(`❌ Pairing failed: ${result.error}`, 'error');
+    }
+    updatePairingStatus();
+});
+
+document.getElementById('unpairBtn').addEventListener('click', async function() {
+    await callBackground('mcp-api-unpair');
+    showStatus('✅ Token removed - revoke it on the client with `npm run auth -- revoke <id>`');
+    updatePairingStatus();
+});
+
+document.getElementById('resetBtn').addEventListener('click', async function() {
+    await saveMCPSettings(MCP_DEFAULT_SETTINGS);
+    fillForm(MCP_DEFAULT_SETTINGS);
+    showStatus('✅ Defaults restored');
+});
+
+renderDetectorOptions();
+loadMCPSettings().then(fillForm);
+updatePairingStatus();
@@ -0,0 +1,144 @@
+/*
+ * MCP Memory System - Offline Outbox
+ * ==================================
+ *
+ * Durable queue of blocks that could not be sent to the MCP client. It lives
+ * in chrome.storage.local, so it is shared by every tab and survives page
+ * reloads and navigation. Each entry keeps the metadata of the page it was
+ * captured on and is retried with exponential backoff, until the client
+ * refuses it for good or OUTBOX_MAX_ATTEMPTS attempts have failed.
+ */
+
+const MCP_OUTBOX_KEY = 'mcpOutbox';
+const OUTBOX_RETRY_BASE_MS = 5000;
+const OUTBOX_RETRY_MAX_MS = 5 * 60 * 1000;
+const OUTBOX_MAX_ATTEMPTS = 288; // About a day at the longest delay
+
+let outboxLock = Promise.resolve(); // Serializes read-modify-write cycles in this context
+let outboxFlushing = false;
+
+function readOutbox() {
+    return new Promise(resolve => {
+        chrome.storage.local.get({ [MCP_OUTBOX_KEY]: [] }, items => {
+            resolve(items[MCP_OUTBOX_KEY] || []);
+        });
+    });
+}
+
+function writeOutbox(entries) {
+    return new Promise((resolve, reject) => {
+        chrome.storage.local.set({ [MCP_OUTBOX_KEY]: entries }, () => {
+            if (chrome.runtime.lastError) {
+                reject(new Error(chrome.runtime.lastError.message));
+            } else {
+                resolve(entries);
+            }
+        });
+    });
+}
+
+// Run mutator(entries) -> entries against the stored outbox, one update at a time
+function updateOutbox(mutator) {
+    const run = outboxLock.then(async () => {
+        const entries = await readOutbox();
+        return writeOutbox(mutator(entries));
+    });
+    outboxLock = run.catch(() => {});
+    return run;
+}
+
+function getOutboxRetryDelay(attempts) {
+    return Math.min(OUTBOX_RETRY_BASE_MS * 2 ** attempts, OUTBOX_RETRY_MAX_MS);
+}
+
+// Queue blocks (plain, serializable objects) captured on the page described by metadata
+async function enqueueOutbox(blocks, metadata, error) {
+    let added = 0;
+    const now = Date.now();
+
+    await updateOutbox(entries => {
+        blocks.forEach(block => {
+            if (entries.some(entry => entry.hash === block.hash)) return;
+            entries.push({
+                hash: block.hash,
+                block: block,
+                metadata: metadata,
+                queuedAt: new Date(now).toISOString(),
+                attempts: 0,
+                nextAttemptAt: now + getOutboxRetryDelay(0),
+                lastError: error || null
+            });
+            added++;
+        });
+        return entries;
+    });
+
+    return added;
+}
+
+// Earliest time any queued entry may be retried, or null when the outbox is empty
+async function getNextOutboxAttempt() {
+    const entries = await readOutbox();
+    return entries.length > 0 ? Math.min(...entries.map(entry => entry.nextAttemptAt)) : null;
+}
+
+// Send every entry that is due through sendBatch(blocks, metadata) -> { success, error, permanent }.
+// Sent entries are removed; failed ones are pushed back with a longer delay, or
+// dropped - and listed in `dropped` - on a permanent error or their last attempt.
+async function flushOutbox(sendBatch, { force = false } = {}) {
+    if (outboxFlushing) {
+        return { sent: [], failed: 0, dropped: [], remaining: (await readOutbox()).length };
+    }
+    outboxFlushing = true;
+
+    try {
+        const now = Date.now();
+        const due = (await readOutbox()).filter(entry => force || entry.nextAttemptAt <= now);
+
+        // One request per source page, so each memory keeps its own metadata
+        const groups = new Map();
+        due.forEach(entry => {
+            const key = entry.metadata && entry.metadata.url;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(entry);
+        });
+
+        const sent = [];
+        const failures = {};
+        const dropped = [];
+
+        for (const entries of groups.values()) {
+            const result = await sendBatch(entries.map(entry => entry.block), entries[0].metadata);
+            if (result.success) {
+                sent.push(...entries.map(entry => entry.hash));
+            } else {
+                entries.forEach(entry => {
+                    const error = result.error || 'Send failed';
+                    if (result.permanent || entry.attempts + 1 >= OUTBOX_MAX_ATTEMPTS) {
+                        dropped.push({ hash: entry.hash, error });
+                    } else {
+                        failures[entry.hash] = error;
+                    }
+                });
+            }
+        }
+
+        const remaining = await updateOutbox(entries => entries
+            .filter(entry => !sent.includes(entry.hash) && !dropped.some(drop => drop.hash === entry.hash))
+            .map(entry => {
+                if (!(entry.hash in failures)) return entry;
+                const attempts = entry.attempts + 1;
+                return {
+                    ...entry,
+                    attempts,
+                    lastError: failures[entry.hash],
+                    nextAttemptAt: Date.now() + getOutboxRetryDelay(attempts)
+                };
+            }));
+
+        return { sent, failed: Object.keys(failures).length, dropped, remaining: remaining.length };
+
+    } finally {
+        outboxFlushing = false;
+    }
+}
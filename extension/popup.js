@@ -0,0 +1,305 @@
+/*
+ * MCP Memory System - Popup
+ * =========================
+ *
+ * Talks to the content script of the active tab through extension messaging
+ * (buffer stats, scan, send, clear), reads the shared offline outbox from
+ * extension storage and asks the background worker for everything that
+ * needs the MCP client (health, recent memories, outbox retry).
+ */
+
+// Send a message to the content script of the active tab
+function sendToActiveTab(message) {
+    return new Promise((resolve, reject) => {
+        chrome.tabs.query({ active: true, currentWindow: true }, function(tabs) {
+            if (!tabs[0]) {
+                reject(new Error('No active tab'));
+                return;
+            }
+            chrome.tabs.sendMessage(tabs[0].id, message, function(response) {
+                if (chrome.runtime.lastError) {
+                    reject(new Error('MCP scanner not found on this page - please reload it'));
+                    return;
+                }
+                resolve(response);
+            });
+        });
+    });
+}
+
+// Send a request to the background worker, which owns the MCP client connection
+function callBackground(type, payload = {}) {
+    return new Promise((resolve, reject) => {
+        chrome.runtime.sendMessage({ type, ...payload }, function(response) {
+            if (chrome.runtime.lastError) {
+                reject(new Error(chrome.runtime.lastError.message));
+                return;
+            }
+            resolve(response);
+        });
+    });
+}
+
+// Show status message
+function showStatus(message, type = 'info') {
+    const statusEl = document.getElementById('statusMsg');
+    statusEl.textContent = message;
+    statusEl.className = `status ${type}`;
+    statusEl.style.display = '';
+    clearTimeout(showStatus.timer);
+    showStatus.timer = setTimeout(() => {
+        statusEl.style.display = 'none';
+    }, 4000);
+}
+
+// Update compliance status
+function updateComplianceStatus(hasIssues = false, details = '') {
+    const dot = document.getElementById('complianceDot');
+    const text = document.getElementById('complianceText');
+
+    if (hasIssues) {
+        dot.className = 'compliance-dot compliance-warning';
+        text.textContent = `Format issues detected: ${details}`;
+    } else {
+        dot.className = 'compliance-dot compliance-good';
+        text.textContent = 'All blocks follow strict format rules';
+    }
+}
+
+// Compliance text for a format report from the content script
+function describeFormatIssues(validation, hint) {
+    const count = (validation.diagnostics || []).length;
+    if (count === 0) return 'See console for details';
+    return `${count} issue${count === 1 ? '' : 's'} - ${hint}`;
+}
+
+// Build a buffer/memory list entry with textContent only - page content is never trusted as HTML
+function createListItem(heading, label, meta, preview) {
+    const item = document.createElement('div');
+    item.className = 'buffer-item';
+
+    const header = document.createElement('div');
+    header.style.cssText = 'display: flex; justify-content: space-between; align-items: center;';
+    const headingEl = document.createElement('span');
+    headingEl.textContent = heading;
+    const labelEl = document.createElement('span');
+    labelEl.style.cssText = 'font-size: 9px; opacity: 0.7;';
+    labelEl.textContent = label;
+    header.append(headingEl, labelEl);
+
+    const metaEl = document.createElement('div');
+    metaEl.style.cssText = 'font-size: 9px; margin: 2px 0; opacity: 0.8;';
+    metaEl.textContent = meta;
+
+    const previewEl = document.createElement('div');
+    previewEl.className = 'buffer-preview';
+    previewEl.textContent = preview;
+
+    item.append(header, metaEl, previewEl);
+    return item;
+}
+
+// Buffer statistics from the content script
+async function updateStats(includeValidation = false) {
+    let data;
+    try {
+        data = await sendToActiveTab({ type: 'mcp-get-stats', includeValidation });
+    } catch (error) {
+        updateComplianceStatus(true, error.message);
+        return;
+    }
+    if (!data) return;
+
+    document.getElementById('bufferCount').textContent = data.count;
+    document.getElementById('sentCount').textContent = data.sent;
+    document.getElementById('pendingCount').textContent = data.pending;
+    document.getElementById('checkedCount').textContent = data.serverChecked;
+    document.getElementById('totalSize').textContent = `(${data.size}KB)`;
+    document.getElementById('watchBtn').textContent = data.watchMode ? '👀 Stop Watch Mode' : '👀 Start Watch Mode';
+
+    if (data.validation) {
+        updateComplianceStatus(data.validation.hasIssues,
+            data.validation.hasIssues ? describeFormatIssues(data.validation, 'click Test Format to see them') : '');
+    }
+
+    const bufferList = document.getElementById('bufferList');
+    const bufferSection = document.getElementById('bufferSection');
+
+    if (data.buffers.length > 0) {
+        bufferSection.style.display = 'block';
+        bufferList.replaceChildren(...data.buffers.map(buf => createListItem(
+            new Date(buf.timestamp).toLocaleTimeString(),
+            buf.sent ? '✅ sent' : '⏳ pending',
+            `${buf.wordCount} words • ${buf.size} chars • ${buf.formatVersion}`,
+            buf.preview
+        )));
+    } else {
+        bufferSection.style.display = 'none';
+    }
+}
+
+// Render the shared health status kept by the background worker
+function renderClientStatus(status) {
+    const dot = document.getElementById('clientDot');
+    const text = document.getElementById('clientText');
+
+    if (status && status.status === 'healthy') {
+        dot.className = 'compliance-dot compliance-good';
+        text.textContent = `🟢 MCP client healthy • ${status.memoryCount} memories` +
+            (status.version ? ` • ${status.version}` : '');
+        return true;
+    }
+
+    dot.className = 'compliance-dot compliance-bad';
+    text.textContent = status && status.status === 'unauthorized'
+        ? '🔐 Not paired with the MCP client - pair on the options page'
+        : `🔴 MCP client offline (${(status && status.clientUrl) || 'unknown URL'})`;
+    return false;
+}
+
+// MCP client health, refreshed through the background worker
+async function updateClientStatus() {
+    try {
+        return renderClientStatus(await callBackground('mcp-api-health', { refresh: true }));
+    } catch (error) {
+        return renderClientStatus(null);
+    }
+}
+
+// Recent memories from /mcp/memories
+async function updateRecentMemories() {
+    const memorySection = document.getElementById('memorySection');
+
+    try {
+        const data = await callBackground('mcp-api-memories', { limit: 5 });
+        // The legacy client answers with `memories`, the TypeScript client with `results`
+        const memories = data.memories || data.results || [];
+
+        if (memories.length === 0) {
+            memorySection.style.display = 'none';
+            return;
+        }
+
+        memorySection.style.display = 'block';
+        document.getElementById('memoryList').replaceChildren(...memories.map(memory => createListItem(
+            new Date(memory.timestamp).toLocaleString(),
+            memory.id,
+            `${memory.wordCount} words • ${(memory.tags || []).join(', ') || 'no tags'}`,
+            memory.content.substring(0, 60) + (memory.content.length > 60 ? '...' : '')
+        )));
+
+    } catch (error) {
+        memorySection.style.display = 'none';
+    }
+}
+
+// Blocks waiting in the shared offline outbox (all tabs)
+async function updateOutboxCount() {
+    const queued = (await readOutbox()).length;
+    document.getElementById('queuedCount').textContent = queued;
+    document.getElementById('retryOutboxBtn').style.display = queued > 0 ? 'block' : 'none';
+}
+
+async function refreshClient() {
+    if (await updateClientStatus()) {
+        await updateRecentMemories();
+    }
+}
+
+// Run a content-script action from a button, then refresh the stats
+function bindAction(buttonId, message, onResult) {
+    document.getElementById(buttonId).addEventListener('click', async function() {
+        try {
+            const result = await sendToActiveTab(message);
+            onResult(result || {});
+        } catch (error) {
+            showStatus(error.message, 'error');
+        }
+        updateStats();
+    });
+}
+
+// Scan for MCP blocks
+bindAction('scanBtn', { type: 'mcp-scan' }, result => {
+    showStatus(`Found ${result.found || 0} new strict-format MCP blocks!`, 'success');
+    refreshClient();
+});
+
+// Toggle watch mode
+bindAction('watchBtn', { type: 'mcp-toggle-watch' }, result => {
+    showStatus(result.watchMode ? 'Watch mode on - new blocks are captured automatically' : 'Watch mode off', 'info');
+});
+
+// Test format compliance
+bindAction('testFormatBtn', { type: 'mcp-test-format' }, result => {
+    const hasIssues = result.validation && result.validation.hasIssues;
+    updateComplianceStatus(hasIssues, hasIssues ? describeFormatIssues(result.validation, 'listed on the page') : '');
+    showStatus(hasIssues ? 'Format issues found - see the panel on the page' : 'All blocks properly formatted',
+        hasIssues ? 'error' : 'success');
+});
+
+// View buffers in console
+bindAction('viewBuffersBtn', { type: 'mcp-view-buffers' }, () => {
+    showStatus('Buffers logged to the page console', 'info');
+});
+
+// Send to MCP client
+bindAction('uploadBtn', { type: 'mcp-send-pending' }, result => {
+    if (result.success) {
+        showStatus(result.sent === 0 ? 'No pending buffers to send' : `Sent buffers to client (${result.stored} stored)`, 'success');
+        refreshClient();
+    } else {
+        showStatus(`Send failed: ${result.error || 'check console'}`, 'error');
+    }
+});
+
+// Retry the offline outbox now
+document.getElementById('retryOutboxBtn').addEventListener('click', async function() {
+    try {
+        const result = await callBackground('mcp-api-retry-outbox');
+        if (result.sent && result.sent.length > 0) {
+            showStatus(`Sent ${result.sent.length} queued blocks`, 'success');
+            refreshClient();
+        } else {
+            showStatus(`Client still unreachable - ${result.remaining || 0} blocks stay queued`, 'error');
+        }
+    } catch (error) {
+        showStatus(error.message, 'error');
+    }
+    updateStats();
+});
+
+// Clear buffers
+document.getElementById('clearBtn').addEventListener('click', async function() {
+    if (!confirm('Clear all MCP buffers? This cannot be undone.')) return;
+
+    try {
+        await sendToActiveTab({ type: 'mcp-clear-buffers' });
+        showStatus('Buffers cleared', 'info');
+    } catch (error) {
+        showStatus(error.message, 'error');
+    }
+    updateStats();
+});
+
+// Open the options page
+document.getElementById('optionsBtn').addEventListener('click', function() {
+    chrome.runtime.openOptionsPage();
+});
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[MCP_OUTBOX_KEY]) {
+        updateOutboxCount();
+    }
+    if (areaName === 'local' && changes.mcpHealth) {
+        renderClientStatus(changes.mcpHealth.newValue);
+    }
+});
+
+// Initial update
+updateStats(true);
+updateOutboxCount();
+refreshClient();
+
+// Refresh stats every 3 seconds
+setInterval(updateStats, 3000);
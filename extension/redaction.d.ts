@@ -0,0 +1,36 @@
+// Types for redaction.js, which the TypeScript MCP client requires at runtime
+
+export interface RedactionFinding {
+  type: string;
+  label: string;
+  count: number;
+}
+
+export interface RedactionPattern {
+  name: string;
+  pattern: string;
+  flags: string;
+  regex: RegExp;
+}
+
+export interface RedactionOptions {
+  mode: 'mask' | 'block' | 'off';
+  disabled: string[];
+  patterns: RedactionPattern[];
+}
+
+export declare const REDACTION_MODES: string[];
+export declare const REDACTION_DETECTORS: { type: string; label: string; pattern: RegExp }[];
+export declare function getRedactionMask(type: string): string;
+export declare function parseRedactionPatterns(entries: unknown): RedactionPattern[];
+export declare function normalizeRedactionOptions(options?: {
+  mode?: string;
+  disabled?: unknown;
+  patterns?: unknown;
+}): RedactionOptions;
+export declare function redactContent(
+  content: string,
+  options?: Partial<RedactionOptions>
+): { content: string; findings: RedactionFinding[]; blocked: boolean };
+export declare function mergeRedactionFindings(...reports: unknown[]): RedactionFinding[];
+export declare function describeRedactionFindings(findings: RedactionFinding[] | undefined): string;
@@ -0,0 +1,229 @@
+/*
+ * MCP Memory System - Redaction
+ * =============================
+ *
+ * Finds secrets and personal data in block content before it is stored.
+ * Shared like content-hash.js: the content script runs it before a block is
+ * hashed and sent, and both MCP clients run it again on POST /mcp/store for
+ * blocks that reach them some other way (curl, an older extension).
+ *
+ * Modes:
+ *   mask   replace each match with [REDACTED:<type>] and store the rest
+ *   block  store nothing from a block with a match
+ *   off    no redaction
+ *
+ * Built-in detectors (each can be disabled): AWS access keys, AWS secret keys
+ * (only after an aws_secret_access_key label), JWTs, PEM private keys, email
+ * addresses and card numbers (Luhn checked). User patterns are regular
+ * expressions, one per line as "name: regex" or just "regex".
+ *
+ * A masked value is never matched again, so redacting twice changes nothing
+ * and the extension and the client agree on the content hash.
+ */
+
+(function(root) {
+    const REDACTION_MODES = ['mask', 'block', 'off'];
+    const MAX_PATTERNS = 50;
+    const PATTERN_NAME = /^[a-z0-9][a-z0-9_-]{0,31}$/i;
+
+    const REDACTION_DETECTORS = [
+        {
+            type: 'private-key',
+            label: 'private key',
+            pattern: /-----BEGIN [A-Z0-9 ]*PRIVATE KEY( BLOCK)?-----[\s\S]*?-----END [A-Z0-9 ]*PRIVATE KEY( BLOCK)?-----/g
+        },
+        {
+            type: 'aws-access-key',
+            label: 'AWS access key',
+            pattern: /\b(?:AKIA|ASIA|AIDA|AROA|AGPA|ANPA|ANVA|AIPA)[A-Z0-9]{16}\b/g
+        },
+        {
+            // Keep the label, mask the value
+            type: 'aws-secret-key',
+            label: 'AWS secret key',
+            pattern: /(aws_?secret_?(?:access_?)?key["']?\s*[:=]\s*["']?)[A-Za-z0-9/+=]{40}(?![A-Za-z0-9/+=])/gi,
+            keepPrefix: true
+        },
+        {
+            type: 'jwt',
+            label: 'JWT',
+            pattern: /\beyJ[A-Za-z0-9_-]{5,}\.eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{10,}/g
+        },
+        {
+            type: 'email',
+            label: 'email address',
+            pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}\b/g
+        },
+        {
+            // 13-19 digits, optionally grouped with spaces or dashes, from the
+            // major networks' ranges (2-6); the Luhn check drops most other numbers
+            type: 'card-number',
+            label: 'card number',
+            pattern: /\b[2-6]\d{3}(?:[ -]?\d){9,15}\b/g,
+            validate: match => isLuhnValid(match.replace(/\D/g, ''))
+        }
+    ];
+
+    function isLuhnValid(digits) {
+        if (digits.length < 13 || digits.length > 19) return false;
+        let sum = 0;
+        for (let i = 0; i < digits.length; i++) {
+            let digit = Number(digits[digits.length - 1 - i]);
+            if (i % 2 === 1) {
+                digit *= 2;
+                if (digit > 9) digit -= 9;
+            }
+            sum += digit;
+        }
+        return sum % 10 === 0;
+    }
+
+    function getRedactionMask(type) {
+        return `[REDACTED:${type}]`;
+    }
+
+    // One user pattern: "name: regex" or "regex" (named "custom"), or an
+    // object { name, pattern, flags } from a config file
+    function parseRedactionPattern(entry) {
+        let name = 'custom';
+        let source;
+        let flags = '';
+        if (entry && typeof entry === 'object') {
+            name = entry.name || name;
+            source = entry.pattern;
+            flags = entry.flags || '';
+        } else {
+            source = String(entry == null ? '' : entry).trim();
+            const named = source.match(/^([a-z0-9][a-z0-9_-]{0,31}):\s+(.+)$/i);
+            if (named) {
+                name = named[1];
+                source = named[2];
+            }
+        }
+
+        if (typeof source !== 'string' || !source) {
+            throw new Error('the pattern is empty');
+        }
+        if (!PATTERN_NAME.test(name)) {
+            throw new Error(`"${name}" is not a valid name (letters, digits, _ and -)`);
+        }
+        if (!/^[imsu]*$/.test(flags)) {
+            throw new Error(`unsupported flags "${flags}" (use i, m, s or u)`);
+        }
+
+        const regex = new RegExp(source, flags + 'g'); // Throws "Invalid regular expression: ..."
+        if (regex.test('')) {
+            throw new Error('the pattern matches empty text');
+        }
+        return { name: name.toLowerCase(), pattern: source, flags, regex };
+    }
+
+    // A list of user patterns; errors name the line so the options page can point at it
+    function parseRedactionPatterns(entries) {
+        const list = (Array.isArray(entries) ? entries : String(entries || '').split('\n'))
+            .filter(entry => entry && (typeof entry === 'object' || String(entry).trim()));
+        if (list.length > MAX_PATTERNS) {
+            throw new Error(`At most ${MAX_PATTERNS} redaction patterns are allowed`);
+        }
+        return list.map((entry, index) => {
+            try {
+                return parseRedactionPattern(entry);
+            } catch (error) {
+                throw new Error(`Redaction pattern ${index + 1}: ${error.message}`);
+            }
+        });
+    }
+
+    // Settings from the options page or a client's redaction.json, checked and
+    // ready for redactContent
+    function normalizeRedactionOptions(options = {}) {
+        const mode = options.mode || 'mask';
+        if (!REDACTION_MODES.includes(mode)) {
+            throw new Error(`Unknown redaction mode "${mode}" (use ${REDACTION_MODES.join(', ')})`);
+        }
+        const types = REDACTION_DETECTORS.map(detector => detector.type);
+        const disabled = Array.isArray(options.disabled) ? options.disabled.filter(type => types.includes(type)) : [];
+        return { mode, disabled, patterns: parseRedactionPatterns(options.patterns) };
+    }
+
+    // Returns { content, findings: [{ type, label, count }], blocked }. In block
+    // mode the content is returned unchanged: the caller must not store it.
+    function redactContent(content, options = {}) {
+        const { mode = 'mask', disabled = [], patterns = [] } = options;
+        if (mode === 'off' || typeof content !== 'string') {
+            return { content, findings: [], blocked: false };
+        }
+
+        const detectors = REDACTION_DETECTORS
+            .filter(detector => !disabled.includes(detector.type))
+            .concat(patterns.map(pattern => ({ type: pattern.name, label: pattern.name, pattern: pattern.regex })));
+
+        const findings = [];
+        let redacted = content;
+        detectors.forEach(detector => {
+            let count = 0;
+            detector.pattern.lastIndex = 0;
+            redacted = redacted.replace(detector.pattern, (match, prefix) => {
+                if (detector.validate && !detector.validate(match)) return match;
+                count++;
+                return (detector.keepPrefix ? prefix : '') + getRedactionMask(detector.type);
+            });
+            if (count > 0) {
+                const existing = findings.find(finding => finding.type === detector.type);
+                if (existing) {
+                    existing.count += count;
+                } else {
+                    findings.push({ type: detector.type, label: detector.label, count });
+                }
+            }
+        });
+
+        return {
+            content: mode === 'mask' ? redacted : content,
+            findings,
+            blocked: mode === 'block' && findings.length > 0
+        };
+    }
+
+    // Combine reports, e.g. the extension's and the client's second pass.
+    // Untrusted entries (from a request body) are checked on the way.
+    function mergeRedactionFindings(...reports) {
+        const merged = [];
+        reports.forEach(report => {
+            (Array.isArray(report) ? report : []).forEach(finding => {
+                if (!finding || typeof finding.type !== 'string' || !PATTERN_NAME.test(finding.type)) return;
+                const count = Number.isInteger(finding.count) && finding.count > 0 ? finding.count : 1;
+                const existing = merged.find(entry => entry.type === finding.type);
+                if (existing) {
+                    existing.count += count;
+                } else {
+                    const detector = REDACTION_DETECTORS.find(entry => entry.type === finding.type);
+                    merged.push({ type: finding.type, label: detector ? detector.label : finding.type, count });
+                }
+            });
+        });
+        return merged;
+    }
+
+    // "2 × email address, 1 × JWT"
+    function describeRedactionFindings(findings) {
+        return (findings || []).map(finding => `${finding.count} × ${finding.label || finding.type}`).join(', ');
+    }
+
+    const api = {
+        REDACTION_MODES,
+        REDACTION_DETECTORS,
+        getRedactionMask,
+        parseRedactionPatterns,
+        normalizeRedactionOptions,
+        redactContent,
+        mergeRedactionFindings,
+        describeRedactionFindings
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    } else {
+        Object.assign(root, api);
+    }
+})(typeof self !== 'undefined' ? self : this);
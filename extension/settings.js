@@ -0,0 +1,69 @@
+/*
+ * MCP Memory System - Shared Settings
+ * ===================================
+ *
+ * Defaults and helpers for the settings edited on the options page.
+ * Loaded by the content script, the popup and the options page; values
+ * live in chrome.storage.sync so every tab and device sees the same ones.
+ */
+
+const MCP_DEFAULT_SETTINGS = {
+    clientUrl: 'http://localhost:3001',
+    autoSend: true,
+    debug: true,
+    watchMode: false,
+    allowedDomains: [],      // When not empty, the extension only runs on these domains
+    deniedDomains: [],       // The extension never runs on these domains
+    manualSendDomains: [],   // Blocks are captured here but only sent on request
+    startMarker: '[MCP-START]',
+    endMarker: '[MCP-END]',
+    redactionMode: 'mask',   // mask, block or off (see redaction.js)
+    redactionDisabled: [],   // Built-in detectors that are turned off
+    redactionPatterns: []    // "name: regex" lines
+};
+
+function loadMCPSettings() {
+    return new Promise(resolve => {
+        chrome.storage.sync.get(MCP_DEFAULT_SETTINGS, items => {
+            resolve({ ...MCP_DEFAULT_SETTINGS, ...items });
+        });
+    });
+}
+
+function saveMCPSettings(settings) {
+    return new Promise((resolve, reject) => {
+        chrome.storage.sync.set(settings, () => {
+            if (chrome.runtime.lastError) {
+                reject(new Error(chrome.runtime.lastError.message));
+            } else {
+                resolve(settings);
+            }
+        });
+    });
+}
+
+// "example.com" and "*.example.com" both match example.com and its subdomains
+function domainMatches(hostname, pattern) {
+    const domain = pattern.trim().toLowerCase().replace(/^\*\./, '');
+    const host = hostname.toLowerCase();
+    return !!domain && (host === domain || host.endsWith('.' + domain));
+}
+
+function isDomainListed(hostname, list) {
+    return (list || []).some(pattern => domainMatches(hostname, pattern));
+}
+
+function isSiteEnabled(settings, hostname) {
+    if (isDomainListed(hostname, settings.deniedDomains)) {
+        return false;
+    }
+    return settings.allowedDomains.length === 0 || isDomainListed(hostname, settings.allowedDomains);
+}
+
+function isAutoSendEnabledFor(settings, hostname) {
+    return settings.autoSend && !isDomainListed(hostname, settings.manualSendDomains);
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -9,12 +9,26 @@ import {
   ListResourcesRequestSchema,
   ReadResourceRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
-import fs from "fs/promises";
 import path from "path";
+import Database from "better-sqlite3";
+import { EmbeddingStore, SEARCH_MODES, scoreMemories } from "../../shared/embeddings.js";
+import { MemoryStorage, openMemoryStorage } from "../../shared/storage/index.js";
+import { StoreLockedError } from "../../shared/encryption.js";
+import { TagEntities, TagRule, backfillTags, loadTagRules, tagMemory } from "../../shared/tagging.js";
+import { TRASH_RETENTION_DAYS, findExpiredTrash, markDeleted, splitTrash } from "../../shared/trash.js";
+import { loadRedactionConfig, redactStoreBlock } from "../../shared/redaction-config.js";
+import { RedactionFinding, RedactionOptions, describeRedactionFindings } from "../../../extension/redaction.js";
+import {
+  generateContentHash,
+  generateLegacyContentHash,
+  isLegacyContentHash
+} from "../../../extension/content-hash.js"; // Same hash as the extension and the HTTP clients
 
 interface MemoryEntry {
   id: string;
   content: string;
+  contentHash?: string;
+  legacyContentHash?: string;
   timestamp: string;
   source: {
     url: string;
@@ -22,17 +36,32 @@ interface MemoryEntry {
     userAgent?: string;
   };
   tags: string[];
+  autoTags?: string[];
+  entities?: TagEntities;
+  tagger?: string;
   wordCount: number;
   formatVersion?: string;
+  redactions?: RedactionFinding[];
+  // Set while the memory is in the trash
+  deletedAt?: string;
 }
 
 class MemoryStorageServer {
   private server: Server;
   private memoryStore: MemoryEntry[] = [];
-  private storageFile: string;
+  // Deleted memories; the MCP clients list, restore and purge them
+  private trash: MemoryEntry[] = [];
+  private dataDir: string;
+  private storage: MemoryStorage<MemoryEntry> | null = null;
+  private embeddings: EmbeddingStore;
+  private tagRules: TagRule[] = [];
+  private redaction: RedactionOptions = { mode: 'mask', disabled: [], patterns: [] };
+  private unsavedChanges = false; // A write failed; memory and disk may disagree
 
   constructor() {
-    this.storageFile = path.join(__dirname, '../data/memories.json');
+    this.dataDir = path.join(__dirname, '../data');
+    // Vectors for semantic search live next to the memories
+    this.embeddings = new EmbeddingStore(path.join(this.dataDir, 'embeddings.json'));
     
     this.server = new Server({
       name: "memory-storage-server",
@@ -49,52 +78,103 @@ class MemoryStorageServer {
 
   private async loadMemories() {
     try {
-      // Ensure data directory exists
-      await fs.mkdir(path.dirname(this.storageFile), { recursive: true });
-      
-      const data = await fs.readFile(this.storageFile, 'utf8');
-      this.memoryStore = JSON.parse(data);
-      console.log(`📚 Memory server loaded ${this.memoryStore.length} memories`);
-    } catch (error: any) {
-      if (error.code !== 'ENOENT') {
-        console.error('❌ Error loading memories:', error);
+      // User-defined regex -> tag rules, shared with the HTTP client
+      this.tagRules = await loadTagRules(process.env.MCP_TAG_RULES || path.join(this.dataDir, 'tag-rules.json'));
+      // And their redaction settings: Claude's blocks are redacted like the extension's
+      this.redaction = await loadRedactionConfig(
+        process.env.MCP_REDACTION_CONFIG || path.join(this.dataDir, 'redaction.json')
+      );
+
+      // memories.json from before storage backends seeds a new store. stdin is
+      // the MCP connection, so an encrypted store needs MCP_PASSPHRASE(_FILE).
+      this.storage = await openMemoryStorage<MemoryEntry>({
+        basePath: path.join(this.dataDir, 'memories'),
+        sqlite: Database,
+        importFrom: path.join(this.dataDir, 'memories.json'),
+        prompt: false
+      });
+      ({ memories: this.memoryStore, trash: this.trash } = splitTrash(await this.storage.load()));
+      const expired = findExpiredTrash(this.trash);
+      if (expired.length > 0) {
+        await this.storage.write({ remove: expired });
+        this.trash = this.trash.filter(memory => !expired.includes(memory.id));
+        console.log(`🔥 Purged ${expired.length} memories from the trash`);
+      }
+      const migrated = this.migrateContentHashes();
+      if (migrated.length > 0) {
+        await this.storage.write({ put: migrated });
+        console.log(`🔑 Added v2 content hashes to ${migrated.length} memories`);
       }
+      console.log(`📚 Memory server loaded ${this.memoryStore.length} memories from ${this.storage.file}`);
+      
+      // Embed memories stored before semantic search (or by the HTTP client while we were down);
+      // next to an encrypted store the vectors stay in memory
+      await this.embeddings.load({ persist: !this.storage.encrypted });
+      await this.embeddings.update(this.memoryStore);
+
+      // Re-tag memories from older taggers in the background
+      backfillTags(() => this.memoryStore, {
+        rules: this.tagRules,
+        save: batch => this.saveMemories({ put: batch })
+      }).then(({ retagged, version }) => {
+        if (retagged > 0) console.log(`🏷️ Re-tagged ${retagged} memories (tagger ${version})`);
+      }).catch(error => console.error('❌ Error re-tagging memories:', error));
+    } catch (error) {
+      if (error instanceof StoreLockedError) throw error;
+      console.error('❌ Error loading memories:', error);
       this.memoryStore = [];
+      this.trash = [];
       console.log('📚 Starting with empty memory store');
     }
   }
 
-  private async saveMemories() {
+  // The HTTP client writes to the same store; reload when it has
+  private async refreshMemories() {
+    if (!this.storage) return;
+    // After a failed write the store on disk is what counts again
+    if (!await this.storage.hasExternalChanges() && !this.unsavedChanges) return;
+    this.unsavedChanges = false;
+
+    ({ memories: this.memoryStore, trash: this.trash } = splitTrash(await this.storage.load()));
+    await this.embeddings.update(this.memoryStore);
+    console.log(`🔄 Reloaded ${this.memoryStore.length} memories changed by another process`);
+  }
+
+  // Persist one change (entries to upsert or ids to remove) atomically.
+  // Throws when the store could not be written, so the tool call fails.
+  private async saveMemories(changes: { put?: MemoryEntry[]; remove?: string[] }) {
     try {
-      await fs.writeFile(this.storageFile, JSON.stringify(this.memoryStore, null, 2));
+      await this.storage!.write(changes);
+      await this.embeddings.update(this.memoryStore);
     } catch (error) {
       console.error('❌ Error saving memories:', error);
+      this.unsavedChanges = true;
+      throw error;
     }
   }
 
-  private generateId(): string {
-    return 'mem_' + Date.now().toString(36) + Math.random().toString(36).substr(2);
+  // Entries from before the v2 hash get one, as the HTTP clients do on load.
+  // Returns the entries that changed.
+  private migrateContentHashes(): MemoryEntry[] {
+    const migrated: MemoryEntry[] = [];
+    for (const memory of this.memoryStore) {
+      if (memory.contentHash && !isLegacyContentHash(memory.contentHash)) continue;
+      memory.legacyContentHash = memory.contentHash || generateLegacyContentHash(memory.content);
+      memory.contentHash = generateContentHash(memory.content);
+      migrated.push(memory);
+    }
+    return migrated;
   }
 
-  private extractTags(content: string): string[] {
-    const tags: string[] = [];
-    
-    // Extract hashtags
-    const hashtags = content.match(/#[\w]+/g);
-    if (hashtags) tags.push(...hashtags.map(tag => tag.substring(1)));
-    
-    // Detect content types
-    if (content.includes('```') || content.includes('function') || content.includes('class')) {
-      tags.push('code');
-    }
-    if (content.includes('TODO') || content.includes('FIXME')) {
-      tags.push('todo');
-    }
-    if (content.includes('http://') || content.includes('https://')) {
-      tags.push('url');
-    }
-    
-    return [...new Set(tags)];
+  // Legacy hashes are still accepted while older extensions are around
+  private findMemoryByHash(hash: string): MemoryEntry | undefined {
+    return this.memoryStore.find(memory =>
+      memory.contentHash === hash || memory.legacyContentHash === hash
+    );
+  }
+
+  private generateId(): string {
+    return 'mem_' + Date.now().toString(36) + Math.random().toString(36).substr(2);
   }
 
   private setupHandlers() {
@@ -143,7 +223,13 @@ class MemoryStorageServer {
               query: { type: "string", description: "Search query" },
               tags: { type: "string", description: "Comma-separated tags" },
               limit: { type: "number", description: "Max results", default: 10 },
-              since: { type: "string", description: "ISO timestamp for date filter" }
+              since: { type: "string", description: "ISO timestamp for date filter" },
+              mode: {
+                type: "string",
+                enum: SEARCH_MODES,
+                default: "keyword",
+                description: "keyword: substring match; semantic: nearest neighbours by embedding; hybrid: both scores combined"
+              }
             }
           }
         },
@@ -160,7 +246,7 @@ class MemoryStorageServer {
         },
         {
           name: "delete_memory",
-          description: "Delete memory by ID",
+          description: "Move a memory to the trash by ID (restorable from an MCP client until the trash is purged)",
           inputSchema: {
             type: "object",
             properties: {
@@ -183,6 +269,7 @@ class MemoryStorageServer {
     // Handle tool calls
     this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
       const { name, arguments: args } = request.params;
+      await this.refreshMemories();
       
       switch (name) {
         case "store_memory":
@@ -221,6 +308,7 @@ class MemoryStorageServer {
     // Handle resource reads
     this.server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
       const { uri } = request.params;
+      await this.refreshMemories();
       
       switch (uri) {
         case "memory://stats":
@@ -263,45 +351,83 @@ class MemoryStorageServer {
     }
 
     const storedMemories: MemoryEntry[] = [];
+    let duplicates = 0;
+    let blocked = 0;
     
     for (const block of blocks) {
+      // Same second redaction pass as the HTTP clients' /mcp/store, before hashing
+      const redaction = redactStoreBlock({ content: block.content || '', redactions: block.redactions }, this.redaction);
+      const content = redaction.content;
+      if (redaction.blocked) {
+        blocked++;
+        console.warn(`🛑 Not storing a block with ${describeRedactionFindings(redaction.findings)}`);
+        continue;
+      }
+      const contentHash = generateContentHash(content);
+      
+      // Same duplicate check as the HTTP clients' /mcp/store
+      if (this.findMemoryByHash(contentHash)) {
+        duplicates++;
+        console.log(`🔄 Skipped duplicate content (hash: ${contentHash})`);
+        continue;
+      }
+      
       const memory: MemoryEntry = {
         id: this.generateId(),
-        content: block.content || '',
+        content: content,
+        contentHash: contentHash,
+        legacyContentHash: generateLegacyContentHash(content),
         timestamp: block.timestamp || new Date().toISOString(),
         source: {
           url: metadata.url || 'unknown',
           title: metadata.title || 'unknown',
           userAgent: metadata.userAgent
         },
-        tags: this.extractTags(block.content || ''),
-        wordCount: block.wordCount || (block.content || '').split(/\s+/).length,
+        tags: [],
+        wordCount: block.wordCount || content.split(/\s+/).length,
         formatVersion: block.formatVersion || 'legacy'
       };
+      if (redaction.redactions.length > 0) {
+        memory.redactions = redaction.redactions;
+        console.log(`🔒 Redacted ${describeRedactionFindings(redaction.redactions)} (${memory.id})`);
+      }
+      tagMemory(memory, [], this.tagRules);
       
       this.memoryStore.push(memory);
       storedMemories.push(memory);
     }
 
-    await this.saveMemories();
+    await this.saveMemories({ put: storedMemories });
     
-    console.log(`📝 Stored ${storedMemories.length} memories. Total: ${this.memoryStore.length}`);
+    console.log(`📝 Stored ${storedMemories.length} memories, skipped ${duplicates} duplicates` +
+      (blocked > 0 ? ` and ${blocked} blocked for secrets` : '') + `. Total: ${this.memoryStore.length}`);
     
     return {
       content: [{
         type: "text",
-        text: `Successfully stored ${storedMemories.length} memories. Total memories: ${this.memoryStore.length}`
+        text: `Successfully stored ${storedMemories.length} memories` +
+          (duplicates > 0 ? `, skipped ${duplicates} duplicates` : '') +
+          (blocked > 0 ? `, did not store ${blocked} containing secrets` : '') +
+          `. Total memories: ${this.memoryStore.length}`
       }],
       isError: false
     };
   }
 
   private async searchMemories(args: any) {
-    const { query, tags, limit = 10, since } = args || {};
+    const { query, tags, limit = 10, since, mode = 'keyword' } = args || {};
+    
+    if (!SEARCH_MODES.includes(mode)) {
+      throw new Error(`mode must be one of: ${SEARCH_MODES.join(', ')}`);
+    }
     
     let filtered = [...this.memoryStore];
+    let scores: Map<string, number> | null = null;
     
-    if (query) {
+    if (query && mode !== 'keyword') {
+      scores = scoreMemories(this.embeddings, this.memoryStore, query, mode);
+      filtered = filtered.filter(memory => scores!.has(memory.id));
+    } else if (query) {
       const queryLower = query.toLowerCase();
       filtered = filtered.filter(memory => 
         memory.content.toLowerCase().includes(queryLower) ||
@@ -323,18 +449,21 @@ class MemoryStorageServer {
       );
     }
     
-    filtered.sort((a, b) => new Date(b.timestamp).getTime() - new Date(a.timestamp).getTime());
+    // Semantic and hybrid results are ranked by score, keyword results by date
+    filtered.sort((a, b) => scores
+      ? scores.get(b.id)! - scores.get(a.id)!
+      : new Date(b.timestamp).getTime() - new Date(a.timestamp).getTime());
     filtered = filtered.slice(0, limit);
     
     return {
       content: [{
         type: "text",
         text: JSON.stringify({
-          results: filtered,
+          results: scores ? filtered.map(memory => ({ ...memory, score: scores!.get(memory.id) })) : filtered,
           total: this.memoryStore.length,
           filtered: filtered.length,
           query: query,
-          searchParams: { tags, since, limit }
+          searchParams: { tags, since, limit, mode }
         }, null, 2)
       }]
     };
@@ -356,6 +485,7 @@ class MemoryStorageServer {
     };
   }
 
+  // Deleted memories go to the trash, like deletes through the MCP clients
   private async deleteMemory(args: any) {
     const { id } = args || {};
     const index = this.memoryStore.findIndex(m => m.id === id);
@@ -365,14 +495,16 @@ class MemoryStorageServer {
     }
     
     const deleted = this.memoryStore.splice(index, 1)[0];
-    await this.saveMemories();
+    markDeleted([deleted]);
+    this.trash.push(deleted);
+    await this.saveMemories({ put: [deleted] });
     
-    console.log(`🗑️ Deleted memory: ${deleted.id}`);
+    console.log(`🗑️ Moved memory ${deleted.id} to the trash`);
     
     return {
       content: [{
         type: "text",
-        text: `Successfully deleted memory: ${deleted.id}`
+        text: `Moved memory ${deleted.id} to the trash. It can be restored from an MCP client for ${TRASH_RETENTION_DAYS} days.`
       }]
     };
   }
@@ -395,6 +527,7 @@ class MemoryStorageServer {
     
     return {
       totalMemories: this.memoryStore.length,
+      trashedMemories: this.trash.length,
       totalWords,
       averageWordsPerMemory: this.memoryStore.length > 0 ? Math.round(totalWords / this.memoryStore.length) : 0,
       lastUpdated: this.memoryStore.length > 0 ? 
@@ -10,6 +10,18 @@ import {
   DeleteObjectCommand,
   ListObjectsV2Command 
 } from '@aws-sdk/client-s3';
+import { MemoryCipher, createKeyring, readPassphrase, unlockKeyring } from "../../shared/encryption.js";
+
+// Keyring of encrypted memories, outside the memory prefix so listings skip it
+const KEYRING_KEY = 'encryption/keyring.json';
+
+// S3 object metadata headers, and the memory field each one exposes
+const METADATA_FIELDS: Record<string, string> = {
+  'word-count': 'wordCount',
+  'format-version': 'formatVersion',
+  'tags': 'tags',
+  'source-url': 'source'
+};
 
 interface MemoryEntry {
   id: string;
@@ -30,6 +42,7 @@ class S3StorageServer {
   private s3Client: S3Client;
   private bucketName: string;
   private prefix: string;
+  private cipher: MemoryCipher | null = null;
 
   constructor() {
     // Get configuration from environment variables
@@ -280,16 +293,9 @@ class S3StorageServer {
       const putCommand = new PutObjectCommand({
         Bucket: this.bucketName,
         Key: key,
-        Body: JSON.stringify(memory, null, 2),
+        Body: JSON.stringify(this.cipher ? this.cipher.seal(memory) : memory, null, 2),
         ContentType: 'application/json',
-        Metadata: {
-          'memory-id': memory.id,
-          'timestamp': memory.timestamp,
-          'word-count': memory.wordCount.toString(),
-          'format-version': memory.formatVersion || 'legacy',
-          'tags': memory.tags.join(','),
-          'source-url': memory.source.url
-        }
+        Metadata: this.getObjectMetadata(memory)
       });
       
       await this.s3Client.send(putCommand);
@@ -306,6 +312,67 @@ class S3StorageServer {
     };
   }
 
+  // Object metadata is never encrypted, so sealed fields stay out of it
+  private getObjectMetadata(memory: MemoryEntry): Record<string, string> {
+    const values: Record<string, string> = {
+      'word-count': memory.wordCount.toString(),
+      'format-version': memory.formatVersion || 'legacy',
+      'tags': memory.tags.join(','),
+      'source-url': memory.source.url
+    };
+    const metadata: Record<string, string> = {
+      'memory-id': memory.id,
+      'timestamp': memory.timestamp
+    };
+    Object.entries(values).forEach(([name, value]) => {
+      if (!this.cipher || this.cipher.plaintextFields.includes(METADATA_FIELDS[name])) {
+        metadata[name] = value;
+      }
+    });
+    return metadata;
+  }
+
+  // Memories stored before encryption was turned on are read as they are
+  private parseMemory(body: string): MemoryEntry {
+    const memory = JSON.parse(body);
+    if (!memory.sealed) return memory as MemoryEntry;
+    if (!this.cipher) {
+      throw new Error(`Memory ${memory.id} is encrypted - set MCP_PASSPHRASE to read it`);
+    }
+    return this.cipher.open<MemoryEntry>(memory);
+  }
+
+  // With MCP_PASSPHRASE (or MCP_PASSPHRASE_FILE) memories are encrypted before
+  // upload. The first start creates the keyring in the bucket; later starts
+  // unlock it, so a wrong passphrase stops the server.
+  private async unlockEncryption() {
+    const passphrase = await readPassphrase({ prompt: false });
+    if (!passphrase) return;
+
+    let keyring = null;
+    try {
+      const response = await this.s3Client.send(new GetObjectCommand({ Bucket: this.bucketName, Key: KEYRING_KEY }));
+      keyring = response.Body ? JSON.parse(await response.Body.transformToString()) : null;
+    } catch (error: any) {
+      if (error.name !== 'NoSuchKey') throw error;
+    }
+
+    if (keyring) {
+      this.cipher = await unlockKeyring(keyring, passphrase);
+      console.log(`🔓 Encryption on (key ${this.cipher.keyId})`);
+      return;
+    }
+
+    this.cipher = await createKeyring(passphrase, { plaintextFields: process.env.MCP_ENCRYPTION_PLAINTEXT });
+    await this.s3Client.send(new PutObjectCommand({
+      Bucket: this.bucketName,
+      Key: KEYRING_KEY,
+      Body: JSON.stringify(this.cipher.keyring, null, 2),
+      ContentType: 'application/json'
+    }));
+    console.log(`🔒 Encryption on: created key ${this.cipher.keyId} (${KEYRING_KEY})`);
+  }
+
   private async searchS3Memories(args: any) {
     const { query, limit = 10, prefix: searchPrefix } = args;
     
@@ -349,7 +416,7 @@ class S3StorageServer {
             const getResponse = await this.s3Client.send(getCommand);
             if (getResponse.Body) {
               const content = await getResponse.Body.transformToString();
-              const memory = JSON.parse(content) as MemoryEntry;
+              const memory = this.parseMemory(content);
               
               if (memory.content.toLowerCase().includes(queryLower) ||
                   memory.tags.some(tag => tag.toLowerCase().includes(queryLower))) {
@@ -419,7 +486,7 @@ class S3StorageServer {
       }
 
       const content = await response.Body.transformToString();
-      const memory = JSON.parse(content) as MemoryEntry;
+      const memory = this.parseMemory(content);
       
       return {
         content: [{
@@ -477,7 +544,8 @@ class S3StorageServer {
         backupName,
         timestamp,
         memoryCount: memories.length,
-        memories,
+        memories: this.cipher ? memories.map((memory: MemoryEntry) => this.cipher!.seal(memory)) : memories,
+        keyring: this.cipher ? this.cipher.keyring : undefined,
         metadata: {
           createdBy: 's3-storage-server',
           version: '1.0.0'
@@ -576,6 +644,8 @@ class S3StorageServer {
     console.log(`   Prefix: ${this.prefix}`);
     console.log(`   Region: ${process.env.AWS_REGION || 'us-east-1'}`);
     
+    await this.unlockEncryption();
+    
     const transport = new StdioServerTransport();
     await this.server.connect(transport);
     console.log('🚀 S3 Storage MCP Server started (stdio transport)');
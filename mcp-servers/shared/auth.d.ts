@@ -0,0 +1,46 @@
+// Types for auth.js, which the TypeScript client requires at runtime
+
+import type { Request, RequestHandler } from 'express';
+import type { CorsOptions } from 'cors';
+
+export interface AuthToken {
+  id: string;
+  name: string;
+  scope: string;
+  hash: string;
+  createdAt: string;
+}
+
+export declare const AUTH_SCOPES: string[];
+export declare const PAIRING_CODE_TTL_MS: number;
+
+export declare class AuthStore {
+  constructor(file: string, options?: { defaultOrigins?: string[] });
+  file: string;
+  tokens: AuthToken[];
+  allowedOrigins: string[];
+  load(): Promise<void>;
+  refresh(): Promise<void>;
+  save(): Promise<void>;
+  createToken(options: { name?: string; scope: string }): Promise<{ token: string; record: AuthToken }>;
+  revokeToken(id: string): Promise<boolean>;
+  listTokens(): Omit<AuthToken, 'hash'>[];
+  findToken(token: string | null): AuthToken | null;
+  createPairingCode(ttlMs?: number): Promise<{ code: string; expiresAt: string }>;
+  redeemPairingCode(
+    code: string,
+    options?: { name?: string; origin?: string }
+  ): Promise<{ token: string; record: AuthToken } | { error: string }>;
+  isOriginAllowed(origin: string): boolean;
+  allowOrigin(origin: string): Promise<boolean>;
+  removeOrigin(origin: string): Promise<boolean>;
+}
+
+export declare function createCorsOptions(
+  auth: AuthStore
+): (req: Request, callback: (error: Error | null, options?: CorsOptions) => void) => void;
+export declare function createAuthMiddleware(auth: AuthStore, options?: { publicPaths?: string[] }): RequestHandler;
+export declare function createPairingRoute(auth: AuthStore): RequestHandler;
+export declare function getDefaultOrigins(port: number): string[];
+export declare function announcePairing(auth: AuthStore): Promise<void>;
+export declare function getRequestToken(req: Request): string | null;
@@ -0,0 +1,314 @@
+// auth.js
+// Access control for the HTTP API of both MCP clients. Without it any website
+// open in the browser could read or wipe the store through localhost.
+//
+// Every request needs a bearer token (Authorization: Bearer mcp_...). Tokens
+// have a scope: `read` allows GET requests only (e.g. for Claude), `write`
+// allows everything (the extension, the web interface). Requests from a
+// browser must also come from an allowed origin: the client's own pages,
+// paired extensions and any origin listed in MCP_ALLOWED_ORIGINS.
+//
+// The extension gets its token by pairing: `npm run auth -- pair` (or the
+// client on first start) prints a one-time code, which the options page sends
+// to POST /auth/pair. Pairing also allows the extension's origin.
+//
+// Tokens are kept in auth.json as SHA-256 hashes, next to the pairing code
+// hash and the allowed origins. The file is re-read when another process
+// (the CLI) changes it, so new tokens work without a restart.
+
+const fs = require('fs').promises;
+const crypto = require('crypto');
+
+const AUTH_SCOPES = ['read', 'write'];
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const PAIRING_CODE_TTL_MS = 10 * 60 * 1000;
+const MAX_PAIRING_ATTEMPTS = 5;
+const PAIRING_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I
+const EXTENSION_ORIGIN_PATTERN = /^(chrome|moz)-extension:\/\/[a-z0-9-]+$/i;
+
+function hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function safeEqual(a, b) {
+    return a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
+
+function normalizeOrigin(origin) {
+    return String(origin).trim().replace(/\/+$/, '').toLowerCase();
+}
+
+// "ABCD-EFGH" - easy to read from a terminal and type into the options page
+function createPairingCodeText() {
+    const chars = [...crypto.randomBytes(8)].map(byte => PAIRING_ALPHABET[byte % PAIRING_ALPHABET.length]);
+    return `${chars.slice(0, 4).join('')}-${chars.slice(4).join('')}`;
+}
+
+function normalizePairingCode(code) {
+    return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+// The token from an Authorization header, or ?token= on GET requests
+// (links and EventSource cannot send headers)
+function getRequestToken(req) {
+    const header = req.headers.authorization || '';
+    const bearer = header.match(/^Bearer\s+(\S+)$/i);
+    if (bearer) return bearer[1];
+    if (READ_METHODS.includes(req.method) && req.query && typeof req.query.token === 'string') {
+        return req.query.token;
+    }
+    return null;
+}
+
+function scopeAllows(scope, method) {
+    return scope === 'write' || (scope === 'read' && READ_METHODS.includes(method));
+}
+
+class AuthStore {
+    // defaultOrigins are always allowed (the client's own web interface)
+    constructor(file, { defaultOrigins = [] } = {}) {
+        this.file = file;
+        this.defaultOrigins = defaultOrigins.map(normalizeOrigin);
+        this.tokens = [];
+        this.allowedOrigins = [];
+        this.pairing = null; // { hash, expiresAt, attempts }
+        this.mtimeMs = 0;
+    }
+
+    async load() {
+        let data;
+        try {
+            const [text, stats] = await Promise.all([fs.readFile(this.file, 'utf8'), fs.stat(this.file)]);
+            data = JSON.parse(text);
+            this.mtimeMs = stats.mtimeMs;
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw new Error(`Cannot read ${this.file}: ${error.message}`);
+            data = {};
+        }
+
+        this.tokens = Array.isArray(data.tokens)
+            ? data.tokens.filter(token => token && token.hash && AUTH_SCOPES.includes(token.scope))
+            : [];
+        this.allowedOrigins = Array.isArray(data.allowedOrigins) ? data.allowedOrigins.map(normalizeOrigin) : [];
+        this.pairing = data.pairing && data.pairing.hash ? data.pairing : null;
+    }
+
+    // Reload when the file was changed by another process (the CLI)
+    async refresh() {
+        try {
+            const stats = await fs.stat(this.file);
+            if (stats.mtimeMs !== this.mtimeMs) await this.load();
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+
+    async save() {
+        const data = {
+            tokens: this.tokens,
+            allowedOrigins: this.allowedOrigins,
+            pairing: this.pairing
+        };
+        const tempFile = `${this.file}.${process.pid}.tmp`;
+        await fs.writeFile(tempFile, JSON.stringify(data, null, 2), { mode: 0o600 });
+        await fs.rename(tempFile, this.file);
+        this.mtimeMs = (await fs.stat(this.file)).mtimeMs;
+    }
+
+    // Returns the token itself once; only its hash is stored
+    async createToken({ name, scope }) {
+        if (!AUTH_SCOPES.includes(scope)) {
+            throw new Error(`Unknown scope "${scope}" (use ${AUTH_SCOPES.join(' or ')})`);
+        }
+        const token = `mcp_${crypto.randomBytes(32).toString('base64url')}`;
+        const record = {
+            id: crypto.randomBytes(4).toString('hex'),
+            name: String(name || 'unnamed').substring(0, 100),
+            scope,
+            hash: hashSecret(token),
+            createdAt: new Date().toISOString()
+        };
+        this.tokens.push(record);
+        await this.save();
+        return { token, record };
+    }
+
+    async revokeToken(id) {
+        const count = this.tokens.length;
+        this.tokens = this.tokens.filter(token => token.id !== id);
+        if (this.tokens.length === count) return false;
+        await this.save();
+        return true;
+    }
+
+    listTokens() {
+        return this.tokens.map(({ id, name, scope, createdAt }) => ({ id, name, scope, createdAt }));
+    }
+
+    findToken(token) {
+        if (!token) return null;
+        const hash = hashSecret(token);
+        return this.tokens.find(record => safeEqual(record.hash, hash)) || null;
+    }
+
+    // A new one-time pairing code, replacing any previous one
+    async createPairingCode(ttlMs = PAIRING_CODE_TTL_MS) {
+        const code = createPairingCodeText();
+        this.pairing = {
+            hash: hashSecret(normalizePairingCode(code)),
+            expiresAt: new Date(Date.now() + ttlMs).toISOString(),
+            attempts: 0
+        };
+        await this.save();
+        return { code, expiresAt: this.pairing.expiresAt };
+    }
+
+    // Trade a pairing code for a write token. Wrong codes count against the
+    // code, which is dropped after MAX_PAIRING_ATTEMPTS so it can't be guessed.
+    async redeemPairingCode(code, { name, origin } = {}) {
+        const pairing = this.pairing;
+        if (!pairing || Date.parse(pairing.expiresAt) < Date.now()) {
+            return { error: 'No pairing code is active - create one with `npm run auth -- pair`' };
+        }
+
+        if (!safeEqual(hashSecret(normalizePairingCode(code)), pairing.hash)) {
+            pairing.attempts++;
+            if (pairing.attempts >= MAX_PAIRING_ATTEMPTS) this.pairing = null;
+            await this.save();
+            return { error: this.pairing ? 'Wrong pairing code' : 'Wrong pairing code - too many attempts, create a new one' };
+        }
+
+        this.pairing = null;
+        if (origin && EXTENSION_ORIGIN_PATTERN.test(origin)) {
+            const normalized = normalizeOrigin(origin);
+            if (!this.allowedOrigins.includes(normalized)) this.allowedOrigins.push(normalized);
+        }
+        return this.createToken({ name: name || 'Paired client', scope: 'write' });
+    }
+
+    isOriginAllowed(origin) {
+        const normalized = normalizeOrigin(origin);
+        return this.defaultOrigins.includes(normalized) || this.allowedOrigins.includes(normalized);
+    }
+
+    async allowOrigin(origin) {
+        const normalized = normalizeOrigin(origin);
+        if (!/^[a-z][a-z0-9+.-]*:\/\/[^\s/]+$/.test(normalized)) {
+            throw new Error(`"${origin}" is not an origin (e.g. http://localhost:8080)`);
+        }
+        if (this.allowedOrigins.includes(normalized)) return false;
+        this.allowedOrigins.push(normalized);
+        await this.save();
+        return true;
+    }
+
+    async removeOrigin(origin) {
+        const normalized = normalizeOrigin(origin);
+        if (!this.allowedOrigins.includes(normalized)) return false;
+        this.allowedOrigins = this.allowedOrigins.filter(allowed => allowed !== normalized);
+        await this.save();
+        return true;
+    }
+}
+
+// CORS options for the cors package: only allowed origins get CORS headers.
+// Extensions may call POST /auth/pair before their origin is allowed.
+function createCorsOptions(auth) {
+    return (req, callback) => {
+        const origin = req.headers.origin;
+        const allowed = !origin || auth.isOriginAllowed(origin) ||
+            (req.path === '/auth/pair' && EXTENSION_ORIGIN_PATTERN.test(origin));
+        callback(null, {
+            origin: allowed ? origin || false : false,
+            methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
+            allowedHeaders: ['Content-Type', 'Authorization']
+        });
+    };
+}
+
+// Express middleware: reject browser requests from other origins (403), then
+// requests without a valid token (401) or with a read token on a write (403).
+// publicPaths (exact GET paths, e.g. the web interface page) need no token.
+function createAuthMiddleware(auth, { publicPaths = [] } = {}) {
+    return async (req, res, next) => {
+        try {
+            await auth.refresh();
+        } catch (error) {
+            return next(error);
+        }
+
+        const origin = req.headers.origin;
+        const pairing = req.method === 'POST' && req.path === '/auth/pair';
+        if (origin && !auth.isOriginAllowed(origin) && !(pairing && EXTENSION_ORIGIN_PATTERN.test(origin))) {
+            console.warn(`🚫 Rejected ${req.method} ${req.path} from origin ${origin}`);
+            return res.status(403).json({ error: `Origin ${origin} is not allowed` });
+        }
+
+        if (pairing || (READ_METHODS.includes(req.method) && publicPaths.includes(req.path))) {
+            return next();
+        }
+
+        const record = auth.findToken(getRequestToken(req));
+        if (!record) {
+            return res.status(401)
+                .set('WWW-Authenticate', 'Bearer realm="mcp"')
+                .json({ error: 'Missing or invalid access token - pair the extension or create a token with `npm run auth -- token`' });
+        }
+        if (!scopeAllows(record.scope, req.method)) {
+            return res.status(403).json({ error: `The "${record.name}" token is ${record.scope}-only` });
+        }
+
+        req.auth = { tokenId: record.id, name: record.name, scope: record.scope };
+        next();
+    };
+}
+
+// POST /auth/pair { code, name } -> { success, token, scope }
+function createPairingRoute(auth) {
+    return async (req, res) => {
+        try {
+            const { code, name } = req.body || {};
+            if (!code) {
+                return res.status(400).json({ error: 'A pairing code is required' });
+            }
+
+            const result = await auth.redeemPairingCode(code, { name, origin: req.headers.origin });
+            if (result.error) {
+                console.warn(`🔐 Pairing failed: ${result.error}`);
+                return res.status(403).json({ error: result.error });
+            }
+
+            console.log(`🔐 Paired "${result.record.name}" (token ${result.record.id}, ${result.record.scope})`);
+            res.json({ success: true, token: result.token, id: result.record.id, scope: result.record.scope });
+        } catch (error) {
+            console.error('❌ Error pairing:', error);
+            res.status(500).json({ error: 'Failed to pair' });
+        }
+    };
+}
+
+// Origins of the client's own pages, plus MCP_ALLOWED_ORIGINS (comma separated)
+function getDefaultOrigins(port) {
+    const extra = (process.env.MCP_ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+    return [`http://localhost:${port}`, `http://127.0.0.1:${port}`, ...extra];
+}
+
+// On a first start there is nothing to authenticate with yet: print a pairing code
+async function announcePairing(auth) {
+    if (auth.tokens.length > 0) return;
+    const { code, expiresAt } = await auth.createPairingCode();
+    console.log(`🔐 No clients paired yet. Pairing code: ${code} (valid until ${new Date(expiresAt).toLocaleTimeString()})`);
+    console.log('   Enter it on the extension options page, or run `npm run auth -- pair` for a new one');
+}
+
+module.exports = {
+    AUTH_SCOPES,
+    PAIRING_CODE_TTL_MS,
+    AuthStore,
+    createCorsOptions,
+    createAuthMiddleware,
+    createPairingRoute,
+    getDefaultOrigins,
+    announcePairing,
+    getRequestToken
+};
@@ -0,0 +1,35 @@
+// Types for embeddings.js, which the TypeScript servers require at runtime
+
+export interface Embedder {
+  model: string;
+  dimensions: number;
+  embed(text: string): number[];
+}
+
+export declare const SEARCH_MODES: string[];
+// Groups of words with one meaning, each named by its first word
+export declare const CONCEPTS: string[][];
+
+export declare class EmbeddingStore {
+  constructor(file: string, embedder?: Embedder);
+  load(options?: { persist?: boolean }): Promise<void>;
+  sync(memories: { id: string; content: string }[]): boolean;
+  save(): Promise<void>;
+  update(memories: { id: string; content: string }[]): Promise<void>;
+  scores(query: string): Map<string, number>;
+}
+
+export declare function scoreMemories(
+  embeddings: EmbeddingStore,
+  memories: { id: string; content: string }[],
+  query: string,
+  mode: string,
+  keywordScores?: Map<string, number> | null
+): Map<string, number>;
+export declare function createHashedEmbedder(dimensions?: number, concepts?: string[][]): Embedder;
+export declare function keywordScore(query: string, content: string): number;
+export declare function combineScores(
+  keywordScores: Map<string, number>,
+  semanticScores: Map<string, number>,
+  keywordWeight?: number
+): Map<string, number>;
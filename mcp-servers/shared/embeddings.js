@@ -0,0 +1,291 @@
+// embeddings.js
+// Offline embeddings for semantic memory search, shared by the memory server
+// and both MCP clients. Runs on the CPU with no model download: the default
+// embedder is a local stand-in that hashes stemmed words, word pairs and
+// character trigrams into a fixed-size vector (signed feature hashing), so
+// "deploy steps" finds "deployment step" and typos still land close by.
+// Words from the concept table (CONCEPTS) also add the concepts they belong
+// to, so texts that say the same thing in different words end up close even
+// without a word in common. A real embedding model can be plugged in by
+// passing another embedder ({ model, dimensions, embed(text) -> number[] })
+// to EmbeddingStore; vectors are recomputed when the model name changes.
+//
+// Vectors are kept in a JSON file next to the memory store (in memory only
+// when the store is encrypted) and searched by brute-force cosine similarity,
+// which is fast enough for tens of thousands of memories at this size.
+
+const fs = require('fs').promises;
+const crypto = require('crypto');
+
+const DEFAULT_DIMENSIONS = 384;
+const HYBRID_KEYWORD_WEIGHT = 0.5; // Share of the keyword score in hybrid mode
+const MIN_SEARCH_SCORE = 0.15;      // Semantic/hybrid results below this are noise
+const SEARCH_MODES = ['keyword', 'semantic', 'hybrid'];
+
+// Feature weights of the hashed stand-in embedder
+const WORD_WEIGHT = 1.0;
+const PAIR_WEIGHT = 0.6;
+const TRIGRAM_WEIGHT = 0.3;
+const CONCEPT_WEIGHT = 2.0;
+// Each concept is spread over this many hashed slots, so one collision with
+// another concept costs a fraction of the match instead of all of it
+const CONCEPT_SLOTS = 4;
+
+// Words that mean roughly the same thing in notes about software and work.
+// Each group is one concept named by its first word; a word may be in several.
+const CONCEPTS = [
+    ['release', 'deploy', 'deployment', 'publish', 'ship', 'shipping', 'rollout', 'launch', 'promote'],
+    ['procedure', 'steps', 'checklist', 'instructions', 'howto', 'guide', 'runbook', 'playbook', 'process', 'workflow'],
+    ['build', 'compile', 'bundle', 'package', 'packaging'],
+    ['version', 'bump', 'semver', 'changelog', 'upgrade'],
+    ['bug', 'error', 'issue', 'defect', 'crash', 'exception', 'failure', 'broken', 'fix', 'regression'],
+    ['test', 'testing', 'spec', 'unittest', 'assertion', 'coverage', 'qa'],
+    ['auth', 'authentication', 'login', 'signin', 'password', 'credential', 'credentials', 'oauth', 'sso'],
+    ['database', 'db', 'sql', 'query', 'schema', 'migration', 'postgres', 'mysql', 'sqlite'],
+    ['performance', 'slow', 'latency', 'speed', 'fast', 'optimize', 'optimization', 'bottleneck', 'profiling'],
+    ['config', 'configuration', 'settings', 'options', 'preferences', 'env', 'environment'],
+    ['docs', 'documentation', 'readme', 'manual', 'wiki', 'reference'],
+    ['meeting', 'standup', 'agenda', 'minutes', 'retro', 'retrospective'],
+    ['todo', 'task', 'chore', 'backlog', 'ticket'],
+    ['install', 'installation', 'setup', 'dependency', 'dependencies', 'prerequisites'],
+    ['delete', 'remove', 'erase', 'purge', 'wipe'],
+    ['security', 'vulnerability', 'exploit', 'cve', 'secure', 'encrypt', 'encryption'],
+    ['server', 'host', 'hosting', 'infrastructure', 'cloud', 'container', 'docker', 'kubernetes', 'k8s'],
+    ['monitoring', 'logs', 'logging', 'metrics', 'alert', 'alerting', 'observability'],
+    ['api', 'endpoint', 'route', 'rest', 'http', 'webhook'],
+    ['design', 'architecture', 'diagram', 'mockup', 'wireframe', 'ui', 'ux'],
+    ['cost', 'price', 'pricing', 'budget', 'billing', 'invoice', 'expense'],
+    ['schedule', 'deadline', 'timeline', 'due', 'milestone', 'roadmap'],
+    ['idea', 'brainstorm', 'proposal', 'suggestion'],
+    ['summary', 'overview', 'recap', 'tldr', 'abstract'],
+    ['learn', 'tutorial', 'course', 'lesson', 'study']
+];
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in', 'is', 'it',
+    'its', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'were', 'will', 'with'
+]);
+
+// FNV-1a, 32-bit
+function hashString(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Crude suffix stripping - enough to bring "deployment", "deploying" and "deploys" together
+function stem(word) {
+    for (const suffix of ['ations', 'ation', 'ments', 'ment', 'ings', 'ing', 'ies', 'ed', 'es', 's']) {
+        if (word.length - suffix.length >= 3 && word.endsWith(suffix)) {
+            return suffix === 'ies' ? word.slice(0, -3) + 'y' : word.slice(0, -suffix.length);
+        }
+    }
+    return word;
+}
+
+function tokenize(text) {
+    return (String(text).normalize('NFC').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+        .filter(word => !STOP_WORDS.has(word))
+        .map(stem);
+}
+
+// stemmed word -> names of its concepts
+function buildConceptIndex(concepts) {
+    const index = new Map();
+    concepts.forEach(([name, ...words]) => {
+        [name, ...words].forEach(word => {
+            const key = stem(word.toLowerCase());
+            index.set(key, [...(index.get(key) || []), name].filter((value, i, all) => all.indexOf(value) === i));
+        });
+    });
+    return index;
+}
+
+function normalize(vector) {
+    const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return length > 0 ? vector.map(value => value / length) : vector;
+}
+
+// concepts defaults to CONCEPTS; the model name changes with the table, so
+// stored vectors are recomputed when it does
+function createHashedEmbedder(dimensions = DEFAULT_DIMENSIONS, concepts = CONCEPTS) {
+    const conceptIndex = buildConceptIndex(concepts);
+    const conceptDigest = crypto.createHash('sha1').update(JSON.stringify(concepts)).digest('hex').substring(0, 8);
+    const addFeature = (vector, feature, weight) => {
+        const hash = hashString(feature);
+        vector[hash % dimensions] += (hash & 0x80000000) ? -weight : weight;
+    };
+
+    return {
+        model: `hashed-ngrams-v2-${dimensions}-${conceptDigest}`,
+        dimensions,
+        embed(text) {
+            const vector = new Array(dimensions).fill(0);
+            const words = tokenize(text);
+            words.forEach((word, i) => {
+                addFeature(vector, `w:${word}`, WORD_WEIGHT);
+                (conceptIndex.get(word) || []).forEach(concept => {
+                    for (let slot = 0; slot < CONCEPT_SLOTS; slot++) {
+                        addFeature(vector, `c${slot}:${concept}`, CONCEPT_WEIGHT / Math.sqrt(CONCEPT_SLOTS));
+                    }
+                });
+                if (i > 0) addFeature(vector, `p:${words[i - 1]} ${word}`, PAIR_WEIGHT);
+                const padded = `^${word}$`;
+                for (let j = 0; j <= padded.length - 3; j++) {
+                    addFeature(vector, `t:${padded.substring(j, j + 3)}`, TRIGRAM_WEIGHT);
+                }
+            });
+            return normalize(vector);
+        }
+    };
+}
+
+function cosine(a, b) {
+    let dot = 0;
+    for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+    return dot; // Vectors are normalized
+}
+
+function contentDigest(content) {
+    return crypto.createHash('sha1').update(String(content)).digest('hex');
+}
+
+class EmbeddingStore {
+    constructor(file, embedder = createHashedEmbedder()) {
+        this.file = file;
+        this.embedder = embedder;
+        this.vectors = new Map(); // memory id -> { digest, vector }
+        this.persist = true;
+    }
+
+    // Without `persist` the vectors are kept in memory only and a file left from
+    // before is removed: they are derived from the words of the content, so they
+    // must not sit in plaintext next to an encrypted store.
+    async load({ persist = true } = {}) {
+        this.persist = persist;
+        if (!persist) {
+            await fs.rm(this.file, { force: true });
+            return;
+        }
+        try {
+            const data = JSON.parse(await fs.readFile(this.file, 'utf8'));
+            if (data.model !== this.embedder.model) {
+                console.log(`🧮 Embedding model changed (${data.model} -> ${this.embedder.model}), recomputing`);
+                return;
+            }
+            Object.entries(data.vectors || {}).forEach(([id, entry]) => this.vectors.set(id, entry));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('❌ Error loading embeddings:', error);
+            }
+        }
+    }
+
+    // Embed new or changed memories and drop vectors of removed ones.
+    // Returns true when anything changed.
+    sync(memories) {
+        let changed = false;
+        const ids = new Set();
+
+        memories.forEach(memory => {
+            ids.add(memory.id);
+            const digest = contentDigest(memory.content);
+            const entry = this.vectors.get(memory.id);
+            if (entry && entry.digest === digest) return;
+
+            this.vectors.set(memory.id, { digest, vector: this.embedder.embed(memory.content) });
+            changed = true;
+        });
+
+        [...this.vectors.keys()].forEach(id => {
+            if (!ids.has(id)) {
+                this.vectors.delete(id);
+                changed = true;
+            }
+        });
+
+        return changed;
+    }
+
+    async save() {
+        if (!this.persist) return;
+        const vectors = {};
+        this.vectors.forEach((entry, id) => {
+            vectors[id] = { digest: entry.digest, vector: entry.vector.map(value => Math.round(value * 10000) / 10000) };
+        });
+        // Write and rename so a process reading concurrently never sees half a file
+        const tempFile = `${this.file}.${process.pid}.tmp`;
+        await fs.writeFile(tempFile, JSON.stringify({
+            model: this.embedder.model,
+            dimensions: this.embedder.dimensions,
+            vectors
+        }));
+        await fs.rename(tempFile, this.file);
+    }
+
+    // Keep embeddings in step with the memories and persist them if needed
+    async update(memories) {
+        if (this.sync(memories)) {
+            await this.save();
+        }
+    }
+
+    // memory id -> cosine similarity to the query, for every embedded memory
+    scores(query) {
+        const queryVector = this.embedder.embed(query);
+        const scores = new Map();
+        this.vectors.forEach((entry, id) => scores.set(id, cosine(queryVector, entry.vector)));
+        return scores;
+    }
+}
+
+// Fraction of query words found in the content - the keyword score for stores without BM25
+function keywordScore(query, content) {
+    const queryWords = [...new Set(tokenize(query))];
+    if (queryWords.length === 0) return 0;
+    const contentWords = new Set(tokenize(content));
+    return queryWords.filter(word => contentWords.has(word)).length / queryWords.length;
+}
+
+// Weighted sum of keyword (scaled to 0-1 by the best match) and vector scores
+function combineScores(keywordScores, semanticScores, keywordWeight = HYBRID_KEYWORD_WEIGHT) {
+    const maxKeyword = Math.max(0, ...keywordScores.values()) || 1;
+    const combined = new Map();
+    semanticScores.forEach((semantic, id) => {
+        const keyword = (keywordScores.get(id) || 0) / maxKeyword;
+        combined.set(id, keywordWeight * keyword + (1 - keywordWeight) * Math.max(semantic, 0));
+    });
+    return combined;
+}
+
+// memory id -> score for a 'semantic' or 'hybrid' search, best matches only.
+// keywordScores defaults to keywordScore() of every memory.
+function scoreMemories(embeddings, memories, query, mode, keywordScores = null) {
+    let scores = embeddings.scores(query);
+    if (mode === 'hybrid') {
+        const keyword = keywordScores || new Map(memories.map(memory => [memory.id, keywordScore(query, memory.content)]));
+        scores = combineScores(keyword, scores);
+    }
+
+    const results = new Map();
+    memories.forEach(memory => {
+        const score = scores.get(memory.id) || 0;
+        if (score >= MIN_SEARCH_SCORE) {
+            results.set(memory.id, Math.round(score * 1000) / 1000);
+        }
+    });
+    return results;
+}
+
+module.exports = {
+    SEARCH_MODES,
+    CONCEPTS,
+    scoreMemories,
+    EmbeddingStore,
+    createHashedEmbedder,
+    keywordScore,
+    combineScores
+};
@@ -0,0 +1,43 @@
+// Types for encryption.js, which the TypeScript servers require at runtime
+
+export interface SealedBox {
+  iv: string;
+  tag: string;
+  data: string;
+}
+
+export interface Keyring {
+  version: number;
+  cipher: string;
+  plaintextFields: string[];
+  key: { id: string; kdf: string; salt: string; N: number; r: number; p: number; check: SealedBox; createdAt: string };
+  previousKeys: { id: string; wrapped: SealedBox }[];
+}
+
+export declare const DEFAULT_PLAINTEXT_FIELDS: string[];
+export declare const MIN_PASSPHRASE_LENGTH: number;
+
+export declare class StoreLockedError extends Error {
+  code: 'ERR_STORE_LOCKED';
+}
+
+export declare class MemoryCipher {
+  keyring: Keyring;
+  keyId: string;
+  plaintextFields: string[];
+  seal<T extends { id: string }>(memory: T): { id: string; sealed: SealedBox & { key: string }; [field: string]: any };
+  open<T extends { id: string }>(memory: any): T;
+}
+
+export declare function createKeyring(passphrase: string, options?: { plaintextFields?: string[] | string }): Promise<MemoryCipher>;
+export declare function unlockKeyring(keyring: Keyring | null, passphrase: string | null | undefined): Promise<MemoryCipher>;
+export declare function rotateKeyring(
+  cipher: MemoryCipher,
+  passphrase: string,
+  options?: { plaintextFields?: string[] | string }
+): Promise<MemoryCipher>;
+export declare function finishRotation(cipher: MemoryCipher): MemoryCipher;
+export declare function readKeyring(file: string): Promise<Keyring | null>;
+export declare function writeKeyring(file: string, keyring: Keyring): Promise<void>;
+export declare function promptPassphrase(question: string): Promise<string>;
+export declare function readPassphrase(options?: { prompt?: boolean; label?: string }): Promise<string | null>;
@@ -0,0 +1,266 @@
+// encryption.js
+// Optional encryption at rest for memories: the storage backends (through
+// storage/encrypted-storage.js), snapshots and the S3 server.
+//
+// A passphrase is stretched with scrypt into a 256-bit key, and each memory is
+// sealed with AES-256-GCM, its id as additional data so sealed fields cannot
+// be moved onto another memory. Fields needed to index memories without the
+// key stay readable - by default the timestamp, content hash and type,
+// configurable per store - and everything else goes into `sealed`:
+//
+//   { "id": "...", "timestamp": "...", "contentHash": "v2:...", "type": "note",
+//     "sealed": { "key": "3f9a01c2", "iv": "...", "tag": "...", "data": "..." } }
+//
+// Tags are sealed by default: most are detected in the content (domain:<host>,
+// lang:<language>, hashtags), so readable tags would give away what it mentions.
+//
+// The keyring is not secret: it holds the scrypt salt and parameters, a check
+// value that tells a wrong passphrase from a right one, and the plaintext
+// fields. A rotation adds a new key and keeps the previous ones, wrapped with
+// it, until every memory has been sealed again - so a rotation that is
+// interrupted loses nothing.
+
+const fs = require('fs').promises;
+const crypto = require('crypto');
+
+const KEYRING_VERSION = 1;
+const CIPHER = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+const SCRYPT_MAXMEM = 64 * 1024 * 1024;
+const KEY_CHECK = 'mcp-memory-keyring';
+const MIN_PASSPHRASE_LENGTH = 8;
+
+// Readable without the key; `id` always is
+const DEFAULT_PLAINTEXT_FIELDS = ['timestamp', 'contentHash', 'type'];
+
+// Thrown when an encrypted store cannot be opened; callers must not go on with an empty store
+class StoreLockedError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'StoreLockedError';
+        this.code = 'ERR_STORE_LOCKED';
+    }
+}
+
+function deriveKey(passphrase, { salt, N, r, p }) {
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(passphrase, Buffer.from(salt, 'base64'), KEY_LENGTH, { N, r, p, maxmem: SCRYPT_MAXMEM }, (error, key) => {
+            if (error) reject(error);
+            else resolve(key);
+        });
+    });
+}
+
+function encrypt(key, plaintext, aad) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(CIPHER, key, iv);
+    cipher.setAAD(Buffer.from(aad));
+    const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return { iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), data: data.toString('base64') };
+}
+
+// Throws when the key is wrong or the data was changed
+function decrypt(key, box, aad) {
+    const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(box.iv, 'base64'));
+    decipher.setAAD(Buffer.from(aad));
+    decipher.setAuthTag(Buffer.from(box.tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(box.data, 'base64')), decipher.final()]);
+}
+
+function normalizePlaintextFields(fields) {
+    if (fields === undefined) return [...DEFAULT_PLAINTEXT_FIELDS];
+    const list = Array.isArray(fields) ? fields : String(fields).split(',');
+    return [...new Set(list.map(field => String(field).trim()).filter(field => field && field !== 'id' && field !== 'none'))];
+}
+
+async function createKey(passphrase) {
+    if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        throw new Error(`The passphrase needs at least ${MIN_PASSPHRASE_LENGTH} characters`);
+    }
+    const entry = {
+        id: crypto.randomBytes(4).toString('hex'),
+        kdf: 'scrypt',
+        salt: crypto.randomBytes(16).toString('base64'),
+        ...SCRYPT_PARAMS,
+        createdAt: new Date().toISOString()
+    };
+    const key = await deriveKey(passphrase, entry);
+    entry.check = encrypt(key, Buffer.from(KEY_CHECK), entry.id);
+    return { entry, key };
+}
+
+// An unlocked keyring: seals memories with the current key, opens them with any key it has
+class MemoryCipher {
+    constructor(keyring, keys) {
+        this.keyring = keyring;
+        this.keys = keys; // key id -> Buffer
+        this.keyId = keyring.key.id;
+        this.plaintextFields = keyring.plaintextFields;
+    }
+
+    seal(memory) {
+        const plain = { id: memory.id };
+        const secret = {};
+        Object.keys(memory).forEach(field => {
+            if (field === 'id' || field === 'sealed') return;
+            if (this.plaintextFields.includes(field)) plain[field] = memory[field];
+            else secret[field] = memory[field];
+        });
+        plain.sealed = { key: this.keyId, ...encrypt(this.keys.get(this.keyId), Buffer.from(JSON.stringify(secret)), memory.id) };
+        return plain;
+    }
+
+    // Memories stored before encryption was turned on are returned as they are
+    open(memory) {
+        if (!memory.sealed) return memory;
+        const { sealed, ...plain } = memory;
+        const key = this.keys.get(sealed.key);
+        if (!key) {
+            throw new StoreLockedError(`Memory ${memory.id} is sealed with key ${sealed.key}, which is not in the keyring`);
+        }
+        let secret;
+        try {
+            secret = JSON.parse(decrypt(key, sealed, memory.id).toString('utf8'));
+        } catch (error) {
+            throw new StoreLockedError(`Memory ${memory.id} cannot be decrypted - it was damaged or changed`);
+        }
+        return { ...plain, ...secret };
+    }
+}
+
+// New keyring for a store that was not encrypted
+async function createKeyring(passphrase, { plaintextFields } = {}) {
+    const { entry, key } = await createKey(passphrase);
+    const keyring = {
+        version: KEYRING_VERSION,
+        cipher: CIPHER,
+        plaintextFields: normalizePlaintextFields(plaintextFields),
+        key: entry,
+        previousKeys: []
+    };
+    return new MemoryCipher(keyring, new Map([[entry.id, key]]));
+}
+
+async function unlockKeyring(keyring, passphrase) {
+    if (!keyring || keyring.version !== KEYRING_VERSION || keyring.cipher !== CIPHER) {
+        throw new StoreLockedError('Unsupported keyring - it was written by a newer version');
+    }
+    if (!passphrase) {
+        throw new StoreLockedError('The memory store is encrypted - set MCP_PASSPHRASE or MCP_PASSPHRASE_FILE, or start from a terminal to be asked');
+    }
+
+    const key = await deriveKey(passphrase, keyring.key);
+    try {
+        if (decrypt(key, keyring.key.check, keyring.key.id).toString() !== KEY_CHECK) throw new Error();
+    } catch (error) {
+        throw new StoreLockedError('Wrong passphrase for the memory store');
+    }
+
+    const keys = new Map([[keyring.key.id, key]]);
+    (keyring.previousKeys || []).forEach(previous => {
+        keys.set(previous.id, decrypt(key, previous.wrapped, previous.id));
+    });
+    return new MemoryCipher(keyring, keys);
+}
+
+// A new key (from a new or the same passphrase) that also opens memories
+// sealed with the old ones, until finishRotation() drops them
+async function rotateKeyring(cipher, passphrase, { plaintextFields } = {}) {
+    const { entry, key } = await createKey(passphrase);
+    const keyring = {
+        ...cipher.keyring,
+        plaintextFields: plaintextFields === undefined ? cipher.plaintextFields : normalizePlaintextFields(plaintextFields),
+        key: entry,
+        previousKeys: [...cipher.keys].map(([id, previousKey]) => ({ id, wrapped: encrypt(key, previousKey, id) }))
+    };
+    return new MemoryCipher(keyring, new Map([[entry.id, key], ...cipher.keys]));
+}
+
+// Once every memory is sealed with the current key
+function finishRotation(cipher) {
+    const keyring = { ...cipher.keyring, previousKeys: [] };
+    return new MemoryCipher(keyring, new Map([[keyring.key.id, cipher.keys.get(keyring.key.id)]]));
+}
+
+async function readKeyring(file) {
+    try {
+        return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw new StoreLockedError(`Cannot read the keyring ${file}: ${error.message}`);
+    }
+}
+
+async function writeKeyring(file, keyring) {
+    const tempFile = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(keyring, null, 2), { mode: 0o600 });
+    await fs.rename(tempFile, file);
+}
+
+// Ask on the terminal without echoing. The prompt goes to stderr: stdout may
+// be a protocol stream.
+function promptPassphrase(question) {
+    return new Promise((resolve, reject) => {
+        const input = process.stdin;
+        if (!input.isTTY) {
+            reject(new StoreLockedError('No terminal to ask for the passphrase on - set MCP_PASSPHRASE or MCP_PASSPHRASE_FILE'));
+            return;
+        }
+
+        let value = '';
+        const finish = () => {
+            input.removeListener('data', onData);
+            input.setRawMode(false);
+            input.pause();
+            process.stderr.write('\n');
+        };
+        const onData = chunk => {
+            for (const char of chunk) {
+                if (char === '\r' || char === '\n' || char === '\u0004') {
+                    finish();
+                    resolve(value);
+                    return;
+                }
+                if (char === '\u0003') {
+                    finish();
+                    reject(new StoreLockedError('Cancelled'));
+                    return;
+                }
+                value = char === '\u007f' || char === '\b' ? value.slice(0, -1) : value + char;
+            }
+        };
+
+        process.stderr.write(question);
+        input.setRawMode(true);
+        input.setEncoding('utf8');
+        input.resume();
+        input.on('data', onData);
+    });
+}
+
+// The passphrase from MCP_PASSPHRASE, the file in MCP_PASSPHRASE_FILE or, when
+// allowed, the terminal
+async function readPassphrase({ prompt = !!process.stdin.isTTY, label = 'the memory store' } = {}) {
+    if (process.env.MCP_PASSPHRASE) return process.env.MCP_PASSPHRASE;
+    if (process.env.MCP_PASSPHRASE_FILE) {
+        return (await fs.readFile(process.env.MCP_PASSPHRASE_FILE, 'utf8')).replace(/\r?\n$/, '');
+    }
+    return prompt ? promptPassphrase(`🔑 Passphrase for ${label}: `) : null;
+}
+
+module.exports = {
+    DEFAULT_PLAINTEXT_FIELDS,
+    MIN_PASSPHRASE_LENGTH,
+    StoreLockedError,
+    MemoryCipher,
+    createKeyring,
+    unlockKeyring,
+    rotateKeyring,
+    finishRotation,
+    readKeyring,
+    writeKeyring,
+    promptPassphrase,
+    readPassphrase
+};
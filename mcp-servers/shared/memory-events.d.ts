@@ -0,0 +1,60 @@
+// Types for memory-events.js, which the TypeScript client requires at runtime
+
+import type { Request, Response } from 'express';
+import type { AuthStore } from './auth';
+
+export interface StoredMemory {
+  id: string;
+  content?: string;
+  contentHash?: string;
+  legacyContentHash?: string;
+  previousHashes?: string[];
+  mergedHashes?: string[];
+}
+
+export interface MemorySummary {
+  id: string;
+  contentHash?: string;
+  hashes: string[];
+  timestamp: string;
+  tags: string[];
+  wordCount?: number;
+  formatVersion?: string;
+  source?: { url?: string; title?: string };
+  preview: string;
+  type?: string;
+  title?: string;
+  note?: string;
+  revision?: number;
+  updatedAt?: string;
+  expiresAt?: string;
+}
+
+export interface MemoryEvent {
+  id: string;
+  sequence: number;
+  type: string;
+  data: Record<string, any>;
+}
+
+export declare const EVENT_TYPES: string[];
+export declare const MAX_EVENTS_PER_CHANGE: number;
+
+export declare class MemoryEventStream {
+  constructor(options?: { count?: () => number | undefined; auth?: AuthStore | null; bufferSize?: number });
+  readonly subscriberCount: number;
+  streamId: string;
+  publish(type: string, data?: Record<string, any>): MemoryEvent;
+  publishMemories(type: string, memories: StoredMemory[], extra?: Record<string, any>): void;
+  publishReload(before: StoredMemory[], after: StoredMemory[]): void;
+  getMissedEvents(lastEventId: string): MemoryEvent[] | null;
+  subscribe(req: Request, res: Response): void;
+  close(): void;
+}
+
+export declare function getMemoryHashes(memory: StoredMemory): string[];
+export declare function summarizeMemory(memory: StoredMemory): MemorySummary;
+export declare function diffMemories<T extends StoredMemory>(
+  before: T[],
+  after: T[]
+): { created: T[]; updated: T[]; deleted: T[] };
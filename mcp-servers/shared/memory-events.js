@@ -0,0 +1,236 @@
+// memory-events.js
+// Live changes to the memory store as server-sent events on GET /mcp/events,
+// for the web interfaces and the extension - shared by both MCP clients.
+//
+//   id: 3f9a01-12
+//   event: memory.created
+//   data: {"memory":{"id":"...","hashes":["v2:..."],"preview":"...",...},"total":42}
+//
+// Events:
+//   memory.created   stored, imported or restored from the trash
+//   memory.updated   edited, restored to a revision, merged into or re-tagged
+//   memory.deleted   { id, hashes, reason, mergedInto? } - deleted, expired or merged away
+//   store.cleared    every memory was removed at once
+//   store.reloaded   more changed than events describe, or events were missed: reload
+//
+// A reconnecting client sends the id of the last event it saw (EventSource does
+// so by itself in Last-Event-ID, others may use ?lastEventId=) and gets what it
+// missed. When those events are no longer buffered, or the MCP client restarted
+// since, it gets store.reloaded instead.
+//
+// Memories in events are summaries (see summarizeMemory): no history, and
+// only a preview of the content.
+
+const crypto = require('crypto');
+
+const EVENT_TYPES = ['memory.created', 'memory.updated', 'memory.deleted', 'store.cleared', 'store.reloaded'];
+const BUFFER_SIZE = 500;
+const MAX_EVENTS_PER_CHANGE = 100; // More become one store.reloaded
+const MAX_SUBSCRIBERS = 50;
+const HEARTBEAT_MS = 25 * 1000;
+const RETRY_MS = 5000;
+const PREVIEW_LENGTH = 200;
+
+// Every hash that finds the memory: current, legacy, edited away and merged in
+function getMemoryHashes(memory) {
+    return [...new Set([
+        memory.contentHash,
+        memory.legacyContentHash,
+        ...(memory.previousHashes || []),
+        ...(memory.mergedHashes || [])
+    ])].filter(Boolean);
+}
+
+function summarizeMemory(memory) {
+    const content = memory.content || '';
+    const summary = {
+        id: memory.id,
+        contentHash: memory.contentHash,
+        hashes: getMemoryHashes(memory),
+        timestamp: memory.timestamp,
+        tags: memory.tags || [],
+        wordCount: memory.wordCount,
+        formatVersion: memory.formatVersion,
+        source: memory.source ? { url: memory.source.url, title: memory.source.title } : undefined,
+        preview: content.length > PREVIEW_LENGTH ? content.substring(0, PREVIEW_LENGTH) + '…' : content
+    };
+    ['type', 'title', 'note', 'revision', 'updatedAt', 'expiresAt'].forEach(field => {
+        if (memory[field] !== undefined) summary[field] = memory[field];
+    });
+    return summary;
+}
+
+// What differs between two loads of the store, by id
+function diffMemories(before, after) {
+    const fingerprint = memory => JSON.stringify([
+        memory.contentHash, memory.tags, memory.note, memory.type, memory.title, memory.revision, memory.updatedAt
+    ]);
+    const previous = new Map(before.map(memory => [memory.id, memory]));
+    const current = new Set(after.map(memory => memory.id));
+
+    const created = [];
+    const updated = [];
+    after.forEach(memory => {
+        const old = previous.get(memory.id);
+        if (!old) created.push(memory);
+        else if (fingerprint(old) !== fingerprint(memory)) updated.push(memory);
+    });
+    const deleted = before.filter(memory => !current.has(memory.id));
+    return { created, updated, deleted };
+}
+
+class MemoryEventStream {
+    // count() is the number of memories now, sent along as `total`. With an
+    // auth store, streams of revoked tokens are closed at the next heartbeat.
+    constructor({ count = () => undefined, auth = null, bufferSize = BUFFER_SIZE } = {}) {
+        this.count = count;
+        this.auth = auth;
+        this.bufferSize = bufferSize;
+        this.streamId = crypto.randomBytes(3).toString('hex'); // New on every start
+        this.sequence = 0;
+        this.buffer = []; // [{ id, sequence, type, data }]
+        this.subscribers = new Set(); // { res, tokenId }
+        this.heartbeat = null;
+    }
+
+    get subscriberCount() {
+        return this.subscribers.size;
+    }
+
+    publish(type, data = {}) {
+        if (!EVENT_TYPES.includes(type)) throw new Error(`Unknown memory event "${type}"`);
+
+        this.sequence++;
+        const event = { id: `${this.streamId}-${this.sequence}`, sequence: this.sequence, type, data: { ...data, total: this.count() } };
+        this.buffer.push(event);
+        if (this.buffer.length > this.bufferSize) this.buffer.shift();
+
+        this.subscribers.forEach(subscriber => this.send(subscriber.res, event));
+        return event;
+    }
+
+    // One event per memory, or store.reloaded when there are too many to be useful
+    publishMemories(type, memories, extra = {}) {
+        if (memories.length === 0) return;
+        if (memories.length > MAX_EVENTS_PER_CHANGE) {
+            this.publish('store.reloaded', { reason: extra.reason || type, count: memories.length });
+            return;
+        }
+        memories.forEach(memory => {
+            const data = type === 'memory.deleted'
+                ? { id: memory.id, hashes: getMemoryHashes(memory) }
+                : { memory: summarizeMemory(memory) };
+            this.publish(type, { ...data, ...extra });
+        });
+    }
+
+    // Changes another process made, found by reloading the store
+    publishReload(before, after) {
+        if (before.length > 0 && after.length === 0) {
+            this.publish('store.cleared', { count: before.length, reason: 'external' });
+            return;
+        }
+        const { created, updated, deleted } = diffMemories(before, after);
+        if (created.length + updated.length + deleted.length > MAX_EVENTS_PER_CHANGE) {
+            this.publish('store.reloaded', { reason: 'external' });
+            return;
+        }
+        this.publishMemories('memory.created', created, { reason: 'external' });
+        this.publishMemories('memory.updated', updated, { reason: 'external' });
+        this.publishMemories('memory.deleted', deleted, { reason: 'external' });
+    }
+
+    send(res, event) {
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+    }
+
+    // Events after lastEventId, or null when they cannot all be replayed
+    getMissedEvents(lastEventId) {
+        const [streamId, sequence] = String(lastEventId).split('-');
+        const seen = parseInt(sequence, 10);
+        if (streamId !== this.streamId || !(seen >= 0) || seen > this.sequence) return null;
+        if (seen === this.sequence) return [];
+
+        const missed = this.buffer.filter(event => event.sequence > seen);
+        return missed.length > 0 && missed[0].sequence === seen + 1 ? missed : null;
+    }
+
+    // Express handler for GET /mcp/events (behind the auth middleware)
+    subscribe(req, res) {
+        if (this.subscribers.size >= MAX_SUBSCRIBERS) {
+            return res.status(503).json({ error: 'Too many event streams open' });
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.write(`retry: ${RETRY_MS}\n\n`);
+
+        const currentId = `${this.streamId}-${this.sequence}`;
+        const lastEventId = req.headers['last-event-id'] || req.query.lastEventId;
+        const missed = lastEventId ? this.getMissedEvents(lastEventId) : [];
+        if (!missed) {
+            // Only this subscriber is behind; it continues from the latest event after reloading
+            this.send(res, { id: currentId, type: 'store.reloaded', data: { reason: 'missed_events', total: this.count() } });
+        } else if (missed.length > 0) {
+            missed.forEach(event => this.send(res, event));
+        } else {
+            // An id without data is not an event, but a reconnect starts from it
+            res.write(`id: ${currentId}\n\n`);
+        }
+
+        const subscriber = { res, tokenId: req.auth ? req.auth.tokenId : null };
+        this.subscribers.add(subscriber);
+        res.on('close', () => {
+            this.subscribers.delete(subscriber);
+            if (this.subscribers.size === 0) this.stopHeartbeat();
+        });
+        this.startHeartbeat();
+    }
+
+    // A comment line keeps proxies and idle timeouts from closing the stream
+    startHeartbeat() {
+        if (this.heartbeat) return;
+        this.heartbeat = setInterval(async () => {
+            if (this.auth) {
+                try {
+                    await this.auth.refresh();
+                } catch (error) {
+                    console.error('❌ Error reloading access tokens:', error);
+                }
+            }
+            this.subscribers.forEach(subscriber => {
+                if (this.auth && subscriber.tokenId && !this.auth.tokens.some(token => token.id === subscriber.tokenId)) {
+                    this.subscribers.delete(subscriber);
+                    subscriber.res.end();
+                    return;
+                }
+                subscriber.res.write(': ping\n\n');
+            });
+        }, HEARTBEAT_MS);
+        this.heartbeat.unref();
+    }
+
+    stopHeartbeat() {
+        clearInterval(this.heartbeat);
+        this.heartbeat = null;
+    }
+
+    close() {
+        this.stopHeartbeat();
+        this.subscribers.forEach(subscriber => subscriber.res.end());
+        this.subscribers.clear();
+    }
+}
+
+module.exports = {
+    EVENT_TYPES,
+    MAX_EVENTS_PER_CHANGE,
+    MemoryEventStream,
+    getMemoryHashes,
+    summarizeMemory,
+    diffMemories
+};
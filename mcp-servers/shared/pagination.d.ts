@@ -0,0 +1,32 @@
+// Types for pagination.js, which the TypeScript client requires at runtime
+
+export interface PageCursor {
+  sort: string;
+  order: string;
+  key: [string | number, string];
+  direction: 'next' | 'prev';
+}
+
+export interface PageOptions {
+  sort: string;
+  order: 'asc' | 'desc';
+  limit: number;
+  fields: string[] | null;
+  cursor: PageCursor | null;
+}
+
+export interface Page<T> {
+  memories: T[];
+  matched: number;
+  next: string | null;
+  prev: string | null;
+}
+
+export declare const SORT_FIELDS: string[];
+export declare function parsePageOptions(query: Record<string, any>, defaultSort?: string): PageOptions;
+export declare function paginate<T extends { id: string }>(
+  memories: T[],
+  options: PageOptions,
+  scores?: Map<string, number> | null
+): Page<T>;
+export declare function projectFields<T extends { id: string }>(memory: T, fields: string[] | null): Partial<T> & { id: string; preview?: string };
@@ -0,0 +1,143 @@
+// pagination.js
+// Cursor-based paging for GET /mcp/memories, shared by both MCP clients.
+// Cursors are keyset cursors: they hold the sort key and id of the memory at
+// the edge of a page rather than an offset, so paging stays stable while new
+// memories arrive or old ones are deleted. To callers they are opaque strings.
+//
+//   ?limit=20&sort=wordCount&order=asc     first page
+//   ?limit=20&sort=wordCount&order=asc&cursor=<next>
+//   ?fields=id,preview,tags                 projection; `preview` is the first 200 characters
+
+const SORT_FIELDS = ['timestamp', 'wordCount', 'source', 'relevance'];
+const SORT_ORDERS = ['asc', 'desc'];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+const PREVIEW_LENGTH = 200;
+
+function getSortKey(memory, sort, scores) {
+    switch (sort) {
+        case 'wordCount':
+            return memory.wordCount || 0;
+        case 'source': {
+            const source = memory.source || {};
+            return String(source.url || source.title || '').toLowerCase();
+        }
+        case 'relevance':
+            return (scores && scores.get(memory.id)) || 0;
+        default:
+            return Date.parse(memory.timestamp) || 0;
+    }
+}
+
+// Keys are [sortKey, id]; the id breaks ties so the order is total
+function compareKeys(a, b, order) {
+    const direction = order === 'asc' ? 1 : -1;
+    for (let i = 0; i < 2; i++) {
+        if (a[i] < b[i]) return -direction;
+        if (a[i] > b[i]) return direction;
+    }
+    return 0;
+}
+
+function encodeCursor(data) {
+    return Buffer.from(JSON.stringify(data)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const data = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (Array.isArray(data.key) && data.key.length === 2 && ['next', 'prev'].includes(data.direction)) {
+            return data;
+        }
+    } catch (error) {
+        // Reported below
+    }
+    throw new Error('Invalid cursor');
+}
+
+// Read limit, sort, order, fields and cursor from a request query.
+// Throws on invalid values so the caller can answer 400.
+function parsePageOptions(query, defaultSort = 'timestamp') {
+    const sort = query.sort || defaultSort;
+    if (!SORT_FIELDS.includes(sort)) {
+        throw new Error(`sort must be one of: ${SORT_FIELDS.join(', ')}`);
+    }
+
+    const order = query.order || (sort === 'source' ? 'asc' : 'desc');
+    if (!SORT_ORDERS.includes(order)) {
+        throw new Error('order must be "asc" or "desc"');
+    }
+
+    const limit = query.limit === undefined ? DEFAULT_LIMIT : parseInt(query.limit, 10);
+    if (!(limit > 0)) {
+        throw new Error('limit must be a positive number');
+    }
+
+    const fields = query.fields
+        ? String(query.fields).split(',').map(field => field.trim()).filter(Boolean)
+        : null;
+
+    let cursor = null;
+    if (query.cursor) {
+        cursor = decodeCursor(query.cursor);
+        if (cursor.sort !== sort || cursor.order !== order) {
+            throw new Error('cursor belongs to a different sort or order');
+        }
+    }
+
+    return { sort, order, limit: Math.min(limit, MAX_LIMIT), fields, cursor };
+}
+
+// Sort memories and cut out the page after (or, for a prev cursor, before) the cursor
+function paginate(memories, { sort, order, limit, cursor }, scores = null) {
+    const keyed = memories
+        .map(memory => ({ memory, key: [getSortKey(memory, sort, scores), memory.id] }))
+        .sort((a, b) => compareKeys(a.key, b.key, order));
+
+    let start = 0;
+    let end;
+    if (cursor && cursor.direction === 'prev') {
+        end = keyed.findIndex(item => compareKeys(item.key, cursor.key, order) >= 0);
+        if (end === -1) end = keyed.length;
+        start = Math.max(0, end - limit);
+    } else {
+        if (cursor) {
+            start = keyed.findIndex(item => compareKeys(item.key, cursor.key, order) > 0);
+            if (start === -1) start = keyed.length;
+        }
+        end = Math.min(keyed.length, start + limit);
+    }
+
+    const page = keyed.slice(start, end);
+    const cursorFor = (item, direction) => encodeCursor({ sort, order, key: item.key, direction });
+
+    return {
+        memories: page.map(item => item.memory),
+        matched: keyed.length,
+        next: page.length > 0 && end < keyed.length ? cursorFor(page[page.length - 1], 'next') : null,
+        prev: page.length > 0 && start > 0 ? cursorFor(page[0], 'prev') : null
+    };
+}
+
+// Keep only the requested fields (the id is always included)
+function projectFields(memory, fields) {
+    if (!fields) return memory;
+
+    const projected = { id: memory.id };
+    fields.forEach(field => {
+        if (field === 'preview') {
+            const content = memory.content || '';
+            projected.preview = content.length > PREVIEW_LENGTH ? content.substring(0, PREVIEW_LENGTH) + '…' : content;
+        } else if (field in memory) {
+            projected[field] = memory[field];
+        }
+    });
+    return projected;
+}
+
+module.exports = {
+    SORT_FIELDS,
+    parsePageOptions,
+    paginate,
+    projectFields
+};
@@ -0,0 +1,9 @@
+// Types for redaction-config.js, which the TypeScript client requires at runtime
+
+import type { RedactionFinding, RedactionOptions } from '../../extension/redaction';
+
+export declare function loadRedactionConfig(file: string): Promise<RedactionOptions>;
+export declare function redactStoreBlock(
+  block: { content: string; note?: string; redactions?: unknown },
+  config: RedactionOptions
+): { content: string; note?: string; blocked: boolean; findings: RedactionFinding[]; redactions: RedactionFinding[] };
@@ -0,0 +1,60 @@
+// redaction-config.js
+// The second redaction pass of POST /mcp/store, in both MCP clients. The
+// detectors are the extension's (extension/redaction.js), so both passes mask
+// the same way; the client reads its own settings from redaction.json, in the
+// shape the options page uses:
+//
+//   { "mode": "mask", "disabled": ["email"], "patterns": ["corp-host: [\\w.-]+\\.corp\\.example\\.com"] }
+//
+// MCP_REDACTION_MODE overrides the mode. Without a file every built-in
+// detector masks; a broken file is reported and the defaults are used.
+
+const fs = require('fs').promises;
+const {
+    REDACTION_DETECTORS,
+    normalizeRedactionOptions,
+    redactContent,
+    mergeRedactionFindings
+} = require('../../extension/redaction.js');
+
+async function loadRedactionConfig(file) {
+    let data = {};
+    try {
+        data = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') console.warn(`⚠️ Ignoring redaction settings in ${file}: ${error.message}`);
+    }
+
+    let config;
+    try {
+        config = normalizeRedactionOptions({ ...data, mode: process.env.MCP_REDACTION_MODE || data.mode });
+    } catch (error) {
+        console.warn(`⚠️ Ignoring redaction settings in ${file}: ${error.message}`);
+        config = normalizeRedactionOptions();
+    }
+
+    const detectors = REDACTION_DETECTORS.length - config.disabled.length;
+    console.log(`🔒 Redaction: ${config.mode} (${detectors} detectors, ${config.patterns.length} custom pattern${config.patterns.length === 1 ? '' : 's'})`);
+    return config;
+}
+
+// Redact a block from a store request again, its note included: the note is
+// stored (and exported) with the content. `redactions` combines what the
+// extension reported (block.redactions) with what this pass found.
+function redactStoreBlock(block, config) {
+    const result = redactContent(block.content, config);
+    const note = redactContent(block.note, config);
+    const findings = mergeRedactionFindings(result.findings, note.findings);
+    return {
+        content: result.content,
+        note: note.content,
+        blocked: result.blocked || note.blocked,
+        findings,
+        redactions: mergeRedactionFindings(block.redactions, findings)
+    };
+}
+
+module.exports = {
+    loadRedactionConfig,
+    redactStoreBlock
+};
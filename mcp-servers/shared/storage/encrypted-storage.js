@@ -0,0 +1,79 @@
+// encrypted-storage.js
+// Wraps a storage backend so memories are sealed on the way to disk and
+// opened on the way back (see ../encryption.js). Callers still see plain
+// memories; the backend only ever sees sealed ones.
+//
+// The keyring sits next to the store (<basePath>.keys.json). When another
+// process rotates or removes it, this one stops writing: its key would seal
+// memories that the new passphrase cannot open.
+
+const fs = require('fs').promises;
+const { StoreLockedError, readKeyring } = require('../encryption.js');
+
+class EncryptedStorage {
+    constructor(storage, { keyringFile, cipher }) {
+        this.storage = storage;
+        this.name = storage.name;
+        this.file = storage.file;
+        this.encrypted = true;
+        this.keyringFile = keyringFile;
+        this.cipher = cipher;
+        this.keyringMtimeMs = null;
+    }
+
+    async checkKeyring() {
+        let stats;
+        try {
+            stats = await fs.stat(this.keyringFile);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            throw new StoreLockedError('Encryption was turned off for the memory store - restart to open it');
+        }
+        if (stats.mtimeMs === this.keyringMtimeMs) return;
+
+        const keyring = await readKeyring(this.keyringFile);
+        if (!keyring || keyring.key.id !== this.cipher.keyId) {
+            throw new StoreLockedError('The memory store key was rotated - restart and unlock with the new passphrase');
+        }
+        this.keyringMtimeMs = stats.mtimeMs;
+    }
+
+    async load() {
+        await this.checkKeyring();
+        const memories = await this.storage.load();
+        const stale = memories.filter(memory => !memory.sealed || memory.sealed.key !== this.cipher.keyId).length;
+        if (stale > 0) {
+            console.warn(`⚠️ ${stale} memories are not sealed with the current key - run \`npm run encryption -- rotate\``);
+        }
+        return memories.map(memory => this.cipher.open(memory));
+    }
+
+    async write({ put = [], remove = [], clear = false }) {
+        await this.checkKeyring();
+        return this.storage.write({ put: put.map(memory => this.cipher.seal(memory)), remove, clear });
+    }
+
+    async importIfEmpty(memories) {
+        await this.checkKeyring();
+        return this.storage.importIfEmpty(memories.map(memory => this.cipher.seal(memory)));
+    }
+
+    // Snapshot data that can only be read with the passphrase of today
+    sealSnapshot(memories) {
+        return { keyring: this.cipher.keyring, memories: memories.map(memory => this.cipher.seal(memory)) };
+    }
+
+    hasExternalChanges() {
+        return this.storage.hasExternalChanges();
+    }
+
+    compact() {
+        return this.storage.compact();
+    }
+
+    close() {
+        return this.storage.close();
+    }
+}
+
+module.exports = EncryptedStorage;
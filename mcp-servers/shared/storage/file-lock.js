@@ -0,0 +1,62 @@
+// file-lock.js
+// Cross-process lock: whoever creates the lock file exclusively holds it. A lock
+// file older than STALE_LOCK_MS belongs to a crashed process and is broken.
+
+const fs = require('fs').promises;
+
+const RETRY_MS = 20;
+const TIMEOUT_MS = 10000;
+const STALE_LOCK_MS = 30000;
+
+class FileLock {
+    constructor(file) {
+        this.file = file;
+    }
+
+    async acquire() {
+        const deadline = Date.now() + TIMEOUT_MS;
+
+        while (true) {
+            try {
+                const handle = await fs.open(this.file, 'wx');
+                await handle.writeFile(String(process.pid));
+                await handle.close();
+                return;
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+            }
+
+            try {
+                const stat = await fs.stat(this.file);
+                if (Date.now() - stat.mtimeMs > STALE_LOCK_MS) {
+                    console.warn(`⚠️ Breaking stale lock ${this.file}`);
+                    await fs.unlink(this.file);
+                    continue;
+                }
+            } catch (error) {
+                if (error.code === 'ENOENT') continue; // Released meanwhile
+                throw error;
+            }
+
+            if (Date.now() > deadline) {
+                throw new Error(`Timed out waiting for lock ${this.file}`);
+            }
+            await new Promise(resolve => setTimeout(resolve, RETRY_MS));
+        }
+    }
+
+    async release() {
+        await fs.unlink(this.file).catch(() => {});
+    }
+
+    async withLock(fn) {
+        await this.acquire();
+        try {
+            return await fn();
+        } finally {
+            await this.release();
+        }
+    }
+}
+
+module.exports = FileLock;
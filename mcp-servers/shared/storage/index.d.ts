@@ -0,0 +1,43 @@
+// Types for storage/index.js, which the TypeScript servers require at runtime
+
+export interface StoredMemory {
+  id: string;
+  [key: string]: any;
+}
+
+export interface StorageChanges<T extends StoredMemory> {
+  put?: T[];
+  remove?: string[];
+  clear?: boolean;
+}
+
+export interface MemoryStorage<T extends StoredMemory = StoredMemory> {
+  readonly name: string;
+  readonly file: string;
+  load(): Promise<T[]>;
+  write(changes: StorageChanges<T>): Promise<void>;
+  importIfEmpty(memories: T[]): Promise<number>;
+  hasExternalChanges(): Promise<boolean>;
+  compact(): Promise<void>;
+  close(): Promise<void>;
+  // Only on encrypted stores
+  readonly encrypted?: boolean;
+  sealSnapshot?(memories: T[]): { keyring: unknown; memories: StoredMemory[] };
+}
+
+export interface OpenMemoryStorageOptions {
+  basePath: string;
+  backend?: string;
+  sqlite?: unknown;
+  importFrom?: string;
+  passphrase?: string;
+  prompt?: boolean;
+  raw?: boolean;
+}
+
+export declare const STORAGE_BACKENDS: string[];
+export declare const DEFAULT_STORAGE_BACKEND: string;
+export declare function getKeyringFile(basePath: string): string;
+export declare function openMemoryStorage<T extends StoredMemory = StoredMemory>(
+  options: OpenMemoryStorageOptions
+): Promise<MemoryStorage<T>>;
@@ -0,0 +1,93 @@
+// storage/index.js
+// Pluggable memory storage, shared by the memory server and both MCP clients.
+//
+// Backends (MCP_STORAGE_BACKEND):
+//   sqlite  (default) one database file in WAL mode, indexed by content hash,
+//           timestamp and tag. Needs better-sqlite3, which the caller passes in
+//           because this folder has no node_modules of its own.
+//   jsonl   an append-only log with compaction, no native dependencies.
+//
+// Every backend has the same async interface:
+//   load()                         all memories in insertion order
+//   write({ put, remove, clear })  one atomic change: clear, then delete ids, then upsert memories
+//   importIfEmpty(memories)        seed a new store, returns the number imported
+//   hasExternalChanges()           true once another process has written since our last load()
+//   compact()                      rewrite the file so replaced memories leave no trace
+//   close()
+// Callers keep their memories in memory and reload when hasExternalChanges()
+// says so; every process can read and write the same store safely.
+//
+// A store with a keyring (<basePath>.keys.json, see ../encryption.js) is
+// encrypted: it is unlocked with a passphrase when it is opened and wrapped in
+// an EncryptedStorage, which has the same interface.
+
+const fs = require('fs').promises;
+const path = require('path');
+const SqliteStorage = require('./sqlite-storage.js');
+const JsonlStorage = require('./jsonl-storage.js');
+const EncryptedStorage = require('./encrypted-storage.js');
+const { readKeyring, readPassphrase, unlockKeyring } = require('../encryption.js');
+
+const STORAGE_BACKENDS = ['sqlite', 'jsonl'];
+const DEFAULT_STORAGE_BACKEND = 'sqlite';
+
+// Memories from the old single-file JSON store, if there is one
+async function readJsonStore(file) {
+    try {
+        const data = JSON.parse(await fs.readFile(file, 'utf8'));
+        return Array.isArray(data) ? data : (data.memories || []);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+}
+
+function getKeyringFile(basePath) {
+    return `${basePath}.keys.json`;
+}
+
+// Open the store at basePath (the backend adds .db or .jsonl). A new, empty
+// store is seeded from importFrom, the JSON file used before storage backends.
+// An encrypted store needs `passphrase`, or readPassphrase() finds one (on the
+// terminal only when `prompt` is set); `raw` skips unlocking altogether.
+async function openMemoryStorage({ basePath, backend, sqlite, importFrom, passphrase, prompt, raw = false }) {
+    const name = (backend || process.env.MCP_STORAGE_BACKEND || DEFAULT_STORAGE_BACKEND).toLowerCase();
+    if (!STORAGE_BACKENDS.includes(name)) {
+        throw new Error(`Unknown storage backend "${name}" (use ${STORAGE_BACKENDS.join(' or ')})`);
+    }
+
+    await fs.mkdir(path.dirname(basePath), { recursive: true });
+    let storage = name === 'sqlite'
+        ? new SqliteStorage(`${basePath}.db`, sqlite)
+        : new JsonlStorage(`${basePath}.jsonl`);
+
+    const keyringFile = getKeyringFile(basePath);
+    const keyring = raw ? null : await readKeyring(keyringFile);
+    if (keyring) {
+        try {
+            const cipher = await unlockKeyring(keyring, passphrase || await readPassphrase({ prompt, label: storage.file }));
+            storage = new EncryptedStorage(storage, { keyringFile, cipher });
+            console.log(`🔓 Unlocked the encrypted memory store ${storage.file}`);
+        } catch (error) {
+            await storage.close();
+            throw error;
+        }
+    }
+
+    if (importFrom) {
+        const memories = await readJsonStore(importFrom);
+        const imported = memories.length > 0 ? await storage.importIfEmpty(memories) : 0;
+        if (imported > 0) {
+            console.log(`📦 Imported ${imported} memories from ${importFrom} into ${storage.file}`);
+        }
+    }
+
+    return storage;
+}
+
+module.exports = {
+    STORAGE_BACKENDS,
+    DEFAULT_STORAGE_BACKEND,
+    getKeyringFile,
+    openMemoryStorage
+};
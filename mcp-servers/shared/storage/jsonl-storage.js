@@ -0,0 +1,164 @@
+// jsonl-storage.js
+// Append-only JSONL memory storage. Every write is a single line, so it is
+// applied completely or (after a crash mid-append) not at all:
+//   {"put":[...memories],"remove":[...ids]}   upsert and delete
+//   {"clear":true}                             drop everything
+// Loading replays the log. Once most lines are superseded the log is
+// compacted into a temporary file that is renamed over the old one. Writers
+// hold a lock file, so several processes can share the store.
+
+const fs = require('fs').promises;
+const FileLock = require('./file-lock.js');
+
+const COMPACT_MIN_LINES = 500;
+const COMPACT_RATIO = 2; // Compact when the log has twice as many lines as live memories
+
+function sameFile(a, b) {
+    return !!a && !!b && a.ino === b.ino && a.size === b.size && a.mtimeMs === b.mtimeMs;
+}
+
+class JsonlStorage {
+    constructor(file) {
+        this.name = 'jsonl';
+        this.file = file;
+        this.lock = new FileLock(`${file}.lock`);
+        this.fileState = null;   // stat() after our last read or write
+        this.lineCount = 0;
+        this.liveIds = new Set();
+        this.externalChange = false;
+    }
+
+    async stat() {
+        try {
+            return await fs.stat(this.file);
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async replay() {
+        let data = '';
+        try {
+            data = await fs.readFile(this.file, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        const memories = new Map();
+        const lines = data.split('\n').filter(line => line.trim());
+        lines.forEach((line, index) => {
+            let record;
+            try {
+                record = JSON.parse(line);
+            } catch (error) {
+                // Only a crash during the last append can leave a broken line
+                console.warn(`⚠️ Skipping unreadable line ${index + 1} of ${this.file}`);
+                return;
+            }
+            if (record.clear) memories.clear();
+            (record.remove || []).forEach(id => memories.delete(id));
+            (record.put || []).forEach(memory => memories.set(memory.id, memory));
+        });
+
+        return { memories: [...memories.values()], lineCount: lines.length };
+    }
+
+    async load() {
+        const { memories, lineCount } = await this.replay();
+        this.lineCount = lineCount;
+        this.liveIds = new Set(memories.map(memory => memory.id));
+        this.fileState = await this.stat();
+        this.externalChange = false;
+        return memories;
+    }
+
+    async append(record) {
+        const current = await this.stat();
+        if ((current || this.fileState) && !sameFile(current, this.fileState)) {
+            this.externalChange = true; // Another process wrote since we last read
+        }
+
+        const handle = await fs.open(this.file, 'a+');
+        try {
+            // A crash mid-append leaves a line without its newline; don't glue onto it
+            let prefix = '';
+            const { size } = await handle.stat();
+            if (size > 0) {
+                const { buffer } = await handle.read(Buffer.alloc(1), 0, 1, size - 1);
+                if (buffer[0] !== 0x0a) prefix = '\n';
+            }
+            await handle.write(prefix + JSON.stringify(record) + '\n');
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+        this.lineCount++;
+        this.fileState = await this.stat();
+    }
+
+    async write({ put = [], remove = [], clear = false }) {
+        await this.lock.withLock(async () => {
+            const record = {};
+            if (clear) record.clear = true;
+            if (remove.length > 0) record.remove = remove;
+            if (put.length > 0) record.put = put;
+            await this.append(record);
+
+            if (clear) this.liveIds.clear();
+            remove.forEach(id => this.liveIds.delete(id));
+            put.forEach(memory => this.liveIds.add(memory.id));
+            if (this.lineCount > COMPACT_MIN_LINES && this.lineCount > COMPACT_RATIO * this.liveIds.size) {
+                await this.compactLog();
+            }
+        });
+    }
+
+    // Rewrite the log with one line per live memory; the rename is atomic
+    async compactLog() {
+        const { memories, lineCount } = await this.replay();
+        const tempFile = `${this.file}.${process.pid}.tmp`;
+        const handle = await fs.open(tempFile, 'w');
+        try {
+            await handle.write(memories.map(memory => JSON.stringify({ put: [memory] }) + '\n').join(''));
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+        await fs.rename(tempFile, this.file);
+
+        console.log(`🗜️ Compacted ${this.file}: ${lineCount} lines -> ${memories.length}`);
+        this.lineCount = memories.length;
+        this.liveIds = new Set(memories.map(memory => memory.id));
+        if (!this.externalChange) {
+            this.fileState = await this.stat();
+        }
+    }
+
+    async importIfEmpty(memories) {
+        return this.lock.withLock(async () => {
+            const { memories: existing } = await this.replay();
+            if (existing.length > 0 || memories.length === 0) return 0;
+            await this.append({ put: memories });
+            this.liveIds = new Set(memories.map(memory => memory.id));
+            return memories.length;
+        });
+    }
+
+    // Compact now, e.g. to drop superseded plaintext lines after encrypting the store
+    async compact() {
+        await this.lock.withLock(() => this.compactLog());
+    }
+
+    async hasExternalChanges() {
+        if (this.externalChange || !sameFile(await this.stat(), this.fileState)) {
+            this.externalChange = false;
+            return true;
+        }
+        return false;
+    }
+
+    async close() {}
+}
+
+module.exports = JsonlStorage;
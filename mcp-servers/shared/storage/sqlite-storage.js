@@ -0,0 +1,117 @@
+// sqlite-storage.js
+// SQLite memory storage. Each memory is one row holding the full entry as
+// JSON, with indexed columns for content hash and timestamp and a tag table.
+// WAL mode and a busy timeout let several processes (the memory server and
+// the HTTP client) read and write the same database at once.
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS memories (
+        id TEXT PRIMARY KEY,
+        content_hash TEXT,
+        timestamp TEXT,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_memories_content_hash ON memories (content_hash);
+    CREATE INDEX IF NOT EXISTS idx_memories_timestamp ON memories (timestamp);
+
+    CREATE TABLE IF NOT EXISTS memory_tags (
+        memory_id TEXT NOT NULL REFERENCES memories (id) ON DELETE CASCADE,
+        tag TEXT NOT NULL,
+        PRIMARY KEY (memory_id, tag)
+    );
+    CREATE INDEX IF NOT EXISTS idx_memory_tags_tag ON memory_tags (tag);
+`;
+
+class SqliteStorage {
+    constructor(file, Database) {
+        if (!Database) {
+            throw new Error('The sqlite storage backend needs the better-sqlite3 module');
+        }
+
+        this.name = 'sqlite';
+        this.file = file;
+        this.db = new Database(file);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('synchronous = NORMAL');
+        this.db.pragma('busy_timeout = 5000');
+        this.db.pragma('foreign_keys = ON');
+        this.db.exec(SCHEMA);
+
+        const upsert = this.db.prepare(`
+            INSERT INTO memories (id, content_hash, timestamp, data) VALUES (@id, @contentHash, @timestamp, @data)
+            ON CONFLICT (id) DO UPDATE SET
+                content_hash = excluded.content_hash, timestamp = excluded.timestamp, data = excluded.data
+        `);
+        const deleteTags = this.db.prepare('DELETE FROM memory_tags WHERE memory_id = ?');
+        const insertTag = this.db.prepare('INSERT OR IGNORE INTO memory_tags (memory_id, tag) VALUES (?, ?)');
+        const deleteMemory = this.db.prepare('DELETE FROM memories WHERE id = ?');
+        const countMemories = this.db.prepare('SELECT COUNT(*) AS count FROM memories');
+
+        const putMemory = memory => {
+            upsert.run({
+                id: memory.id,
+                contentHash: memory.contentHash || null,
+                timestamp: memory.timestamp || null,
+                data: JSON.stringify(memory)
+            });
+            deleteTags.run(memory.id);
+            (memory.tags || []).forEach(tag => insertTag.run(memory.id, tag));
+        };
+
+        this.writeTransaction = this.db.transaction(({ put = [], remove = [], clear = false }) => {
+            if (clear) {
+                this.db.exec('DELETE FROM memory_tags; DELETE FROM memories;');
+            }
+            remove.forEach(id => deleteMemory.run(id));
+            put.forEach(putMemory);
+        });
+
+        // Check and insert in one transaction so only one process imports
+        this.importTransaction = this.db.transaction(memories => {
+            if (countMemories.get().count > 0) return 0;
+            memories.forEach(putMemory);
+            return memories.length;
+        });
+
+        this.dataVersion = this.readDataVersion();
+    }
+
+    // Changes whenever another connection commits, never for our own writes
+    readDataVersion() {
+        return this.db.pragma('data_version', { simple: true });
+    }
+
+    async load() {
+        this.dataVersion = this.readDataVersion();
+        return this.db.prepare('SELECT data FROM memories ORDER BY rowid').all()
+            .map(row => JSON.parse(row.data));
+    }
+
+    async write(changes) {
+        this.writeTransaction(changes);
+    }
+
+    async importIfEmpty(memories) {
+        return this.importTransaction(memories);
+    }
+
+    // Rebuild the file so replaced rows (e.g. plaintext from before encryption) are gone
+    async compact() {
+        this.db.pragma('wal_checkpoint(TRUNCATE)');
+        this.db.exec('VACUUM');
+        this.db.pragma('wal_checkpoint(TRUNCATE)');
+    }
+
+    async hasExternalChanges() {
+        const version = this.readDataVersion();
+        if (version === this.dataVersion) return false;
+        this.dataVersion = version;
+        return true;
+    }
+
+    async close() {
+        this.db.close();
+    }
+}
+
+module.exports = SqliteStorage;
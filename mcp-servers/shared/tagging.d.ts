@@ -0,0 +1,50 @@
+// Types for tagging.js, which the TypeScript packages require at runtime
+
+export interface TagRule {
+  pattern: string;
+  flags: string;
+  tag: string;
+  regex: RegExp;
+}
+
+export interface TagEntities {
+  urls: string[];
+  domains: string[];
+  paths: string[];
+  versions: string[];
+}
+
+export interface Classification {
+  tags: string[];
+  entities: TagEntities;
+}
+
+export interface TaggableMemory {
+  id: string;
+  content: string;
+  tags: string[];
+  source?: { url?: string };
+  autoTags?: string[];
+  entities?: TagEntities;
+  tagger?: string;
+}
+
+export declare const TAGGER_VERSION: number;
+export declare function classifyContent(content: string, options?: { sourceUrl?: string; rules?: TagRule[] }): Classification;
+export declare function parseTagRules(value: unknown): TagRule[];
+export declare function loadTagRules(file: string): Promise<TagRule[]>;
+export declare function saveTagRules(file: string, rules: TagRule[]): Promise<void>;
+export declare function getTaggerVersion(rules?: TagRule[]): string;
+export declare function getManualTags(memory: TaggableMemory, rules?: TagRule[]): string[];
+export declare function tagMemory<T extends TaggableMemory>(memory: T, manualTags: string[], rules?: TagRule[]): T;
+export declare function retagMemory(memory: TaggableMemory, rules?: TagRule[], force?: boolean): boolean;
+export declare function backfillTags<T extends TaggableMemory>(
+  getMemories: () => T[],
+  options: {
+    rules?: TagRule[];
+    force?: boolean;
+    save: (batch: T[]) => Promise<void>;
+    batchSize?: number;
+    onProgress?: (retagged: number) => void;
+  }
+): Promise<{ retagged: number; version: string }>;
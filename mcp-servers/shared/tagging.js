@@ -0,0 +1,372 @@
+// tagging.js
+// Rule-based, offline tagging shared by the memory server and both MCP clients.
+// classifyContent() runs a small pipeline over a memory's content:
+//
+//   #hashtags                      as written (not in code, URLs, HTML entities or colours)
+//   ```python fences               code, lang:python (unlabelled fences are guessed)
+//   code without fences            code, when most lines look like code
+//   TODO / FIXME, - [ ] items      todo
+//   URLs, domains, paths, versions url, domain:<host>, path, version
+//   the page it was captured on    site:<host>
+//   user rules                     any tag, from { pattern, flags, tag } regex rules
+//
+// The detected tags are kept in `autoTags` next to `tags`, so re-tagging can
+// tell them from the tags a user typed. Memories record the tagger version
+// they were tagged with; backfillTags() re-tags the ones tagged by an older
+// version or an older set of rules.
+
+const fs = require('fs').promises;
+const crypto = require('crypto');
+
+// Bump when the pipeline changes so stored memories get re-tagged
+const TAGGER_VERSION = 2;
+const MAX_DOMAIN_TAGS = 5;
+const MAX_ENTITIES = 50; // Per entity type
+const MAX_RULE_TAG_LENGTH = 64;
+const BACKFILL_BATCH_SIZE = 200;
+
+// Share of non-empty lines that must look like code to tag unfenced content as code
+const CODE_LINE_RATIO = 0.5;
+const MIN_CODE_LINES = 2;
+
+const LANGUAGE_ALIASES = {
+    js: 'javascript', jsx: 'javascript', mjs: 'javascript', cjs: 'javascript', node: 'javascript',
+    ts: 'typescript', tsx: 'typescript',
+    py: 'python', python3: 'python',
+    sh: 'shell', bash: 'shell', zsh: 'shell', console: 'shell', shellscript: 'shell',
+    ps1: 'powershell', pwsh: 'powershell',
+    rb: 'ruby', rs: 'rust', golang: 'go', kt: 'kotlin',
+    'c++': 'cpp', cc: 'cpp', hpp: 'cpp', 'c#': 'csharp', cs: 'csharp',
+    yml: 'yaml', md: 'markdown', htm: 'html', postgres: 'sql', postgresql: 'sql', mysql: 'sql',
+    dockerfile: 'docker'
+};
+
+// Fence labels that are not languages
+const NON_LANGUAGES = new Set(['text', 'txt', 'plain', 'plaintext', 'output', 'log', 'mcp']);
+
+// First match wins, so the more specific languages come first
+const LANGUAGE_HINTS = [
+    ['typescript', /\binterface \w+ \{|:\s*(string|number|boolean)(\[\])?\s*[;,)=]|\bexport type \w+ =/],
+    ['javascript', /\b(const|let) \w+ = |=>\s*[{(\w]|\brequire\(['"]|\bconsole\.log\(|\bfunction \w*\s*\(/],
+    ['python', /^\s*(def \w+\(.*\):|from [\w.]+ import |import \w+(\.\w+)*\s*$|class \w+(\(.*\))?:|if __name__ == )/m],
+    ['go', /^package \w+\s*$|\bfunc (\(\w+ \*?\w+\) )?\w+\(|\bfmt\.Print/m],
+    ['rust', /\bfn \w+\s*[(<]|\blet mut \w+|\bprintln!\(|\bimpl \w+/],
+    ['java', /\bpublic (static )?(final )?(class|void|interface) |\bSystem\.out\.print/],
+    ['c', /^#include\s*[<"]/m],
+    ['sql', /\b(SELECT\s[\s\S]+?\sFROM|INSERT INTO|CREATE TABLE|UPDATE \w+ SET|DELETE FROM)\b/i],
+    ['html', /<\/?(html|head|body|div|span|p|a|ul|li|table|script)\b[^>]*>/i],
+    ['css', /^\s*[.#]?[\w-]+(\s*[,>+~]?\s*[.#]?[\w-]+)*\s*\{\s*[\w-]+\s*:\s*[^;}]+;?/m],
+    ['shell', /^\s*(\$ |sudo |npm |npx |yarn |git |cd |export \w+=|curl |docker |pip |brew |apt(-get)? )/m],
+    ['yaml', /^[\w-]+:\s*\n(\s+[\w-]+:.*\n?)+/m]
+];
+
+// Lines that look like code rather than prose
+const CODE_LINE_PATTERN = new RegExp([
+    /[;{}]\s*$/,                                            // statement and block endings
+    /^\s*(def|fn|func|function|class|import|from|return|const|let|var|if|for|while)\b.*[:({=]/,
+    /^\s*(#include|package|using|public|private|protected)\b/,
+    /^\s*[\w.$[\]]+\s*(=|\+=|-=|:=)\s*[^=]/,               // assignments
+    /^\s*[\w.$]+\([^)]*\);?\s*$/,                           // calls
+    /^\s*(\/\/|\/\*|\*\/)/,                                 // comments
+    /^\s*<\/?[a-z][\w-]*(\s[^>]*)?>\s*$/i                  // markup
+].map(pattern => pattern.source).join('|'));
+
+// Top-level domains recognised in bare domain names ("see example.com").
+// Anything else is too likely to be a file name like config.json.
+const DOMAIN_TLDS = [
+    'com', 'org', 'net', 'io', 'dev', 'ai', 'app', 'co', 'edu', 'gov', 'info', 'me', 'tech', 'cloud',
+    'sh', 'xyz', 'site', 'blog', 'page', 'so', 'gg', 'us', 'uk', 'de', 'fr', 'nl', 'eu', 'ca', 'au',
+    'jp', 'cn', 'in', 'br', 'es', 'it', 'ch', 'se', 'no', 'fi', 'pl', 'ru', 'nz'
+];
+const URL_PATTERN = /\bhttps?:\/\/[^\s<>"'`)\]}]+/gi;
+const DOMAIN_PATTERN = new RegExp(`(?<![\\w.@/-])((?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\\.)+(?:${DOMAIN_TLDS.join('|')}))(?![\\w-]|\\.[a-z0-9])`, 'gi');
+const PATH_PATTERN = /(?<=^|[\s(`'"=])((?:~|\.{1,2})?\/(?:[\w.@-]+\/)*[\w.@-]+\/?|[a-z]:\\(?:[\w .-]+\\)*[\w.-]+|(?:[\w.@-]+\/)+[\w-]+\.[a-z][a-z0-9]{0,7})(?=$|[\s)`'",:;!?]|\.(?:\s|$))/gim;
+const VERSION_PATTERN = /(?<![\w.])(v?\d+\.\d+\.\d+(?:-[0-9a-z.-]+)?(?:\+[0-9a-z.-]+)?|v\d+\.\d+)(?![\w]|\.\d)/gi;
+const HASHTAG_PATTERN = /(?<![\w&#/])#([a-z][\w-]*)/gi;
+const HEX_COLOR_PATTERN = /^(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+const FENCE_PATTERN = /^(```|~~~)[ \t]*([^\s`]*)[^\n]*\n([\s\S]*?)^\1[ \t]*$/gm;
+const INLINE_CODE_PATTERN = /`[^`\n]+`/g;
+
+function unique(values) {
+    return [...new Set(values)];
+}
+
+function normalizeLanguage(label) {
+    const name = label.toLowerCase().replace(/^\{?\.?|\}$/g, '');
+    if (!name || NON_LANGUAGES.has(name)) return null;
+    return LANGUAGE_ALIASES[name] || name;
+}
+
+function guessLanguage(code) {
+    const hint = LANGUAGE_HINTS.find(([, pattern]) => pattern.test(code));
+    if (hint) return hint[0];
+    const trimmed = code.trim();
+    if (/^[[{]/.test(trimmed)) {
+        try {
+            JSON.parse(trimmed);
+            return 'json';
+        } catch (error) {
+            // Not JSON
+        }
+    }
+    return null;
+}
+
+function getHostname(url) {
+    try {
+        const { protocol, hostname } = new URL(url);
+        if (protocol !== 'http:' && protocol !== 'https:') return null;
+        return hostname.toLowerCase().replace(/^www\./, '') || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function trimTrailingPunctuation(url) {
+    return url.replace(/[.,;:!?]+$/, '');
+}
+
+function looksLikeCode(text) {
+    const lines = text.split('\n').filter(line => line.trim());
+    const codeLines = lines.filter(line => CODE_LINE_PATTERN.test(line)).length;
+    return codeLines >= MIN_CODE_LINES && codeLines / lines.length >= CODE_LINE_RATIO;
+}
+
+// URLs, domains, file paths and version numbers mentioned in the content
+function extractEntities(content, prose) {
+    const urls = unique((content.match(URL_PATTERN) || []).map(trimTrailingPunctuation));
+    const withoutUrls = content.replace(URL_PATTERN, ' ');
+
+    const domains = unique([
+        ...urls.map(getHostname).filter(Boolean),
+        ...(withoutUrls.match(DOMAIN_PATTERN) || []).map(domain => domain.toLowerCase().replace(/^www\./, ''))
+    ]);
+    const paths = unique((withoutUrls.match(PATH_PATTERN) || [])
+        .filter(candidate => candidate.length > 1 && !/^\/+$/.test(candidate) && !domains.includes(candidate.toLowerCase())));
+    // Versions in prose only: inside code they are mostly numbers
+    const versions = unique((prose.replace(URL_PATTERN, ' ').match(VERSION_PATTERN) || []));
+
+    return {
+        urls: urls.slice(0, MAX_ENTITIES),
+        domains: domains.slice(0, MAX_ENTITIES),
+        paths: paths.slice(0, MAX_ENTITIES),
+        versions: versions.slice(0, MAX_ENTITIES)
+    };
+}
+
+// Detected tags and entities of a piece of content. `sourceUrl` adds a
+// site:<host> tag; `rules` are compiled user rules from parseTagRules().
+function classifyContent(content, { sourceUrl, rules = [] } = {}) {
+    const text = String(content || '');
+    const tags = [];
+
+    // Fenced code blocks, with their language
+    const languages = [];
+    let fenced = false;
+    let match;
+    FENCE_PATTERN.lastIndex = 0;
+    while ((match = FENCE_PATTERN.exec(text)) !== null) {
+        fenced = true;
+        const language = match[2] ? normalizeLanguage(match[2]) : guessLanguage(match[3]);
+        if (language) languages.push(language);
+    }
+    // An opening fence without its closing one still starts a code block
+    if (!fenced && /^(```|~~~)/m.test(text)) {
+        fenced = true;
+        const [, label] = text.match(/^(?:```|~~~)[ \t]*([^\s`]*)/m);
+        const language = label ? normalizeLanguage(label) : null;
+        if (language) languages.push(language);
+    }
+
+    // Prose is what is left outside code, where hashtags and TODOs count
+    const prose = text.replace(FENCE_PATTERN, ' ').replace(INLINE_CODE_PATTERN, ' ');
+
+    let hashtag;
+    HASHTAG_PATTERN.lastIndex = 0;
+    while ((hashtag = HASHTAG_PATTERN.exec(prose.replace(URL_PATTERN, ' '))) !== null) {
+        if (!HEX_COLOR_PATTERN.test(hashtag[1])) tags.push(hashtag[1]);
+    }
+
+    if (fenced || looksLikeCode(prose)) {
+        tags.push('code');
+        if (!fenced) {
+            const language = guessLanguage(prose);
+            if (language) languages.push(language);
+        }
+    }
+    tags.push(...languages.map(language => `lang:${language}`));
+
+    if (/\b(TODO|FIXME)\b/.test(text) || /^\s*[-*] \[ \]/m.test(prose)) {
+        tags.push('todo');
+    }
+
+    const entities = extractEntities(text, prose);
+    if (entities.urls.length > 0) tags.push('url');
+    tags.push(...entities.domains.slice(0, MAX_DOMAIN_TAGS).map(domain => `domain:${domain}`));
+    if (entities.paths.length > 0) tags.push('path');
+    if (entities.versions.length > 0) tags.push('version');
+
+    const site = sourceUrl && getHostname(sourceUrl);
+    if (site) tags.push(`site:${site}`);
+
+    rules.forEach(rule => {
+        if (rule.regex.test(text)) tags.push(rule.tag);
+    });
+
+    return { tags: unique(tags), entities };
+}
+
+// The tags the first tagger detected: hashtags, and code/todo/url by substring.
+// Memories from before autoTags only tell their detected tags apart this way.
+function legacyTags(content) {
+    const tags = (content.match(/#[\w]+/g) || []).map(tag => tag.substring(1));
+    if (content.includes('```') || content.includes('function') || content.includes('class')) tags.push('code');
+    if (content.includes('TODO') || content.includes('FIXME')) tags.push('todo');
+    if (content.includes('http://') || content.includes('https://')) tags.push('url');
+    return tags;
+}
+
+// Validate user rules ([{ pattern, flags, tag }] or { rules: [...] }) and
+// compile their patterns. Throws on the first invalid rule.
+function parseTagRules(value) {
+    const list = Array.isArray(value) ? value : value && value.rules;
+    if (!Array.isArray(list)) {
+        throw new Error('Tag rules must be an array of { pattern, tag } objects');
+    }
+
+    return list.map((rule, index) => {
+        const label = `Tag rule ${index + 1}`;
+        if (!rule || typeof rule.pattern !== 'string' || !rule.pattern) {
+            throw new Error(`${label}: pattern must be a non-empty string`);
+        }
+        const tag = typeof rule.tag === 'string' ? rule.tag.trim() : '';
+        if (!tag || tag.length > MAX_RULE_TAG_LENGTH) {
+            throw new Error(`${label}: tag must be a string of 1-${MAX_RULE_TAG_LENGTH} characters`);
+        }
+        const flags = rule.flags === undefined ? 'i' : rule.flags;
+        if (typeof flags !== 'string' || !/^[imsu]*$/.test(flags)) {
+            throw new Error(`${label}: flags may only contain i, m, s and u`);
+        }
+
+        let regex;
+        try {
+            regex = new RegExp(rule.pattern, flags);
+        } catch (error) {
+            throw new Error(`${label}: ${error.message}`);
+        }
+        return { pattern: rule.pattern, flags, tag, regex };
+    });
+}
+
+// Rules from a JSON file. A missing file means no rules; a broken one is
+// reported and ignored so the server still starts.
+async function loadTagRules(file) {
+    let data;
+    try {
+        data = await fs.readFile(file, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    try {
+        const rules = parseTagRules(JSON.parse(data));
+        if (rules.length > 0) console.log(`🏷️ Loaded ${rules.length} tag rules from ${file}`);
+        return rules;
+    } catch (error) {
+        console.warn(`⚠️ Ignoring tag rules in ${file}: ${error.message}`);
+        return [];
+    }
+}
+
+async function saveTagRules(file, rules) {
+    const data = { rules: rules.map(({ pattern, flags, tag }) => ({ pattern, flags, tag })) };
+    const tempFile = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(data, null, 2));
+    await fs.rename(tempFile, file);
+}
+
+// Tagger version plus a fingerprint of the rules, stored on tagged memories
+function getTaggerVersion(rules = []) {
+    if (rules.length === 0) return `v${TAGGER_VERSION}`;
+    const fingerprint = crypto.createHash('sha1')
+        .update(JSON.stringify(rules.map(({ pattern, flags, tag }) => [pattern, flags, tag])))
+        .digest('hex')
+        .substring(0, 8);
+    return `v${TAGGER_VERSION}:${fingerprint}`;
+}
+
+// The tags a user gave a memory, i.e. everything the tagger didn't add.
+// Without autoTags, tags the old or the current tagger would detect count as detected.
+function getManualTags(memory, rules = []) {
+    const tags = memory.tags || [];
+    const detected = Array.isArray(memory.autoTags)
+        ? memory.autoTags
+        : [
+            ...legacyTags(memory.content || ''),
+            ...classifyContent(memory.content, { sourceUrl: memory.source && memory.source.url, rules }).tags
+        ];
+    return tags.filter(tag => !detected.includes(tag));
+}
+
+// Set a memory's tags to the manual ones followed by the detected ones
+function tagMemory(memory, manualTags, rules = []) {
+    const { tags, entities } = classifyContent(memory.content, {
+        sourceUrl: memory.source && memory.source.url,
+        rules
+    });
+    memory.tags = unique([...manualTags, ...tags]);
+    memory.autoTags = tags;
+    memory.entities = entities;
+    memory.tagger = getTaggerVersion(rules);
+    return memory;
+}
+
+// Re-tag a memory tagged by another tagger version (or any memory with force).
+// Returns whether it was re-tagged.
+function retagMemory(memory, rules = [], force = false) {
+    if (!force && memory.tagger === getTaggerVersion(rules)) return false;
+    tagMemory(memory, getManualTags(memory, rules), rules);
+    return true;
+}
+
+// Re-tag every memory tagged by an older tagger or older rules, in batches.
+// Each batch is handed to save() before the next one starts, and the event
+// loop gets a turn in between. getMemories() is called per batch because the
+// store may be reloaded while the job runs.
+async function backfillTags(getMemories, { rules = [], force = false, save, batchSize = BACKFILL_BATCH_SIZE, onProgress } = {}) {
+    const version = getTaggerVersion(rules);
+    const seen = new Set();
+    let retagged = 0;
+
+    for (;;) {
+        const batch = getMemories()
+            .filter(memory => !seen.has(memory.id) && (force || memory.tagger !== version))
+            .slice(0, batchSize);
+        if (batch.length === 0) break;
+
+        batch.forEach(memory => {
+            seen.add(memory.id);
+            retagMemory(memory, rules, true);
+        });
+        await save(batch);
+        retagged += batch.length;
+        if (onProgress) onProgress(retagged);
+        await new Promise(resolve => setImmediate(resolve));
+    }
+
+    return { retagged, version };
+}
+
+module.exports = {
+    TAGGER_VERSION,
+    classifyContent,
+    parseTagRules,
+    loadTagRules,
+    saveTagRules,
+    getTaggerVersion,
+    getManualTags,
+    tagMemory,
+    retagMemory,
+    backfillTags
+};
@@ -0,0 +1,33 @@
+// Types for trash.js, which the TypeScript servers require at runtime
+
+import type { MemoryStorage, StoredMemory } from './storage/index';
+
+export interface TrashedMemory extends StoredMemory {
+  deletedAt?: string;
+  expiresAt?: string;
+}
+
+export interface ClearConfirmationRequest {
+  error: string;
+  confirmToken: string;
+  expiresAt: string;
+}
+
+export declare const TRASH_RETENTION_DAYS: number;
+export declare function splitTrash<T extends TrashedMemory>(entries: T[]): { memories: T[]; trash: T[] };
+export declare function markDeleted(memories: TrashedMemory[]): void;
+export declare function markRestored(memory: TrashedMemory): void;
+export declare function getTrashExpiry(memory: TrashedMemory): string;
+export declare function findExpiredTrash(trash: TrashedMemory[]): string[];
+export declare function listTrash<T extends TrashedMemory>(trash: T[]): (T & { expiresAt: string })[];
+
+export declare class ClearConfirmations {
+  check(token?: unknown): ClearConfirmationRequest | null;
+}
+
+export declare function writeSnapshot(
+  dir: string,
+  reason: string,
+  memories: StoredMemory[],
+  storage?: MemoryStorage<any> | null
+): Promise<string>;
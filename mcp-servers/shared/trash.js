@@ -0,0 +1,110 @@
+// trash.js
+// Soft delete, shared by the memory server and both MCP clients. A deleted
+// memory stays in the store with a deletedAt time, kept apart from the other
+// memories, until it is restored or TRASH_RETENTION_DAYS have passed.
+//
+// Clearing every memory takes two requests: the first gets a confirmation
+// token (ClearConfirmations), the second sends it back. The store is written
+// to a snapshot file (writeSnapshot) before anything is cleared.
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// Deleted memories stay in the trash this long before they are purged
+const TRASH_RETENTION_DAYS = parseFloat(process.env.MCP_TRASH_RETENTION_DAYS) || 30;
+
+// Clearing all memories needs a token from a first, unconfirmed request
+const CLEAR_TOKEN_TTL_MS = 2 * 60 * 1000;
+
+// Stored entries -> { memories, trash }
+function splitTrash(entries) {
+    return {
+        memories: entries.filter(memory => !memory.deletedAt),
+        trash: entries.filter(memory => memory.deletedAt)
+    };
+}
+
+// Mark memories deleted. The caller moves them to its trash and saves them.
+function markDeleted(memories) {
+    const deletedAt = new Date().toISOString();
+    memories.forEach(memory => { memory.deletedAt = deletedAt; });
+}
+
+// Mark a memory taken out of the trash. Restoring an expired memory keeps it,
+// or it would expire again right away.
+function markRestored(memory) {
+    delete memory.deletedAt;
+    if (memory.expiresAt && memory.expiresAt < new Date().toISOString()) {
+        delete memory.expiresAt;
+    }
+}
+
+function getTrashExpiry(memory) {
+    return new Date(new Date(memory.deletedAt).getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+}
+
+// Ids of memories that have been in the trash for longer than the retention period
+function findExpiredTrash(trash) {
+    const now = new Date().toISOString();
+    return trash.filter(memory => getTrashExpiry(memory) < now).map(memory => memory.id);
+}
+
+// Trash entries as listed by GET /mcp/trash: most recently deleted first, with expiresAt
+function listTrash(trash) {
+    return [...trash]
+        .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt))
+        .map(memory => ({ ...memory, expiresAt: getTrashExpiry(memory) }));
+}
+
+// One-time tokens that confirm clearing all memories
+class ClearConfirmations {
+    constructor() {
+        this.tokens = new Map(); // token -> expiry time
+    }
+
+    // null when token confirms the clear (each token works once). Otherwise
+    // the body of the 428 answer, with a new token.
+    check(token) {
+        const now = Date.now();
+        this.tokens.forEach((expiresAt, key) => {
+            if (expiresAt < now) this.tokens.delete(key);
+        });
+
+        if (token && this.tokens.has(token)) {
+            this.tokens.delete(token);
+            return null;
+        }
+
+        const confirmToken = crypto.randomBytes(16).toString('hex');
+        const expiresAt = now + CLEAR_TOKEN_TTL_MS;
+        this.tokens.set(confirmToken, expiresAt);
+        return {
+            error: token ? 'Invalid or expired confirmation token' : 'Clearing all memories needs confirmation',
+            confirmToken,
+            expiresAt: new Date(expiresAt).toISOString()
+        };
+    }
+}
+
+// Copy of every memory (trash included) in dir, as JSON. An encrypted store
+// writes sealed memories and its keyring instead (see encryption-cli.js decrypt).
+async function writeSnapshot(dir, reason, memories, storage) {
+    await fs.mkdir(dir, { recursive: true });
+    const file = path.join(dir, `memories-${reason}-${new Date().toISOString().replace(/[:.]/g, '-')}.json`);
+    const data = storage && storage.encrypted ? storage.sealSnapshot(memories) : memories;
+    await fs.writeFile(file, JSON.stringify(data, null, 2), { mode: 0o600 });
+    return file;
+}
+
+module.exports = {
+    TRASH_RETENTION_DAYS,
+    splitTrash,
+    markDeleted,
+    markRestored,
+    getTrashExpiry,
+    findExpiredTrash,
+    listTrash,
+    ClearConfirmations,
+    writeSnapshot
+};
@@ -0,0 +1,59 @@
+/*
+ * MCP Client API Access
+ * =====================
+ *
+ * Pairing and authenticated requests, shared by the web pages of both MCP
+ * clients: this dashboard and the TypeScript client's page. Load it before
+ * the page's own script.
+ *
+ * A page pairs once, with a code from `npm run auth -- pair` or an access
+ * token, and keeps the token in localStorage.
+ */
+
+const apiAccess = {
+    clientName: 'Web interface', // The token is paired under this name
+    onDeclined: () => {}         // Called when pairing was declined
+};
+let pairingDeclined = false; // Not asked again until the page is reloaded
+
+function getToken() {
+    return localStorage.getItem('mcpToken') || '';
+}
+
+// Ask once per page load for a pairing code (or a token) and pair this page
+async function pairPage() {
+    if (pairingDeclined) return false;
+    const input = prompt('This page needs access to the MCP client.\nEnter a pairing code (npm run auth -- pair) or an access token:');
+    if (!input || !input.trim()) {
+        pairingDeclined = true;
+        apiAccess.onDeclined();
+        return false;
+    }
+    if (input.trim().startsWith('mcp_')) {
+        localStorage.setItem('mcpToken', input.trim());
+        return true;
+    }
+
+    const response = await fetch('/auth/pair', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ code: input, name: apiAccess.clientName })
+    });
+    const result = await response.json();
+    if (!response.ok) {
+        alert('❌ ' + result.error);
+        return pairPage();
+    }
+    localStorage.setItem('mcpToken', result.token);
+    return true;
+}
+
+// fetch() with the token; a 401 asks to pair and tries once more
+async function apiFetch(url, options = {}, retry = true) {
+    const headers = { ...options.headers, Authorization: 'Bearer ' + getToken() };
+    const response = await fetch(url, { ...options, headers });
+    if (response.status === 401 && retry && await pairPage()) {
+        return apiFetch(url, options, false);
+    }
+    return response;
+}
@@ -0,0 +1,1074 @@
+/*
+ * MCP Memory Dashboard
+ * ====================
+ *
+ * The web interface of the legacy client, served from mcp_client/dashboard/.
+ * Browses memories through the client API with search, tag, type, source and
+ * date filters, edits and deletes them one by one or in bulk, shows duplicate
+ * statistics and the trash, and follows changes over GET /mcp/events.
+ *
+ * The API needs a token: the page pairs once and keeps it in localStorage
+ * (see api.js, loaded first).
+ *
+ * Memories are user content, and so are ids of imported ones: they only ever
+ * reach the page through textContent, attribute values and dataset - never as
+ * HTML. Search snippets are rebuilt from text and <mark> elements.
+ */
+
+const PAGE_SIZE = 30;
+const PAGE_FIELDS = 'id,timestamp,wordCount,tags,type,title,note,source,preview,revision,updatedAt';
+const EDITOR_NAME = 'Web dashboard';
+const TAGS_SHOWN = 25; // More behind "Show all tags"
+const EVENT_TYPES = ['memory.created', 'memory.updated', 'memory.deleted', 'store.cleared', 'store.reloaded'];
+const RECONNECT_MS = 5000;
+
+const filters = {
+    search: '',
+    mode: 'keyword',
+    since: '', // yyyy-mm-dd from the date inputs
+    until: '',
+    tags: new Set(),
+    types: new Set(),
+    site: ''
+};
+
+let nextCursor = null;
+let pagesLoaded = 0;
+let loadingPage = false;
+let listRequest = 0; // Answers to older requests are dropped
+
+const shownMemories = new Map(); // id -> memory as listed
+const selectedIds = new Set();
+let facets = null;
+let showAllTags = false;
+let currentView = 'memories';
+let openMemory = null; // The memory in the dialog
+let editing = false;
+
+let eventSource = null;
+let reloadTimer = null;
+let facetsTimer = null;
+let viewTimer = null;
+let searchTimer = null;
+let noticeTimer = null;
+
+// Build an element. Text goes in as text, so it is never parsed as HTML.
+function el(tag, { className, text, title, attrs, dataset, on } = {}, children = []) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined && text !== null) element.textContent = String(text);
+    if (title) element.title = title;
+    Object.entries(attrs || {}).forEach(([name, value]) => element.setAttribute(name, value));
+    Object.entries(dataset || {}).forEach(([name, value]) => { element.dataset[name] = value; });
+    Object.entries(on || {}).forEach(([type, handler]) => element.addEventListener(type, handler));
+    element.append(...children.filter(Boolean));
+    return element;
+}
+
+function byId(id) {
+    return document.getElementById(id);
+}
+
+function formatDate(timestamp) {
+    return timestamp ? new Date(timestamp).toLocaleString() : '';
+}
+
+function getDomain(url) {
+    try {
+        return new URL(url).hostname.toLowerCase();
+    } catch (error) {
+        return '';
+    }
+}
+
+// Only web links become clickable; javascript: and the like stay text
+function getSafeUrl(url) {
+    try {
+        const parsed = new URL(url);
+        return ['http:', 'https:'].includes(parsed.protocol) ? parsed.href : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Blocks stored without page metadata have the source title "unknown"
+function getMemoryTitle(memory) {
+    const source = memory.source || {};
+    const sourceTitle = source.title !== 'unknown' ? source.title : '';
+    const text = memory.title || sourceTitle || (memory.preview || memory.content || '').split('\n')[0];
+    return text.trim() || '(untitled)';
+}
+
+function parseTagInput(value) {
+    return [...new Set(value.split(',').map(tag => tag.trim()).filter(Boolean))];
+}
+
+function showNotice(message, type = 'success') {
+    const notice = byId('notice');
+    notice.textContent = message;
+    notice.className = type === 'error' ? 'notice error' : 'notice';
+    notice.hidden = false;
+    clearTimeout(noticeTimer);
+    noticeTimer = setTimeout(() => { notice.hidden = true; }, type === 'error' ? 8000 : 4000);
+}
+
+// ----- Access -----
+
+// Pairing, getToken() and apiFetch() are in api.js
+apiAccess.clientName = EDITOR_NAME;
+apiAccess.onDeclined = () => {
+    byId('serverStatus').textContent = 'Not paired';
+};
+
+// JSON answer of an API call; errors are thrown with the message from the client
+async function apiJson(url, options = {}) {
+    if (options.body !== undefined && typeof options.body !== 'string' && !(options.body instanceof Blob)) {
+        options = { ...options, body: JSON.stringify(options.body), headers: { 'Content-Type': 'application/json' } };
+    }
+    const response = await apiFetch(url, options);
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        const error = new Error(result.error || `Request failed (${response.status})`);
+        error.status = response.status;
+        error.result = result;
+        throw error;
+    }
+    return result;
+}
+
+function memoryUrl(id, suffix = '') {
+    return '/mcp/memories/' + encodeURIComponent(id) + suffix;
+}
+
+// ----- Filters -----
+
+function hasFilters() {
+    return !!(filters.search || filters.since || filters.until || filters.tags.size || filters.types.size || filters.site);
+}
+
+// The date inputs are local days; the API compares instants
+function getDateRange() {
+    const range = {};
+    if (filters.since) range.since = new Date(filters.since + 'T00:00:00').toISOString();
+    if (filters.until) range.until = new Date(filters.until + 'T23:59:59.999').toISOString();
+    return range;
+}
+
+function buildListQuery() {
+    let [sort, order] = byId('sortSelect').value.split(':');
+    if (sort === 'relevance' && !filters.search) [sort, order] = ['timestamp', 'desc'];
+
+    const params = new URLSearchParams({ limit: PAGE_SIZE, fields: PAGE_FIELDS, sort, order });
+    if (filters.search) {
+        params.set('search', filters.search);
+        params.set('mode', filters.mode);
+    }
+    if (filters.tags.size) params.set('tags', [...filters.tags].join(','));
+    if (filters.types.size) params.set('type', [...filters.types].join(','));
+    if (filters.site) params.set('site', filters.site);
+    Object.entries(getDateRange()).forEach(([name, value]) => params.set(name, value));
+    return params;
+}
+
+// Filters changed: start over, and forget a selection made under the old ones
+function applyFilters() {
+    selectedIds.clear();
+    updateBulkBar();
+    const sortSelect = byId('sortSelect');
+    sortSelect.querySelector('option[value="relevance:desc"]').disabled = !filters.search;
+    if (!filters.search && sortSelect.value === 'relevance:desc') sortSelect.value = 'timestamp:desc';
+    renderFacets();
+    loadMemories();
+}
+
+function setDatePreset(days) {
+    if (!days) {
+        filters.since = '';
+        filters.until = '';
+    } else {
+        const from = new Date();
+        from.setDate(from.getDate() - (parseInt(days, 10) - 1));
+        // yyyy-mm-dd in local time, as the date inputs use
+        filters.since = new Date(from.getTime() - from.getTimezoneOffset() * 60000).toISOString().substring(0, 10);
+        filters.until = '';
+    }
+    byId('dateFrom').value = filters.since;
+    byId('dateTo').value = filters.until;
+    applyFilters();
+}
+
+function resetFilters() {
+    Object.assign(filters, { search: '', mode: 'keyword', since: '', until: '', site: '' });
+    filters.tags.clear();
+    filters.types.clear();
+    byId('searchInput').value = '';
+    byId('searchMode').value = 'keyword';
+    byId('dateFrom').value = '';
+    byId('dateTo').value = '';
+    applyFilters();
+}
+
+async function loadFacets() {
+    try {
+        facets = await apiJson('/mcp/facets');
+        byId('memoryCount').textContent = facets.total;
+        renderFacets();
+    } catch (error) {
+        console.error('Error loading filters:', error);
+    }
+}
+
+function scheduleFacetsRefresh() {
+    clearTimeout(facetsTimer);
+    facetsTimer = setTimeout(loadFacets, 1000);
+}
+
+function renderFacetButton({ name, label, count, active, disabled, onClick }) {
+    return el('button', {
+        className: 'facet' + (active ? ' active' : '') + (disabled ? ' disabled' : ''),
+        title: name,
+        attrs: { type: 'button', 'aria-pressed': String(!!active) },
+        on: disabled ? {} : { click: onClick }
+    }, [
+        el('span', { className: 'facet-name', text: label }),
+        el('span', { className: 'facet-count', text: count })
+    ]);
+}
+
+function toggleFilterValue(set, value) {
+    if (set.has(value)) set.delete(value);
+    else set.add(value);
+    applyFilters();
+}
+
+function renderFacets() {
+    if (!facets) return;
+
+    // Tags: any of the checked ones. Checked tags stay listed even when rare.
+    const tags = facets.tags.filter((tag, index) => showAllTags || index < TAGS_SHOWN || filters.tags.has(tag.name));
+    byId('tagFilters').replaceChildren(...tags.map(tag => renderFacetButton({
+        name: tag.name,
+        label: tag.name,
+        count: tag.count,
+        active: filters.tags.has(tag.name),
+        onClick: () => toggleFilterValue(filters.tags, tag.name)
+    })));
+    if (facets.tags.length === 0) byId('tagFilters').replaceChildren(el('span', { className: 'hint', text: 'No tags yet' }));
+    byId('toggleAllTags').hidden = facets.tags.length <= TAGS_SHOWN;
+    byId('toggleAllTags').textContent = showAllTags ? 'Show fewer tags' : `Show all ${facets.tags.length} tags`;
+
+    byId('typeSection').hidden = facets.types.length === 0;
+    byId('typeFilters').replaceChildren(...facets.types.map(type => renderFacetButton({
+        name: type.name,
+        label: type.name,
+        count: type.count,
+        active: filters.types.has(type.name),
+        onClick: () => toggleFilterValue(filters.types, type.name)
+    })));
+
+    // Sources by domain; one at a time. Memories without a URL cannot be filtered on.
+    byId('sourceFilters').replaceChildren(...facets.sources.map(source => renderFacetButton({
+        name: source.domain || 'Memories without a source URL',
+        label: source.domain || 'No source',
+        count: source.count,
+        active: !!source.domain && filters.site === source.domain,
+        disabled: !source.domain,
+        onClick: () => {
+            filters.site = filters.site === source.domain ? '' : source.domain;
+            applyFilters();
+        }
+    })));
+
+    ['dateFrom', 'dateTo'].forEach(id => {
+        byId(id).min = facets.oldest ? facets.oldest.substring(0, 10) : '';
+        byId(id).max = facets.newest ? facets.newest.substring(0, 10) : '';
+    });
+}
+
+// ----- Memory list -----
+
+// Search snippets are HTML from the client: escaped text around <mark>s.
+// Rebuild them from text instead of trusting them as markup.
+function renderSnippet(snippet) {
+    const decode = text => text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, '&');
+    return snippet.split(/<mark>|<\/mark>/).map((part, index) =>
+        index % 2 === 1 ? el('mark', { text: decode(part) }) : document.createTextNode(decode(part))
+    );
+}
+
+function renderTags(tags, { clickable = false } = {}) {
+    return el('div', { className: 'tags' }, (tags || []).map(tag => clickable
+        ? el('button', {
+            className: 'tag',
+            text: tag,
+            title: `Show memories tagged ${tag}`,
+            attrs: { type: 'button' },
+            on: { click: () => { filters.tags.add(tag); applyFilters(); } }
+        })
+        : el('span', { className: 'tag', text: tag })
+    ));
+}
+
+function renderSourceLink(memory) {
+    const source = memory.source || {};
+    const domain = getDomain(source.url);
+    if (!domain) return null;
+    const url = getSafeUrl(source.url);
+    return url
+        ? el('a', { text: domain, title: source.title || url, attrs: { href: url, target: '_blank', rel: 'noopener noreferrer' } })
+        : el('span', { text: domain });
+}
+
+function renderMeta(memory, extra = []) {
+    const parts = [
+        el('span', { text: formatDate(memory.timestamp) }),
+        renderSourceLink(memory),
+        memory.wordCount !== undefined ? el('span', { text: `${memory.wordCount} words` }) : null,
+        memory.type ? el('span', { text: memory.type }) : null,
+        memory.revision > 1 ? el('span', { text: `revision ${memory.revision}` }) : null,
+        ...extra
+    ].filter(Boolean);
+    const meta = el('div', { className: 'memory-meta' });
+    parts.forEach((part, index) => {
+        if (index > 0) meta.append(' · ');
+        meta.append(part);
+    });
+    return meta;
+}
+
+function renderMemoryItem(memory) {
+    const selected = selectedIds.has(memory.id);
+    const checkbox = el('input', {
+        attrs: { type: 'checkbox', 'aria-label': 'Select memory' },
+        on: { change: event => setSelected(memory.id, event.target.checked) }
+    });
+    checkbox.checked = selected;
+
+    const content = el('div', { className: 'memory-content' },
+        memory.snippet ? renderSnippet(memory.snippet) : [document.createTextNode(memory.preview || '')]);
+
+    return el('article', {
+        className: 'memory-item' + (selected ? ' selected' : ''),
+        dataset: { id: memory.id, timestamp: memory.timestamp }
+    }, [
+        checkbox,
+        el('div', { className: 'memory-body' }, [
+            el('button', {
+                className: 'memory-title',
+                text: getMemoryTitle(memory),
+                attrs: { type: 'button' },
+                on: { click: () => openMemoryDialog(memory.id) }
+            }),
+            renderMeta(memory),
+            memory.note ? el('p', { className: 'note', text: memory.note }) : null,
+            content,
+            memory.tags && memory.tags.length ? renderTags(memory.tags, { clickable: true }) : null
+        ]),
+        el('div', { className: 'memory-actions' }, [
+            el('button', { text: 'View', className: 'secondary', attrs: { type: 'button' }, on: { click: () => openMemoryDialog(memory.id) } }),
+            el('button', { text: 'Delete', className: 'danger', attrs: { type: 'button' }, on: { click: () => deleteMemory(memory.id) } })
+        ])
+    ]);
+}
+
+// Items are matched by dataset, not by a selector built from the id
+function findMemoryItem(id) {
+    return [...document.querySelectorAll('#memoryList .memory-item')].find(item => item.dataset.id === id);
+}
+
+// Where a memory goes: the list, or the section of its domain when grouping
+function getItemContainer(memory) {
+    if (!byId('groupBySource').checked) return byId('memoryList');
+
+    const domain = getDomain(memory.source && memory.source.url);
+    let group = [...document.querySelectorAll('#memoryList .source-group')].find(section => section.dataset.domain === domain);
+    if (!group) {
+        group = el('section', { className: 'source-group', dataset: { domain } }, [
+            el('h3', {}, [
+                document.createTextNode(domain || 'No source'),
+                el('span', { className: 'group-count' })
+            ])
+        ]);
+        byId('memoryList').appendChild(group);
+    }
+    return group;
+}
+
+function updateGroupCounts() {
+    document.querySelectorAll('#memoryList .source-group').forEach(group => {
+        const count = group.querySelectorAll('.memory-item').length;
+        if (count === 0) {
+            group.remove();
+            return;
+        }
+        group.querySelector('.group-count').textContent = ` (${count} shown)`;
+    });
+}
+
+function appendMemory(memory) {
+    shownMemories.set(memory.id, memory);
+    getItemContainer(memory).appendChild(renderMemoryItem(memory));
+}
+
+// First page for the current filters and sort; more are appended while scrolling
+async function loadMemories() {
+    listRequest++;
+    loadingPage = false;
+    nextCursor = null;
+    pagesLoaded = 0;
+    shownMemories.clear();
+    byId('memoryList').replaceChildren();
+    byId('selectAll').checked = false;
+    await loadNextPage();
+}
+
+async function loadNextPage() {
+    if (loadingPage || (pagesLoaded > 0 && !nextCursor)) return;
+    loadingPage = true;
+    const request = listRequest;
+    let loaded = false;
+
+    try {
+        const params = buildListQuery();
+        if (nextCursor) params.set('cursor', nextCursor);
+        const data = await apiJson('/mcp/memories?' + params);
+        if (request !== listRequest) return;
+
+        byId('memoryCount').textContent = data.total;
+        byId('matchedCount').textContent = data.matched;
+        data.memories.forEach(appendMemory);
+        updateGroupCounts();
+
+        nextCursor = data.next;
+        pagesLoaded++;
+        loaded = true;
+        if (data.matched === 0) {
+            byId('memoryList').replaceChildren(el('div', {
+                className: 'empty',
+                text: hasFilters() ? 'No memories match these filters.' : 'No memories yet. Capture some with the extension.'
+            }));
+        }
+        byId('pageStatus').textContent = data.next ? 'Loading more…' : (data.matched > 0 ? `${data.matched} memories` : '');
+    } catch (error) {
+        if (request !== listRequest) return;
+        console.error('Error loading memories:', error);
+        if (error.status === 400) showNotice(error.message, 'error');
+        byId('pageStatus').textContent = '';
+    } finally {
+        if (request === listRequest) loadingPage = false;
+    }
+
+    // The observer only fires on changes, so keep going while the end is still on screen
+    if (loaded && nextCursor && byId('pageStatus').getBoundingClientRect().top < window.innerHeight) {
+        loadNextPage();
+    }
+}
+
+// ----- Selection and bulk actions -----
+
+function setSelected(id, selected) {
+    if (selected) selectedIds.add(id);
+    else selectedIds.delete(id);
+    const item = findMemoryItem(id);
+    if (item) {
+        item.classList.toggle('selected', selected);
+        item.querySelector('input[type="checkbox"]').checked = selected;
+    }
+    updateBulkBar();
+}
+
+function updateBulkBar() {
+    byId('bulkBar').hidden = selectedIds.size === 0;
+    byId('selectedCount').textContent = `${selectedIds.size} selected`;
+    if (selectedIds.size === 0) byId('selectAll').checked = false;
+}
+
+function selectAllShown(selected) {
+    shownMemories.forEach((memory, id) => setSelected(id, selected));
+}
+
+async function runBulkAction(action) {
+    const ids = [...selectedIds];
+    const tags = parseTagInput(byId('bulkTags').value);
+    if (action !== 'delete' && tags.length === 0) {
+        showNotice('Enter the tags to add or remove first', 'error');
+        byId('bulkTags').focus();
+        return;
+    }
+    if (action === 'delete' && !confirm(`Move ${ids.length} memories to the trash?`)) return;
+
+    try {
+        const result = await apiJson('/mcp/memories/bulk', {
+            method: 'POST',
+            body: { action, ids, tags, by: EDITOR_NAME }
+        });
+        const verb = { delete: 'Moved to the trash', tag: 'Tagged', untag: 'Untagged' }[action];
+        showNotice(`${verb}: ${result.changed.length} of ${ids.length} memories`);
+        if (action === 'delete') {
+            selectedIds.clear();
+            updateBulkBar();
+        }
+        byId('bulkTags').value = '';
+        // The list follows through the events; without them, reload
+        if (!eventSource || eventSource.readyState !== EventSource.OPEN) {
+            loadMemories();
+            scheduleFacetsRefresh();
+        }
+    } catch (error) {
+        showNotice(error.message, 'error');
+    }
+}
+
+// Save an export through fetch, so the token stays out of the URL
+async function downloadExport(ids = null) {
+    const params = new URLSearchParams({ format: byId('exportFormat').value });
+    if (ids) params.set('ids', ids.join(','));
+    try {
+        const response = await apiFetch('/mcp/export?' + params);
+        if (!response.ok) throw new Error((await response.json()).error);
+
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const match = disposition.match(/filename="([^"]+)"/);
+        const link = el('a', { attrs: { href: URL.createObjectURL(await response.blob()), download: match ? match[1] : 'mcp-memories' } });
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 10000);
+    } catch (error) {
+        showNotice('Export failed: ' + error.message, 'error');
+    }
+}
+
+async function importFile(file) {
+    try {
+        const result = await apiJson('/mcp/import', { method: 'POST', body: file });
+        const { created, skipped, failed } = result.summary;
+        showNotice(`Imported ${created} memories (${result.format}): ${skipped} already stored, ${failed} failed`, failed ? 'error' : 'success');
+        if (!eventSource || eventSource.readyState !== EventSource.OPEN) {
+            loadMemories();
+            loadFacets();
+        }
+    } catch (error) {
+        showNotice('Import failed: ' + error.message, 'error');
+    } finally {
+        byId('importFile').value = '';
+    }
+}
+
+async function clearMemories() {
+    try {
+        // The first request only hands out a confirmation token
+        const response = await apiFetch('/mcp/memories', { method: 'DELETE' });
+        const pending = await response.json();
+        if (!pending.confirmToken) return;
+        if (!confirm(`Move all ${pending.count} memories to the trash? A snapshot is saved first.`)) return;
+
+        const result = await apiJson('/mcp/memories?confirm=' + encodeURIComponent(pending.confirmToken), { method: 'DELETE' });
+        showNotice(`Moved ${result.cleared} memories to the trash. Snapshot: ${result.snapshot}`);
+        loadMemories();
+        loadFacets();
+    } catch (error) {
+        showNotice(error.message, 'error');
+    }
+}
+
+async function deleteMemory(id) {
+    if (!confirm('Move this memory to the trash?')) return false;
+    try {
+        await apiJson(memoryUrl(id), { method: 'DELETE' });
+        removeMemory(id);
+        scheduleFacetsRefresh();
+        showNotice('Moved to the trash');
+        return true;
+    } catch (error) {
+        showNotice(error.message, 'error');
+        return false;
+    }
+}
+
+function removeMemory(id) {
+    const item = findMemoryItem(id);
+    if (item) item.remove();
+    shownMemories.delete(id);
+    if (selectedIds.delete(id)) updateBulkBar();
+    updateGroupCounts();
+}
+
+// ----- Memory dialog -----
+
+async function openMemoryDialog(id) {
+    try {
+        const memory = await apiJson(memoryUrl(id));
+        showMemory(memory);
+        byId('historySection').open = false;
+        if (!byId('memoryDialog').open) byId('memoryDialog').showModal();
+    } catch (error) {
+        showNotice(error.message, 'error');
+    }
+}
+
+function showMemory(memory) {
+    openMemory = memory;
+    setEditing(false);
+    byId('dialogTitle').textContent = getMemoryTitle(memory);
+    byId('dialogMeta').replaceChildren(renderMeta(memory, [
+        memory.updatedAt ? el('span', { text: `edited ${formatDate(memory.updatedAt)}` }) : null,
+        el('span', { text: `ID ${memory.id}` })
+    ]));
+    byId('dialogTags').replaceChildren(...renderTags(memory.tags).childNodes);
+    byId('dialogNote').hidden = !memory.note;
+    byId('dialogNote').textContent = memory.note || '';
+    byId('dialogContent').textContent = memory.content;
+    byId('historyList').replaceChildren();
+    byId('dialogError').hidden = true;
+}
+
+function setEditing(value) {
+    editing = value;
+    byId('viewMode').hidden = value;
+    byId('editMode').hidden = !value;
+    byId('editButton').hidden = value;
+    byId('deleteButton').hidden = value;
+    byId('saveButton').hidden = !value;
+    byId('cancelEdit').hidden = !value;
+    byId('dialogError').hidden = true;
+    if (value) {
+        byId('editTags').value = (openMemory.tags || []).join(', ');
+        byId('editNote').value = openMemory.note || '';
+        byId('editContent').value = openMemory.content;
+        byId('editContent').focus();
+    }
+}
+
+function showDialogError(message) {
+    byId('dialogError').textContent = message;
+    byId('dialogError').hidden = false;
+}
+
+async function saveMemory() {
+    const content = byId('editContent').value;
+    if (!content.trim()) {
+        showDialogError('The content cannot be empty');
+        return;
+    }
+    try {
+        const result = await apiJson(memoryUrl(openMemory.id), {
+            method: 'PATCH',
+            body: { content, tags: parseTagInput(byId('editTags').value), note: byId('editNote').value.trim() || null, by: EDITOR_NAME }
+        });
+        showMemory(result.memory);
+        replaceMemoryItem(result.memory);
+        showNotice(result.changed ? `Saved as revision ${result.revision}` : 'Nothing changed');
+    } catch (error) {
+        showDialogError(error.status === 409
+            ? `Another memory already has this content (${error.result.existingId})`
+            : error.message);
+    }
+}
+
+async function loadHistory() {
+    if (!openMemory) return;
+    try {
+        const data = await apiJson(memoryUrl(openMemory.id, '/history'));
+        const entries = data.history.map(entry => {
+            const label = entry.action === 'merge'
+                ? `Revision ${entry.revision}: merged ${entry.mergedFrom} in`
+                : `Revision ${entry.revision}: ${entry.action}${entry.restoredFrom ? ` to revision ${entry.restoredFrom}` : ''} by ${entry.by || 'anonymous'}` +
+                    (entry.changed ? ` (${entry.changed.join(', ')})` : '');
+            const previous = entry.previous && entry.previous.id === openMemory.id ? entry.previous.revision : null;
+            return el('li', {}, [
+                el('span', { text: `${formatDate(entry.at)} - ${label}` }),
+                previous ? el('button', {
+                    text: `Restore revision ${previous}`,
+                    className: 'secondary',
+                    attrs: { type: 'button' },
+                    on: { click: () => restoreRevision(previous) }
+                }) : null
+            ]);
+        });
+        byId('historyList').replaceChildren(...(entries.length ? entries.reverse() : [el('li', { text: 'Never edited' })]));
+    } catch (error) {
+        showDialogError(error.message);
+    }
+}
+
+async function restoreRevision(revision) {
+    if (!confirm(`Restore revision ${revision}? It becomes a new revision; nothing is lost.`)) return;
+    try {
+        const result = await apiJson(memoryUrl(openMemory.id, '/restore'), {
+            method: 'POST',
+            body: { revision, by: EDITOR_NAME }
+        });
+        showMemory(result.memory);
+        replaceMemoryItem(result.memory);
+        byId('historySection').open = false;
+        showNotice(`Restored revision ${revision}`);
+    } catch (error) {
+        showDialogError(error.message);
+    }
+}
+
+function replaceMemoryItem(memory) {
+    const item = findMemoryItem(memory.id);
+    if (!item) return;
+    const listed = { ...shownMemories.get(memory.id), ...memory };
+    if (memory.content !== undefined) {
+        listed.preview = memory.content.length > 200 ? memory.content.substring(0, 200) + '…' : memory.content;
+    }
+    delete listed.snippet; // Matches the old content
+    shownMemories.set(memory.id, listed);
+    item.replaceWith(renderMemoryItem(listed));
+}
+
+// ----- Duplicates -----
+
+function renderStat(value, label) {
+    return el('div', { className: 'stat' }, [
+        el('div', { className: 'stat-number', text: value }),
+        el('div', { className: 'stat-label', text: label })
+    ]);
+}
+
+function renderDuplicateCard(memory, actions) {
+    return el('article', { className: 'memory-item' }, [
+        el('button', {
+            className: 'memory-title',
+            text: getMemoryTitle(memory),
+            attrs: { type: 'button' },
+            on: { click: () => openMemoryDialog(memory.id) }
+        }),
+        renderMeta(memory),
+        el('div', { className: 'memory-content', text: memory.preview }),
+        el('div', { className: 'card-actions' }, actions)
+    ]);
+}
+
+async function mergeDuplicate(target, source) {
+    if (!confirm(`Merge "${getMemoryTitle(source)}" into "${getMemoryTitle(target)}"? The second one is removed; both versions stay in the history.`)) return;
+    try {
+        await apiJson('/mcp/memories/merge', { method: 'POST', body: { targetId: target.id, sourceId: source.id } });
+        showNotice('Merged');
+        loadDuplicates();
+        if (!eventSource || eventSource.readyState !== EventSource.OPEN) loadMemories();
+    } catch (error) {
+        showNotice(error.message, 'error');
+    }
+}
+
+async function loadDuplicates() {
+    try {
+        const stats = await apiJson('/mcp/hash-stats');
+        byId('duplicateStats').replaceChildren(
+            renderStat(stats.totalMemories, 'Total Memories'),
+            renderStat(stats.uniqueHashes, 'Unique Hashes'),
+            renderStat(stats.duplicateCount, 'Duplicate Hashes'),
+            renderStat(stats.nearDuplicateCount, `Near-Duplicate Pairs (≥ ${Math.round(stats.threshold * 100)}%)`)
+        );
+
+        const sections = [];
+        if (stats.duplicateHashes.length > 0) {
+            sections.push(el('h3', { className: 'section-title', text: 'Same content' }));
+            stats.duplicateHashes.forEach(group => {
+                sections.push(el('div', { className: 'duplicate-group' }, [
+                    el('h3', { text: `${group.count} memories with hash ${group.hash}` }),
+                    el('div', { className: 'duplicate-pair' }, group.memories.map(memory => renderDuplicateCard(memory, [
+                        el('button', { text: 'Delete', className: 'danger', attrs: { type: 'button' }, on: { click: async () => {
+                            if (await deleteMemory(memory.id)) loadDuplicates();
+                        } } })
+                    ])))
+                ]));
+            });
+        }
+
+        if (stats.nearDuplicates.length > 0) {
+            sections.push(el('h3', {
+                className: 'section-title',
+                text: stats.nearDuplicateCount > stats.nearDuplicates.length
+                    ? `Near-duplicates (the ${stats.nearDuplicates.length} most similar of ${stats.nearDuplicateCount})`
+                    : 'Near-duplicates'
+            }));
+            stats.nearDuplicates.forEach(pair => {
+                const [first, second] = pair.memories;
+                sections.push(el('div', { className: 'duplicate-group' }, [
+                    el('h3', { text: `${Math.round(pair.similarity * 100)}% similar` }),
+                    el('div', { className: 'duplicate-pair' }, [
+                        renderDuplicateCard(first, [
+                            el('button', { text: 'Merge the other into this', attrs: { type: 'button' }, on: { click: () => mergeDuplicate(first, second) } })
+                        ]),
+                        renderDuplicateCard(second, [
+                            el('button', { text: 'Merge the other into this', attrs: { type: 'button' }, on: { click: () => mergeDuplicate(second, first) } })
+                        ])
+                    ])
+                ]));
+            });
+        }
+
+        if (sections.length === 0) sections.push(el('div', { className: 'empty', text: '✅ No duplicates found!' }));
+        byId('duplicateList').replaceChildren(...sections);
+    } catch (error) {
+        console.error('Error loading duplicate statistics:', error);
+        showNotice(error.message, 'error');
+    }
+}
+
+// ----- Trash -----
+
+async function loadTrash() {
+    try {
+        const data = await apiJson('/mcp/trash');
+        byId('trashSummary').textContent = `🗑️ ${data.total} in the trash, kept for ${data.retentionDays} days`;
+        byId('emptyTrash').disabled = data.total === 0;
+
+        const items = data.memories.map(memory => el('article', { className: 'memory-item' }, [
+            el('div', { className: 'memory-body' }, [
+                el('div', { className: 'memory-title', text: getMemoryTitle(memory) }),
+                renderMeta(memory, [
+                    el('span', { text: `deleted ${formatDate(memory.deletedAt)}` }),
+                    el('span', { text: `purged after ${new Date(memory.expiresAt).toLocaleDateString()}` })
+                ]),
+                el('div', { className: 'memory-content', text: memory.content.substring(0, 200) })
+            ]),
+            el('div', { className: 'memory-actions' }, [
+                el('button', { text: 'Restore', attrs: { type: 'button' }, on: { click: () => restoreFromTrash(memory.id) } }),
+                el('button', { text: 'Delete Forever', className: 'danger', attrs: { type: 'button' }, on: { click: () => purgeFromTrash(memory.id) } })
+            ])
+        ]));
+        byId('trashList').replaceChildren(...(items.length ? items : [el('div', { className: 'empty', text: 'The trash is empty.' })]));
+    } catch (error) {
+        console.error('Error loading trash:', error);
+        showNotice(error.message, 'error');
+    }
+}
+
+async function restoreFromTrash(id) {
+    try {
+        await apiJson('/mcp/trash/' + encodeURIComponent(id) + '/restore', { method: 'POST' });
+        showNotice('Restored');
+        loadTrash();
+        if (!eventSource || eventSource.readyState !== EventSource.OPEN) loadMemories();
+    } catch (error) {
+        showNotice(error.message, 'error');
+    }
+}
+
+async function purgeFromTrash(id) {
+    if (!confirm('Delete this memory for good? This cannot be undone.')) return;
+    try {
+        await apiJson('/mcp/trash/' + encodeURIComponent(id), { method: 'DELETE' });
+        loadTrash();
+    } catch (error) {
+        showNotice(error.message, 'error');
+    }
+}
+
+async function emptyTrash() {
+    if (!confirm('Delete everything in the trash for good? This cannot be undone.')) return;
+    try {
+        const result = await apiJson('/mcp/trash', { method: 'DELETE' });
+        showNotice(`Deleted ${result.purged.length} memories for good`);
+        loadTrash();
+    } catch (error) {
+        showNotice(error.message, 'error');
+    }
+}
+
+// ----- Views -----
+
+function showView(view) {
+    currentView = view;
+    document.querySelectorAll('.view-tab').forEach(tab => tab.classList.toggle('active', tab.dataset.view === view));
+    byId('memoriesView').hidden = view !== 'memories';
+    byId('duplicatesView').hidden = view !== 'duplicates';
+    byId('trashView').hidden = view !== 'trash';
+    if (view === 'duplicates') loadDuplicates();
+    if (view === 'trash') loadTrash();
+}
+
+// The duplicates and trash views are reloaded as a whole after changes
+function scheduleViewRefresh() {
+    clearTimeout(viewTimer);
+    viewTimer = setTimeout(() => {
+        if (currentView === 'duplicates') loadDuplicates();
+        if (currentView === 'trash') loadTrash();
+    }, 1000);
+}
+
+// ----- Live updates -----
+
+// Reload the first page soon, unless older pages have been scrolled in
+function scheduleReload() {
+    clearTimeout(reloadTimer);
+    reloadTimer = setTimeout(() => {
+        if (pagesLoaded <= 1) loadMemories();
+    }, 500);
+}
+
+// Apply one change pushed by the client to the list, the open dialog and the other views
+function handleMemoryEvent(type, data) {
+    if (data.total !== undefined) byId('memoryCount').textContent = data.total;
+    const id = data.memory ? data.memory.id : data.id;
+    const item = id && findMemoryItem(id);
+
+    switch (type) {
+        case 'memory.created': {
+            // On top when it belongs there for sure; elsewhere its place depends on filters and sort
+            const first = document.querySelector('#memoryList .memory-item');
+            const newest = !hasFilters() && !byId('groupBySource').checked &&
+                byId('sortSelect').value === 'timestamp:desc' &&
+                (!first || first.dataset.timestamp <= data.memory.timestamp);
+            if (item) {
+                replaceMemoryItem(data.memory);
+            } else if (newest) {
+                shownMemories.set(data.memory.id, data.memory);
+                const list = byId('memoryList');
+                if (list.querySelector('.empty')) list.replaceChildren();
+                list.prepend(renderMemoryItem(data.memory));
+            } else {
+                scheduleReload();
+            }
+            break;
+        }
+        case 'memory.updated':
+            if (item) replaceMemoryItem(data.memory);
+            if (openMemory && openMemory.id === id && !editing) openMemoryDialog(id);
+            break;
+        case 'memory.deleted':
+            removeMemory(id);
+            if (openMemory && openMemory.id === id) {
+                byId('memoryDialog').close();
+                showNotice(data.mergedInto ? 'The memory was merged into another one' : 'The memory was deleted');
+            }
+            break;
+        default: // store.cleared, store.reloaded
+            loadMemories();
+            if (openMemory && byId('memoryDialog').open && !editing) openMemoryDialog(openMemory.id);
+    }
+
+    scheduleFacetsRefresh();
+    scheduleViewRefresh();
+}
+
+// Live updates instead of polling. EventSource can't send headers, so the
+// token goes in the URL.
+function connectEvents() {
+    if (eventSource) eventSource.close();
+    eventSource = new EventSource('/mcp/events?' + new URLSearchParams({ token: getToken() }));
+
+    eventSource.onopen = () => {
+        byId('serverStatus').textContent = 'Live';
+    };
+    EVENT_TYPES.forEach(type => {
+        eventSource.addEventListener(type, event => handleMemoryEvent(type, JSON.parse(event.data)));
+    });
+    eventSource.onerror = () => {
+        byId('serverStatus').textContent = 'Offline';
+        // EventSource reconnects by itself (and catches up), unless the
+        // stream was refused - e.g. the token was revoked
+        if (eventSource.readyState === EventSource.CLOSED) {
+            setTimeout(reconnectEvents, RECONNECT_MS);
+        }
+    };
+}
+
+async function reconnectEvents() {
+    try {
+        const response = await apiFetch('/health'); // Asks to pair again on 401
+        if (!response.ok) {
+            if (response.status >= 500) setTimeout(reconnectEvents, RECONNECT_MS);
+            return;
+        }
+    } catch (error) {
+        setTimeout(reconnectEvents, RECONNECT_MS); // Client still down
+        return;
+    }
+    connectEvents();
+    loadMemories(); // A new stream does not replay what was missed
+    loadFacets();
+}
+
+// ----- Setup -----
+
+function bindControls() {
+    byId('searchInput').addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(() => {
+            filters.search = byId('searchInput').value.trim();
+            if (filters.search && filters.mode !== 'keyword') byId('sortSelect').value = 'relevance:desc';
+            applyFilters();
+        }, 300);
+    });
+    byId('searchMode').addEventListener('change', () => {
+        filters.mode = byId('searchMode').value;
+        if (filters.search) applyFilters();
+    });
+    byId('dateFrom').addEventListener('change', () => {
+        filters.since = byId('dateFrom').value;
+        applyFilters();
+    });
+    byId('dateTo').addEventListener('change', () => {
+        filters.until = byId('dateTo').value;
+        applyFilters();
+    });
+    document.querySelectorAll('.presets button').forEach(button => {
+        button.addEventListener('click', () => setDatePreset(button.dataset.days));
+    });
+    byId('toggleAllTags').addEventListener('click', () => {
+        showAllTags = !showAllTags;
+        renderFacets();
+    });
+    byId('resetFilters').addEventListener('click', resetFilters);
+
+    byId('sortSelect').addEventListener('change', () => loadMemories());
+    byId('groupBySource').addEventListener('change', () => loadMemories());
+    byId('selectAll').addEventListener('change', event => selectAllShown(event.target.checked));
+    document.querySelectorAll('[data-bulk]').forEach(button => {
+        button.addEventListener('click', () => runBulkAction(button.dataset.bulk));
+    });
+    byId('bulkExport').addEventListener('click', () => downloadExport([...selectedIds]));
+    byId('clearSelection').addEventListener('click', () => {
+        [...selectedIds].forEach(id => setSelected(id, false));
+    });
+
+    document.querySelectorAll('.view-tab').forEach(tab => {
+        tab.addEventListener('click', () => showView(tab.dataset.view));
+    });
+    byId('exportAll').addEventListener('click', () => downloadExport());
+    byId('importFile').addEventListener('change', event => {
+        if (event.target.files[0]) importFile(event.target.files[0]);
+    });
+    byId('clearAll').addEventListener('click', clearMemories);
+    byId('emptyTrash').addEventListener('click', emptyTrash);
+
+    byId('closeDialog').addEventListener('click', () => byId('memoryDialog').close());
+    byId('memoryDialog').addEventListener('close', () => {
+        openMemory = null;
+        editing = false;
+    });
+    byId('editButton').addEventListener('click', () => setEditing(true));
+    byId('cancelEdit').addEventListener('click', () => setEditing(false));
+    byId('saveButton').addEventListener('click', saveMemory);
+    byId('deleteButton').addEventListener('click', async () => {
+        if (await deleteMemory(openMemory.id)) byId('memoryDialog').close();
+    });
+    byId('historySection').addEventListener('toggle', () => {
+        if (byId('historySection').open) loadHistory();
+    });
+
+    // Infinite scroll: fetch the next page once the end of the list is visible
+    new IntersectionObserver(entries => {
+        if (entries[0].isIntersecting) loadNextPage();
+    }).observe(byId('pageStatus'));
+}
+
+// Load memories on page load (pairing first if needed), then the filters, then follow changes
+bindControls();
+loadMemories().then(() => {
+    if (pairingDeclined) return;
+    loadFacets();
+    connectEvents();
+});
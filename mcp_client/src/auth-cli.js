@@ -0,0 +1,79 @@
+// auth-cli.js
+// Manage access to the MCP client API: pairing codes, tokens and origins.
+// Both clients read the same auth.json (MCP_AUTH_FILE overrides it) and
+// pick up changes made here without a restart.
+//
+//   npm run auth -- pair                      one-time code for the extension options page
+//   npm run auth -- token read claude         new token (read or write), shown once
+//   npm run auth -- list                      tokens and allowed origins
+//   npm run auth -- revoke <id>
+//   npm run auth -- allow-origin <origin>     e.g. http://localhost:8080
+//   npm run auth -- remove-origin <origin>
+
+const path = require('path');
+const { AUTH_SCOPES, AuthStore } = require('../../mcp-servers/shared/auth.js');
+
+const AUTH_FILE = process.env.MCP_AUTH_FILE || path.join(__dirname, '..', 'auth.json');
+
+const USAGE = `Usage: npm run auth -- <command>
+
+  pair                      Create a one-time pairing code
+  token <${AUTH_SCOPES.join('|')}> [name]   Create an access token
+  list                      List tokens and allowed origins
+  revoke <id>               Revoke a token
+  allow-origin <origin>     Allow browser requests from an origin
+  remove-origin <origin>    Stop allowing an origin`;
+
+async function main(args) {
+    const [command, ...rest] = args;
+    const auth = new AuthStore(AUTH_FILE);
+    await auth.load();
+
+    switch (command) {
+        case 'pair': {
+            const { code, expiresAt } = await auth.createPairingCode();
+            console.log(`🔐 Pairing code: ${code}`);
+            console.log(`   Valid until ${new Date(expiresAt).toLocaleTimeString()}, for one pairing`);
+            break;
+        }
+        case 'token': {
+            const [scope, ...name] = rest;
+            const { token, record } = await auth.createToken({ scope, name: name.join(' ') || `${scope} token` });
+            console.log(`🔑 Created ${record.scope} token ${record.id} "${record.name}":`);
+            console.log(`   ${token}`);
+            console.log('   Copy it now - it is not stored and cannot be shown again');
+            break;
+        }
+        case 'list': {
+            const tokens = auth.listTokens();
+            console.log(`🔑 ${tokens.length} tokens`);
+            tokens.forEach(token => {
+                console.log(`   ${token.id}  ${token.scope.padEnd(5)}  ${token.name}  (created ${token.createdAt})`);
+            });
+            console.log(`🌐 Allowed origins: ${auth.allowedOrigins.join(', ') || 'none besides the client itself'}`);
+            break;
+        }
+        case 'revoke':
+            if (!rest[0]) throw new Error('Which token? Pass its id (see `list`)');
+            if (!await auth.revokeToken(rest[0])) throw new Error(`No token with id ${rest[0]}`);
+            console.log(`🗑️ Revoked token ${rest[0]}`);
+            break;
+        case 'allow-origin':
+            if (!rest[0]) throw new Error('Which origin?');
+            console.log(await auth.allowOrigin(rest[0]) ? `🌐 Allowed ${rest[0]}` : `🌐 ${rest[0]} was already allowed`);
+            break;
+        case 'remove-origin':
+            if (!rest[0]) throw new Error('Which origin?');
+            if (!await auth.removeOrigin(rest[0])) throw new Error(`${rest[0]} is not in the list`);
+            console.log(`🚫 Removed ${rest[0]}`);
+            break;
+        default:
+            console.log(USAGE);
+            if (command && command !== 'help') process.exitCode = 1;
+    }
+}
+
+main(process.argv.slice(2)).catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,230 @@
+// encryption-cli.js
+// Encrypt a memory store at rest, rotate its key or turn encryption off (see
+// mcp-servers/shared/encryption.js). Stop the MCP clients and the memory
+// server first: they keep using the key they were started with.
+//
+//   npm run encryption -- status                      is the store encrypted, with which key
+//   npm run encryption -- init [--plaintext type,tags] encrypt every memory
+//   npm run encryption -- rotate [--plaintext ...]    new key, from a new (or the same) passphrase
+//   npm run encryption -- disable                     decrypt every memory and remove the keyring
+//   npm run encryption -- decrypt <snapshot> [out]    open an encrypted snapshot
+//
+// The store is the one of the TypeScript client and the memory server; add
+// --legacy for the legacy client's. --plaintext lists the fields that stay
+// readable for indexing ("none" leaves only the id).
+//
+// Passphrases are asked for on the terminal, or taken from MCP_PASSPHRASE
+// (MCP_PASSPHRASE_FILE) and, for the new key of a rotation, MCP_NEW_PASSPHRASE.
+
+const fs = require('fs').promises;
+const path = require('path');
+const Database = require('better-sqlite3');
+const { openMemoryStorage, getKeyringFile } = require('../../mcp-servers/shared/storage/index.js');
+const {
+    DEFAULT_PLAINTEXT_FIELDS,
+    createKeyring,
+    unlockKeyring,
+    rotateKeyring,
+    finishRotation,
+    readKeyring,
+    writeKeyring,
+    promptPassphrase,
+    readPassphrase
+} = require('../../mcp-servers/shared/encryption.js');
+
+const SERVER_DATA_DIR = path.join(__dirname, '..', '..', 'mcp-servers', 'memory-server', 'data');
+
+const STORES = {
+    server: {
+        basePath: path.join(SERVER_DATA_DIR, 'memories'),
+        embeddings: path.join(SERVER_DATA_DIR, 'embeddings.json'),
+        leftovers: [path.join(SERVER_DATA_DIR, 'memories.json')]
+    },
+    legacy: {
+        basePath: path.join(__dirname, 'mcp-memory'),
+        embeddings: path.join(__dirname, 'mcp-embeddings.json'),
+        leftovers: [path.join(__dirname, 'mcp-memory.json'), path.join(__dirname, 'snapshots')]
+    }
+};
+
+const USAGE = `Usage: npm run encryption -- <command> [--legacy]
+
+  status                      Show whether the store is encrypted
+  init [--plaintext fields]   Encrypt the store (default readable fields: ${DEFAULT_PLAINTEXT_FIELDS.join(',')})
+  rotate [--plaintext fields] Re-encrypt with a new key
+  disable                     Decrypt the store and remove its keyring
+  decrypt <snapshot> [out]    Decrypt a snapshot taken while the store was encrypted`;
+
+function parseArgs(args) {
+    const options = { legacy: false, plaintextFields: undefined, rest: [] };
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--legacy') {
+            options.legacy = true;
+        } else if (args[i] === '--plaintext') {
+            if (args[i + 1] === undefined) throw new Error('--plaintext needs a list of fields, or "none"');
+            options.plaintextFields = args[++i];
+        } else {
+            options.rest.push(args[i]);
+        }
+    }
+    return options;
+}
+
+async function askNewPassphrase(envName) {
+    if (process.env[envName]) return process.env[envName];
+    const passphrase = await promptPassphrase('🔑 New passphrase: ');
+    if (await promptPassphrase('🔑 Repeat it: ') !== passphrase) {
+        throw new Error('The passphrases do not match');
+    }
+    return passphrase;
+}
+
+async function askPassphrase(label) {
+    const passphrase = await readPassphrase({ prompt: true, label });
+    if (!passphrase) throw new Error('A passphrase is required');
+    return passphrase;
+}
+
+// Rewrite every memory in one change, then compact so no old copy stays in the file
+async function rewriteStore(storage, transform) {
+    const memories = await storage.load();
+    if (memories.length > 0) {
+        await storage.write({ put: memories.map(transform) });
+    }
+    await storage.compact();
+    return memories.length;
+}
+
+// Plaintext copies that encrypting the store does not touch
+async function warnAboutLeftovers(store) {
+    for (const leftover of store.leftovers) {
+        try {
+            await fs.access(leftover);
+            console.warn(`⚠️ ${leftover} still holds plaintext memories - delete it once you no longer need it`);
+        } catch (error) {
+            // Nothing there
+        }
+    }
+}
+
+// Search vectors are derived from the words of the content. The clients keep
+// them in memory only while the store is encrypted, so the file goes.
+async function removeEmbeddings(store) {
+    try {
+        await fs.unlink(store.embeddings);
+        console.log(`🧹 Removed ${store.embeddings} (search vectors, recomputed at startup)`);
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+}
+
+async function showStatus(storage, keyringFile) {
+    const keyring = await readKeyring(keyringFile);
+    const memories = await storage.load();
+    if (!keyring) {
+        console.log(`🔓 ${storage.file} is not encrypted (${memories.length} memories)`);
+        return;
+    }
+
+    const current = memories.filter(memory => memory.sealed && memory.sealed.key === keyring.key.id).length;
+    const plaintext = memories.filter(memory => !memory.sealed).length;
+    console.log(`🔒 ${storage.file} is encrypted with key ${keyring.key.id} (created ${keyring.key.createdAt})`);
+    console.log(`   Readable fields: ${['id', ...keyring.plaintextFields].join(', ')}`);
+    if (keyring.plaintextFields.includes('tags')) {
+        console.log('   Tags are readable, and detected ones name hosts and languages from the content -');
+        console.log(`   run \`npm run encryption -- rotate --plaintext ${keyring.plaintextFields.filter(field => field !== 'tags').join(',') || 'none'}\` to seal them`);
+    }
+    console.log(`   ${current} memories sealed with this key, ${memories.length - current - plaintext} with an older key, ${plaintext} not encrypted`);
+    if (current < memories.length) {
+        console.log('   Run `npm run encryption -- rotate` to seal them all with a new key');
+    }
+}
+
+async function decryptSnapshot(file, out) {
+    if (!file) throw new Error('Which snapshot?');
+    const data = JSON.parse(await fs.readFile(file, 'utf8'));
+    if (!data.keyring || !Array.isArray(data.memories)) {
+        throw new Error(`${file} is not an encrypted snapshot`);
+    }
+
+    const cipher = await unlockKeyring(data.keyring, await askPassphrase('the snapshot (the passphrase it was taken with)'));
+    const memories = data.memories.map(memory => cipher.open(memory));
+    const target = out || file.replace(/\.json$/, '') + '.decrypted.json';
+    await fs.writeFile(target, JSON.stringify(memories, null, 2), { mode: 0o600 });
+    console.log(`🔓 Wrote ${memories.length} decrypted memories to ${target}`);
+}
+
+async function main(args) {
+    const options = parseArgs(args);
+    const [command, ...rest] = options.rest;
+
+    if (command === 'decrypt') {
+        return decryptSnapshot(rest[0], rest[1]);
+    }
+    if (!['status', 'init', 'rotate', 'disable'].includes(command)) {
+        console.log(USAGE);
+        if (command && command !== 'help') process.exitCode = 1;
+        return;
+    }
+
+    const store = STORES[options.legacy ? 'legacy' : 'server'];
+    const keyringFile = getKeyringFile(store.basePath);
+    // Raw: the memories as they are on disk, sealed or not
+    const storage = await openMemoryStorage({ basePath: store.basePath, sqlite: Database, raw: true });
+
+    try {
+        const keyring = await readKeyring(keyringFile);
+        switch (command) {
+            case 'status':
+                await showStatus(storage, keyringFile);
+                break;
+
+            case 'init': {
+                if (keyring) throw new Error(`${storage.file} is already encrypted - use rotate for a new key`);
+                const cipher = await createKeyring(await askNewPassphrase('MCP_PASSPHRASE'), { plaintextFields: options.plaintextFields });
+                // Keyring first: if sealing is interrupted, the store still opens
+                await writeKeyring(keyringFile, cipher.keyring);
+                const count = await rewriteStore(storage, memory => cipher.seal(memory));
+                await removeEmbeddings(store);
+                console.log(`🔒 Encrypted ${count} memories in ${storage.file} with key ${cipher.keyId}`);
+                console.log(`   Keyring: ${keyringFile}`);
+                console.log('   The clients and the memory server now need MCP_PASSPHRASE (or MCP_PASSPHRASE_FILE); the clients ask for it when started from a terminal');
+                await warnAboutLeftovers(store);
+                break;
+            }
+
+            case 'rotate': {
+                if (!keyring) throw new Error(`${storage.file} is not encrypted - use init`);
+                const cipher = await unlockKeyring(keyring, await askPassphrase('the current key'));
+                const next = await rotateKeyring(cipher, await askNewPassphrase('MCP_NEW_PASSPHRASE'), {
+                    plaintextFields: options.plaintextFields
+                });
+                // The new keyring still opens memories sealed with the old keys, so an
+                // interrupted rotation can simply be run again
+                await writeKeyring(keyringFile, next.keyring);
+                const count = await rewriteStore(storage, memory => next.seal(next.open(memory)));
+                await writeKeyring(keyringFile, finishRotation(next).keyring);
+                // Left by clients from before vectors stayed in memory
+                await removeEmbeddings(store);
+                console.log(`🔁 Re-encrypted ${count} memories with key ${next.keyId} (was ${cipher.keyId})`);
+                break;
+            }
+
+            case 'disable': {
+                if (!keyring) throw new Error(`${storage.file} is not encrypted`);
+                const cipher = await unlockKeyring(keyring, await askPassphrase('the current key'));
+                const count = await rewriteStore(storage, memory => cipher.open(memory));
+                await fs.unlink(keyringFile);
+                console.log(`🔓 Decrypted ${count} memories in ${storage.file} and removed the keyring`);
+                break;
+            }
+        }
+    } finally {
+        await storage.close();
+    }
+}
+
+main(process.argv.slice(2)).catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+});
@@ -4,43 +4,211 @@
 
 const express = require('express');
 const cors = require('cors');
-const fs = require('fs').promises;
 const path = require('path');
+const Database = require('better-sqlite3');
+const {
+    CONTENT_HASH_VERSION,
+    generateContentHash,
+    generateLegacyContentHash,
+    isLegacyContentHash
+} = require('../../extension/content-hash.js'); // Same hash as the extension
+const { normalizeBlockHeader, getExpiryTime } = require('../../extension/block-header.js');
+const { describeRedactionFindings, mergeRedactionFindings } = require('../../extension/redaction.js');
+const SimilarityIndex = require('./similarity-index.js');
+const { diffLines } = require('./text-diff.js');
+const { EXPORT_FORMATS, exportMemories, parseImport } = require('./memory-formats.js');
+const {
+    SearchIndex,
+    parseSearchQuery,
+    getQueryText,
+    matchesSearchOperators,
+    buildSnippet,
+    getHostname
+} = require('./search-index.js');
+const { EmbeddingStore, SEARCH_MODES, scoreMemories } = require('../../mcp-servers/shared/embeddings.js');
+const { openMemoryStorage } = require('../../mcp-servers/shared/storage/index.js');
+const { parsePageOptions, paginate, projectFields } = require('../../mcp-servers/shared/pagination.js');
+const {
+    classifyContent,
+    parseTagRules,
+    loadTagRules,
+    saveTagRules,
+    getTaggerVersion,
+    getManualTags,
+    tagMemory,
+    retagMemory,
+    backfillTags
+} = require('../../mcp-servers/shared/tagging.js');
+const {
+    AuthStore,
+    createCorsOptions,
+    createAuthMiddleware,
+    createPairingRoute,
+    getDefaultOrigins,
+    announcePairing
+} = require('../../mcp-servers/shared/auth.js');
+const { loadRedactionConfig, redactStoreBlock } = require('../../mcp-servers/shared/redaction-config.js');
+const { StoreLockedError } = require('../../mcp-servers/shared/encryption.js');
+const { MemoryEventStream } = require('../../mcp-servers/shared/memory-events.js');
+const {
+    TRASH_RETENTION_DAYS,
+    ClearConfirmations,
+    findExpiredTrash,
+    getTrashExpiry,
+    listTrash,
+    markDeleted,
+    markRestored,
+    splitTrash,
+    writeSnapshot
+} = require('../../mcp-servers/shared/trash.js');
+
+// Jaccard similarity (0-1) from which a new memory is reported as a near-duplicate
+const NEAR_DUPLICATE_THRESHOLD = parseFloat(process.env.MCP_NEAR_DUPLICATE_THRESHOLD) || 0.8;
+
+// Expired memories and trash are looked for this often
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// POST /mcp/memories/bulk
+const BULK_ACTIONS = ['delete', 'tag', 'untag'];
+const MAX_BULK_IDS = 500;
+
+// GET /mcp/hash-stats lists at most this many near-duplicate pairs, most similar first
+const MAX_NEAR_DUPLICATE_PAIRS = 100;
+const DUPLICATE_FIELDS = ['timestamp', 'source', 'wordCount', 'preview'];
+
+// The web dashboard: static files, served without a token (the API calls they make need one)
+const DASHBOARD_DIR = path.join(__dirname, '..', 'dashboard');
+const DASHBOARD_HEADERS = {
+    // Memories are shown as text only; this keeps a slip from running anything
+    'Content-Security-Policy': "default-src 'self'; img-src 'self' data:; object-src 'none'; base-uri 'none'; frame-ancestors 'none'",
+    'X-Content-Type-Options': 'nosniff'
+};
+
+// User-defined tag rules ({ "rules": [{ "pattern": "k8s|kubernetes", "tag": "kubernetes" }] })
+const TAG_RULES_FILE = process.env.MCP_TAG_RULES || path.join(__dirname, 'tag-rules.json');
+
+// Second redaction pass on stored blocks ({ "mode": "mask", "disabled": [], "patterns": [] })
+const REDACTION_FILE = process.env.MCP_REDACTION_CONFIG || path.join(__dirname, 'redaction.json');
+
+// Access tokens, the pairing code and allowed origins - shared with the TypeScript client
+const AUTH_FILE = process.env.MCP_AUTH_FILE || path.join(__dirname, '..', 'auth.json');
+
+// While event streams are open, changes other processes made to the store are looked for this often
+const EVENT_REFRESH_INTERVAL_MS = 5000;
+
+// Express 4 leaves rejected promises of async routes unhandled; pass them on to
+// the error handler at the end of setupRoutes()
+function asyncRoute(handler) {
+    return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+}
+
+// What is wrong with a block of a store request, if anything. The note and
+// tags typed at capture time are stored as sent, so their types are checked.
+function getBlockError(block) {
+    if (!block || typeof block !== 'object') return 'each block must be an object';
+    if (block.note !== undefined && block.note !== null && typeof block.note !== 'string') {
+        return 'note must be a string';
+    }
+    if (block.tags !== undefined && (!Array.isArray(block.tags) || block.tags.some(tag => typeof tag !== 'string'))) {
+        return 'tags must be an array of strings';
+    }
+    return null;
+}
+
+// The state of a memory kept in its history, enough to restore it later
+function snapshotMemory(memory) {
+    return {
+        id: memory.id,
+        revision: memory.revision || 1,
+        content: memory.content,
+        contentHash: memory.contentHash,
+        source: memory.source,
+        tags: memory.tags,
+        autoTags: memory.autoTags,
+        note: memory.note,
+        timestamp: memory.timestamp
+    };
+}
+
+// Merged content when none is given: the longer text wins when it already
+// contains the other one, otherwise both are kept
+function mergeContents(target, source) {
+    const targetText = target.content.trim();
+    const sourceText = source.content.trim();
+    if (targetText.includes(sourceText)) return target.content;
+    if (sourceText.includes(targetText)) return source.content;
+    return `${targetText}\n\n${sourceText}`;
+}
 
 class LocalMCPClient {
-    constructor(port = 3001) {
+    // dataDir holds the store, its embeddings and snapshots (default: next to this file)
+    constructor(port = 3001, { dataDir = __dirname } = {}) {
         this.port = port;
+        this.dataDir = dataDir;
         this.app = express();
         this.memoryStore = [];
-        this.storageFile = path.join(__dirname, 'mcp-memory.json');
+        this.trash = [];
+        this.clearConfirmations = new ClearConfirmations();
+        this.snapshotDir = path.join(dataDir, 'snapshots');
+        this.similarityIndex = new SimilarityIndex();
+        this.searchIndex = new SearchIndex();
+        this.storage = null;
+        this.tagRules = [];
+        this.redaction = { mode: 'mask', disabled: [], patterns: [] };
+        this.tagBackfill = { running: false, retagged: 0, version: null, startedAt: null, finishedAt: null };
+        this.embeddings = new EmbeddingStore(path.join(dataDir, 'mcp-embeddings.json'));
+        this.auth = new AuthStore(AUTH_FILE, { defaultOrigins: getDefaultOrigins(port) });
+        this.events = new MemoryEventStream({ count: () => this.memoryStore.length, auth: this.auth });
+        this.reloading = null;
+        this.unsavedChanges = false; // A write failed; memory and disk may disagree
         
         this.setupMiddleware();
         this.setupRoutes();
-        this.loadMemoryStore();
+        this.ready = this.loadMemoryStore();
     }
 
     setupMiddleware() {
-        // Enable CORS for browser extension
-        this.app.use(cors({
-            origin: '*', // Allow all origins for development
-            methods: ['GET', 'POST', 'PUT', 'DELETE'],
-            allowedHeaders: ['Content-Type', 'Authorization']
-        }));
+        // CORS only for the client's own pages, paired extensions and MCP_ALLOWED_ORIGINS
+        this.app.use(cors(createCorsOptions(this.auth)));
         
         this.app.use(express.json({ limit: '10mb' }));
-        this.app.use(express.static('public')); // For serving a simple web interface
+        this.app.use(express.static(DASHBOARD_DIR, {
+            setHeaders: res => res.set(DASHBOARD_HEADERS)
+        }));
+        
+        // Everything but the dashboard files and pairing needs a token
+        this.app.use(createAuthMiddleware(this.auth));
+        
+        // Pick up memories written by other processes sharing the store
+        this.app.use(async (req, res, next) => {
+            try {
+                await this.refreshMemoryStore();
+                next();
+            } catch (error) {
+                next(error);
+            }
+        });
     }
 
     setupRoutes() {
+        // Trade a one-time pairing code for a write token
+        this.app.post('/auth/pair', createPairingRoute(this.auth));
+
         // Health check
         this.app.get('/health', (req, res) => {
             res.json({ 
                 status: 'healthy', 
                 memoryCount: this.memoryStore.length,
+                trashCount: this.trash.length,
                 timestamp: new Date().toISOString()
             });
         });
 
+        // Live changes as server-sent events (see memory-events.js)
+        this.app.get('/mcp/events', (req, res) => {
+            this.events.subscribe(req, res);
+        });
+
         // Check if hashes already exist (new endpoint)
         this.app.post('/mcp/check-hashes', (req, res) => {
             try {
@@ -53,12 +221,14 @@ class LocalMCPClient {
                 console.log(`🔍 Checking ${hashes.length} hashes for duplicates...`);
 
                 const hashStatus = {};
+                const memoryIds = {};
                 hashes.forEach(hash => {
-                    // Check if any existing memory has this hash
-                    const exists = this.memoryStore.some(memory => 
-                        memory.contentHash === hash
-                    );
-                    hashStatus[hash] = exists;
+                    // Check if any existing memory has this hash (v2 or legacy)
+                    const existing = this.findMemoryByHash(hash);
+                    hashStatus[hash] = !!existing;
+                    if (existing) {
+                        memoryIds[hash] = existing.id;
+                    }
                 });
 
                 const existingCount = Object.values(hashStatus).filter(exists => exists).length;
@@ -69,6 +239,7 @@ class LocalMCPClient {
                 res.json({
                     success: true,
                     hashStatus: hashStatus,
+                    memoryIds: memoryIds,
                     summary: {
                         total: hashes.length,
                         existing: existingCount,
@@ -90,22 +261,41 @@ class LocalMCPClient {
                 if (!blocks || !Array.isArray(blocks)) {
                     return res.status(400).json({ error: 'Invalid blocks data' });
                 }
+                const blockError = blocks.map(getBlockError).find(Boolean);
+                if (blockError) {
+                    return res.status(400).json({ error: `Invalid blocks data: ${blockError}` });
+                }
 
                 const storedBlocks = [];
+                const storedHashes = [];
                 const duplicateBlocks = [];
+                const nearDuplicates = [];
+                const redactedBlocks = [];
+                const blockedBlocks = [];
                 
                 for (const block of blocks) {
-                    // Generate hash if not provided
-                    const contentHash = block.hash || this.generateContentHash(block.content);
+                    // Secrets the extension missed (or blocks not sent by the extension)
+                    // are redacted before anything is hashed or stored
+                    const redaction = redactStoreBlock(block, this.redaction);
+                    const content = redaction.content;
+                    
+                    // Always hash on the server; the block's own hash (possibly a legacy
+                    // one from an older extension) is only echoed back in the response
+                    const contentHash = generateContentHash(content);
+                    const requestHash = block.hash || contentHash;
+                    
+                    if (redaction.blocked) {
+                        blockedBlocks.push({ hash: requestHash, findings: redaction.findings });
+                        console.warn(`🛑 Not storing a block with ${describeRedactionFindings(redaction.findings)}`);
+                        continue;
+                    }
                     
                     // Check for duplicates
-                    const existingMemory = this.memoryStore.find(memory => 
-                        memory.contentHash === contentHash
-                    );
+                    const existingMemory = this.findMemoryByHash(contentHash);
                     
                     if (existingMemory) {
                         duplicateBlocks.push({
-                            hash: contentHash,
+                            hash: requestHash,
                             reason: 'duplicate_content',
                             existingId: existingMemory.id
                         });
@@ -115,26 +305,60 @@ class LocalMCPClient {
                     
                     const memoryEntry = {
                         id: this.generateId(),
-                        content: block.content,
+                        content: content,
                         contentHash: contentHash,
+                        legacyContentHash: generateLegacyContentHash(content),
                         timestamp: new Date().toISOString(),
                         source: {
                             url: metadata.url || 'unknown',
                             title: metadata.title || 'unknown',
                             userAgent: req.headers['user-agent']
                         },
-                        tags: this.extractTags(block.content),
-                        wordCount: block.wordCount || block.content.split(' ').length,
+                        tags: [],
+                        wordCount: block.wordCount || content.split(' ').length,
                         formatVersion: block.formatVersion || 'v1'
                     };
                     
+                    if (redaction.note) {
+                        memoryEntry.note = redaction.note;
+                    }
+                    if (redaction.redactions.length > 0) {
+                        memoryEntry.redactions = redaction.redactions;
+                        redactedBlocks.push({ hash: requestHash, id: memoryEntry.id, findings: redaction.redactions });
+                        console.log(`🔒 Redacted ${describeRedactionFindings(redaction.redactions)} (${memoryEntry.id})`);
+                    }
+                    this.applyBlockHeader(memoryEntry, block);
+                    // Tags typed at capture time come first, then detected ones
+                    tagMemory(memoryEntry, block.tags || [], this.tagRules);
+                    
+                    // Not the same content, but close enough that it is probably an edited copy
+                    const similar = this.similarityIndex.findSimilar(content, {
+                        threshold: NEAR_DUPLICATE_THRESHOLD
+                    });
+                    if (similar.length > 0) {
+                        nearDuplicates.push({
+                            hash: requestHash,
+                            id: memoryEntry.id,
+                            similarTo: similar[0].id,
+                            score: similar[0].score,
+                            matches: similar,
+                            // Body for POST /mcp/memories/merge
+                            merge: { targetId: similar[0].id, sourceId: memoryEntry.id }
+                        });
+                        console.log(`🪞 Near-duplicate of ${similar[0].id} (similarity ${similar[0].score})`);
+                    }
+                    
                     this.memoryStore.push(memoryEntry);
+                    this.indexMemory(memoryEntry);
                     storedBlocks.push(memoryEntry);
+                    storedHashes.push(requestHash);
                 }
 
-                await this.saveMemoryStore();
+                await this.saveMemoryChanges({ put: storedBlocks });
+                this.events.publishMemories('memory.created', storedBlocks, { reason: 'stored' });
                 
-                console.log(`📝 Stored ${storedBlocks.length} new blocks, skipped ${duplicateBlocks.length} duplicates`);
+                console.log(`📝 Stored ${storedBlocks.length} new blocks, skipped ${duplicateBlocks.length} duplicates` +
+                    (blockedBlocks.length > 0 ? ` and ${blockedBlocks.length} blocked for secrets` : ''));
                 console.log(`💾 Total memory entries: ${this.memoryStore.length}`);
                 
                 res.json({
@@ -142,12 +366,15 @@ class LocalMCPClient {
                     stored: storedBlocks.length,
                     duplicates: duplicateBlocks.length,
                     totalMemories: this.memoryStore.length,
-                    entries: storedBlocks.map(b => ({ 
+                    entries: storedBlocks.map((b, i) => ({ 
                         id: b.id, 
-                        hash: b.contentHash,
+                        hash: storedHashes[i],
                         preview: b.content.substring(0, 100) + '...' 
                     })),
-                    duplicateDetails: duplicateBlocks
+                    duplicateDetails: duplicateBlocks,
+                    nearDuplicates: nearDuplicates,
+                    redacted: redactedBlocks,
+                    blocked: blockedBlocks
                 });
                 
             } catch (error) {
@@ -158,17 +385,54 @@ class LocalMCPClient {
 
         // Retrieve memories (for Claude to query later)
         this.app.get('/mcp/memories', (req, res) => {
-            const { limit = 50, search, tags, since } = req.query;
+            const { search, tags, since, until, site, type, mode = 'keyword' } = req.query;
+            
+            if (!SEARCH_MODES.includes(mode)) {
+                return res.status(400).json({ error: `mode must be one of: ${SEARCH_MODES.join(', ')}` });
+            }
+            const sinceDate = since ? new Date(since) : null;
+            const untilDate = until ? new Date(until) : null;
+            if ((sinceDate && isNaN(sinceDate.getTime())) || (untilDate && isNaN(untilDate.getTime()))) {
+                return res.status(400).json({ error: 'since and until must be dates' });
+            }
+            
+            // limit, sort, order, fields and cursor (see pagination.js)
+            let pageOptions;
+            try {
+                pageOptions = parsePageOptions(req.query, mode === 'keyword' ? 'timestamp' : 'relevance');
+            } catch (error) {
+                return res.status(400).json({ error: error.message });
+            }
             
             let filteredMemories = [...this.memoryStore];
+            let query = null;
+            let scores = null;
             
-            // Filter by search term
+            // Filter by search query (see search-index.js for the syntax)
             if (search) {
-                const searchLower = search.toLowerCase();
-                filteredMemories = filteredMemories.filter(memory => 
-                    memory.content.toLowerCase().includes(searchLower) ||
-                    memory.tags.some(tag => tag.toLowerCase().includes(searchLower))
-                );
+                try {
+                    query = parseSearchQuery(search);
+                } catch (error) {
+                    return res.status(400).json({ error: error.message });
+                }
+                
+                if (mode === 'keyword') {
+                    scores = this.searchIndex.match(query.clauses);
+                    filteredMemories = filteredMemories.filter(memory =>
+                        scores.has(memory.id) && matchesSearchOperators(memory, query.operators)
+                    );
+                } else {
+                    // Operators and exclusions still filter; the remaining words are embedded
+                    const allowed = this.searchIndex.match(query.clauses.filter(clause => clause.negated));
+                    const candidates = filteredMemories.filter(memory =>
+                        allowed.has(memory.id) && matchesSearchOperators(memory, query.operators)
+                    );
+                    const text = getQueryText(query);
+                    scores = text
+                        ? scoreMemories(this.embeddings, candidates, text, mode, this.searchIndex.match(query.clauses))
+                        : new Map(candidates.map(memory => [memory.id, 0]));
+                    filteredMemories = candidates.filter(memory => scores.has(memory.id));
+                }
             }
             
             // Filter by tags
@@ -179,27 +443,230 @@ class LocalMCPClient {
                 );
             }
             
-            // Filter by date
-            if (since) {
-                const sinceDate = new Date(since);
+            // Filter by block header type
+            if (type) {
+                const types = type.split(',').map(value => value.trim().toLowerCase());
+                filteredMemories = filteredMemories.filter(memory => types.includes(memory.type));
+            }
+            
+            // Filter by source domain, subdomains included (like site: in a search)
+            if (site) {
+                const domains = site.split(',').map(value => value.trim().toLowerCase());
+                filteredMemories = filteredMemories.filter(memory => {
+                    const hostname = getHostname(memory.source && memory.source.url);
+                    return domains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+                });
+            }
+            
+            // Filter by date range (both ends included)
+            if (sinceDate) {
                 filteredMemories = filteredMemories.filter(memory =>
                     new Date(memory.timestamp) >= sinceDate
                 );
             }
+            if (untilDate) {
+                filteredMemories = filteredMemories.filter(memory =>
+                    new Date(memory.timestamp) <= untilDate
+                );
+            }
             
-            // Sort by most recent first
-            filteredMemories.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+            // Sort (relevance is the BM25 or embedding score) and cut out the requested page
+            const page = paginate(filteredMemories, pageOptions, scores);
             
-            // Limit results
-            filteredMemories = filteredMemories.slice(0, parseInt(limit));
+            // Search results carry their score and a highlighted snippet
+            const memories = page.memories.map(memory => {
+                const projected = projectFields(memory, pageOptions.fields);
+                if (!query) return projected;
+                return {
+                    ...projected,
+                    score: Math.round(scores.get(memory.id) * 1000) / 1000,
+                    snippet: buildSnippet(memory.content, query)
+                };
+            });
             
             res.json({
-                memories: filteredMemories,
+                memories: memories,
                 total: this.memoryStore.length,
-                filtered: filteredMemories.length
+                matched: page.matched,
+                filtered: memories.length,
+                next: page.next,
+                prev: page.prev,
+                sort: pageOptions.sort,
+                order: pageOptions.order,
+                mode: mode
             });
         });
 
+        // Merge two memories: the source is folded into the target and removed,
+        // both previous versions are kept in the target's history
+        this.app.post('/mcp/memories/merge', asyncRoute(async (req, res) => {
+            const { targetId, sourceId, content } = req.body || {};
+            
+            if (!targetId || !sourceId || targetId === sourceId) {
+                return res.status(400).json({ error: 'targetId and sourceId must be two different memory IDs' });
+            }
+            if (content !== undefined && (typeof content !== 'string' || !content.trim())) {
+                return res.status(400).json({ error: 'content must be a non-empty string' });
+            }
+            
+            const target = this.memoryStore.find(m => m.id === targetId);
+            const source = this.memoryStore.find(m => m.id === sourceId);
+            if (!target || !source) {
+                return res.status(404).json({ error: `Memory not found: ${!target ? targetId : sourceId}` });
+            }
+            
+            // What the merge writes goes through the same redaction as a store
+            const redaction = this.redactWrite({
+                content: content !== undefined ? content : mergeContents(target, source),
+                note: [target.note, source.note].filter(Boolean).join('\n') || undefined
+            });
+            this.mergeMemories(target, source, redaction);
+            await this.saveMemoryChanges({ put: [target], remove: [source.id] });
+            this.events.publishMemories('memory.updated', [target], { reason: 'merged' });
+            this.events.publishMemories('memory.deleted', [source], { reason: 'merged', mergedInto: target.id });
+            
+            console.log(`🔀 Merged memory ${source.id} into ${target.id}`);
+            res.json({ success: true, memory: target, removed: source.id });
+        }));
+
+        // One action on many memories: delete (to the trash), or add or remove
+        // tags given by hand. Every tag change is a new revision, like an edit.
+        this.app.post('/mcp/memories/bulk', asyncRoute(async (req, res) => {
+            const { action, ids, tags } = req.body || {};
+            
+            if (!BULK_ACTIONS.includes(action)) {
+                return res.status(400).json({ error: `action must be one of: ${BULK_ACTIONS.join(', ')}` });
+            }
+            if (!Array.isArray(ids) || ids.length === 0 || ids.length > MAX_BULK_IDS) {
+                return res.status(400).json({ error: `ids must be an array of 1 to ${MAX_BULK_IDS} memory IDs` });
+            }
+            if (action !== 'delete' &&
+                (!Array.isArray(tags) || tags.length === 0 || tags.some(tag => typeof tag !== 'string' || !tag.trim()))) {
+                return res.status(400).json({ error: 'tags must be an array of non-empty strings' });
+            }
+            
+            const memories = this.memoryStore.filter(memory => ids.includes(memory.id));
+            const missing = ids.filter(id => !memories.some(memory => memory.id === id));
+            
+            if (action === 'delete') {
+                if (memories.length > 0) {
+                    this.moveToTrash(memories);
+                    await this.saveMemoryChanges({ put: memories });
+                    this.events.publishMemories('memory.deleted', memories, { reason: 'deleted' });
+                    console.log(`🗑️ Moved ${memories.length} memories to the trash`);
+                }
+                return res.json({ success: true, action, changed: memories.map(m => m.id), missing, trashed: true });
+            }
+            
+            const names = tags.map(tag => tag.trim());
+            const lowerNames = names.map(tag => tag.toLowerCase());
+            const by = this.getEditor(req);
+            const changed = memories.filter(memory => {
+                const manualTags = getManualTags(memory, this.tagRules);
+                const nextTags = action === 'tag'
+                    ? [...manualTags, ...names.filter(tag => !manualTags.some(t => t.toLowerCase() === tag.toLowerCase()))]
+                    : manualTags.filter(tag => !lowerNames.includes(tag.toLowerCase()));
+                return this.editMemory(memory, { tags: nextTags }, { by });
+            });
+            if (changed.length > 0) {
+                await this.saveMemoryChanges({ put: changed });
+                this.events.publishMemories('memory.updated', changed, { reason: 'edited' });
+                console.log(`🏷️ ${action === 'tag' ? 'Tagged' : 'Untagged'} ${changed.length} memories: ${names.join(', ')}`);
+            }
+            
+            // Tags detected in the content come back on every edit, so untag only removes hand-given ones
+            res.json({ success: true, action, changed: changed.map(m => m.id), missing });
+        }));
+
+        // Edit a memory. PUT replaces content, tags and note, PATCH changes only the
+        // fields sent. Timestamp and source stay; every edit becomes a new revision.
+        const editMemoryRoute = replace => asyncRoute(async (req, res) => {
+            const memory = this.memoryStore.find(m => m.id === req.params.id);
+            if (!memory) {
+                return res.status(404).json({ error: 'Memory not found' });
+            }
+            
+            let changes;
+            try {
+                changes = this.parseMemoryEdit(req.body || {}, replace);
+            } catch (error) {
+                return res.status(400).json({ error: error.message });
+            }
+            const redaction = this.redactWrite(changes);
+            if (changes.content !== undefined) changes.content = redaction.content;
+            if (changes.note) changes.note = redaction.note;
+            changes.redactions = redaction.findings;
+            
+            const conflict = this.findContentConflict(memory, changes.content);
+            if (conflict) {
+                return res.status(409).json({ error: 'Another memory already has this content', existingId: conflict.id });
+            }
+            
+            const entry = this.editMemory(memory, changes, { by: this.getEditor(req) });
+            if (entry) {
+                await this.saveMemoryChanges({ put: [memory] });
+                this.events.publishMemories('memory.updated', [memory], { reason: 'edited' });
+                console.log(`✏️ Edited memory ${memory.id} (revision ${memory.revision}: ${entry.changed.join(', ')})`);
+            }
+            
+            res.json({ success: true, changed: !!entry, revision: memory.revision || 1, memory });
+        });
+        this.app.put('/mcp/memories/:id', editMemoryRoute(true));
+        this.app.patch('/mcp/memories/:id', editMemoryRoute(false));
+
+        // Revision history of a memory (edits, restores and merges), oldest first
+        this.app.get('/mcp/memories/:id/history', (req, res) => {
+            const memory = this.memoryStore.find(m => m.id === req.params.id);
+            if (!memory) {
+                return res.status(404).json({ error: 'Memory not found' });
+            }
+            
+            res.json({
+                id: memory.id,
+                revision: memory.revision || 1,
+                history: memory.history || []
+            });
+        });
+
+        // Bring back the content, tags and note of an earlier revision (as a new revision)
+        this.app.post('/mcp/memories/:id/restore', asyncRoute(async (req, res) => {
+            const memory = this.memoryStore.find(m => m.id === req.params.id);
+            if (!memory) {
+                return res.status(404).json({ error: 'Memory not found' });
+            }
+            
+            const revision = parseInt((req.body || {}).revision, 10);
+            if (!(revision > 0)) {
+                return res.status(400).json({ error: 'revision must be a positive number' });
+            }
+            
+            const snapshot = this.findRevision(memory, revision);
+            if (!snapshot) {
+                return res.status(404).json({ error: `Revision ${revision} not found` });
+            }
+            
+            // Revisions from before a redaction setting was turned on are redacted now
+            const redaction = this.redactWrite({ content: snapshot.content, note: snapshot.note || undefined });
+            const conflict = this.findContentConflict(memory, redaction.content);
+            if (conflict) {
+                return res.status(409).json({ error: 'Another memory already has this content', existingId: conflict.id });
+            }
+            
+            const entry = this.editMemory(memory, {
+                content: redaction.content,
+                redactions: redaction.findings,
+                tags: getManualTags(snapshot, this.tagRules),
+                note: redaction.note || null
+            }, { by: this.getEditor(req), action: 'restore', restoredFrom: revision });
+            if (entry) {
+                await this.saveMemoryChanges({ put: [memory] });
+                this.events.publishMemories('memory.updated', [memory], { reason: 'restored' });
+                console.log(`⏪ Restored memory ${memory.id} to revision ${revision} (now revision ${memory.revision})`);
+            }
+            
+            res.json({ success: true, changed: !!entry, revision: memory.revision || 1, memory });
+        }));
+
         // Get specific memory by ID
         this.app.get('/mcp/memories/:id', (req, res) => {
             const memory = this.memoryStore.find(m => m.id === req.params.id);
@@ -209,273 +676,774 @@ class LocalMCPClient {
             res.json(memory);
         });
 
-        // Delete memory
-        this.app.delete('/mcp/memories/:id', async (req, res) => {
-            const index = this.memoryStore.findIndex(m => m.id === req.params.id);
-            if (index === -1) {
+        // Delete memory: it moves to the trash and can be restored until it expires
+        this.app.delete('/mcp/memories/:id', asyncRoute(async (req, res) => {
+            const memory = this.memoryStore.find(m => m.id === req.params.id);
+            if (!memory) {
                 return res.status(404).json({ error: 'Memory not found' });
             }
             
-            const deleted = this.memoryStore.splice(index, 1)[0];
-            await this.saveMemoryStore();
+            this.moveToTrash([memory]);
+            await this.saveMemoryChanges({ put: [memory] });
+            this.events.publishMemories('memory.deleted', [memory], { reason: 'deleted' });
+            
+            console.log(`🗑️ Moved memory ${memory.id} to the trash`);
+            res.json({ success: true, deleted: memory.id, trashed: true, expiresAt: getTrashExpiry(memory) });
+        }));
+
+        // Clear all memories. The first request only returns a confirmation token;
+        // repeating it with ?confirm=<token> snapshots the store to a file and
+        // moves every memory to the trash.
+        this.app.delete('/mcp/memories', asyncRoute(async (req, res) => {
+            const confirmation = this.clearConfirmations.check(req.query.confirm);
+            if (confirmation) {
+                return res.status(428).json({ ...confirmation, count: this.memoryStore.length });
+            }
             
-            res.json({ success: true, deleted: deleted.id });
+            let snapshot;
+            try {
+                snapshot = await writeSnapshot(this.snapshotDir, 'clear', [...this.memoryStore, ...this.trash], this.storage);
+            } catch (error) {
+                console.error('❌ Error writing snapshot:', error);
+                return res.status(500).json({ error: 'Could not snapshot the memory store, nothing was cleared' });
+            }
+            
+            const cleared = [...this.memoryStore];
+            this.moveToTrash(cleared);
+            await this.saveMemoryChanges({ put: cleared });
+            this.events.publish('store.cleared', { count: cleared.length, reason: 'cleared' });
+            
+            console.log(`🗑️ Moved ${cleared.length} memory entries to the trash (snapshot: ${snapshot})`);
+            res.json({ success: true, cleared: cleared.length, trashed: true, snapshot });
+        }));
+
+        // Memories in the trash, most recently deleted first
+        this.app.get('/mcp/trash', (req, res) => {
+            const memories = listTrash(this.trash);
+            res.json({ memories, total: memories.length, retentionDays: TRASH_RETENTION_DAYS });
         });
 
-        // Clear all memories (for testing)
-        this.app.delete('/mcp/memories', async (req, res) => {
-            const count = this.memoryStore.length;
-            this.memoryStore = [];
-            await this.saveMemoryStore();
+        // Take a memory back out of the trash
+        this.app.post('/mcp/trash/:id/restore', asyncRoute(async (req, res) => {
+            const memory = this.trash.find(m => m.id === req.params.id);
+            if (!memory) {
+                return res.status(404).json({ error: 'Memory not in trash' });
+            }
+            
+            const conflict = this.findContentConflict(memory, memory.content);
+            if (conflict) {
+                return res.status(409).json({ error: 'A memory with this content was stored again meanwhile', existingId: conflict.id });
+            }
+            
+            this.trash = this.trash.filter(m => m.id !== memory.id);
+            markRestored(memory);
+            retagMemory(memory, this.tagRules); // The tagger may have changed while it was deleted
+            this.memoryStore.push(memory);
+            this.indexMemory(memory);
+            await this.saveMemoryChanges({ put: [memory] });
+            this.events.publishMemories('memory.created', [memory], { reason: 'restored' });
+            
+            console.log(`♻️ Restored memory ${memory.id} from the trash`);
+            res.json({ success: true, memory });
+        }));
+
+        // Delete one memory from the trash for good
+        this.app.delete('/mcp/trash/:id', asyncRoute(async (req, res) => {
+            if (!this.trash.some(m => m.id === req.params.id)) {
+                return res.status(404).json({ error: 'Memory not in trash' });
+            }
+            
+            await this.purgeTrash([req.params.id]);
+            res.json({ success: true, purged: [req.params.id] });
+        }));
+
+        // Empty the trash
+        this.app.delete('/mcp/trash', asyncRoute(async (req, res) => {
+            const ids = this.trash.map(m => m.id);
+            await this.purgeTrash(ids);
+            res.json({ success: true, purged: ids });
+        }));
+
+        // Download every memory (trash excluded), or those in ?ids=a,b, as jsonl,
+        // csv, markdown or obsidian
+        this.app.get('/mcp/export', (req, res) => {
+            const format = req.query.format || 'jsonl';
+            if (!EXPORT_FORMATS[format]) {
+                return res.status(400).json({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+            }
             
-            console.log(`🗑️ Cleared ${count} memory entries`);
-            res.json({ success: true, cleared: count });
+            const ids = req.query.ids ? new Set(String(req.query.ids).split(',')) : null;
+            const memories = ids ? this.memoryStore.filter(memory => ids.has(memory.id)) : this.memoryStore;
+            const file = exportMemories(memories, format);
+            console.log(`📤 Exported ${memories.length} memories as ${format}`);
+            res.set('Content-Type', file.contentType);
+            res.set('Content-Disposition', `attachment; filename="${file.filename}"`);
+            res.send(file.body);
         });
 
-        // Enhanced web interface
-        this.app.get('/', (req, res) => {
-            res.send(this.generateWebInterface());
+        // Import an exported file, sent as the request body. ?format= is detected
+        // when left out. Content that is already stored is skipped.
+        this.app.post('/mcp/import', express.raw({ type: () => true, limit: '50mb' }), asyncRoute(async (req, res) => {
+            let parsed;
+            try {
+                parsed = parseImport(req.body, req.query.format);
+            } catch (error) {
+                return res.status(400).json({ error: error.message });
+            }
+            
+            const created = [];
+            const skipped = [];
+            const failed = [...parsed.failed];
+            const imported = [];
+            
+            parsed.records.forEach(({ record, location }) => {
+                try {
+                    if (record && record.deletedAt) {
+                        skipped.push({ location, reason: 'in_trash', id: record.id });
+                        return;
+                    }
+                    
+                    const memory = this.createImportedMemory(record);
+                    const existing = this.findMemoryByHash(memory.contentHash);
+                    if (existing) {
+                        skipped.push({ location, reason: 'duplicate_content', existingId: existing.id });
+                        return;
+                    }
+                    
+                    this.memoryStore.push(memory);
+                    this.indexMemory(memory);
+                    imported.push(memory);
+                    created.push({ location, id: memory.id });
+                } catch (error) {
+                    failed.push({ location, error: error.message });
+                }
+            });
+            
+            if (imported.length > 0) {
+                await this.saveMemoryChanges({ put: imported });
+                this.events.publishMemories('memory.created', imported, { reason: 'imported' });
+            }
+            
+            console.log(`📥 Imported ${parsed.format}: ${created.length} created, ${skipped.length} skipped, ${failed.length} failed`);
+            res.json({
+                success: true,
+                format: parsed.format,
+                summary: { created: created.length, skipped: skipped.length, failed: failed.length },
+                created,
+                skipped,
+                failed
+            });
+        }));
+
+        // User-defined tag rules: regexes matched against the content
+        this.app.get('/mcp/tag-rules', (req, res) => {
+            res.json({
+                file: TAG_RULES_FILE,
+                tagger: getTaggerVersion(this.tagRules),
+                rules: this.tagRules.map(({ pattern, flags, tag }) => ({ pattern, flags, tag }))
+            });
         });
 
-        // Get hash statistics
-        this.app.get('/mcp/hash-stats', (req, res) => {
-            const hashCounts = {};
+        // Replace the tag rules and re-tag every memory with them
+        this.app.put('/mcp/tag-rules', asyncRoute(async (req, res) => {
+            let rules;
+            try {
+                rules = parseTagRules(req.body);
+            } catch (error) {
+                return res.status(400).json({ error: error.message });
+            }
+            
+            await saveTagRules(TAG_RULES_FILE, rules);
+            this.tagRules = rules;
+            console.log(`🏷️ Saved ${rules.length} tag rules to ${TAG_RULES_FILE}`);
+            
+            this.runTagBackfill();
+            res.json({ success: true, tagger: getTaggerVersion(rules), backfill: this.tagBackfill });
+        }));
+
+        // Progress of the re-tagging job
+        this.app.get('/mcp/tags/backfill', (req, res) => {
+            res.json(this.tagBackfill);
+        });
+
+        // Re-tag memories tagged by an older tagger, or all of them with ?force=true
+        this.app.post('/mcp/tags/backfill', (req, res) => {
+            if (this.tagBackfill.running) {
+                return res.status(409).json({ error: 'Re-tagging is already running', backfill: this.tagBackfill });
+            }
+            this.runTagBackfill({ force: req.query.force === 'true' });
+            res.status(202).json({ success: true, backfill: this.tagBackfill });
+        });
+
+        // Tags, types, source domains and the date range of all memories, with counts
+        // (the filters of the dashboard)
+        this.app.get('/mcp/facets', (req, res) => {
+            const count = (counts, key) => counts.set(key, (counts.get(key) || 0) + 1);
+            const tags = new Map();
+            const types = new Map();
+            const sources = new Map();
+            let oldest = null;
+            let newest = null;
+            
             this.memoryStore.forEach(memory => {
-                const hash = memory.contentHash;
-                hashCounts[hash] = (hashCounts[hash] || 0) + 1;
+                (memory.tags || []).forEach(tag => count(tags, tag));
+                if (memory.type) count(types, memory.type);
+                
+                const domain = getHostname(memory.source && memory.source.url);
+                const source = sources.get(domain) || { domain, count: 0, latest: null };
+                source.count++;
+                if (!source.latest || memory.timestamp > source.latest) source.latest = memory.timestamp;
+                sources.set(domain, source);
+                
+                if (!oldest || memory.timestamp < oldest) oldest = memory.timestamp;
+                if (!newest || memory.timestamp > newest) newest = memory.timestamp;
             });
+            
+            const byCount = (a, b) => b.count - a.count || a.name.localeCompare(b.name);
+            res.json({
+                total: this.memoryStore.length,
+                tags: [...tags].map(([name, n]) => ({ name, count: n })).sort(byCount),
+                types: [...types].map(([name, n]) => ({ name, count: n })).sort(byCount),
+                // domain is '' for memories without a source URL
+                sources: [...sources.values()].sort((a, b) => b.count - a.count || a.domain.localeCompare(b.domain)),
+                oldest,
+                newest
+            });
+        });
 
-            const duplicateHashes = Object.entries(hashCounts)
-                .filter(([hash, count]) => count > 1)
-                .map(([hash, count]) => ({ hash, count }));
+        // Duplicate statistics: memories sharing a content hash, and pairs of
+        // near-duplicates (see similarity-index.js) that could be merged
+        this.app.get('/mcp/hash-stats', (req, res) => {
+            const byHash = new Map();
+            this.memoryStore.forEach(memory => {
+                byHash.set(memory.contentHash, [...(byHash.get(memory.contentHash) || []), memory]);
+            });
+            
+            const duplicateHashes = [...byHash]
+                .filter(([hash, memories]) => memories.length > 1)
+                .map(([hash, memories]) => ({
+                    hash,
+                    count: memories.length,
+                    memories: memories.map(memory => projectFields(memory, DUPLICATE_FIELDS))
+                }));
+            
+            const pairs = new Map();
+            this.memoryStore.forEach(memory => {
+                this.similarityIndex.findSimilar(memory.content, {
+                    threshold: NEAR_DUPLICATE_THRESHOLD,
+                    exclude: [memory.id]
+                }).forEach(match => {
+                    const key = [memory.id, match.id].sort().join('\n');
+                    if (!pairs.has(key)) pairs.set(key, { ids: [memory.id, match.id], similarity: match.score });
+                });
+            });
+            const nearDuplicates = [...pairs.values()]
+                .sort((a, b) => b.similarity - a.similarity)
+                .slice(0, MAX_NEAR_DUPLICATE_PAIRS)
+                .map(pair => ({
+                    similarity: pair.similarity,
+                    memories: pair.ids.map(id => projectFields(this.memoryStore.find(m => m.id === id), DUPLICATE_FIELDS))
+                }));
 
             res.json({
                 totalMemories: this.memoryStore.length,
-                uniqueHashes: Object.keys(hashCounts).length,
+                uniqueHashes: byHash.size,
                 duplicateHashes: duplicateHashes,
-                duplicateCount: duplicateHashes.length
+                duplicateCount: duplicateHashes.length,
+                nearDuplicates: nearDuplicates,
+                nearDuplicateCount: pairs.size,
+                threshold: NEAR_DUPLICATE_THRESHOLD
             });
         });
+
+        // Errors of the routes above, such as a failed write to the memory store.
+        // Body parser errors carry their own 4xx status.
+        this.app.use((error, req, res, next) => {
+            if (res.headersSent) return next(error);
+            const status = error.status || error.statusCode || 500;
+            if (status >= 500) {
+                console.error(`❌ ${req.method} ${req.path} failed:`, error);
+                return res.status(status).json({ error: 'Internal server error' });
+            }
+            res.status(status).json({ error: error.message });
+        });
     }
 
     generateId() {
         return Date.now().toString(36) + Math.random().toString(36).substr(2);
     }
 
-    generateContentHash(content) {
-        // Create a consistent hash of the content
-        // Using a simple but effective hash function
-        let hash = 0;
-        const str = content.trim(); // Normalize whitespace
-        for (let i = 0; i < str.length; i++) {
-            const char = str.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash; // Convert to 32-bit integer
+    // Legacy hashes are still accepted while older extensions are around, and
+    // the hashes of merged or edited-away content still find the memory
+    findMemoryByHash(hash) {
+        return this.memoryStore.find(memory =>
+            memory.contentHash === hash ||
+            memory.legacyContentHash === hash ||
+            (memory.mergedHashes || []).includes(hash) ||
+            (memory.previousHashes || []).includes(hash)
+        );
+    }
+
+    // Another memory that already has this content, if any
+    findContentConflict(memory, content) {
+        if (content === undefined) return null;
+        const existing = this.findMemoryByHash(generateContentHash(content));
+        return existing && existing.id !== memory.id ? existing : null;
+    }
+
+    // Who made an edit, as given by the client
+    getEditor(req) {
+        const by = (req.body || {}).by;
+        return typeof by === 'string' && by.trim() ? by.trim() : 'anonymous';
+    }
+
+    // The second redaction pass of POST /mcp/store, for content and notes that
+    // reach the store another way (edits, restores, merges and imports). Returns
+    // both masked, with what was found; throws a 422 when either is blocked.
+    redactWrite({ content, note }) {
+        const redaction = redactStoreBlock({ content, note }, this.redaction);
+        if (redaction.blocked) {
+            console.warn(`🛑 Not storing content with ${describeRedactionFindings(redaction.findings)}`);
+            const error = new Error(`Not stored: the content or note contains ${describeRedactionFindings(redaction.findings)}`);
+            error.status = 422;
+            throw error;
         }
-        return Math.abs(hash).toString(36);
+        return redaction;
     }
 
-    extractTags(content) {
-        // Simple tag extraction - look for hashtags, code blocks, etc.
-        const tags = [];
+    // Validate the editable fields of a PUT (replace everything) or PATCH body
+    parseMemoryEdit(body, replace) {
+        const changes = {};
         
-        // Extract hashtags
-        const hashtags = content.match(/#[\w]+/g);
-        if (hashtags) tags.push(...hashtags.map(tag => tag.substring(1)));
+        if (replace || body.content !== undefined) {
+            if (typeof body.content !== 'string' || !body.content.trim()) {
+                throw new Error('content must be a non-empty string');
+            }
+            changes.content = body.content;
+        }
+        if (body.tags !== undefined) {
+            if (!Array.isArray(body.tags) || body.tags.some(tag => typeof tag !== 'string' || !tag.trim())) {
+                throw new Error('tags must be an array of non-empty strings');
+            }
+            changes.tags = body.tags.map(tag => tag.trim());
+        } else if (replace) {
+            changes.tags = [];
+        }
+        if (replace || body.note !== undefined) {
+            if (body.note !== undefined && body.note !== null && typeof body.note !== 'string') {
+                throw new Error('note must be a string or null');
+            }
+            changes.note = body.note || null;
+        }
         
-        // Detect content types
-        if (content.includes('```') || content.includes('function') || content.includes('class')) {
-            tags.push('code');
+        if (Object.keys(changes).length === 0) {
+            throw new Error('Nothing to update: send content, tags and/or note');
         }
-        if (content.includes('TODO') || content.includes('FIXME')) {
-            tags.push('todo');
+        return changes;
+    }
+
+    // Apply changes to content, tags and note as a new revision. Tags that were
+    // detected in the content are recomputed, tags given by hand are kept unless
+    // replaced. Returns the history entry, or null when nothing changed.
+    editMemory(memory, changes, { by, action = 'edit', restoredFrom } = {}) {
+        const content = changes.content !== undefined ? changes.content : memory.content;
+        const manualTags = changes.tags !== undefined ? changes.tags : getManualTags(memory, this.tagRules);
+        const detected = classifyContent(content, { sourceUrl: memory.source && memory.source.url, rules: this.tagRules });
+        const tags = [...new Set([...manualTags, ...detected.tags])];
+        const note = changes.note !== undefined ? changes.note : (memory.note || null);
+        
+        const changed = [];
+        if (content !== memory.content) changed.push('content');
+        if (tags.join('\n') !== (memory.tags || []).join('\n')) changed.push('tags');
+        if (note !== (memory.note || null)) changed.push('note');
+        if (changed.length === 0) return null;
+        
+        const at = new Date().toISOString();
+        const entry = {
+            action,
+            revision: (memory.revision || 1) + 1,
+            at,
+            by: by || 'anonymous',
+            changed,
+            previousHash: memory.contentHash,
+            diff: diffLines(memory.content, content),
+            previous: snapshotMemory(memory)
+        };
+        if (restoredFrom) entry.restoredFrom = restoredFrom;
+        memory.history = [...(memory.history || []), entry];
+        
+        if (content !== memory.content) {
+            // The extension still knows the old hash; keep it pointing here
+            const oldHashes = [...(memory.previousHashes || []), memory.contentHash, memory.legacyContentHash];
+            memory.content = content;
+            memory.contentHash = generateContentHash(content);
+            memory.legacyContentHash = generateLegacyContentHash(content);
+            memory.previousHashes = [...new Set(oldHashes)]
+                .filter(hash => hash && hash !== memory.contentHash && hash !== memory.legacyContentHash);
+            memory.wordCount = content.split(' ').length;
+        }
+        memory.tags = tags;
+        memory.autoTags = detected.tags;
+        memory.entities = detected.entities;
+        memory.tagger = getTaggerVersion(this.tagRules);
+        if (changes.redactions && changes.redactions.length > 0) {
+            memory.redactions = mergeRedactionFindings(memory.redactions, changes.redactions);
         }
-        if (content.includes('http://') || content.includes('https://')) {
-            tags.push('url');
+        if (note) {
+            memory.note = note;
+        } else {
+            delete memory.note;
         }
+        memory.revision = entry.revision;
+        memory.updatedAt = at;
         
-        return [...new Set(tags)]; // Remove duplicates
+        this.indexMemory(memory);
+        return entry;
     }
 
-    async loadMemoryStore() {
-        try {
-            const data = await fs.readFile(this.storageFile, 'utf8');
-            this.memoryStore = JSON.parse(data);
-            console.log(`📚 Loaded ${this.memoryStore.length} existing memories`);
-        } catch (error) {
-            if (error.code !== 'ENOENT') {
-                console.error('❌ Error loading memory store:', error);
-            }
-            this.memoryStore = [];
+    // A memory as it was at a revision: its current state, or the snapshot
+    // taken when that revision was replaced
+    findRevision(memory, revision) {
+        if (revision === (memory.revision || 1)) {
+            return snapshotMemory(memory);
+        }
+        const entry = (memory.history || []).find(item =>
+            item.revision && item.previous && item.previous.id === memory.id && item.previous.revision === revision
+        );
+        return entry ? entry.previous : null;
+    }
+
+    // A new memory from an imported record. Timestamp, source, tags, note and
+    // (when free) the id are kept, as are revision history and old hashes from
+    // a JSONL backup. Throws when the record has no usable content.
+    createImportedMemory(record) {
+        if (!record || typeof record.content !== 'string' || !record.content.trim()) {
+            throw new Error('Missing content');
         }
+        
+        // Blocked content fails the record, like a bad one
+        const redaction = this.redactWrite({
+            content: record.content,
+            note: record.note ? String(record.note) : undefined
+        });
+        const content = redaction.content;
+        const source = record.source || {};
+        const tags = (Array.isArray(record.tags) ? record.tags : [])
+            .filter(tag => typeof tag === 'string' && tag.trim())
+            .map(tag => tag.trim());
+        const timestamp = record.timestamp && !isNaN(Date.parse(record.timestamp))
+            ? new Date(record.timestamp).toISOString()
+            : new Date().toISOString();
+        const idTaken = id => this.memoryStore.some(m => m.id === id) || this.trash.some(m => m.id === id);
+        
+        const memory = {
+            id: typeof record.id === 'string' && record.id && !idTaken(record.id) ? record.id : this.generateId(),
+            content: content,
+            contentHash: generateContentHash(content),
+            legacyContentHash: generateLegacyContentHash(content),
+            timestamp: timestamp,
+            source: {
+                url: source.url || 'unknown',
+                title: source.title || 'unknown'
+            },
+            tags: [],
+            wordCount: content.split(' ').length,
+            formatVersion: record.formatVersion || 'import',
+            importedAt: new Date().toISOString()
+        };
+        
+        if (redaction.note) memory.note = redaction.note;
+        const redactions = mergeRedactionFindings(record.redactions, redaction.findings);
+        if (redactions.length > 0) memory.redactions = redactions;
+        if (Array.isArray(record.history)) memory.history = record.history;
+        if (record.revision > 1) memory.revision = record.revision;
+        if (record.updatedAt) memory.updatedAt = record.updatedAt;
+        if (Array.isArray(record.previousHashes)) memory.previousHashes = record.previousHashes;
+        if (Array.isArray(record.mergedHashes)) memory.mergedHashes = record.mergedHashes;
+        this.applyBlockHeader(memory, record);
+        if (memory.ttl && record.expiresAt && !isNaN(Date.parse(record.expiresAt))) {
+            memory.expiresAt = new Date(record.expiresAt).toISOString();
+        }
+        
+        // Tags the exporting tagger detected are detected again, not kept as typed ones
+        const autoTags = Array.isArray(record.autoTags) ? record.autoTags : undefined;
+        tagMemory(memory, getManualTags({ ...memory, tags, autoTags }, this.tagRules), this.tagRules);
+        return memory;
+    }
+
+    moveToTrash(memories) {
+        const ids = new Set(memories.map(memory => memory.id));
+        markDeleted(memories);
+        memories.forEach(memory => this.unindexMemory(memory.id));
+        this.memoryStore = this.memoryStore.filter(memory => !ids.has(memory.id));
+        this.trash.push(...memories);
+    }
+
+    // Remove memories from the trash permanently
+    async purgeTrash(ids) {
+        if (ids.length === 0) return;
+        const purged = new Set(ids);
+        this.trash = this.trash.filter(memory => !purged.has(memory.id));
+        await this.saveMemoryChanges({ remove: ids });
+        console.log(`🔥 Purged ${ids.length} memories from the trash`);
     }
 
-    async saveMemoryStore() {
+    // First-class fields from a block header: type, title and ttl (which sets
+    // expiresAt). The extension validates headers; fields from other senders
+    // that don't pass are dropped.
+    applyBlockHeader(memory, fields) {
+        const { header, errors } = normalizeBlockHeader({ type: fields.type, ttl: fields.ttl, title: fields.title });
+        if (errors.length > 0) {
+            console.warn(`⚠️ Ignoring invalid header fields of memory ${memory.id}: ${errors.join('; ')}`);
+        }
+        Object.assign(memory, header);
+        if (header.ttl) memory.expiresAt = getExpiryTime(memory.timestamp, header.ttl);
+    }
+
+    // Memories whose ttl has run out go to the trash
+    async trashExpiredMemories() {
+        const now = new Date().toISOString();
+        const expired = this.memoryStore.filter(memory => memory.expiresAt && memory.expiresAt < now);
+        if (expired.length === 0) return;
+        
+        this.moveToTrash(expired);
+        await this.saveMemoryChanges({ put: expired });
+        this.events.publishMemories('memory.deleted', expired, { reason: 'expired' });
+        console.log(`⌛ Moved ${expired.length} expired memories to the trash`);
+    }
+
+    async purgeExpiredTrash() {
+        await this.purgeTrash(findExpiredTrash(this.trash));
+    }
+
+    // Expired memories to the trash, expired trash purged. A failed write is
+    // retried on the next run.
+    async removeExpiredMemories() {
         try {
-            await fs.writeFile(this.storageFile, JSON.stringify(this.memoryStore, null, 2));
+            await this.trashExpiredMemories();
+            await this.purgeExpiredTrash();
         } catch (error) {
-            console.error('❌ Error saving memory store:', error);
+            console.error('❌ Error removing expired memories:', error);
         }
     }
 
-    generateWebInterface() {
-        return `
-<!DOCTYPE html>
-<html>
-<head>
-    <title>MCP Local Client</title>
-    <style>
-        body { font-family: Arial, sans-serif; margin: 20px; background: #f5f5f5; }
-        .container { max-width: 1200px; margin: 0 auto; background: white; padding: 20px; border-radius: 8px; }
-        .header { border-bottom: 2px solid #007acc; padding-bottom: 10px; margin-bottom: 20px; }
-        .stats { display: flex; gap: 20px; margin: 20px 0; }
-        .stat { background: #e8f4fd; padding: 15px; border-radius: 5px; text-align: center; }
-        .stat-number { font-size: 24px; font-weight: bold; color: #007acc; }
-        .stat-label { font-size: 12px; color: #666; }
-        .memory-item { background: #f9f9f9; padding: 15px; margin: 10px 0; border-radius: 5px; border-left: 4px solid #007acc; }
-        .memory-content { margin: 10px 0; max-height: 200px; overflow-y: auto; }
-        .memory-meta { font-size: 12px; color: #666; }
-        .api-example { background: #f0f0f0; padding: 15px; border-radius: 5px; margin: 10px 0; }
-        .code { font-family: monospace; background: #e8e8e8; padding: 2px 4px; border-radius: 3px; }
-        button { background: #007acc; color: white; border: none; padding: 8px 16px; border-radius: 4px; cursor: pointer; }
-        button:hover { background: #005fa3; }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <div class="header">
-            <h1>🧠 MCP Local Client</h1>
-            <p>Memory Collection Protocol - Local Development Server</p>
-        </div>
+    // Keep the similarity and search indexes in sync with the memory store
+    indexMemory(memory) {
+        this.similarityIndex.add(memory.id, memory.content);
+        this.searchIndex.add(memory.id, `${memory.content} ${(memory.tags || []).join(' ')}`);
+    }
+
+    unindexMemory(id) {
+        this.similarityIndex.remove(id);
+        this.searchIndex.remove(id);
+    }
+
+    // Fold source into target, with the (redacted) content and note of the merge
+    // and what redacting them found
+    mergeMemories(target, source, { content, note, findings = [] }) {
+        const mergedAt = new Date().toISOString();
+        const revision = (target.revision || 1) + 1;
         
-        <div class="stats">
-            <div class="stat">
-                <div class="stat-number" id="memoryCount">0</div>
-                <div class="stat-label">Total Memories</div>
-            </div>
-            <div class="stat">
-                <div class="stat-number" id="serverStatus">Running</div>
-                <div class="stat-label">Server Status</div>
-            </div>
-            <div class="stat">
-                <div class="stat-number">Port ${this.port}</div>
-                <div class="stat-label">Listening On</div>
-            </div>
-        </div>
+        target.history = [
+            ...(target.history || []),
+            ...(source.history || []),
+            { action: 'merge', revision, at: mergedAt, mergedFrom: source.id, previous: snapshotMemory(target), merged: snapshotMemory(source) }
+        ];
         
-        <h3>API Endpoints</h3>
-        <div class="api-example">
-            <strong>Store Memory:</strong> <span class="code">POST /mcp/store</span><br>
-            <strong>Get Memories:</strong> <span class="code">GET /mcp/memories</span><br>
-            <strong>Search:</strong> <span class="code">GET /mcp/memories?search=keyword&limit=10</span>
-        </div>
+        const manualTags = [...getManualTags(target, this.tagRules), ...getManualTags(source, this.tagRules)];
         
-        <div style="text-align: center; margin: 20px;">
-            <button onclick="loadMemories()">Refresh Memories</button>
-            <button onclick="clearMemories()" style="background: #dc3545;">Clear All</button>
-        </div>
+        // Hashes of both originals keep resolving to the merged memory
+        const oldHashes = [target.contentHash, target.legacyContentHash, source.contentHash, source.legacyContentHash];
+        target.content = content;
+        target.contentHash = generateContentHash(content);
+        target.legacyContentHash = generateLegacyContentHash(content);
+        target.mergedHashes = [...new Set([
+            ...(target.mergedHashes || []),
+            ...(source.mergedHashes || []),
+            ...(source.previousHashes || []),
+            ...oldHashes
+        ])].filter(hash => hash && hash !== target.contentHash && hash !== target.legacyContentHash);
         
-        <div id="memories"></div>
-    </div>
-    
-    <script>
-        async function loadMemories() {
-            try {
-                const response = await fetch('/mcp/memories?limit=20');
-                const data = await response.json();
-                
-                document.getElementById('memoryCount').textContent = data.total;
-                
-                const memoriesDiv = document.getElementById('memories');
-                memoriesDiv.innerHTML = '<h3>Recent Memories</h3>';
-                
-                data.memories.forEach(memory => {
-                    const div = document.createElement('div');
-                    div.className = 'memory-item';
-                    div.innerHTML = \`
-                        <div class="memory-meta">
-                            ID: \${memory.id} | \${new Date(memory.timestamp).toLocaleString()} | 
-                            Words: \${memory.wordCount} | Tags: \${memory.tags.join(', ') || 'none'}
-                        </div>
-                        <div class="memory-content"><pre>\${memory.content}</pre></div>
-                    \`;
-                    memoriesDiv.appendChild(div);
-                });
-            } catch (error) {
-                console.error('Error loading memories:', error);
-            }
-        }
+        tagMemory(target, manualTags, this.tagRules);
+        const mergedRedactions = mergeRedactionFindings(target.redactions, source.redactions, findings);
+        if (mergedRedactions.length > 0) target.redactions = mergedRedactions;
+        if (note) target.note = note;
+        target.wordCount = content.split(' ').length;
+        target.revision = revision;
+        target.updatedAt = mergedAt;
         
-        async function loadHashStats() {
-            try {
-                const response = await fetch('/mcp/hash-stats');
-                const stats = await response.json();
-                
-                const statsDiv = document.getElementById('hashStats');
-                const contentDiv = document.getElementById('hashStatsContent');
-                
-                contentDiv.innerHTML = \`
-                    <div class="stats">
-                        <div class="stat">
-                            <div class="stat-number">\${stats.totalMemories}</div>
-                            <div class="stat-label">Total Memories</div>
-                        </div>
-                        <div class="stat">
-                            <div class="stat-number">\${stats.uniqueHashes}</div>
-                            <div class="stat-label">Unique Hashes</div>
-                        </div>
-                        <div class="stat">
-                            <div class="stat-number">\${stats.duplicateCount}</div>
-                            <div class="stat-label">Duplicate Hashes</div>
-                        </div>
-                    </div>
-                    \${stats.duplicateHashes.length > 0 ? \`
-                        <h4>Duplicate Hash Details:</h4>
-                        <div style="max-height: 200px; overflow-y: auto;">
-                            \${stats.duplicateHashes.map(dup => \`
-                                <div class="memory-item">
-                                    Hash: \${dup.hash} (appears \${dup.count} times)
-                                </div>
-                            \`).join('')}
-                        </div>
-                    \` : '<p>✅ No duplicate hashes found!</p>'}
-                \`;
-                
-                statsDiv.style.display = 'block';
-            } catch (error) {
-                console.error('Error loading hash stats:', error);
+        this.memoryStore = this.memoryStore.filter(m => m.id !== source.id);
+        this.unindexMemory(source.id);
+        this.indexMemory(target);
+        return target;
+    }
+
+    // Give memories stored before the v2 hash a v2 contentHash, keeping the old one.
+    // Returns the memories that changed.
+    migrateContentHashes() {
+        const migrated = [];
+        this.memoryStore.forEach(memory => {
+            if (memory.contentHash && !isLegacyContentHash(memory.contentHash)) return;
+            memory.legacyContentHash = memory.contentHash || generateLegacyContentHash(memory.content);
+            memory.contentHash = generateContentHash(memory.content);
+            migrated.push(memory);
+        });
+        return migrated;
+    }
+
+    // Replace the in-memory store and rebuild the indexes around it. Deleted
+    // memories are kept apart in the trash and not indexed.
+    setMemoryStore(memories) {
+        ({ memories: this.memoryStore, trash: this.trash } = splitTrash(memories));
+        this.similarityIndex = new SimilarityIndex();
+        this.searchIndex = new SearchIndex();
+        this.memoryStore.forEach(memory => this.indexMemory(memory));
+    }
+
+    async loadMemoryStore() {
+        try {
+            this.tagRules = await loadTagRules(TAG_RULES_FILE);
+            this.redaction = await loadRedactionConfig(REDACTION_FILE);
+            
+            // The JSON file of earlier versions seeds a new store. An encrypted
+            // store asks for its passphrase here (see encryption.js).
+            this.storage = await openMemoryStorage({
+                basePath: path.join(this.dataDir, 'mcp-memory'),
+                sqlite: Database,
+                importFrom: path.join(this.dataDir, 'mcp-memory.json')
+            });
+            this.memoryStore = await this.storage.load();
+            
+            const migrated = this.migrateContentHashes();
+            if (migrated.length > 0) {
+                console.log(`🔁 Migrated ${migrated.length} memories to ${CONTENT_HASH_VERSION} content hashes`);
+                await this.storage.write({ put: migrated });
             }
+            
+            this.setMemoryStore(this.memoryStore);
+            console.log(`📚 Loaded ${this.memoryStore.length} existing memories (${this.trash.length} in trash) from ${this.storage.file}`);
+            
+            // Not written to disk next to an encrypted store (see embeddings.js)
+            await this.embeddings.load({ persist: !this.storage.encrypted });
+            await this.embeddings.update(this.memoryStore);
+            await this.removeExpiredMemories();
+            
+            // Re-tag memories from older taggers in the background
+            this.runTagBackfill();
+        } catch (error) {
+            // Serving an empty store in place of a locked one would hide the memories
+            if (error instanceof StoreLockedError) throw error;
+            console.error('❌ Error loading memory store:', error);
+            this.setMemoryStore([]);
         }
-        
-        async function clearMemories() {
-            if (confirm('Clear all memories? This cannot be undone.')) {
-                try {
-                    await fetch('/mcp/memories', { method: 'DELETE' });
-                    loadMemories();
-                    // Hide hash stats since they'll be outdated
-                    document.getElementById('hashStats').style.display = 'none';
-                } catch (error) {
-                    console.error('Error clearing memories:', error);
-                }
-            }
+    }
+
+    // Reload when another process has written to the store since we last read it.
+    // Requests and the event stream check may ask at once; they share one reload.
+    async refreshMemoryStore() {
+        await this.ready;
+        if (!this.reloading) {
+            this.reloading = this.reloadExternalChanges().finally(() => { this.reloading = null; });
         }
+        return this.reloading;
+    }
+    
+    async reloadExternalChanges() {
+        if (!this.storage) return;
+        // After a failed write the store on disk is what counts again
+        if (!await this.storage.hasExternalChanges() && !this.unsavedChanges) return;
+        this.unsavedChanges = false;
         
-        // Load memories on page load
-        loadMemories();
+        const before = this.memoryStore;
+        this.setMemoryStore(await this.storage.load());
+        await this.embeddings.update(this.memoryStore);
+        this.events.publishReload(before, this.memoryStore);
+        console.log(`🔄 Reloaded ${this.memoryStore.length} memories changed by another process`);
+    }
+
+    // Persist one change (memories to upsert, ids to remove, or clear) atomically
+    // Fails when the store could not be written: the caller's change is then
+    // only in memory and must not be reported as saved
+    async saveMemoryChanges(changes) {
+        try {
+            await this.storage.write(changes);
+            await this.embeddings.update(this.memoryStore);
+        } catch (error) {
+            console.error('❌ Error saving memory store:', error);
+            this.unsavedChanges = true;
+            throw error;
+        }
+    }
+
+    // Start re-tagging memories whose tags came from an older tagger or older
+    // rules (all memories with force). While a job is running, another one is
+    // queued to pick up rules changed meanwhile and false is returned.
+    runTagBackfill({ force = false } = {}) {
+        if (this.tagBackfill.running) {
+            this.tagBackfill.queued = true;
+            return false;
+        }
         
-        // Refresh every 10 seconds
-        setInterval(loadMemories, 10000);
-    </script>
-</body>
-</html>
-        `;
+        this.tagBackfill = {
+            running: true,
+            retagged: 0,
+            version: getTaggerVersion(this.tagRules),
+            startedAt: new Date().toISOString(),
+            finishedAt: null
+        };
+        backfillTags(() => this.memoryStore, {
+            rules: this.tagRules,
+            force,
+            save: async batch => {
+                batch.forEach(memory => this.indexMemory(memory));
+                await this.saveMemoryChanges({ put: batch });
+                this.events.publishMemories('memory.updated', batch, { reason: 'retagged' });
+            },
+            onProgress: retagged => { this.tagBackfill.retagged = retagged; }
+        }).then(({ retagged }) => {
+            if (retagged > 0) console.log(`🏷️ Re-tagged ${retagged} memories (tagger ${this.tagBackfill.version})`);
+        }).catch(error => {
+            console.error('❌ Error re-tagging memories:', error);
+            this.tagBackfill.error = error.message;
+        }).finally(() => {
+            const { queued } = this.tagBackfill;
+            delete this.tagBackfill.queued;
+            this.tagBackfill.running = false;
+            this.tagBackfill.finishedAt = new Date().toISOString();
+            if (queued) this.runTagBackfill();
+        });
+        return true;
     }
 
     start() {
-        this.app.listen(this.port, () => {
-            console.log(`🚀 MCP Local Client running on http://localhost:${this.port}`);
-            console.log(`📡 Ready to receive memory blocks from browser extension`);
-            console.log(`🌐 Web interface: http://localhost:${this.port}`);
+        setInterval(() => this.removeExpiredMemories(), TRASH_PURGE_INTERVAL_MS).unref();
+        
+        // Nothing else notices what the memory server or another client writes
+        // until a request comes in; event subscribers should hear of it sooner
+        setInterval(() => {
+            if (this.events.subscriberCount === 0) return;
+            this.refreshMemoryStore().catch(error => console.error('❌ Error reloading memory store:', error));
+        }, EVENT_REFRESH_INTERVAL_MS).unref();
+        
+        // Listen once the store is loaded - and unlocked, when it is encrypted -
+        // and the access tokens are, so no request is checked against none
+        this.ready.then(async () => {
+            try {
+                await this.auth.load();
+                // Print a pairing code when nothing is paired yet
+                await announcePairing(this.auth);
+            } catch (error) {
+                console.error('❌ Error loading access tokens:', error);
+            }
+            
+            this.app.listen(this.port, () => {
+                console.log(`🚀 MCP Local Client running on http://localhost:${this.port}`);
+                console.log(`📡 Ready to receive memory blocks from browser extension`);
+                console.log(`🌐 Dashboard: http://localhost:${this.port}`);
+            });
+        }, error => {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
         });
     }
 }
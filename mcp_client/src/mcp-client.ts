@@ -3,12 +3,48 @@
 
 import express from 'express';
 import cors from 'cors';
-import fs from 'fs/promises';
 import path from 'path';
+import Database from 'better-sqlite3';
+import {
+  CONTENT_HASH_VERSION,
+  generateContentHash,
+  generateLegacyContentHash,
+  isLegacyContentHash
+} from '../../extension/content-hash.js'; // Same hash as the extension
+import { getExpiryTime, normalizeBlockHeader } from '../../extension/block-header.js';
+import { RedactionFinding, RedactionOptions, describeRedactionFindings } from '../../extension/redaction.js';
+import { EmbeddingStore, SEARCH_MODES, scoreMemories } from '../../mcp-servers/shared/embeddings.js';
+import { MemoryStorage, openMemoryStorage } from '../../mcp-servers/shared/storage/index.js';
+import { PageOptions, paginate, parsePageOptions, projectFields } from '../../mcp-servers/shared/pagination.js';
+import { TagEntities, TagRule, backfillTags, loadTagRules, tagMemory } from '../../mcp-servers/shared/tagging.js';
+import {
+  AuthStore,
+  announcePairing,
+  createAuthMiddleware,
+  createCorsOptions,
+  createPairingRoute,
+  getDefaultOrigins
+} from '../../mcp-servers/shared/auth.js';
+import { loadRedactionConfig, redactStoreBlock } from '../../mcp-servers/shared/redaction-config.js';
+import { StoreLockedError } from '../../mcp-servers/shared/encryption.js';
+import { MemoryEventStream } from '../../mcp-servers/shared/memory-events.js';
+import {
+  TRASH_RETENTION_DAYS,
+  ClearConfirmations,
+  findExpiredTrash,
+  getTrashExpiry,
+  listTrash,
+  markDeleted,
+  markRestored,
+  splitTrash,
+  writeSnapshot
+} from '../../mcp-servers/shared/trash.js';
 
 interface MemoryEntry {
   id: string;
   content: string;
+  contentHash?: string;
+  legacyContentHash?: string;
   timestamp: string;
   source: {
     url: string;
@@ -16,12 +52,39 @@ interface MemoryEntry {
     userAgent?: string;
   };
   tags: string[];
+  autoTags?: string[];
+  entities?: TagEntities;
+  tagger?: string;
   wordCount: number;
   formatVersion?: string;
+  note?: string;
+  // What was masked before storing
+  redactions?: RedactionFinding[];
+  // From the block header
+  type?: string;
+  title?: string;
+  ttl?: string;
+  expiresAt?: string;
+  // Set while the memory is in the trash
+  deletedAt?: string;
+}
+
+interface BrowserBlock {
+  content: string;
+  hash?: string;
+  timestamp?: string;
+  wordCount?: number;
+  note?: string;
+  tags?: string[];
+  type?: string;
+  title?: string;
+  ttl?: string;
+  formatVersion?: string;
+  redactions?: RedactionFinding[];
 }
 
 interface BrowserRequest {
-  blocks: MemoryEntry[];
+  blocks: BrowserBlock[];
   metadata?: {
     url?: string;
     title?: string;
@@ -29,55 +92,170 @@ interface BrowserRequest {
   };
 }
 
+// What is wrong with a block of a store request, if anything. The note and
+// tags typed at capture time are stored as sent, so their types are checked.
+function getBlockError(block: any): string | null {
+  if (!block || typeof block !== 'object') return 'each block must be an object';
+  if (block.note !== undefined && block.note !== null && typeof block.note !== 'string') {
+    return 'note must be a string';
+  }
+  if (block.tags !== undefined && (!Array.isArray(block.tags) || block.tags.some((tag: unknown) => typeof tag !== 'string'))) {
+    return 'tags must be an array of strings';
+  }
+  return null;
+}
+
+// The legacy client's dashboard; the web interface uses its api.js
+const DASHBOARD_DIR = path.resolve(__dirname, '../dashboard');
+
+// Expired memories and trash are looked for this often
+const EXPIRY_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+// While event streams are open, the memory server's writes are looked for this often
+const EVENT_REFRESH_INTERVAL_MS = 5000;
+
 class FixedMCPClient {
   private app: express.Application;
   private port: number;
   private memoryStore: MemoryEntry[] = [];
-  private storageFile: string;
+  private dataDir: string;
+  private storage: MemoryStorage<MemoryEntry> | null = null;
+  private embeddings: EmbeddingStore;
+  private tagRules: TagRule[] = [];
+  private redaction: RedactionOptions = { mode: 'mask', disabled: [], patterns: [] };
+  private auth: AuthStore;
+  private events: MemoryEventStream;
+  private reloading: Promise<void> | null = null;
+  private unsavedChanges = false; // A write failed; memory and disk may disagree
+  private trash: MemoryEntry[] = [];
+  private clearConfirmations = new ClearConfirmations();
 
   constructor(port = 3001) {
     this.port = port;
     this.app = express();
-    // FIXED: Use the same storage file as the memory server
-    this.storageFile = path.resolve(__dirname, '../../mcp-servers/memory-server/data/memories.json');
+    // FIXED: Use the same store as the memory server
+    this.dataDir = path.resolve(__dirname, '../../mcp-servers/memory-server/data');
+    // ...and the same embeddings file for semantic search
+    this.embeddings = new EmbeddingStore(path.join(this.dataDir, 'embeddings.json'));
+    // Same access tokens as the legacy client
+    this.auth = new AuthStore(process.env.MCP_AUTH_FILE || path.resolve(__dirname, '../auth.json'), {
+      defaultOrigins: getDefaultOrigins(port)
+    });
+    this.events = new MemoryEventStream({ count: () => this.memoryStore.length, auth: this.auth });
     this.setupMiddleware();
     this.setupRoutes();
   }
 
   private setupMiddleware() {
-    this.app.use(cors({
-      origin: '*',
-      methods: ['GET', 'POST', 'PUT', 'DELETE'],
-      allowedHeaders: ['Content-Type', 'Authorization']
-    }));
+    // CORS only for the client's own pages, paired extensions and MCP_ALLOWED_ORIGINS
+    this.app.use(cors(createCorsOptions(this.auth)));
     
     this.app.use(express.json({ limit: '10mb' }));
     this.app.use(express.static('public'));
+    // Pairing and API access for the web interface, shared with the dashboard
+    this.app.get('/api.js', (req, res) => {
+      res.sendFile(path.join(DASHBOARD_DIR, 'api.js'));
+    });
+
+    // Everything but the web interface page and pairing needs a token
+    this.app.use(createAuthMiddleware(this.auth, { publicPaths: ['/'] }));
+
+    // Pick up memories the memory server (or another client) wrote meanwhile
+    this.app.use(async (req, res, next) => {
+      try {
+        await this.refreshMemoryStore();
+        next();
+      } catch (error) {
+        next(error);
+      }
+    });
   }
 
   private async loadMemoryStore() {
     try {
-      // Ensure data directory exists
-      await fs.mkdir(path.dirname(this.storageFile), { recursive: true });
+      // Same tag rules as the memory server
+      this.tagRules = await loadTagRules(process.env.MCP_TAG_RULES || path.join(this.dataDir, 'tag-rules.json'));
+      this.redaction = await loadRedactionConfig(
+        process.env.MCP_REDACTION_CONFIG || path.join(this.dataDir, 'redaction.json')
+      );
+
+      // memories.json from before storage backends seeds a new store. An
+      // encrypted store asks for its passphrase here (see encryption.js).
+      this.storage = await openMemoryStorage<MemoryEntry>({
+        basePath: path.join(this.dataDir, 'memories'),
+        sqlite: Database,
+        importFrom: path.join(this.dataDir, 'memories.json')
+      });
+      ({ memories: this.memoryStore, trash: this.trash } = splitTrash(await this.storage.load()));
+      console.log(`📚 Loaded ${this.memoryStore.length} existing memories (${this.trash.length} in trash)`);
       
-      const data = await fs.readFile(this.storageFile, 'utf8');
-      this.memoryStore = JSON.parse(data);
-      console.log(`📚 Loaded ${this.memoryStore.length} existing memories`);
-    } catch (error: any) {
-      if (error.code !== 'ENOENT') {
-        console.error('❌ Error loading memory store:', error);
+      const migrated = this.migrateContentHashes();
+      if (migrated.length > 0) {
+        console.log(`🔁 Migrated ${migrated.length} memories to ${CONTENT_HASH_VERSION} content hashes`);
+        await this.storage.write({ put: migrated });
       }
+      
+      // Not written to disk next to an encrypted store (see embeddings.js)
+      await this.embeddings.load({ persist: !this.storage.encrypted });
+      await this.embeddings.update(this.memoryStore);
+
+      // Re-tag memories from older taggers in the background
+      backfillTags(() => this.memoryStore, {
+        rules: this.tagRules,
+        save: async batch => {
+          await this.saveMemoryChanges({ put: batch });
+          this.events.publishMemories('memory.updated', batch, { reason: 'retagged' });
+        }
+      }).then(({ retagged, version }) => {
+        if (retagged > 0) console.log(`🏷️ Re-tagged ${retagged} memories (tagger ${version})`);
+      }).catch(error => console.error('❌ Error re-tagging memories:', error));
+    } catch (error) {
+      // Serving an empty store in place of a locked one would hide the memories
+      if (error instanceof StoreLockedError) throw error;
+      console.error('❌ Error loading memory store:', error);
       this.memoryStore = [];
+      this.trash = [];
       console.log('📚 Starting with empty memory store');
     }
   }
 
-  private async saveMemoryStore() {
+  // Reload when another process has written to the store since we last read it.
+  // Requests and the event stream check may ask at once; they share one reload.
+  private refreshMemoryStore(): Promise<void> {
+    if (!this.reloading) {
+      this.reloading = this.reloadExternalChanges().finally(() => { this.reloading = null; });
+    }
+    return this.reloading;
+  }
+
+  private async reloadExternalChanges() {
+    if (!this.storage) return;
+    // After a failed write the store on disk is what counts again
+    if (!await this.storage.hasExternalChanges() && !this.unsavedChanges) return;
+    this.unsavedChanges = false;
+
+    const before = this.memoryStore;
+    ({ memories: this.memoryStore, trash: this.trash } = splitTrash(await this.storage.load()));
+    const migrated = this.migrateContentHashes(); // Entries the memory server just wrote
+    if (migrated.length > 0) {
+      await this.storage.write({ put: migrated });
+    }
+    await this.embeddings.update(this.memoryStore);
+    this.events.publishReload(before, this.memoryStore);
+    console.log(`🔄 Reloaded ${this.memoryStore.length} memories changed by another process`);
+  }
+
+  // Persist one change (entries to upsert, ids to remove, or clear) atomically.
+  // Throws when the store could not be written, so routes can report it.
+  private async saveMemoryChanges(changes: { put?: MemoryEntry[]; remove?: string[]; clear?: boolean }) {
     try {
-      await fs.writeFile(this.storageFile, JSON.stringify(this.memoryStore, null, 2));
-      console.log(`💾 Saved ${this.memoryStore.length} memories to file`);
+      await this.storage!.write(changes);
+      await this.embeddings.update(this.memoryStore);
+      console.log(`💾 Saved changes to ${this.storage!.file}`);
     } catch (error) {
       console.error('❌ Error saving memory store:', error);
+      this.unsavedChanges = true;
+      throw error;
     }
   }
 
@@ -85,42 +263,87 @@ class FixedMCPClient {
     return 'mem_' + Date.now().toString(36) + Math.random().toString(36).substr(2);
   }
 
-  private generateContentHash(content: string): string {
-    let hash = 0;
-    const str = content.trim();
-    for (let i = 0; i < str.length; i++) {
-      const char = str.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash;
+  // type, title and ttl (which sets expiresAt) from the block header. The
+  // extension validates headers; fields from other senders that don't pass are dropped.
+  private applyBlockHeader(memory: MemoryEntry, block: BrowserBlock) {
+    const { header, errors } = normalizeBlockHeader({ type: block.type, ttl: block.ttl, title: block.title });
+    if (errors.length > 0) {
+      console.warn(`⚠️ Ignoring invalid header fields of memory ${memory.id}: ${errors.join('; ')}`);
+    }
+    if (header.type) memory.type = header.type;
+    if (header.title) memory.title = header.title;
+    if (header.ttl) {
+      memory.ttl = header.ttl;
+      memory.expiresAt = getExpiryTime(memory.timestamp, header.ttl) || undefined;
     }
-    return Math.abs(hash).toString(36);
   }
 
-  private extractTags(content: string): string[] {
-    const tags: string[] = [];
-    
-    const hashtags = content.match(/#[\w]+/g);
-    if (hashtags) tags.push(...hashtags.map(tag => tag.substring(1)));
-    
-    if (content.includes('```') || content.includes('function') || content.includes('class')) {
-      tags.push('code');
+  // Memories whose ttl has run out go to the trash; the trash is purged after
+  // its retention period
+  private async removeExpiredMemories() {
+    const now = new Date().toISOString();
+    const expired = this.memoryStore.filter(memory => memory.expiresAt && memory.expiresAt < now);
+    if (expired.length > 0) {
+      this.moveToTrash(expired);
+      await this.saveMemoryChanges({ put: expired });
+      this.events.publishMemories('memory.deleted', expired, { reason: 'expired' });
+      console.log(`⌛ Moved ${expired.length} expired memories to the trash`);
     }
-    if (content.includes('TODO') || content.includes('FIXME')) {
-      tags.push('todo');
-    }
-    if (content.includes('http://') || content.includes('https://')) {
-      tags.push('url');
+
+    await this.purgeTrash(findExpiredTrash(this.trash));
+  }
+
+  private moveToTrash(memories: MemoryEntry[]) {
+    const ids = new Set(memories.map(memory => memory.id));
+    markDeleted(memories);
+    this.memoryStore = this.memoryStore.filter(memory => !ids.has(memory.id));
+    this.trash.push(...memories);
+  }
+
+  // Remove memories from the trash permanently
+  private async purgeTrash(ids: string[]) {
+    if (ids.length === 0) return;
+    const purged = new Set(ids);
+    this.trash = this.trash.filter(memory => !purged.has(memory.id));
+    await this.saveMemoryChanges({ remove: ids });
+    console.log(`🔥 Purged ${ids.length} memories from the trash`);
+  }
+
+  // Entries from before the v2 hash (or written by the memory server) get one on load.
+  // Returns the entries that changed.
+  private migrateContentHashes(): MemoryEntry[] {
+    const migrated: MemoryEntry[] = [];
+    for (const memory of this.memoryStore) {
+      if (memory.contentHash && !isLegacyContentHash(memory.contentHash)) continue;
+      memory.legacyContentHash = memory.contentHash || generateLegacyContentHash(memory.content);
+      memory.contentHash = generateContentHash(memory.content);
+      migrated.push(memory);
     }
-    
-    return [...new Set(tags)];
+    return migrated;
+  }
+
+  // Legacy hashes are still accepted while older extensions are around
+  private findMemoryByHash(hash: string): MemoryEntry | undefined {
+    return this.memoryStore.find(memory =>
+      memory.contentHash === hash || memory.legacyContentHash === hash
+    );
   }
 
   private setupRoutes() {
+    // Trade a one-time pairing code for a write token
+    this.app.post('/auth/pair', createPairingRoute(this.auth));
+
+    // Live changes as server-sent events (see memory-events.js)
+    this.app.get('/mcp/events', (req, res) => {
+      this.events.subscribe(req, res);
+    });
+
     // Health check endpoint (compatible with browser extension)
     this.app.get('/health', async (req, res) => {
       res.json({ 
         status: 'healthy', 
         memoryCount: this.memoryStore.length,
+        trashCount: this.trash.length,
         timestamp: new Date().toISOString(),
         version: 'fixed-mcp-client',
         memoryServerRunning: true
@@ -139,11 +362,13 @@ class FixedMCPClient {
         console.log(`🔍 Checking ${hashes.length} hashes for duplicates...`);
 
         const hashStatus: Record<string, boolean> = {};
+        const memoryIds: Record<string, string> = {};
         hashes.forEach((hash: string) => {
-          const exists = this.memoryStore.some(memory => 
-            this.generateContentHash(memory.content) === hash
-          );
-          hashStatus[hash] = exists;
+          const existing = this.findMemoryByHash(hash);
+          hashStatus[hash] = !!existing;
+          if (existing) {
+            memoryIds[hash] = existing.id;
+          }
         });
 
         const existingCount = Object.values(hashStatus).filter(exists => exists).length;
@@ -154,6 +379,7 @@ class FixedMCPClient {
         res.json({
           success: true,
           hashStatus: hashStatus,
+          memoryIds: memoryIds,
           summary: {
             total: hashes.length,
             existing: existingCount,
@@ -175,22 +401,39 @@ class FixedMCPClient {
         if (!blocks || !Array.isArray(blocks)) {
           return res.status(400).json({ error: 'Invalid blocks data' });
         }
+        const blockError = blocks.map(getBlockError).find(Boolean);
+        if (blockError) {
+          return res.status(400).json({ error: `Invalid blocks data: ${blockError}` });
+        }
 
         console.log(`📥 Received ${blocks.length} blocks from browser extension`);
 
         const storedBlocks: MemoryEntry[] = [];
+        const storedHashes: string[] = [];
         const duplicateBlocks: any[] = [];
+        const redactedBlocks: any[] = [];
+        const blockedBlocks: any[] = [];
         
         for (const block of blocks) {
-          const contentHash = this.generateContentHash(block.content);
+          // Second pass: secrets the extension missed are redacted before hashing
+          const redaction = redactStoreBlock(block, this.redaction);
+          const content = redaction.content;
           
-          const existingMemory = this.memoryStore.find(memory => 
-            this.generateContentHash(memory.content) === contentHash
-          );
+          // The block's own hash (possibly a legacy one) is only echoed back
+          const contentHash = generateContentHash(content);
+          const requestHash = block.hash || contentHash;
+          
+          if (redaction.blocked) {
+            blockedBlocks.push({ hash: requestHash, findings: redaction.findings });
+            console.warn(`🛑 Not storing a block with ${describeRedactionFindings(redaction.findings)}`);
+            continue;
+          }
+          
+          const existingMemory = this.findMemoryByHash(contentHash);
           
           if (existingMemory) {
             duplicateBlocks.push({
-              hash: contentHash,
+              hash: requestHash,
               reason: 'duplicate_content',
               existingId: existingMemory.id
             });
@@ -200,25 +443,42 @@ class FixedMCPClient {
           
           const memoryEntry: MemoryEntry = {
             id: this.generateId(),
-            content: block.content,
+            content: content,
+            contentHash: contentHash,
+            legacyContentHash: generateLegacyContentHash(content),
             timestamp: new Date().toISOString(),
             source: {
               url: metadata.url || 'unknown',
               title: metadata.title || 'unknown',
               userAgent: metadata.userAgent
             },
-            tags: this.extractTags(block.content),
-            wordCount: block.content.split(/\s+/).length,
+            tags: [],
+            wordCount: content.split(/\s+/).length,
             formatVersion: 'fixed-client-v1'
           };
           
+          if (redaction.note) {
+            memoryEntry.note = redaction.note;
+          }
+          if (redaction.redactions.length > 0) {
+            memoryEntry.redactions = redaction.redactions;
+            redactedBlocks.push({ hash: requestHash, id: memoryEntry.id, findings: redaction.redactions });
+            console.log(`🔒 Redacted ${describeRedactionFindings(redaction.redactions)} (${memoryEntry.id})`);
+          }
+          this.applyBlockHeader(memoryEntry, block);
+          // Tags typed at capture time come first, then detected ones
+          tagMemory(memoryEntry, block.tags || [], this.tagRules);
+          
           this.memoryStore.push(memoryEntry);
           storedBlocks.push(memoryEntry);
+          storedHashes.push(requestHash);
         }
 
-        await this.saveMemoryStore();
+        await this.saveMemoryChanges({ put: storedBlocks });
+        this.events.publishMemories('memory.created', storedBlocks, { reason: 'stored' });
         
-        console.log(`📝 Stored ${storedBlocks.length} new blocks, skipped ${duplicateBlocks.length} duplicates`);
+        console.log(`📝 Stored ${storedBlocks.length} new blocks, skipped ${duplicateBlocks.length} duplicates` +
+          (blockedBlocks.length > 0 ? ` and ${blockedBlocks.length} blocked for secrets` : ''));
         console.log(`💾 Total memory entries: ${this.memoryStore.length}`);
         
         res.json({
@@ -226,11 +486,14 @@ class FixedMCPClient {
           stored: storedBlocks.length,
           duplicates: duplicateBlocks.length,
           totalMemories: this.memoryStore.length,
-          entries: storedBlocks.map(b => ({ 
+          entries: storedBlocks.map((b, i) => ({ 
             id: b.id, 
+            hash: storedHashes[i],
             preview: b.content.substring(0, 100) + '...' 
           })),
-          duplicateDetails: duplicateBlocks
+          duplicateDetails: duplicateBlocks,
+          redacted: redactedBlocks,
+          blocked: blockedBlocks
         });
         
       } catch (error) {
@@ -242,12 +505,38 @@ class FixedMCPClient {
     // Query memories endpoint (compatible with Claude access)
     this.app.get('/mcp/memories', async (req, res) => {
       try {
-        const { limit = 50, search, tags, since } = req.query;
+        const { search, tags, since, type, mode = 'keyword' } = req.query;
+        
+        // A parameter given twice arrives as an array
+        const repeated = Object.entries({ search, tags, since, type, mode })
+          .find(([, value]) => value !== undefined && typeof value !== 'string');
+        if (repeated) {
+          return res.status(400).json({ error: `${repeated[0]} must be given once` });
+        }
+        if (!SEARCH_MODES.includes(mode as string)) {
+          return res.status(400).json({ error: `mode must be one of: ${SEARCH_MODES.join(', ')}` });
+        }
+        const sinceDate = since ? new Date(since as string) : null;
+        if (sinceDate && isNaN(sinceDate.getTime())) {
+          return res.status(400).json({ error: 'since must be a date' });
+        }
+        
+        // limit, sort, order, fields and cursor (see pagination.js)
+        let pageOptions: PageOptions;
+        try {
+          pageOptions = parsePageOptions(req.query, search && mode !== 'keyword' ? 'relevance' : 'timestamp');
+        } catch (error: any) {
+          return res.status(400).json({ error: error.message });
+        }
         
         let filteredMemories = [...this.memoryStore];
+        let scores: Map<string, number> | null = null;
         
-        // Filter by search term
-        if (search) {
+        // Semantic/hybrid search ranks by embedding similarity, keyword search filters by substring
+        if (search && mode !== 'keyword') {
+          scores = scoreMemories(this.embeddings, this.memoryStore, search as string, mode as string);
+          filteredMemories = filteredMemories.filter(memory => scores!.has(memory.id));
+        } else if (search) {
           const searchLower = (search as string).toLowerCase();
           filteredMemories = filteredMemories.filter(memory => 
             memory.content.toLowerCase().includes(searchLower) ||
@@ -263,28 +552,45 @@ class FixedMCPClient {
           );
         }
         
+        // Filter by block header type
+        if (type) {
+          const types = (type as string).split(',').map(value => value.trim().toLowerCase());
+          filteredMemories = filteredMemories.filter(memory => !!memory.type && types.includes(memory.type));
+        }
+        
         // Filter by date
-        if (since) {
-          const sinceDate = new Date(since as string);
+        if (sinceDate) {
           filteredMemories = filteredMemories.filter(memory =>
             new Date(memory.timestamp) >= sinceDate
           );
         }
         
-        // Sort by most recent first
-        filteredMemories.sort((a, b) => new Date(b.timestamp).getTime() - new Date(a.timestamp).getTime());
-        
-        // Limit results
-        filteredMemories = filteredMemories.slice(0, parseInt(limit as string));
+        // Sort (relevance is the semantic/hybrid score) and cut out the requested page
+        const page = paginate(filteredMemories, pageOptions, scores);
+        const results = page.memories.map(memory => {
+          const projected = projectFields(memory, pageOptions.fields);
+          return scores ? { ...projected, score: scores.get(memory.id) } : projected;
+        });
         
         res.json({
           success: true,
           serverUsed: 'fixed-mcp-client',
-          results: filteredMemories,
+          results,
           total: this.memoryStore.length,
-          filtered: filteredMemories.length,
+          matched: page.matched,
+          filtered: results.length,
+          next: page.next,
+          prev: page.prev,
           query: search,
-          searchParams: { tags, since, limit }
+          searchParams: {
+            tags,
+            since,
+            limit: pageOptions.limit,
+            mode,
+            sort: pageOptions.sort,
+            order: pageOptions.order,
+            fields: pageOptions.fields
+          }
         });
         
       } catch (error) {
@@ -305,27 +611,112 @@ class FixedMCPClient {
       res.json(memory);
     });
 
-    // Delete memory
+    // Delete memory: it moves to the trash and can be restored until it expires
     this.app.delete('/mcp/memories/:id', async (req, res) => {
-      const index = this.memoryStore.findIndex(m => m.id === req.params.id);
-      if (index === -1) {
+      const memory = this.memoryStore.find(m => m.id === req.params.id);
+      if (!memory) {
         return res.status(404).json({ error: 'Memory not found' });
       }
       
-      const deleted = this.memoryStore.splice(index, 1)[0];
-      await this.saveMemoryStore();
+      this.moveToTrash([memory]);
+      try {
+        await this.saveMemoryChanges({ put: [memory] });
+      } catch (error) {
+        return res.status(500).json({ error: 'Failed to delete memory' });
+      }
+      this.events.publishMemories('memory.deleted', [memory], { reason: 'deleted' });
       
-      res.json({ success: true, deleted: deleted.id });
+      console.log(`🗑️ Moved memory ${memory.id} to the trash`);
+      res.json({ success: true, deleted: memory.id, trashed: true, expiresAt: getTrashExpiry(memory) });
     });
 
-    // Clear all memories
+    // Clear all memories. The first request only returns a confirmation token;
+    // repeating it with ?confirm=<token> snapshots the store to a file and
+    // moves every memory to the trash.
     this.app.delete('/mcp/memories', async (req, res) => {
-      const count = this.memoryStore.length;
-      this.memoryStore = [];
-      await this.saveMemoryStore();
+      const confirmation = this.clearConfirmations.check(req.query.confirm);
+      if (confirmation) {
+        return res.status(428).json({ ...confirmation, count: this.memoryStore.length });
+      }
+      
+      let snapshot: string;
+      try {
+        snapshot = await writeSnapshot(
+          path.join(this.dataDir, 'snapshots'), 'clear', [...this.memoryStore, ...this.trash], this.storage
+        );
+      } catch (error) {
+        console.error('❌ Error writing snapshot:', error);
+        return res.status(500).json({ error: 'Could not snapshot the memory store, nothing was cleared' });
+      }
       
-      console.log(`🗑️ Cleared ${count} memory entries`);
-      res.json({ success: true, cleared: count });
+      const cleared = [...this.memoryStore];
+      this.moveToTrash(cleared);
+      try {
+        await this.saveMemoryChanges({ put: cleared });
+      } catch (error) {
+        return res.status(500).json({ error: 'Failed to clear memories' });
+      }
+      this.events.publish('store.cleared', { count: cleared.length, reason: 'cleared' });
+      
+      console.log(`🗑️ Moved ${cleared.length} memory entries to the trash (snapshot: ${snapshot})`);
+      res.json({ success: true, cleared: cleared.length, trashed: true, snapshot });
+    });
+
+    // Memories in the trash, most recently deleted first
+    this.app.get('/mcp/trash', (req, res) => {
+      const memories = listTrash(this.trash);
+      res.json({ memories, total: memories.length, retentionDays: TRASH_RETENTION_DAYS });
+    });
+
+    // Take a memory back out of the trash
+    this.app.post('/mcp/trash/:id/restore', async (req, res) => {
+      const memory = this.trash.find(m => m.id === req.params.id);
+      if (!memory) {
+        return res.status(404).json({ error: 'Memory not in trash' });
+      }
+      
+      const existing = this.findMemoryByHash(memory.contentHash || generateContentHash(memory.content));
+      if (existing) {
+        return res.status(409).json({ error: 'A memory with this content was stored again meanwhile', existingId: existing.id });
+      }
+      
+      this.trash = this.trash.filter(m => m.id !== memory.id);
+      markRestored(memory);
+      this.memoryStore.push(memory);
+      try {
+        await this.saveMemoryChanges({ put: [memory] });
+      } catch (error) {
+        return res.status(500).json({ error: 'Failed to restore memory' });
+      }
+      this.events.publishMemories('memory.created', [memory], { reason: 'restored' });
+      
+      console.log(`♻️ Restored memory ${memory.id} from the trash`);
+      res.json({ success: true, memory });
+    });
+
+    // Delete one memory from the trash for good
+    this.app.delete('/mcp/trash/:id', async (req, res) => {
+      if (!this.trash.some(m => m.id === req.params.id)) {
+        return res.status(404).json({ error: 'Memory not in trash' });
+      }
+      
+      try {
+        await this.purgeTrash([req.params.id]);
+      } catch (error) {
+        return res.status(500).json({ error: 'Failed to purge memory' });
+      }
+      res.json({ success: true, purged: [req.params.id] });
+    });
+
+    // Empty the trash
+    this.app.delete('/mcp/trash', async (req, res) => {
+      const ids = this.trash.map(m => m.id);
+      try {
+        await this.purgeTrash(ids);
+      } catch (error) {
+        return res.status(500).json({ error: 'Failed to empty the trash' });
+      }
+      res.json({ success: true, purged: ids });
     });
 
     // Web interface
@@ -359,7 +750,7 @@ class FixedMCPClient {
 <body>
     <div class="container">
         <div class="header">
-            <h1>🧠 Fixed MCP Client <span class="fixed-badge">Working</span></h1>
+            <h1>🧠 Fixed MCP Client <span class="fixed-badge" id="liveStatus">Working</span></h1>
             <p>Direct file-based memory storage (no subprocess communication issues)</p>
         </div>
         
@@ -392,48 +783,113 @@ class FixedMCPClient {
             <strong>Store Memory:</strong> <span class="code">POST /mcp/store</span><br>
             <strong>Get Memories:</strong> <span class="code">GET /mcp/memories</span><br>
             <strong>Search:</strong> <span class="code">GET /mcp/memories?search=keyword&limit=10</span><br>
+            <strong>Live Changes:</strong> <span class="code">GET /mcp/events</span> (server-sent events)<br>
             <strong>Check Hashes:</strong> <span class="code">POST /mcp/check-hashes</span>
         </div>
         
         <div style="text-align: center; margin: 20px;">
+            <select id="sortSelect" onchange="loadMemories()">
+                <option value="timestamp:desc">Newest first</option>
+                <option value="timestamp:asc">Oldest first</option>
+                <option value="wordCount:desc">Most words</option>
+                <option value="source:asc">Source</option>
+            </select>
             <button onclick="loadMemories()">Refresh Memories</button>
             <button onclick="testAPI()" style="background: #2196F3;">Test API</button>
         </div>
         
         <div id="memories"></div>
+        <div id="pageStatus" style="text-align: center; color: #666; padding: 10px;"></div>
     </div>
     
+    <script src="/api.js"></script>
     <script>
+        const PAGE_SIZE = 20;
+        const PAGE_FIELDS = 'id,timestamp,wordCount,formatVersion,preview';
+        let nextCursor = null;
+        let pagesLoaded = 0;
+        let loadingPage = false;
+        let eventSource = null;
+        let reloadTimer = null;
+        
+        // Pairing, getToken() and apiFetch() are in /api.js
+        apiAccess.onDeclined = () => {
+            document.getElementById('pageStatus').textContent = '🔐 Not paired - reload the page to enter a pairing code';
+        };
+        
+        function escapeHtml(text) {
+            const div = document.createElement('div');
+            div.textContent = text;
+            return div.innerHTML;
+        }
+        
+        function renderMemoryItem(memory) {
+            const div = document.createElement('div');
+            div.className = 'memory-item';
+            div.dataset.id = memory.id;
+            div.dataset.timestamp = memory.timestamp;
+            div.innerHTML = \`
+                <div style="font-size: 12px; color: #666;">
+                    ID: \${escapeHtml(memory.id)} | \${new Date(memory.timestamp).toLocaleString()} | 
+                    Words: \${escapeHtml(memory.wordCount)} | Format: \${escapeHtml(memory.formatVersion || 'legacy')}
+                </div>
+                <div class="memory-content"><pre>\${escapeHtml(memory.preview)}</pre></div>
+            \`;
+            return div;
+        }
+        
+        function findMemoryItem(id) {
+            return [...document.querySelectorAll('#memories .memory-item')].find(item => item.dataset.id === id);
+        }
+        
+        // First page for the selected sort; older pages are appended while scrolling
         async function loadMemories() {
+            if (loadingPage) return;
+            nextCursor = null;
+            pagesLoaded = 0;
+            document.getElementById('memories').innerHTML = '<h3>Memories</h3>';
+            await loadNextPage();
+        }
+        
+        async function loadNextPage() {
+            if (loadingPage || (pagesLoaded > 0 && !nextCursor)) return;
+            loadingPage = true;
+            let loaded = false;
+            
             try {
-                const response = await fetch('/mcp/memories?limit=20');
+                const [sort, order] = document.getElementById('sortSelect').value.split(':');
+                const params = new URLSearchParams({ limit: PAGE_SIZE, fields: PAGE_FIELDS, sort, order });
+                if (nextCursor) params.set('cursor', nextCursor);
+                
+                const response = await apiFetch('/mcp/memories?' + params);
                 const data = await response.json();
                 
                 document.getElementById('memoryCount').textContent = data.total;
                 
                 const memoriesDiv = document.getElementById('memories');
-                memoriesDiv.innerHTML = '<h3>Recent Memories</h3>';
+                data.results.forEach(memory => memoriesDiv.appendChild(renderMemoryItem(memory)));
                 
-                data.results.forEach(memory => {
-                    const div = document.createElement('div');
-                    div.className = 'memory-item';
-                    div.innerHTML = \`
-                        <div style="font-size: 12px; color: #666;">
-                            ID: \${memory.id} | \${new Date(memory.timestamp).toLocaleString()} | 
-                            Words: \${memory.wordCount} | Format: \${memory.formatVersion || 'legacy'}
-                        </div>
-                        <div class="memory-content"><pre>\${memory.content}</pre></div>
-                    \`;
-                    memoriesDiv.appendChild(div);
-                });
+                nextCursor = data.next;
+                pagesLoaded++;
+                loaded = true;
+                document.getElementById('pageStatus').textContent = data.next
+                    ? 'Loading more…'
+                    : \`\${data.matched} memories\`;
             } catch (error) {
                 console.error('Error loading memories:', error);
+            } finally {
+                loadingPage = false;
+            }
+            
+            // The observer only fires on changes, so keep going while the end is still on screen
+            if (loaded && nextCursor && document.getElementById('pageStatus').getBoundingClientRect().top < window.innerHeight) {
+                loadNextPage();
             }
         }
         
         async function testAPI() {
             try {
-                const health = await fetch('/health');
+                const health = await apiFetch('/health');
                 const healthData = await health.json();
                 alert('✅ API Test Successful!\\n\\nStatus: ' + healthData.status + '\\nMemories: ' + healthData.memoryCount + '\\nVersion: ' + healthData.version);
             } catch (error) {
@@ -441,11 +897,90 @@ class FixedMCPClient {
             }
         }
         
-        // Load memories on page load
-        loadMemories();
+        // Reload the first page soon, unless older pages have been scrolled in
+        function scheduleReload() {
+            clearTimeout(reloadTimer);
+            reloadTimer = setTimeout(() => {
+                if (pagesLoaded <= 1) loadMemories();
+            }, 500);
+        }
+        
+        // Apply one change pushed by the client to the list
+        function handleMemoryEvent(type, data) {
+            if (data.total !== undefined) document.getElementById('memoryCount').textContent = data.total;
+            const item = findMemoryItem(data.memory ? data.memory.id : data.id);
+            
+            switch (type) {
+                case 'memory.created': {
+                    const first = document.querySelector('#memories .memory-item');
+                    const newest = document.getElementById('sortSelect').value === 'timestamp:desc' &&
+                        (!first || first.dataset.timestamp <= data.memory.timestamp);
+                    if (item) {
+                        item.replaceWith(renderMemoryItem(data.memory));
+                    } else if (newest) {
+                        document.querySelector('#memories h3').after(renderMemoryItem(data.memory));
+                    } else {
+                        scheduleReload(); // Its place depends on the sort
+                    }
+                    break;
+                }
+                case 'memory.updated':
+                    if (item) item.replaceWith(renderMemoryItem(data.memory));
+                    break;
+                case 'memory.deleted':
+                    if (item) item.remove();
+                    break;
+                default: // store.cleared, store.reloaded
+                    loadMemories();
+            }
+        }
         
-        // Refresh every 10 seconds
-        setInterval(loadMemories, 10000);
+        // Live updates instead of polling. EventSource can't send headers, so
+        // the token goes in the URL.
+        function connectEvents() {
+            if (eventSource) eventSource.close();
+            eventSource = new EventSource('/mcp/events?' + new URLSearchParams({ token: getToken() }));
+            
+            eventSource.onopen = () => {
+                document.getElementById('liveStatus').textContent = 'Live';
+            };
+            ['memory.created', 'memory.updated', 'memory.deleted', 'store.cleared', 'store.reloaded'].forEach(type => {
+                eventSource.addEventListener(type, event => handleMemoryEvent(type, JSON.parse(event.data)));
+            });
+            eventSource.onerror = () => {
+                document.getElementById('liveStatus').textContent = 'Offline';
+                // EventSource reconnects by itself (and catches up), unless the
+                // stream was refused - e.g. the token was revoked
+                if (eventSource.readyState === EventSource.CLOSED) {
+                    setTimeout(reconnectEvents, 5000);
+                }
+            };
+        }
+        
+        async function reconnectEvents() {
+            try {
+                const response = await apiFetch('/health'); // Asks to pair again on 401
+                if (!response.ok) {
+                    if (response.status >= 500) setTimeout(reconnectEvents, 5000);
+                    return;
+                }
+            } catch (error) {
+                setTimeout(reconnectEvents, 5000); // Client still down
+                return;
+            }
+            connectEvents();
+            loadMemories(); // A new stream does not replay what was missed
+        }
+        
+        // Infinite scroll: fetch the next page once the end of the list is visible
+        new IntersectionObserver(entries => {
+            if (entries[0].isIntersecting) loadNextPage();
+        }).observe(document.getElementById('pageStatus'));
+        
+        // Load memories on page load (pairing first if needed), then follow changes
+        loadMemories().then(() => {
+            if (!pairingDeclined) connectEvents();
+        });
     </script>
 </body>
 </html>
@@ -454,10 +989,25 @@ class FixedMCPClient {
 
   async start() {
     await this.loadMemoryStore();
+    const removeExpired = () => this.removeExpiredMemories()
+      .catch(error => console.error('❌ Error removing expired memories:', error));
+    await removeExpired();
+    setInterval(removeExpired, EXPIRY_CHECK_INTERVAL_MS).unref();
+
+    // Memories Claude stores through the memory server reach event subscribers
+    // without waiting for the next request
+    setInterval(() => {
+      if (this.events.subscriberCount === 0) return;
+      this.refreshMemoryStore().catch(error => console.error('❌ Error reloading memory store:', error));
+    }, EVENT_REFRESH_INTERVAL_MS).unref();
+    
+    // Print a pairing code when nothing is paired yet
+    await this.auth.load();
+    await announcePairing(this.auth);
     
     this.app.listen(this.port, () => {
       console.log(`🚀 Fixed MCP Client running on http://localhost:${this.port}`);
-      console.log(`📁 Using storage file: ${this.storageFile}`);
+      console.log(`📁 Using storage: ${this.storage ? this.storage.file : 'none (failed to open)'}`);
       console.log(`🌐 Web interface: http://localhost:${this.port}`);
       console.log(`🔌 Browser extension endpoint: http://localhost:${this.port}/mcp/store`);
       console.log(`✅ Fixed version - no subprocess communication issues`);
@@ -0,0 +1,381 @@
+// memory-formats.js
+// File formats for GET /mcp/export and POST /mcp/import:
+//   jsonl     one memory per line with every field - the lossless backup
+//   csv       one row per memory, tags separated by ";"
+//   markdown  zip with one .md file per memory, metadata in YAML front-matter
+//   obsidian  zip laid out as an Obsidian vault: notes named after their
+//             title or first line, tags Obsidian accepts and an index note linking all
+// Imports also take a JSON array (mcp-memory.json or a clear-all snapshot).
+// Parsing only turns a file into plain records ({ content, tags, source, ... });
+// the client decides what gets stored.
+
+const { createZip, readZip, isZip } = require('./zip.js');
+
+const EXPORT_FORMATS = {
+    jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' },
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    markdown: { contentType: 'application/zip', extension: 'zip' },
+    obsidian: { contentType: 'application/zip', extension: 'zip' }
+};
+const IMPORT_FORMATS = ['jsonl', 'json', 'csv', 'markdown', 'obsidian'];
+
+const CSV_COLUMNS = ['id', 'timestamp', 'sourceUrl', 'sourceTitle', 'tags', 'note', 'wordCount', 'contentHash', 'content'];
+const VAULT_FOLDER = 'MCP Memories';
+const MAX_NOTE_TITLE = 60;
+
+// ---- YAML front-matter (the small subset we write, plus inline lists) ----
+
+function toFrontMatter(fields) {
+    const lines = ['---'];
+    Object.entries(fields).forEach(([key, value]) => {
+        if (value === undefined || value === null || value === '') return;
+        if (Array.isArray(value)) {
+            if (value.length === 0) return;
+            lines.push(`${key}:`);
+            value.forEach(item => lines.push(`  - ${JSON.stringify(String(item))}`));
+        } else if (typeof value === 'number' || typeof value === 'boolean') {
+            lines.push(`${key}: ${value}`);
+        } else {
+            lines.push(`${key}: ${JSON.stringify(String(value))}`); // JSON strings are valid YAML
+        }
+    });
+    lines.push('---');
+    return lines.join('\n');
+}
+
+function parseYamlScalar(raw) {
+    if (raw.startsWith('"')) {
+        try {
+            return JSON.parse(raw);
+        } catch (error) {
+            return raw.replace(/^"|"$/g, '');
+        }
+    }
+    if (raw.startsWith("'") && raw.endsWith("'") && raw.length > 1) {
+        return raw.slice(1, -1).replace(/''/g, "'");
+    }
+    if (raw === 'true' || raw === 'false') return raw === 'true';
+    if (/^-?\d+(\.\d+)?$/.test(raw)) return Number(raw);
+    return raw;
+}
+
+function parseFrontMatter(text) {
+    const match = text.match(/^\uFEFF?---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/);
+    if (!match) return { data: {}, body: text };
+
+    const data = {};
+    let listKey = null;
+    match[1].split(/\r?\n/).forEach(line => {
+        const item = line.match(/^\s+-\s*(.*)$/);
+        if (item && listKey) {
+            data[listKey].push(parseYamlScalar(item[1].trim()));
+            return;
+        }
+
+        const pair = line.match(/^([A-Za-z_][\w-]*):\s*(.*)$/);
+        if (!pair) return;
+        const [, key, raw] = pair;
+        listKey = null;
+        if (raw === '') {
+            data[key] = [];
+            listKey = key;
+        } else if (raw.startsWith('[') && raw.endsWith(']')) {
+            data[key] = raw.slice(1, -1).split(',').map(value => parseYamlScalar(value.trim())).filter(value => value !== '');
+        } else {
+            data[key] = parseYamlScalar(raw.trim());
+        }
+    });
+
+    return { data, body: text.slice(match[0].length) };
+}
+
+// ---- CSV (RFC 4180) ----
+
+function csvField(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (quoted) {
+        throw new Error('Unterminated quoted field in CSV');
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(cells => cells.some(cell => cell !== ''));
+}
+
+// ---- Export ----
+
+function toJsonl(memories) {
+    return memories.map(memory => JSON.stringify(memory)).join('\n') + (memories.length > 0 ? '\n' : '');
+}
+
+function toCsv(memories) {
+    const rows = memories.map(memory => [
+        memory.id,
+        memory.timestamp,
+        memory.source && memory.source.url,
+        memory.source && memory.source.title,
+        (memory.tags || []).join(';'),
+        memory.note,
+        memory.wordCount,
+        memory.contentHash,
+        memory.content
+    ].map(csvField).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+function toMarkdown(memory, tags = memory.tags) {
+    const source = memory.source || {};
+    const frontMatter = toFrontMatter({
+        id: memory.id,
+        timestamp: memory.timestamp,
+        source_url: source.url,
+        source_title: source.title,
+        tags,
+        type: memory.type,
+        title: memory.title,
+        ttl: memory.ttl,
+        expires_at: memory.expiresAt,
+        note: memory.note,
+        content_hash: memory.contentHash
+    });
+    return `${frontMatter}\n${memory.content}\n`;
+}
+
+// Obsidian tags: letters, digits, _, - and /, and not only digits.
+// Namespaced tags like lang:python become nested ones (lang/python).
+function toObsidianTag(tag) {
+    const cleaned = String(tag).trim().replace(/:/g, '/').replace(/[^\p{L}\p{N}_\-/]+/gu, '-').replace(/^-+|-+$/g, '');
+    return /^\d+$/.test(cleaned) ? `_${cleaned}` : cleaned;
+}
+
+function toNoteTitle(memory) {
+    const firstLine = memory.title || (memory.content || '').split('\n').find(line => line.trim()) || '';
+    const title = firstLine
+        .replace(/[#*>`[\]|\\/:?"<>^]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .substring(0, MAX_NOTE_TITLE)
+        .trim();
+    return title || `Memory ${memory.id}`;
+}
+
+function toObsidianVault(memories) {
+    const usedTitles = new Set(['_index']);
+    const notes = memories.map(memory => {
+        let title = toNoteTitle(memory);
+        if (usedTitles.has(title.toLowerCase())) title = `${title} (${memory.id})`;
+        usedTitles.add(title.toLowerCase());
+        return { memory, title };
+    });
+
+    const files = notes.map(({ memory, title }) => ({
+        name: `${VAULT_FOLDER}/${title}.md`,
+        content: toMarkdown(memory, [...new Set((memory.tags || []).map(toObsidianTag).filter(Boolean))]),
+        date: new Date(memory.timestamp)
+    }));
+
+    const index = [
+        toFrontMatter({ mcp_index: true }),
+        '# MCP Memories',
+        '',
+        ...notes.map(({ memory, title }) => {
+            const source = memory.source && memory.source.title && memory.source.title !== 'unknown'
+                ? ` (${memory.source.title})`
+                : '';
+            return `- [[${title}]] - ${String(memory.timestamp).substring(0, 10)}${source}`;
+        }),
+        ''
+    ].join('\n');
+    files.push({ name: `${VAULT_FOLDER}/_Index.md`, content: index });
+
+    return createZip(files);
+}
+
+// memories -> { body, contentType, filename }
+function exportMemories(memories, format) {
+    const type = EXPORT_FORMATS[format];
+    if (!type) {
+        throw new Error(`format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+
+    let body;
+    switch (format) {
+        case 'csv':
+            body = toCsv(memories);
+            break;
+        case 'markdown':
+            body = createZip(memories.map(memory => ({
+                name: `memories/${memory.id}.md`,
+                content: toMarkdown(memory),
+                date: new Date(memory.timestamp)
+            })));
+            break;
+        case 'obsidian':
+            body = toObsidianVault(memories);
+            break;
+        default:
+            body = toJsonl(memories);
+    }
+
+    const date = new Date().toISOString().substring(0, 10);
+    const name = format === 'obsidian' ? 'mcp-memories-vault' : `mcp-memories-${format === 'markdown' ? 'markdown' : 'export'}`;
+    return { body, contentType: type.contentType, filename: `${name}-${date}.${type.extension}` };
+}
+
+// ---- Import ----
+
+function recordFromMarkdown(text) {
+    const { data, body } = parseFrontMatter(text);
+    if (data.mcp_index) return null; // The vault's index note
+
+    const tags = Array.isArray(data.tags) ? data.tags : (data.tags ? String(data.tags).split(/[,\s]+/) : []);
+    return {
+        id: data.id !== undefined ? String(data.id) : undefined,
+        content: body.replace(/\r?\n$/, ''),
+        timestamp: data.timestamp,
+        source: { url: data.source_url, title: data.source_title },
+        tags: tags.map(tag => String(tag).replace(/^#/, '')).filter(Boolean),
+        type: data.type,
+        title: data.title,
+        ttl: data.ttl,
+        expiresAt: data.expires_at,
+        note: data.note
+    };
+}
+
+function recordFromCsv(header, cells) {
+    const row = {};
+    header.forEach((column, index) => {
+        row[column] = cells[index] !== undefined ? cells[index] : '';
+    });
+    return {
+        id: row.id || undefined,
+        content: row.content,
+        timestamp: row.timestamp || undefined,
+        source: { url: row.sourceUrl || undefined, title: row.sourceTitle || undefined },
+        tags: (row.tags || '').split(';').map(tag => tag.trim()).filter(Boolean),
+        note: row.note || undefined
+    };
+}
+
+function detectImportFormat(body) {
+    if (isZip(body)) return 'markdown';
+    const text = body.toString('utf8').replace(/^\uFEFF/, '').trimStart();
+    if (text.startsWith('[')) return 'json';
+    if (text.startsWith('{')) return 'jsonl';
+    if (text.startsWith('---')) return 'markdown';
+    return 'csv';
+}
+
+// Request body (a Buffer, or an already parsed JSON body) -> records to import.
+// Entries that can't be read end up in `failed` with their location in the file.
+function parseImport(body, format) {
+    const records = [];
+    const failed = [];
+
+    // Bodies sent as application/json arrive parsed
+    if (!Buffer.isBuffer(body)) {
+        const items = Array.isArray(body) ? body : (body && body.memories);
+        if (!Array.isArray(items)) {
+            throw new Error('Send the exported file as the request body');
+        }
+        items.forEach((record, index) => records.push({ record, location: `item ${index + 1}` }));
+        return { format: 'json', records, failed };
+    }
+    if (body.length === 0) {
+        throw new Error('Send the exported file as the request body');
+    }
+
+    const detected = format || detectImportFormat(body);
+    if (!IMPORT_FORMATS.includes(detected)) {
+        throw new Error(`format must be one of: ${IMPORT_FORMATS.join(', ')}`);
+    }
+    const text = () => body.toString('utf8').replace(/^\uFEFF/, '');
+
+    switch (detected) {
+        case 'json': {
+            let data;
+            try {
+                data = JSON.parse(text());
+            } catch (error) {
+                throw new Error(`Invalid JSON: ${error.message}`);
+            }
+            return parseImport(data, format);
+        }
+        case 'jsonl':
+            text().split(/\r?\n/).forEach((line, index) => {
+                if (!line.trim()) return;
+                try {
+                    records.push({ record: JSON.parse(line), location: `line ${index + 1}` });
+                } catch (error) {
+                    failed.push({ location: `line ${index + 1}`, error: 'Invalid JSON' });
+                }
+            });
+            break;
+        case 'csv': {
+            const [header, ...rows] = parseCsv(text());
+            if (!header || !header.includes('content')) {
+                throw new Error('CSV needs a header row with a "content" column');
+            }
+            rows.forEach((cells, index) => {
+                records.push({ record: recordFromCsv(header, cells), location: `row ${index + 2}` });
+            });
+            break;
+        }
+        default: {
+            // markdown and obsidian: a zip of .md files or a single .md file
+            const files = isZip(body)
+                ? readZip(body).filter(file => file.name.toLowerCase().endsWith('.md') && !file.name.split('/').some(part => part.startsWith('.')))
+                : [{ name: 'body', content: body }];
+            files.forEach(file => {
+                const record = recordFromMarkdown(file.content.toString('utf8'));
+                if (record) records.push({ record, location: file.name });
+            });
+        }
+    }
+
+    return { format: detected, records, failed };
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    IMPORT_FORMATS,
+    exportMemories,
+    parseImport
+};
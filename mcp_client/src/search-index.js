@@ -0,0 +1,302 @@
+// search-index.js
+// Inverted index behind GET /mcp/memories?search=. Memories are ranked with
+// BM25 and the query language supports:
+//   deploy docker        both words (AND)
+//   "unit tests"         exact phrase
+//   deploy*              prefix
+//   docker OR podman     either word
+//   -staging             exclude
+//   tag:code  site:github.com  before:2025-01-01  after:2024-06-01
+// Operators can be negated too (-tag:todo).
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const MAX_PREFIX_TERMS = 50;
+const SNIPPET_LENGTH = 160;
+const SNIPPET_CONTEXT = 40; // Characters shown before the first match
+
+const OPERATORS = ['tag', 'site', 'before', 'after'];
+const QUERY_PATTERN = /(-)?(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+
+function tokenize(text) {
+    const tokens = [];
+    const pattern = /[\p{L}\p{N}]+/gu;
+    const normalized = String(text).normalize('NFC');
+    let match;
+    while ((match = pattern.exec(normalized)) !== null) {
+        tokens.push({ term: match[0].toLowerCase(), start: match.index, end: match.index + match[0].length });
+    }
+    return tokens;
+}
+
+function parseDate(name, value) {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        throw new Error(`Invalid date for ${name}: "${value}"`);
+    }
+    return date;
+}
+
+// Parse a search string into text clauses (ANDed, each a list of ORed alternatives)
+// and operators. Throws on operators with invalid values.
+function parseSearchQuery(search) {
+    const clauses = [];
+    const operators = [];
+    let joinNext = false;
+    let match;
+
+    QUERY_PATTERN.lastIndex = 0;
+    while ((match = QUERY_PATTERN.exec(search)) !== null) {
+        const [raw, minus, prefix, quoted, word] = match;
+        const negated = !!minus;
+
+        if (raw === 'OR') {
+            joinNext = clauses.length > 0;
+            continue;
+        }
+
+        const name = prefix && prefix.toLowerCase();
+        if (name && OPERATORS.includes(name)) {
+            const value = quoted !== undefined ? quoted : word;
+            if (!value) continue;
+            operators.push({
+                name,
+                negated,
+                value: name === 'before' || name === 'after' ? parseDate(name, value) : value.toLowerCase()
+            });
+            continue;
+        }
+
+        // Unknown "name:" prefixes are just text
+        const text = prefix ? `${prefix}:${quoted !== undefined ? quoted : word}` : (quoted !== undefined ? quoted : word);
+        const terms = tokenize(text).map(token => token.term);
+        if (terms.length === 0) continue;
+
+        let alternative;
+        if (quoted === undefined && terms.length === 1 && text.endsWith('*')) {
+            alternative = { type: 'prefix', terms };
+        } else {
+            alternative = { type: terms.length > 1 ? 'phrase' : 'term', terms };
+        }
+
+        const previous = clauses[clauses.length - 1];
+        if (joinNext && previous.negated === negated) {
+            previous.alternatives.push(alternative);
+        } else {
+            clauses.push({ negated, alternatives: [alternative] });
+        }
+        joinNext = false;
+    }
+
+    return { clauses, operators };
+}
+
+// The words of the query without operators and exclusions, e.g. for embedding it
+function getQueryText(query) {
+    return query.clauses
+        .filter(clause => !clause.negated)
+        .flatMap(clause => clause.alternatives.flatMap(alternative => alternative.terms))
+        .join(' ');
+}
+
+function getHostname(url) {
+    try {
+        return new URL(url).hostname.toLowerCase();
+    } catch (error) {
+        return '';
+    }
+}
+
+function matchesOperator(memory, operator) {
+    switch (operator.name) {
+        case 'tag':
+            return (memory.tags || []).some(tag => tag.toLowerCase() === operator.value);
+        case 'site': {
+            const hostname = getHostname(memory.source && memory.source.url);
+            return hostname === operator.value || hostname.endsWith(`.${operator.value}`);
+        }
+        case 'before':
+            return new Date(memory.timestamp) < operator.value;
+        case 'after':
+            return new Date(memory.timestamp) >= operator.value;
+        default:
+            return true;
+    }
+}
+
+function matchesSearchOperators(memory, operators) {
+    return operators.every(operator => matchesOperator(memory, operator) !== operator.negated);
+}
+
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Excerpt around the first match with matches wrapped in <mark>. Everything
+// else is HTML-escaped, so the snippet can be inserted as HTML.
+function buildSnippet(content, query) {
+    const words = new Set();
+    const prefixes = [];
+    query.clauses.filter(clause => !clause.negated).forEach(clause => {
+        clause.alternatives.forEach(alternative => {
+            if (alternative.type === 'prefix') {
+                prefixes.push(alternative.terms[0]);
+            } else {
+                alternative.terms.forEach(term => words.add(term));
+            }
+        });
+    });
+    const isMatch = term => words.has(term) || prefixes.some(prefix => term.startsWith(prefix));
+
+    const matches = tokenize(content).filter(token => isMatch(token.term));
+    let start = matches.length > 0 ? Math.max(0, matches[0].start - SNIPPET_CONTEXT) : 0;
+    if (start > 0) {
+        const space = content.indexOf(' ', start);
+        if (space !== -1 && space < matches[0].start) start = space + 1;
+    }
+    const end = Math.min(content.length, start + SNIPPET_LENGTH);
+
+    let snippet = start > 0 ? '…' : '';
+    let cursor = start;
+    matches.filter(token => token.start >= start && token.end <= end).forEach(token => {
+        snippet += escapeHtml(content.substring(cursor, token.start));
+        snippet += `<mark>${escapeHtml(content.substring(token.start, token.end))}</mark>`;
+        cursor = token.end;
+    });
+    snippet += escapeHtml(content.substring(cursor, end));
+    if (end < content.length) snippet += '…';
+
+    return snippet.replace(/\s+/g, ' ').trim();
+}
+
+class SearchIndex {
+    constructor() {
+        this.postings = new Map(); // term -> Map(id -> positions)
+        this.docs = new Map();     // id -> { length, terms }
+        this.totalLength = 0;
+    }
+
+    add(id, text) {
+        this.remove(id);
+
+        const tokens = tokenize(text);
+        const terms = new Set();
+        tokens.forEach((token, position) => {
+            if (!this.postings.has(token.term)) this.postings.set(token.term, new Map());
+            const docPositions = this.postings.get(token.term);
+            if (!docPositions.has(id)) docPositions.set(id, []);
+            docPositions.get(id).push(position);
+            terms.add(token.term);
+        });
+
+        this.docs.set(id, { length: tokens.length, terms });
+        this.totalLength += tokens.length;
+    }
+
+    remove(id) {
+        const doc = this.docs.get(id);
+        if (!doc) return;
+
+        doc.terms.forEach(term => {
+            const docPositions = this.postings.get(term);
+            docPositions.delete(id);
+            if (docPositions.size === 0) this.postings.delete(term);
+        });
+        this.totalLength -= doc.length;
+        this.docs.delete(id);
+    }
+
+    termScore(term, id) {
+        const docPositions = this.postings.get(term);
+        const positions = docPositions && docPositions.get(id);
+        if (!positions) return 0;
+
+        const docCount = this.docs.size;
+        const idf = Math.log(1 + (docCount - docPositions.size + 0.5) / (docPositions.size + 0.5));
+        const averageLength = this.totalLength / docCount || 1;
+        const tf = positions.length;
+        const lengthNorm = 1 - BM25_B + BM25_B * (this.docs.get(id).length / averageLength);
+        return idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * lengthNorm);
+    }
+
+    // id -> BM25 score for the documents matching one alternative
+    matchAlternative(alternative) {
+        const results = new Map();
+
+        if (alternative.type === 'prefix') {
+            const prefix = alternative.terms[0];
+            const expanded = [...this.postings.keys()].filter(term => term.startsWith(prefix)).slice(0, MAX_PREFIX_TERMS);
+            expanded.forEach(term => {
+                this.postings.get(term).forEach((positions, id) => {
+                    results.set(id, (results.get(id) || 0) + this.termScore(term, id));
+                });
+            });
+            return results;
+        }
+
+        const [first, ...rest] = alternative.terms;
+        const firstPositions = this.postings.get(first);
+        if (!firstPositions) return results;
+
+        firstPositions.forEach((positions, id) => {
+            // Phrases need every following word right after the previous one
+            const isPhraseMatch = alternative.type !== 'phrase' || positions.some(position =>
+                rest.every((term, offset) => {
+                    const termPositions = this.postings.get(term);
+                    const docPositions = termPositions && termPositions.get(id);
+                    return docPositions && docPositions.includes(position + offset + 1);
+                })
+            );
+            if (isPhraseMatch) {
+                results.set(id, alternative.terms.reduce((score, term) => score + this.termScore(term, id), 0));
+            }
+        });
+        return results;
+    }
+
+    // id -> score for every document satisfying the text clauses (all of them when there are none)
+    match(clauses) {
+        let candidates = null;
+        const scores = new Map();
+
+        clauses.filter(clause => !clause.negated).forEach(clause => {
+            const clauseScores = new Map();
+            clause.alternatives.forEach(alternative => {
+                this.matchAlternative(alternative).forEach((score, id) => {
+                    clauseScores.set(id, (clauseScores.get(id) || 0) + score);
+                });
+            });
+
+            candidates = candidates === null
+                ? new Set(clauseScores.keys())
+                : new Set([...candidates].filter(id => clauseScores.has(id)));
+            clauseScores.forEach((score, id) => scores.set(id, (scores.get(id) || 0) + score));
+        });
+
+        if (candidates === null) {
+            candidates = new Set(this.docs.keys());
+        }
+
+        clauses.filter(clause => clause.negated).forEach(clause => {
+            clause.alternatives.forEach(alternative => {
+                this.matchAlternative(alternative).forEach((score, id) => candidates.delete(id));
+            });
+        });
+
+        return new Map([...candidates].map(id => [id, scores.get(id) || 0]));
+    }
+}
+
+module.exports = {
+    SearchIndex,
+    parseSearchQuery,
+    getQueryText,
+    matchesSearchOperators,
+    buildSnippet,
+    getHostname
+};
@@ -0,0 +1,137 @@
+// similarity-index.js
+// Near-duplicate lookup for memories: MinHash signatures over character
+// shingles, bucketed with LSH so a lookup only compares a few candidates
+// instead of every stored memory. Candidates are scored with exact Jaccard
+// similarity of their shingle sets.
+
+const SHINGLE_SIZE = 5;         // Characters per shingle
+const SIGNATURE_SIZE = 64;      // MinHash values per memory
+const LSH_BANDS = 16;           // SIGNATURE_SIZE / LSH_BANDS rows per band
+const LSH_ROWS = SIGNATURE_SIZE / LSH_BANDS;
+
+// Fixed seeds so signatures are stable between runs
+const SEEDS = Array.from({ length: SIGNATURE_SIZE }, (_, i) => Math.imul(i + 1, 0x9e3779b1) >>> 0);
+
+// FNV-1a, 32-bit
+function hashString(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// MurmurHash3 finalizer - turns hash ^ seed into an independent-looking permutation
+function mix(value) {
+    value ^= value >>> 16;
+    value = Math.imul(value, 0x85ebca6b);
+    value ^= value >>> 13;
+    value = Math.imul(value, 0xc2b2ae35);
+    value ^= value >>> 16;
+    return value >>> 0;
+}
+
+// Case, punctuation and whitespace differences don't make a memory different
+function normalizeForSimilarity(content) {
+    return String(content)
+        .normalize('NFC')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+function getShingles(content) {
+    const text = normalizeForSimilarity(content);
+    const shingles = new Set();
+    if (text.length <= SHINGLE_SIZE) {
+        if (text) shingles.add(text);
+        return shingles;
+    }
+    for (let i = 0; i <= text.length - SHINGLE_SIZE; i++) {
+        shingles.add(text.substring(i, i + SHINGLE_SIZE));
+    }
+    return shingles;
+}
+
+function getSignature(shingles) {
+    const signature = new Array(SIGNATURE_SIZE).fill(0xffffffff);
+    shingles.forEach(shingle => {
+        const base = hashString(shingle);
+        for (let i = 0; i < SIGNATURE_SIZE; i++) {
+            const value = mix(base ^ SEEDS[i]);
+            if (value < signature[i]) signature[i] = value;
+        }
+    });
+    return signature;
+}
+
+function getBandKeys(signature) {
+    const keys = [];
+    for (let band = 0; band < LSH_BANDS; band++) {
+        const rows = signature.slice(band * LSH_ROWS, (band + 1) * LSH_ROWS);
+        keys.push(`${band}:${rows.join('.')}`);
+    }
+    return keys;
+}
+
+function jaccard(a, b) {
+    if (a.size === 0 && b.size === 0) return 1;
+    let shared = 0;
+    const [small, large] = a.size < b.size ? [a, b] : [b, a];
+    small.forEach(shingle => {
+        if (large.has(shingle)) shared++;
+    });
+    return shared / (a.size + b.size - shared);
+}
+
+class SimilarityIndex {
+    constructor() {
+        this.entries = new Map(); // id -> { shingles, bandKeys }
+        this.buckets = new Map(); // band key -> Set of ids
+    }
+
+    add(id, content) {
+        this.remove(id);
+
+        const shingles = getShingles(content);
+        const bandKeys = getBandKeys(getSignature(shingles));
+        this.entries.set(id, { shingles, bandKeys });
+
+        bandKeys.forEach(key => {
+            if (!this.buckets.has(key)) this.buckets.set(key, new Set());
+            this.buckets.get(key).add(id);
+        });
+    }
+
+    remove(id) {
+        const entry = this.entries.get(id);
+        if (!entry) return;
+
+        entry.bandKeys.forEach(key => {
+            const bucket = this.buckets.get(key);
+            bucket.delete(id);
+            if (bucket.size === 0) this.buckets.delete(key);
+        });
+        this.entries.delete(id);
+    }
+
+    // Memories at least `threshold` similar to content, most similar first
+    findSimilar(content, { threshold = 0.8, exclude = [], limit = 5 } = {}) {
+        const shingles = getShingles(content);
+        const candidates = new Set();
+        getBandKeys(getSignature(shingles)).forEach(key => {
+            (this.buckets.get(key) || []).forEach(id => candidates.add(id));
+        });
+        exclude.forEach(id => candidates.delete(id));
+
+        return [...candidates]
+            .map(id => ({ id, score: jaccard(shingles, this.entries.get(id).shingles) }))
+            .filter(match => match.score >= threshold)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit)
+            .map(match => ({ id: match.id, score: Math.round(match.score * 1000) / 1000 }));
+    }
+}
+
+module.exports = SimilarityIndex;
@@ -0,0 +1,107 @@
+// text-diff.js
+// Line diff for memory revisions, in unified diff format:
+//   @@ -3,4 +3,5 @@
+//    unchanged line
+//   -removed line
+//   +added line
+// Computed with a longest-common-subsequence table, which is plenty for
+// memory-sized texts; very large texts fall back to replacing every line.
+
+const CONTEXT_LINES = 2;
+const MAX_TABLE_CELLS = 4000000;
+
+function splitLines(text) {
+    return text === '' ? [] : String(text).replace(/\r\n?/g, '\n').split('\n');
+}
+
+// Edit script as [{ op: ' ' | '-' | '+', line }]
+function diffOps(before, after) {
+    // Common prefix and suffix don't need the table
+    let start = 0;
+    while (start < before.length && start < after.length && before[start] === after[start]) start++;
+    let endBefore = before.length;
+    let endAfter = after.length;
+    while (endBefore > start && endAfter > start && before[endBefore - 1] === after[endAfter - 1]) {
+        endBefore--;
+        endAfter--;
+    }
+
+    const a = before.slice(start, endBefore);
+    const b = after.slice(start, endAfter);
+    const middle = [];
+
+    if (a.length * b.length > MAX_TABLE_CELLS) {
+        a.forEach(line => middle.push({ op: '-', line }));
+        b.forEach(line => middle.push({ op: '+', line }));
+    } else {
+        // lcs[i][j] = length of the LCS of a[i..] and b[j..]
+        const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+
+        let i = 0;
+        let j = 0;
+        while (i < a.length || j < b.length) {
+            if (i < a.length && j < b.length && a[i] === b[j]) {
+                middle.push({ op: ' ', line: a[i++] });
+                j++;
+            } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+                middle.push({ op: '-', line: a[i++] });
+            } else {
+                middle.push({ op: '+', line: b[j++] });
+            }
+        }
+    }
+
+    return [
+        ...before.slice(0, start).map(line => ({ op: ' ', line })),
+        ...middle,
+        ...before.slice(endBefore).map(line => ({ op: ' ', line }))
+    ];
+}
+
+// Unified diff of two texts, '' when they are the same
+function diffLines(beforeText, afterText) {
+    const ops = diffOps(splitLines(beforeText), splitLines(afterText));
+
+    // Line numbers of each op in the old and new text
+    let oldLine = 1;
+    let newLine = 1;
+    const numbered = ops.map(op => {
+        const entry = { ...op, oldLine, newLine };
+        if (op.op !== '+') oldLine++;
+        if (op.op !== '-') newLine++;
+        return entry;
+    });
+
+    // Group changes that are close together into hunks with some context
+    const hunks = [];
+    numbered.forEach((entry, index) => {
+        if (entry.op === ' ') return;
+        const from = Math.max(0, index - CONTEXT_LINES);
+        const to = Math.min(numbered.length, index + CONTEXT_LINES + 1);
+        const last = hunks[hunks.length - 1];
+        if (last && from <= last.to) {
+            last.to = Math.max(last.to, to);
+        } else {
+            hunks.push({ from, to });
+        }
+    });
+
+    return hunks.map(({ from, to }) => {
+        const lines = numbered.slice(from, to);
+        const oldCount = lines.filter(entry => entry.op !== '+').length;
+        const newCount = lines.filter(entry => entry.op !== '-').length;
+        const oldStart = oldCount > 0 ? lines.find(entry => entry.op !== '+').oldLine : lines[0].oldLine - 1;
+        const newStart = newCount > 0 ? lines.find(entry => entry.op !== '-').newLine : lines[0].newLine - 1;
+        return [
+            `@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`,
+            ...lines.map(entry => entry.op + entry.line)
+        ].join('\n');
+    }).join('\n');
+}
+
+module.exports = { diffLines };
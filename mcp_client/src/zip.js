@@ -0,0 +1,194 @@
+// zip.js
+// Just enough ZIP support for exporting and importing memory archives:
+// writes deflated entries with UTF-8 names and reads stored or deflated
+// entries back. No ZIP64, encryption or multi-disk archives.
+
+const zlib = require('zlib');
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const UTF8_FLAG = 0x0800;
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+
+// Archives come from /mcp/import (up to 50 MB), and a crafted one could
+// otherwise inflate to gigabytes
+const MAX_ENTRY_SIZE = 64 * 1024 * 1024;
+const MAX_TOTAL_SIZE = 256 * 1024 * 1024;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS date and time, which is what ZIP stores (it starts in 1980)
+function dosDateTime(date) {
+    if (!(date instanceof Date) || isNaN(date) || date.getFullYear() < 1980) {
+        date = new Date();
+    }
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, day };
+}
+
+// files: [{ name, content (string or Buffer), date? }] -> zip archive as a Buffer
+function createZip(files) {
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const name = Buffer.from(file.name, 'utf8');
+        const data = Buffer.isBuffer(file.content) ? file.content : Buffer.from(String(file.content), 'utf8');
+        const compressed = zlib.deflateRawSync(data);
+        const crc = crc32(data);
+        const { time, day } = dosDateTime(file.date || new Date());
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(LOCAL_HEADER, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(UTF8_FLAG, 6);
+        local.writeUInt16LE(METHOD_DEFLATE, 8);
+        local.writeUInt16LE(time, 10);
+        local.writeUInt16LE(day, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        local.writeUInt16LE(0, 28);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(CENTRAL_HEADER, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(UTF8_FLAG, 8);
+        central.writeUInt16LE(METHOD_DEFLATE, 10);
+        central.writeUInt16LE(time, 12);
+        central.writeUInt16LE(day, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        localParts.push(local, name, compressed);
+        centralParts.push(central, name);
+        offset += local.length + name.length + compressed.length;
+    });
+
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+function isZip(buffer) {
+    return Buffer.isBuffer(buffer) && buffer.length >= 4 && buffer.readUInt32LE(0) === LOCAL_HEADER;
+}
+
+// Inflate an entry to at most the size its header gives
+function inflateEntry(data, size, name) {
+    try {
+        return zlib.inflateRawSync(data, { maxOutputLength: Math.max(size, 1) });
+    } catch (error) {
+        throw new Error(`Corrupt zip entry ${name}`);
+    }
+}
+
+// zip archive -> [{ name, content (Buffer) }], directories left out. Throws
+// when an entry, or all of them together, would extract to more than the limits.
+function readZip(buffer, { maxEntrySize = MAX_ENTRY_SIZE, maxTotalSize = MAX_TOTAL_SIZE } = {}) {
+    try {
+        return readEntries(buffer, maxEntrySize, maxTotalSize);
+    } catch (error) {
+        // Offsets past the end of a truncated archive
+        if (error.code === 'ERR_OUT_OF_RANGE' || error.code === 'ERR_BUFFER_OUT_OF_BOUNDS') {
+            throw new Error('Corrupt zip archive');
+        }
+        throw error;
+    }
+}
+
+function readEntries(buffer, maxEntrySize, maxTotalSize) {
+    // The end record sits at the very end, followed by a comment of up to 64 KB
+    let end = -1;
+    for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+        if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) {
+            end = i;
+            break;
+        }
+    }
+    if (end === -1) {
+        throw new Error('Not a zip archive');
+    }
+
+    const count = buffer.readUInt16LE(end + 10);
+    let position = buffer.readUInt32LE(end + 16);
+    const files = [];
+    let totalSize = 0;
+
+    for (let i = 0; i < count; i++) {
+        if (buffer.readUInt32LE(position) !== CENTRAL_HEADER) {
+            throw new Error('Corrupt zip central directory');
+        }
+        const method = buffer.readUInt16LE(position + 10);
+        const crc = buffer.readUInt32LE(position + 16);
+        const compressedSize = buffer.readUInt32LE(position + 20);
+        const size = buffer.readUInt32LE(position + 24);
+        const nameLength = buffer.readUInt16LE(position + 28);
+        const extraLength = buffer.readUInt16LE(position + 30);
+        const commentLength = buffer.readUInt16LE(position + 32);
+        const localOffset = buffer.readUInt32LE(position + 42);
+        const name = buffer.toString('utf8', position + 46, position + 46 + nameLength);
+        position += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/')) continue;
+
+        if (size > maxEntrySize) {
+            throw new Error(`Zip entry ${name} is too large (${size} bytes, at most ${maxEntrySize})`);
+        }
+        totalSize += size;
+        if (totalSize > maxTotalSize) {
+            throw new Error(`Zip archive is too large once extracted (at most ${maxTotalSize} bytes)`);
+        }
+
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        const data = buffer.subarray(dataStart, dataStart + compressedSize);
+        if (data.length !== compressedSize) {
+            throw new Error('Corrupt zip archive');
+        }
+        let content;
+        if (method === METHOD_STORE) {
+            content = Buffer.from(data);
+        } else if (method === METHOD_DEFLATE) {
+            content = inflateEntry(data, size, name);
+        } else {
+            throw new Error(`Unsupported compression in zip entry ${name}`);
+        }
+        if (content.length !== size || crc32(content) !== crc) {
+            throw new Error(`Checksum mismatch in zip entry ${name}`);
+        }
+        files.push({ name, content });
+    }
+
+    return files;
+}
+
+module.exports = { createZip, readZip, isZip };
@@ -0,0 +1,77 @@
+// Semantic search with the default offline embedder (mcp-servers/shared/embeddings.js)
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EmbeddingStore, createHashedEmbedder, scoreMemories } = require('../../mcp-servers/shared/embeddings.js');
+const { startLegacyClient, storeMemory } = require('./helpers.js');
+
+const MEMORIES = [
+    { id: 'access', content: 'SSO credentials expire every Monday' },
+    { id: 'vehicle', content: 'The truck needs new tyres' },
+    { id: 'recipe', content: 'Apple pie with cinnamon and a butter crust' }
+];
+
+function search(query, { mode = 'semantic', concepts } = {}) {
+    const embedder = concepts ? createHashedEmbedder(undefined, concepts) : undefined;
+    const embeddings = new EmbeddingStore(path.join(os.tmpdir(), 'unused-embeddings.json'), embedder);
+    embeddings.sync(MEMORIES);
+    const scores = scoreMemories(embeddings, MEMORIES, query, mode);
+    return [...scores.entries()].sort((a, b) => b[1] - a[1]).map(([id]) => id);
+}
+
+test('words of one concept find each other without a shared word', () => {
+    assert.ok(!search('car', { concepts: [] }).includes('vehicle'));
+    assert.deepStrictEqual(search('car', { concepts: [['vehicle', 'car', 'truck', 'van']] }), ['vehicle']);
+});
+
+test('the built-in concepts bring related words together', () => {
+    const results = search('login problems');
+    assert.strictEqual(results[0], 'access');
+    assert.ok(!results.includes('recipe'));
+});
+
+test('hybrid mode keeps concept matches', () => {
+    assert.strictEqual(search('password', { mode: 'hybrid' })[0], 'access');
+});
+
+test('unrelated queries find nothing', () => {
+    assert.deepStrictEqual(search('kubernetes alerting'), []);
+});
+
+test('vectors are not written next to an encrypted store', async () => {
+    const legacy = await startLegacyClient({
+        passphrase: 'correct horse battery staple',
+        files: { 'mcp-embeddings.json': '{"model":"old","vectors":{}}' }
+    });
+    try {
+        assert.ok(legacy.client.storage.encrypted);
+        const file = path.join(legacy.dataDir, 'mcp-embeddings.json');
+        assert.ok(!fs.existsSync(file), 'plaintext vectors left from before were not removed');
+
+        await storeMemory(legacy, MEMORIES[0].content);
+        const { body } = await legacy.request('GET', '/mcp/memories?search=login%20problems&mode=semantic');
+        assert.strictEqual(body.memories.length, 1);
+        assert.ok(!fs.existsSync(file));
+    } finally {
+        await legacy.close();
+    }
+});
+
+test('vectors are saved unless loaded with persist: false', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'embeddings-'));
+    try {
+        const embeddings = new EmbeddingStore(path.join(dir, 'embeddings.json'));
+        await embeddings.load();
+        await embeddings.update(MEMORIES);
+        assert.ok(fs.existsSync(embeddings.file));
+
+        await embeddings.load({ persist: false });
+        await embeddings.update(MEMORIES.slice(1));
+        assert.ok(!fs.existsSync(embeddings.file));
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
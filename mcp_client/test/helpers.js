@@ -0,0 +1,82 @@
+// Test helpers: a legacy client on a free port with its own data directory,
+// auth file and settings, so tests never touch the real store
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Read by the client when it is required, so they are set first
+const TEST_ROOT = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-client-test-'));
+process.env.MCP_AUTH_FILE = path.join(TEST_ROOT, 'auth.json');
+process.env.MCP_TAG_RULES = path.join(TEST_ROOT, 'tag-rules.json');
+process.env.MCP_REDACTION_CONFIG = path.join(TEST_ROOT, 'redaction.json');
+
+const LocalMCPClient = require('../src/legacy-local-mcp-client.js');
+const { getKeyringFile } = require('../../mcp-servers/shared/storage/index.js');
+const { createKeyring, writeKeyring } = require('../../mcp-servers/shared/encryption.js');
+
+// With `passphrase` the new store is encrypted first, like `npm run encryption -- init`.
+// `files` are written to the data directory before the client starts.
+async function startLegacyClient({ passphrase, files = {} } = {}) {
+    const dataDir = fs.mkdtempSync(path.join(TEST_ROOT, 'data-'));
+    Object.entries(files).forEach(([name, content]) => fs.writeFileSync(path.join(dataDir, name), content));
+    if (passphrase) {
+        const cipher = await createKeyring(passphrase);
+        await writeKeyring(getKeyringFile(path.join(dataDir, 'mcp-memory')), cipher.keyring);
+        process.env.MCP_PASSPHRASE = passphrase;
+    }
+    const client = new LocalMCPClient(0, { dataDir });
+    try {
+        await client.ready;
+    } finally {
+        delete process.env.MCP_PASSPHRASE;
+    }
+    await client.auth.load();
+    const { token } = await client.auth.createToken({ name: 'test', scope: 'write' });
+    const server = await new Promise(resolve => {
+        const listening = client.app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const url = `http://127.0.0.1:${server.address().port}`;
+
+    // JSON bodies are sent as JSON, strings and buffers as they are; returns { status, body }
+    async function request(method, route, body) {
+        const headers = { Authorization: `Bearer ${token}` };
+        const raw = body === undefined || typeof body === 'string' || Buffer.isBuffer(body);
+        if (!raw) headers['Content-Type'] = 'application/json';
+        const response = await fetch(url + route, {
+            method,
+            headers,
+            body: raw ? body : JSON.stringify(body)
+        });
+        const text = await response.text();
+        let parsed = text;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            // Not every answer is JSON
+        }
+        return { status: response.status, body: parsed };
+    }
+
+    async function close() {
+        await new Promise(resolve => server.close(resolve));
+        client.events.close();
+        await client.storage.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+
+    return { client, url, dataDir, request, close };
+}
+
+// Stores one block through POST /mcp/store and returns the new memory's id
+async function storeMemory(legacy, content) {
+    const { body } = await legacy.request('POST', '/mcp/store', {
+        blocks: [{ content }],
+        metadata: { url: 'https://example.com/page', title: 'Example' }
+    });
+    return body.entries[0] && body.entries[0].id;
+}
+
+process.on('exit', () => fs.rmSync(TEST_ROOT, { recursive: true, force: true }));
+
+module.exports = { startLegacyClient, storeMemory };
@@ -0,0 +1,39 @@
+// A failed write to the memory store is reported, not swallowed
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startLegacyClient, storeMemory } = require('./helpers.js');
+
+test('routes return 500 when the store cannot be written, and the store is reloaded', async () => {
+    const legacy = await startLegacyClient();
+    try {
+        const id = await storeMemory(legacy, 'Original content of the memory');
+
+        const write = legacy.client.storage.write;
+        legacy.client.storage.write = async () => { throw new Error('disk full'); };
+        const edit = await legacy.request('PATCH', `/mcp/memories/${id}`, { content: 'Edited content' });
+        const removal = await legacy.request('DELETE', `/mcp/memories/${id}`);
+        legacy.client.storage.write = write;
+
+        assert.strictEqual(edit.status, 500);
+        assert.strictEqual(removal.status, 500);
+
+        // The edit and the delete only happened in memory; the next request sees the disk again
+        const memory = await legacy.request('GET', `/mcp/memories/${id}`);
+        assert.strictEqual(memory.status, 200);
+        assert.strictEqual(memory.body.content, 'Original content of the memory');
+    } finally {
+        await legacy.close();
+    }
+});
+
+test('a store route returns 500 when the store cannot be written', async () => {
+    const legacy = await startLegacyClient();
+    try {
+        legacy.client.storage.write = async () => { throw new Error('lock timeout'); };
+        const response = await legacy.request('POST', '/mcp/store', { blocks: [{ content: 'Something new' }] });
+        assert.strictEqual(response.status, 500);
+    } finally {
+        await legacy.close();
+    }
+});
@@ -0,0 +1,25 @@
+// POST /mcp/store checks the note and tags typed at capture time
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startLegacyClient } = require('./helpers.js');
+
+test('blocks with a non-string note or tags are a bad request', async () => {
+    const legacy = await startLegacyClient();
+    try {
+        for (const block of [{ tags: 'abc' }, { tags: ['ok', 1] }, { note: { a: 1 } }]) {
+            const response = await legacy.request('POST', '/mcp/store', { blocks: [{ content: 'Some content', ...block }] });
+            assert.strictEqual(response.status, 400, JSON.stringify(block));
+        }
+
+        const stored = await legacy.request('POST', '/mcp/store', {
+            blocks: [{ content: 'Some content', note: 'A note', tags: ['typed'] }]
+        });
+        assert.strictEqual(stored.body.stored, 1);
+        const memory = (await legacy.request('GET', `/mcp/memories/${stored.body.entries[0].id}`)).body;
+        assert.strictEqual(memory.note, 'A note');
+        assert.ok(memory.tags.includes('typed'));
+    } finally {
+        await legacy.close();
+    }
+});
@@ -0,0 +1,50 @@
+// Deleting moves memories to the trash; clearing everything needs a confirmation token
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { ClearConfirmations, findExpiredTrash, splitTrash } = require('../../mcp-servers/shared/trash.js');
+const { startLegacyClient, storeMemory } = require('./helpers.js');
+
+test('a confirmation token works once', () => {
+    const confirmations = new ClearConfirmations();
+    const first = confirmations.check(undefined);
+    assert.ok(first.confirmToken);
+    assert.strictEqual(confirmations.check(first.confirmToken), null);
+    assert.match(confirmations.check(first.confirmToken).error, /Invalid or expired/);
+});
+
+test('trashed entries are kept apart and expire', () => {
+    const longAgo = new Date(Date.now() - 365 * 24 * 60 * 60 * 1000).toISOString();
+    const { memories, trash } = splitTrash([
+        { id: 'kept' },
+        { id: 'recent', deletedAt: new Date().toISOString() },
+        { id: 'old', deletedAt: longAgo }
+    ]);
+    assert.deepStrictEqual(memories.map(m => m.id), ['kept']);
+    assert.deepStrictEqual(findExpiredTrash(trash), ['old']);
+});
+
+test('clearing all memories takes a token, writes a snapshot and fills the trash', async () => {
+    const legacy = await startLegacyClient();
+    try {
+        const id = await storeMemory(legacy, 'A memory that will be cleared');
+
+        const first = await legacy.request('DELETE', '/mcp/memories');
+        assert.strictEqual(first.status, 428);
+        assert.strictEqual(first.body.count, 1);
+
+        const cleared = await legacy.request('DELETE', `/mcp/memories?confirm=${first.body.confirmToken}`);
+        assert.strictEqual(cleared.status, 200);
+        assert.ok(fs.existsSync(cleared.body.snapshot));
+
+        const trash = await legacy.request('GET', '/mcp/trash');
+        assert.deepStrictEqual(trash.body.memories.map(m => m.id), [id]);
+
+        const restored = await legacy.request('POST', `/mcp/trash/${id}/restore`);
+        assert.strictEqual(restored.status, 200);
+        assert.strictEqual((await legacy.request('GET', `/mcp/memories/${id}`)).status, 200);
+    } finally {
+        await legacy.close();
+    }
+});
@@ -0,0 +1,35 @@
+// Imported zip archives are read within size limits, and broken ones are refused
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createZip, readZip } = require('../src/zip.js');
+const { startLegacyClient } = require('./helpers.js');
+
+const CENTRAL_HEADER = Buffer.from([0x50, 0x4b, 0x01, 0x02]);
+
+test('entries over the size limits are not inflated', () => {
+    const zip = createZip([{ name: 'a.md', content: 'x'.repeat(5000) }, { name: 'b.md', content: 'y'.repeat(5000) }]);
+    assert.throws(() => readZip(zip, { maxEntrySize: 1000 }), /a\.md is too large/);
+    assert.throws(() => readZip(zip, { maxTotalSize: 8000 }), /too large once extracted/);
+    assert.strictEqual(readZip(zip).length, 2);
+});
+
+test('an entry that inflates past its declared size is corrupt', () => {
+    const zip = createZip([{ name: 'bomb.md', content: 'z'.repeat(100000) }]);
+    zip.writeUInt32LE(100, zip.indexOf(CENTRAL_HEADER) + 24);
+    assert.throws(() => readZip(zip), /Corrupt zip entry bomb\.md/);
+});
+
+test('a truncated archive is a bad request', async () => {
+    const legacy = await startLegacyClient();
+    try {
+        const zip = createZip([{ name: 'note.md', content: '# Note\n\nSome text' }]);
+        zip.writeUInt32LE(0xfffff, zip.indexOf(CENTRAL_HEADER) + 42);
+
+        const response = await legacy.request('POST', '/mcp/import?format=obsidian', zip);
+        assert.strictEqual(response.status, 400);
+        assert.match(response.body.error, /Corrupt zip/);
+    } finally {
+        await legacy.close();
+    }
+});